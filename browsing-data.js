@@ -0,0 +1,44 @@
+/**
+ * PaperStation Browser - Browsing Data Time Ranges
+ *
+ * Decides which records a "clear browsing data" time range covers. It has no DOM or
+ * Electron dependencies: index.html loads it as a script, main.js requires it, and it can
+ * be exercised directly from Node.
+ */
+(function (root) {
+    const CLEAR_RANGES = {
+        hour: 60 * 60 * 1000,
+        day: 24 * 60 * 60 * 1000,
+        week: 7 * 24 * 60 * 60 * 1000
+    };
+
+    const FINISHED_DOWNLOAD_STATES = ['completed', 'cancelled', 'interrupted'];
+
+    // Start of the range in milliseconds; 0 means everything ("all" or an unknown range)
+    function getClearSince(range, now = Date.now()) {
+        return CLEAR_RANGES[range] ? now - CLEAR_RANGES[range] : 0;
+    }
+
+    // Accepts timestamps and ISO dates; a record without a usable date only goes with everything
+    function isInClearRange(time, since) {
+        const value = typeof time === 'number' ? time : Date.parse(time);
+        return (value || 0) >= since;
+    }
+
+    // Running downloads stay; only finished entries leave the list
+    function isClearableDownload(download, since) {
+        return FINISHED_DOWNLOAD_STATES.includes(download.state) && isInClearRange(download.startTime, since);
+    }
+
+    const BrowsingData = {
+        getClearSince,
+        isClearableDownload,
+        isInClearRange
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BrowsingData;
+    } else {
+        root.BrowsingData = BrowsingData;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,29 @@
+/**
+ * PaperStation Browser - Download Hash Worker
+ *
+ * Reads a finished download once and computes its SHA-256, SHA-1 and MD5
+ * checksums, so large files never block the main process.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+const hashes = ALGORITHMS.map((algorithm) => crypto.createHash(algorithm));
+
+fs.createReadStream(workerData.filePath)
+    .on('data', (chunk) => {
+        hashes.forEach((hash) => hash.update(chunk));
+    })
+    .on('error', (error) => {
+        parentPort.postMessage({ error: error.message });
+    })
+    .on('end', () => {
+        const result = {};
+        ALGORITHMS.forEach((algorithm, index) => {
+            result[algorithm] = hashes[index].digest('hex');
+        });
+        parentPort.postMessage({ hashes: result });
+    });
@@ -0,0 +1,52 @@
+/**
+ * PaperStation Browser - Download Policy
+ *
+ * Rules the download manager applies to each download. It has no Electron dependencies:
+ * main.js requires it, and it can be exercised directly from Node.
+ */
+
+const path = require('path');
+
+const DOWNLOAD_RETRY_BASE_DELAY = 2000;
+const DOWNLOAD_RETRY_MAX_DELAY = 60000;
+
+// Exponential backoff for the nth automatic retry: 2s, 4s, 8s ... at most a minute
+function getDownloadRetryDelay(retryCount) {
+    return Math.min(DOWNLOAD_RETRY_BASE_DELAY * 2 ** (retryCount - 1), DOWNLOAD_RETRY_MAX_DELAY);
+}
+
+// Files that run code when opened
+const DANGEROUS_DOWNLOAD_EXTENSIONS = new Set([
+    'exe', 'msi', 'msp', 'com', 'scr', 'pif', 'bat', 'cmd', 'ps1', 'psm1', 'vbs', 'vbe', 'js', 'jse',
+    'wsf', 'wsh', 'hta', 'cpl', 'lnk', 'reg', 'dll', 'jar', 'sh', 'bash', 'zsh', 'command', 'app',
+    'dmg', 'pkg', 'deb', 'rpm', 'appimage', 'run', 'py', 'pl', 'rb', 'apk'
+]);
+
+const HASH_LENGTHS = { 64: 'sha256', 40: 'sha1', 32: 'md5' };
+
+function getDownloadWarnings(download) {
+    const warnings = [];
+    const extension = path.extname(download.savePath || download.filename || '').slice(1).toLowerCase();
+    if (DANGEROUS_DOWNLOAD_EXTENSIONS.has(extension)) {
+        warnings.push('dangerousType');
+    }
+    const chain = download.urlChain && download.urlChain.length ? download.urlChain : [download.url];
+    if (chain.some((url) => /^http:/i.test(url || ''))) {
+        warnings.push('insecureSource');
+    }
+    return warnings;
+}
+
+// Accepts a bare hex digest or a line copied from sha256sum / a release page
+function parseExpectedHash(text) {
+    const match = String(text || '').match(/\b[0-9a-f]{64}\b|\b[0-9a-f]{40}\b|\b[0-9a-f]{32}\b/i);
+    if (!match) return null;
+    const hash = match[0].toLowerCase();
+    return { hash, algorithm: HASH_LENGTHS[hash.length] };
+}
+
+module.exports = {
+    getDownloadRetryDelay,
+    getDownloadWarnings,
+    parseExpectedHash
+};
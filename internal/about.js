@@ -0,0 +1,34 @@
+/**
+ * paperstation://about - version and environment details
+ */
+
+const ABOUT_ROWS = [
+    ['version', '版本'],
+    ['electron', 'Electron'],
+    ['chrome', 'Chromium'],
+    ['node', 'Node.js'],
+    ['v8', 'V8'],
+    ['platform', '平台'],
+    ['userData', '用户数据目录']
+];
+
+async function loadAbout() {
+    const info = await call('about.getInfo');
+    document.getElementById('pageContent').innerHTML = `
+        <div class="card">
+            <h2>${escapeHTML(info.name)}</h2>
+            <table class="about-table">
+                ${ABOUT_ROWS.map(([key, label]) => `
+                    <tr><th>${label}</th><td>${escapeHTML(info[key])}</td></tr>
+                `).join('')}
+            </table>
+        </div>
+        <div class="card">
+            <h2>项目主页</h2>
+            <a href="https://github.com/ruanmingze/papstation-browser">https://github.com/ruanmingze/papstation-browser</a>
+        </div>
+    `;
+}
+
+initInternalPage('about');
+loadAbout().catch(showError);
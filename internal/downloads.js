@@ -0,0 +1,109 @@
+/**
+ * paperstation://downloads - the same list as the downloads panel, kept live
+ */
+
+const STATE_ORDER = { progressing: 0, retrying: 0, queued: 1 };
+
+let refreshTimer = null;
+
+function getStatus(download) {
+    const received = formatBytes(download.receivedBytes);
+    const size = formatBytes(download.totalBytes);
+    switch (download.state) {
+        case 'progressing': {
+            let status = `${received} / ${size}`;
+            if (download.speed > 0) status += ` · ${formatBytes(Math.round(download.speed))}/s`;
+            return status;
+        }
+        case 'queued':
+            return `排队中 #${download.queuePosition || ''} · ${size}`;
+        case 'retrying':
+            return `连接中断，正在重试（第 ${download.retryCount} 次）`;
+        case 'paused':
+            return `已暂停 · ${received} / ${size}`;
+        case 'completed':
+            return download.fileExists === false ? '文件已被移动或删除' : `已完成 · ${size}`;
+        case 'interrupted':
+            return download.receivedBytes > 0 ? `已中断 · ${received} / ${size}` : '下载失败';
+        case 'cancelled':
+            return '已取消';
+        default:
+            return '';
+    }
+}
+
+function getActions(download) {
+    switch (download.state) {
+        case 'progressing':
+            return [['pause', '暂停'], ['cancel', '取消']];
+        case 'queued':
+        case 'retrying':
+            return [['cancel', '取消']];
+        case 'paused':
+            return [['resume', '继续'], ['cancel', '取消']];
+        case 'completed':
+            return download.fileExists === false
+                ? [['remove', '移除']]
+                : [['open', '打开'], ['showInFolder', '在文件夹中显示'], ['remove', '移除']];
+        case 'interrupted':
+            return [['resume', '继续'], ['remove', '移除']];
+        default:
+            return [['remove', '移除']];
+    }
+}
+
+async function loadDownloads() {
+    const downloads = await call('downloads.list');
+    const content = document.getElementById('pageContent');
+
+    if (downloads.length === 0) {
+        content.innerHTML = '<div class="page-empty">暂无下载内容</div>';
+        return;
+    }
+
+    downloads.sort((a, b) =>
+        (STATE_ORDER[a.state] ?? 2) - (STATE_ORDER[b.state] ?? 2) || (b.startTime || 0) - (a.startTime || 0)
+    );
+
+    content.innerHTML = downloads.map(download => {
+        const progress = download.totalBytes > 0 ? Math.round(download.receivedBytes / download.totalBytes * 100) : 0;
+        const statusClass = ['interrupted', 'cancelled'].includes(download.state) ? 'status-failed' : '';
+        return `
+            <div class="list-item">
+                <div class="list-item-body">
+                    <div class="list-item-title">${escapeHTML(download.filename)}</div>
+                    <div class="list-item-detail ${statusClass}">${escapeHTML(getStatus(download))}</div>
+                    <div class="list-item-detail">${escapeHTML(download.url)}</div>
+                    ${download.state === 'progressing' ? `<progress class="progress" max="100" value="${progress}"></progress>` : ''}
+                </div>
+                <div class="list-item-actions">
+                    ${getActions(download).map(([action, label]) => `
+                        <button class="btn btn-small" data-action="${action}" data-id="${escapeHTML(download.id)}">${label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    content.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            call(`downloads.${button.dataset.action}`, button.dataset.id).catch(showError);
+        });
+    });
+}
+
+initInternalPage('downloads');
+
+document.getElementById('clearCompleted').addEventListener('click', () => {
+    call('downloads.clearCompleted').catch(showError);
+});
+
+// Progress arrives several times a second; redraw at most twice a second
+onPageEvent('downloads-changed', () => {
+    if (refreshTimer) return;
+    refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        loadDownloads().catch(showError);
+    }, 500);
+});
+loadDownloads().catch(showError);
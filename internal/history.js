@@ -0,0 +1,104 @@
+/**
+ * paperstation://history - visits grouped by day, with search and per-page removal
+ */
+
+const PAGE_SIZE = 100;
+
+let searchQuery = '';
+let entries = [];
+let hasMore = false;
+let searchTimer = null;
+
+function getDayLabel(timestamp) {
+    const date = new Date(timestamp);
+    const today = new Date();
+    const yesterday = new Date(today);
+    yesterday.setDate(today.getDate() - 1);
+
+    if (date.toDateString() === today.toDateString()) return '今天';
+    if (date.toDateString() === yesterday.toDateString()) return '昨天';
+    return date.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric', weekday: 'long' });
+}
+
+// Visits carry visitTime; search results are URL records with lastVisitTime
+function toEntry(record) {
+    return {
+        urlId: record.urlId ?? record.id,
+        url: record.url,
+        title: record.title,
+        favicon: record.favicon,
+        time: record.visitTime ?? record.lastVisitTime
+    };
+}
+
+async function loadHistory({ append = false } = {}) {
+    const before = append && entries.length > 0 ? entries[entries.length - 1].time : Infinity;
+    const records = await call('history.list', { query: searchQuery, before, limit: PAGE_SIZE });
+    const loaded = records.map(toEntry);
+
+    entries = append ? [...entries, ...loaded] : loaded;
+    hasMore = !searchQuery && loaded.length === PAGE_SIZE;
+    render();
+}
+
+function render() {
+    const content = document.getElementById('pageContent');
+    if (entries.length === 0) {
+        content.innerHTML = `<div class="page-empty">${searchQuery ? '没有找到匹配的历史记录' : '暂无历史记录'}</div>`;
+        return;
+    }
+
+    let html = '';
+    let currentDay = null;
+    entries.forEach((entry, index) => {
+        const day = getDayLabel(entry.time);
+        if (day !== currentDay) {
+            currentDay = day;
+            html += `<div class="list-group-title">${escapeHTML(day)}</div>`;
+        }
+        const title = escapeHTML(entry.title || entry.url);
+        html += `
+            <div class="list-item">
+                <span class="list-item-time">${new Date(entry.time).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })}</span>
+                ${entry.favicon && isWebUrl(entry.favicon) ? `<img class="list-item-icon" src="${escapeHTML(entry.favicon)}" alt="">` : '<span class="list-item-icon"></span>'}
+                <div class="list-item-body">
+                    <div class="list-item-title">${isWebUrl(entry.url) ? `<a href="${escapeHTML(entry.url)}">${title}</a>` : title}</div>
+                    <div class="list-item-detail">${escapeHTML(entry.url)}</div>
+                </div>
+                <div class="list-item-actions">
+                    <button class="btn btn-small" data-remove="${index}" title="从历史记录中删除此网页的所有访问">删除</button>
+                </div>
+            </div>
+        `;
+    });
+    if (hasMore) {
+        html += '<div class="page-empty"><button class="btn" id="loadMore">加载更多</button></div>';
+    }
+    content.innerHTML = html;
+
+    content.querySelectorAll('[data-remove]').forEach(button => {
+        button.addEventListener('click', () => {
+            call('history.remove', entries[Number(button.dataset.remove)].urlId).catch(showError);
+        });
+    });
+    document.getElementById('loadMore')?.addEventListener('click', () => loadHistory({ append: true }).catch(showError));
+}
+
+initInternalPage('history');
+
+document.getElementById('searchInput').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        searchQuery = e.target.value.trim();
+        loadHistory().catch(showError);
+    }, 300);
+});
+document.getElementById('clearHistory').addEventListener('click', () => {
+    call('history.clear').catch(showError);
+});
+
+// New visits only matter on the first page of the unfiltered list
+onPageEvent('history-changed', () => {
+    if (entries.length <= PAGE_SIZE) loadHistory().catch(showError);
+});
+loadHistory().catch(showError);
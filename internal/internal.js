@@ -0,0 +1,93 @@
+/**
+ * PaperStation Browser - Shared script for paperstation:// pages
+ *
+ * Each page loads this first. window.paperstation is provided by webview-preload.js
+ * only on paperstation:// origins; every call is re-checked by the main process.
+ */
+
+const INTERNAL_PAGES = [
+    { id: 'settings', title: '设置' },
+    { id: 'history', title: '历史记录' },
+    { id: 'downloads', title: '下载' },
+    { id: 'knowledge', title: '知识库' },
+    { id: 'about', title: '关于' }
+];
+
+async function call(method, ...args) {
+    if (!window.paperstation) {
+        throw new Error('此页面只能在 PaperStation 中打开');
+    }
+    const response = await window.paperstation.call(method, ...args);
+    if (!response?.success) {
+        throw new Error(response?.error || '未知错误');
+    }
+    return response.result;
+}
+
+// type -> callbacks for change notices pushed by the browser window
+const eventListeners = new Map();
+
+function onPageEvent(type, callback) {
+    if (!eventListeners.has(type)) eventListeners.set(type, []);
+    eventListeners.get(type).push(callback);
+}
+
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme || 'dark');
+}
+
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Only web addresses become links; anything else is shown as text
+function isWebUrl(url) {
+    return /^https?:\/\//i.test(url || '');
+}
+
+function formatDateTime(value) {
+    const date = new Date(value);
+    if (isNaN(date)) return '';
+    return date.toLocaleString('zh-CN', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
+function showError(error) {
+    const box = document.getElementById('pageError');
+    if (!box) return;
+    box.textContent = error.message || String(error);
+    box.hidden = false;
+}
+
+function renderNavigation(activePage) {
+    const nav = document.getElementById('pageNav');
+    if (!nav) return;
+    nav.innerHTML = '<div class="page-nav-brand">PaperStation</div>' + INTERNAL_PAGES.map(page => `
+        <a class="page-nav-item ${page.id === activePage ? 'active' : ''}" href="paperstation://${page.id}/">${page.title}</a>
+    `).join('');
+}
+
+function initInternalPage(activePage) {
+    renderNavigation(activePage);
+    if (!window.paperstation) {
+        showError(new Error('此页面只能在 PaperStation 中打开'));
+        return;
+    }
+
+    window.paperstation.onEvent((data) => {
+        if (data?.type === 'settings-changed') applyTheme(data.theme);
+        (eventListeners.get(data?.type) || []).forEach(callback => callback(data));
+    });
+    call('page.getTheme').then(applyTheme).catch(() => { });
+}
@@ -0,0 +1,56 @@
+/**
+ * paperstation://knowledge - saved knowledge entries with search and removal
+ */
+
+let searchQuery = '';
+let searchTimer = null;
+
+async function loadKnowledge() {
+    const entries = await call('knowledge.list', searchQuery);
+    const content = document.getElementById('pageContent');
+
+    if (entries.length === 0) {
+        content.innerHTML = `<div class="page-empty">${searchQuery ? '没有找到匹配的知识条目' : '知识库为空，在网页上点击“保存到知识库”即可添加'}</div>`;
+        return;
+    }
+
+    entries.sort((a, b) => new Date(b.savedAt || b.timestamp) - new Date(a.savedAt || a.timestamp));
+
+    content.innerHTML = entries.map(entry => {
+        const title = escapeHTML(entry.title || entry.url);
+        const keyPoints = (entry.keyPoints || []).slice(0, 5);
+        return `
+            <div class="card">
+                <div class="list-item-title">${isWebUrl(entry.url) ? `<a href="${escapeHTML(entry.url)}">${title}</a>` : title}</div>
+                <div class="list-item-detail">${escapeHTML(formatDateTime(entry.savedAt || entry.timestamp))}</div>
+                <div>
+                    ${[entry.subject, entry.topic, entry.chapter].map(tag => `<span class="tag">${escapeHTML(tag)}</span>`).join('')}
+                </div>
+                ${keyPoints.length > 0 ? `<ul class="knowledge-points">${keyPoints.map(point => `<li>${escapeHTML(point)}</li>`).join('')}</ul>` : ''}
+                <div class="list-item-actions">
+                    <button class="btn btn-small danger" data-remove="${escapeHTML(entry.id)}">删除</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    content.querySelectorAll('[data-remove]').forEach(button => {
+        button.addEventListener('click', () => {
+            // IndexedDB keys are auto-increment numbers
+            call('knowledge.remove', Number(button.dataset.remove)).catch(showError);
+        });
+    });
+}
+
+initInternalPage('knowledge');
+
+document.getElementById('searchInput').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        searchQuery = e.target.value.trim();
+        loadKnowledge().catch(showError);
+    }, 300);
+});
+
+onPageEvent('knowledge-changed', () => loadKnowledge().catch(showError));
+loadKnowledge().catch(showError);
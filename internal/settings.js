@@ -0,0 +1,132 @@
+/**
+ * paperstation://settings - the everyday settings; the rest open in the settings panel
+ */
+
+const TOGGLES = [
+    { section: '隐私', key: 'disableHistoryTracking', label: '不保存浏览历史', description: '停止记录访问过的网页' },
+    { section: '安全', key: 'blockPopups', label: '阻止弹出窗口', description: '防止网站打开弹出窗口' },
+    { section: '安全', key: 'blockThirdPartyCookies', label: '阻止第三方 Cookies', description: '防止来自其他网站的跟踪 cookies' },
+    { section: '安全', key: 'doNotTrack', label: '发送"请勿跟踪"请求', description: '要求网站不要跟踪您的浏览' },
+    { section: '安全', key: 'httpsOnly', label: '仅 HTTPS 模式', description: '自动升级到 HTTPS，无法安全连接时发出警告' },
+    { section: '安全', key: 'contentBlocking', label: '拦截广告和跟踪器', description: '使用过滤列表拦截请求并隐藏广告元素' },
+    { section: '下载', key: 'askBeforeDownload', label: '询问每个文件的保存位置', description: '在保存前提示下载位置' }
+];
+
+const MIME_TYPE_LABELS = {
+    'x-scheme-handler/http': 'http 链接',
+    'x-scheme-handler/https': 'https 链接',
+    'text/html': 'HTML 文件',
+    'application/pdf': 'PDF 文件'
+};
+
+const STARTUP_MODES = [['newTab', '打开新标签页'], ['restore', '恢复上次会话'], ['custom', '打开自定义网站']];
+const THEMES = [['dark', '深色'], ['light', '浅色'], ['system', '跟随系统']];
+
+function renderOptions(name, options, current) {
+    return `<div class="setting-options">${options.map(([value, label]) => `
+        <label><input type="radio" name="${name}" value="${value}" ${current === value ? 'checked' : ''}> ${label}</label>
+    `).join('')}</div>`;
+}
+
+function renderToggles(section, settings) {
+    return TOGGLES.filter(toggle => toggle.section === section).map(toggle => `
+        <label class="setting-row">
+            <span class="setting-label">${toggle.label}<small>${toggle.description}</small></span>
+            <input type="checkbox" data-setting="${toggle.key}" ${settings[toggle.key] ? 'checked' : ''}>
+        </label>
+    `).join('');
+}
+
+async function loadSettings() {
+    const { settings, searchEngines } = await call('settings.get');
+    document.getElementById('pageContent').innerHTML = `
+        <div class="card">
+            <h2>搜索引擎</h2>
+            <div class="setting-row">
+                <span class="setting-label">地址栏中使用的搜索引擎<small>关键字和自定义搜索引擎可在“更多设置”中管理</small></span>
+                <select class="select" data-setting="searchEngine">
+                    ${searchEngines.map(engine => `
+                        <option value="${escapeHTML(engine.id)}" ${engine.id === settings.searchEngine ? 'selected' : ''}>${escapeHTML(engine.name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        </div>
+        <div class="card">
+            <h2>启动时</h2>
+            ${renderOptions('startupMode', STARTUP_MODES, settings.startupMode)}
+            <div class="setting-row" ${settings.startupMode === 'custom' ? '' : 'hidden'}>
+                <input type="url" class="input" data-setting="customStartupUrl" placeholder="https://example.com" value="${escapeHTML(settings.customStartupUrl)}">
+            </div>
+        </div>
+        <div class="card">
+            <h2>默认浏览器</h2>
+            <div class="setting-row">
+                <span class="setting-label" id="defaultBrowserStatus">正在检查…</span>
+                <span class="list-item-actions">
+                    <button class="btn" id="setDefaultBrowser" hidden>设为默认浏览器</button>
+                    <button class="btn" id="undoDefaultBrowser" hidden>撤销更改</button>
+                </span>
+            </div>
+        </div>
+        <div class="card">
+            <h2>外观</h2>
+            ${renderOptions('theme', THEMES, settings.theme)}
+        </div>
+        <div class="card">
+            <h2>隐私</h2>
+            ${renderToggles('隐私', settings)}
+            <div class="setting-row">
+                <span class="setting-label">清除浏览数据<small>历史记录、Cookies、缓存、下载记录等</small></span>
+                <button class="btn danger" id="clearBrowsingData">清除…</button>
+            </div>
+        </div>
+        <div class="card">
+            <h2>安全</h2>
+            ${renderToggles('安全', settings)}
+        </div>
+        <div class="card">
+            <h2>下载</h2>
+            ${renderToggles('下载', settings)}
+        </div>
+    `;
+
+    document.querySelectorAll('[data-setting]').forEach(input => {
+        input.addEventListener('change', () => {
+            const value = input.type === 'checkbox' ? input.checked : input.value;
+            call('settings.set', input.dataset.setting, value).catch(showError);
+        });
+    });
+    document.querySelectorAll('input[type="radio"]').forEach(input => {
+        input.addEventListener('change', () => call('settings.set', input.name, input.value).catch(showError));
+    });
+    document.getElementById('clearBrowsingData').addEventListener('click', () => {
+        call('settings.clearBrowsingData').catch(showError);
+    });
+    document.getElementById('setDefaultBrowser').addEventListener('click', () => {
+        call('defaultBrowser.set').then(renderDefaultBrowser).catch(showError);
+    });
+    document.getElementById('undoDefaultBrowser').addEventListener('click', () => {
+        call('defaultBrowser.undo').then(renderDefaultBrowser).catch(showError);
+    });
+    call('defaultBrowser.getStatus').then(renderDefaultBrowser).catch(showError);
+}
+
+function renderDefaultBrowser(status) {
+    let text = 'PaperStation 是您的默认浏览器';
+    if (!status.isDefault) {
+        const handled = status.mimeTypes
+            ? Object.keys(status.mimeTypes).filter(type => status.mimeTypes[type]).map(type => MIME_TYPE_LABELS[type])
+            : Object.keys(status.protocols).filter(protocol => status.protocols[protocol]).map(protocol => `${protocol} 链接`);
+        text = handled.length > 0 ? `PaperStation 目前只打开：${handled.join('、')}` : 'PaperStation 不是您的默认浏览器';
+    }
+    document.getElementById('defaultBrowserStatus').textContent = text;
+    document.getElementById('setDefaultBrowser').hidden = status.isDefault;
+    document.getElementById('undoDefaultBrowser').hidden = !status.canUndo;
+}
+
+initInternalPage('settings');
+document.getElementById('openSettingsPanel').addEventListener('click', () => {
+    call('settings.openPanel').catch(showError);
+});
+onPageEvent('settings-changed', () => loadSettings().catch(showError));
+loadSettings().catch(showError);
@@ -1,6 +1,11 @@
-const { app, BrowserWindow, ipcMain, session, shell, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, session, shell, Notification, webContents, safeStorage, powerMonitor, dialog, systemPreferences, net, protocol } = require('electron');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const { default: contextMenu } = require('electron-context-menu');
+// Sites (eTLD+1) come from the bundled Public Suffix List shared with the address bar
+const UrlClassifier = require('./url-classifier');
+const { getRegistrableDomain } = UrlClassifier;
+const { sanitizeParentIndex, sanitizeSplitView, sanitizeTabGroups } = require('./session-state');
 
 // Disable WebViewAllowPopupsWarning to allow popups
 app.commandLine.appendSwitch('disable-features', 'WebViewAllowPopupsWarning');
@@ -14,9 +19,9 @@ const isDev = process.env.NODE_ENV === 'development';
 let mainWindow = null;
 const downloads = new Map();
 
-function createWindow() {
+function createWindow(restoreState = null) {
     // Create the browser window with secure settings
-    mainWindow = new BrowserWindow({
+    const win = new BrowserWindow({
         width: 1200,
         height: 800,
         title: 'PaperStation',
@@ -35,65 +40,227 @@ function createWindow() {
         show: false,                     // Don't show until ready
     });
 
+    // The first normal window is the main window
+    if (!mainWindow) {
+        mainWindow = win;
+    }
+
+    // Windows re-created from a previous session pick up their tabs on startup
+    if (restoreState) {
+        pendingSessionRestores.set(win.webContents.id, restoreState);
+    }
+
     // Show window when ready to prevent visual flash
-    mainWindow.once('ready-to-show', () => {
-        mainWindow.show();
+    win.once('ready-to-show', () => {
+        win.show();
     });
 
     // Load the index.html of the app
-    mainWindow.loadFile('index.html');
+    win.loadFile('index.html');
 
     // Open DevTools in development mode only
     if (isDev) {
-        mainWindow.webContents.openDevTools();
+        win.webContents.openDevTools();
     }
 
+    // Command line URLs go to the normal window used last
+    win.on('focus', () => {
+        lastFocusedWindow = win;
+    });
+
+    // Keep the session file in sync with open windows
+    const windowId = win.id;
+    win.on('close', () => {
+        forgetSessionWindow(windowId);
+    });
+
     // Handle window closed
-    mainWindow.on('closed', () => {
-        mainWindow = null;
+    win.on('closed', () => {
+        if (mainWindow === win) {
+            mainWindow = null;
+        }
+        if (lastFocusedWindow === win) {
+            lastFocusedWindow = null;
+        }
     });
 
     // Setup download handling for the session
-    setupDownloadHandling();
+    setupDownloadHandling(win.webContents.session);
+
+    return win;
 }
 
 // ============================================
 // Download Manager
 // ============================================
-function setupDownloadHandling() {
-    // Handle downloads from the default session
-    session.defaultSession.on('will-download', (event, item, webContents) => {
-        handleDownload(item);
+// Electron calls every will-download listener, so each session gets exactly one
+const downloadSessions = new WeakSet();
+
+// Download records are kept on disk so the list and interrupted downloads survive restarts
+const downloadsStatePath = path.join(app.getPath('userData'), 'downloads.json');
+const DOWNLOADS_SAVE_DELAY = 1000;
+let downloadsSaveTimer = null;
+
+// Interrupted downloads being re-created, keyed by save path, so the new item keeps its record
+const pendingDownloadResumes = new Map();
+
+const PERSISTED_DOWNLOAD_FIELDS = [
+    'id', 'filename', 'url', 'urlChain', 'savePath', 'mimeType', 'totalBytes', 'receivedBytes',
+    'state', 'startTime', 'endTime', 'eTag', 'lastModified', 'hashes', 'verification', 'warnings'
+];
+
+function loadDownloads() {
+    try {
+        if (!fs.existsSync(downloadsStatePath)) return;
+        const records = JSON.parse(fs.readFileSync(downloadsStatePath, 'utf8'));
+        records.forEach((record) => {
+            // Anything still running when the app went away can only be resumed now
+            if (['progressing', 'paused', 'queued', 'retrying'].includes(record.state)) {
+                record.state = 'interrupted';
+            }
+            downloads.set(record.id, { ...record, item: null, persist: true });
+        });
+    } catch (error) {
+        console.error('Failed to load downloads:', error);
+    }
+}
+
+function saveDownloads() {
+    clearTimeout(downloadsSaveTimer);
+    downloadsSaveTimer = null;
+
+    const records = [];
+    downloads.forEach((download) => {
+        if (!download.persist) return;
+        const record = {};
+        PERSISTED_DOWNLOAD_FIELDS.forEach((field) => {
+            record[field] = download[field];
+        });
+        records.push(record);
     });
+
+    try {
+        fs.writeFileSync(downloadsStatePath, JSON.stringify(records, null, 2));
+    } catch (error) {
+        console.error('Failed to save downloads:', error);
+    }
 }
 
-function handleDownload(item) {
-    const downloadId = Date.now().toString();
+function scheduleDownloadsSave() {
+    if (downloadsSaveTimer) return;
+    downloadsSaveTimer = setTimeout(saveDownloads, DOWNLOADS_SAVE_DELAY);
+}
 
-    const downloadInfo = {
-        id: downloadId,
-        filename: item.getFilename(),
-        url: item.getURL(),
-        savePath: item.getSavePath(),
-        totalBytes: item.getTotalBytes(),
-        receivedBytes: 0,
-        state: 'progressing',
-        startTime: Date.now(),
-        item: item // Keep reference to control download
-    };
+function resumeInterruptedDownload(download) {
+    // Chromium writes to "<file>.crdownload" until the download finishes
+    const partialPath = `${download.savePath}.crdownload`;
+    if (!fs.existsSync(download.savePath) && fs.existsSync(partialPath)) {
+        fs.renameSync(partialPath, download.savePath);
+    }
 
-    downloads.set(downloadId, downloadInfo);
+    const browsingSession = session.fromPartition('persist:paperstation');
+    pendingDownloadResumes.set(download.savePath, download);
 
-    // 发送通知 - 新下载开始
-    const startNotification = new Notification({
-        title: '新下载开始',
-        body: `文件: ${downloadInfo.filename}\nURL: ${downloadInfo.url}`,
-        icon: path.join(__dirname, 'assets', 'icon-2.png')
+    if (!fs.existsSync(download.savePath)) {
+        // Nothing on disk to continue from, so fetch the file again
+        browsingSession.downloadURL(download.url);
+        return;
+    }
+
+    browsingSession.createInterruptedDownload({
+        path: download.savePath,
+        urlChain: download.urlChain && download.urlChain.length ? download.urlChain : [download.url],
+        mimeType: download.mimeType || '',
+        offset: fs.statSync(download.savePath).size,
+        length: download.totalBytes || 0,
+        lastModified: download.lastModified || '',
+        eTag: download.eTag || '',
+        startTime: (download.startTime || Date.now()) / 1000
+    });
+}
+
+function setupDownloadHandling(ses) {
+    if (downloadSessions.has(ses)) return;
+    downloadSessions.add(ses);
+
+    ses.on('will-download', (event, item, webContents) => {
+        handleDownload(item, webContents, ses);
     });
-    startNotification.show();
+}
+
+// Downloads belong to the window whose tab (or own page) started them
+function getDownloadOwnerId(contents) {
+    if (!contents || contents.isDestroyed()) return null;
+    const host = contents.getType() === 'webview' ? contents.hostWebContents : contents;
+    return host && !host.isDestroyed() ? host.id : null;
+}
+
+// Incognito downloads are only visible to and controllable from their own window
+function canAccessDownload(sender, download) {
+    if (!download) return false;
+    return download.persist ? !isIncognitoContents(sender) : download.ownerId === sender.id;
+}
+
+function isIncognitoContents(contents) {
+    return !contents.session.isPersistent();
+}
+
+function handleDownload(item, contents, ses) {
+    const persist = ses.isPersistent();
+    // A download re-created from its saved record continues under the same ID
+    const resumedDownload = findPendingResume(item);
+    let downloadInfo;
+
+    if (resumedDownload) {
+        downloadInfo = resumedDownload;
+        downloadInfo.item = item;
+        downloadInfo.ownerId = getDownloadOwnerId(contents) || downloadInfo.ownerId;
+        downloadInfo.state = 'progressing';
+        downloadInfo.endTime = undefined;
+        downloadInfo.throttled = false;
+        downloadInfo.hashes = undefined;
+        downloadInfo.verification = undefined;
+    } else {
+        if (!item.getSavePath()) {
+            chooseDownloadSavePath(item);
+        }
+
+        downloadInfo = {
+            id: crypto.randomUUID(),
+            ownerId: getDownloadOwnerId(contents),
+            filename: item.getFilename(),
+            url: item.getURL(),
+            urlChain: item.getURLChain(),
+            savePath: item.getSavePath(),
+            mimeType: item.getMimeType(),
+            totalBytes: item.getTotalBytes(),
+            receivedBytes: 0,
+            state: 'progressing',
+            startTime: Date.now(),
+            eTag: item.getETag(),
+            lastModified: item.getLastModifiedTime(),
+            persist,
+            retryCount: 0,
+            speed: 0,
+            item: item // Keep reference to control download
+        };
+
+        downloads.set(downloadInfo.id, downloadInfo);
+
+        // 发送通知 - 新下载开始
+        const startNotification = new Notification({
+            title: '新下载开始',
+            body: `文件: ${downloadInfo.filename}\nURL: ${downloadInfo.url}`,
+            icon: path.join(__dirname, 'assets', 'icon-2.png')
+        });
+        startNotification.show();
+    }
+
+    const downloadId = downloadInfo.id;
+    scheduleDownloadsSave();
 
     // Notify renderer about new download
-    sendToRenderer('download-started', {
+    sendDownloadEvent(downloadInfo, 'download-started', {
         id: downloadId,
         filename: downloadInfo.filename,
         url: downloadInfo.url,
@@ -103,8 +270,19 @@ function handleDownload(item) {
     // Update progress
     item.on('updated', (event, state) => {
         downloadInfo.receivedBytes = item.getReceivedBytes();
-        downloadInfo.state = state;
+        downloadInfo.totalBytes = item.getTotalBytes();
+        if (state === 'interrupted') {
+            // Network hiccup Chromium can recover from: retry the same item after a delay
+            scheduleDownloadRetry(downloadInfo, () => item.resume());
+        } else if (downloadInfo.state !== 'queued' && downloadInfo.state !== 'retrying') {
+            // Pauses made by the throttle still count as running
+            downloadInfo.state = item.isPaused() && !downloadInfo.throttled ? 'paused' : state;
+        }
         downloadInfo.savePath = item.getSavePath();
+        // Validators only arrive with the response headers; resuming needs them
+        downloadInfo.eTag = item.getETag();
+        downloadInfo.lastModified = item.getLastModifiedTime();
+        scheduleDownloadsSave();
 
         // 当下载进度达到50%时发送通知
         if (downloadInfo.receivedBytes >= downloadInfo.totalBytes / 2 && !downloadInfo.progressNotified) {
@@ -117,27 +295,47 @@ function handleDownload(item) {
             downloadInfo.progressNotified = true; // 标记已发送进度通知，避免重复发送
         }
 
-        sendToRenderer('download-progress', {
-            id: downloadId,
-            receivedBytes: downloadInfo.receivedBytes,
-            totalBytes: downloadInfo.totalBytes,
-            state: state,
-            savePath: downloadInfo.savePath
-        });
+        sendDownloadProgress(downloadInfo);
     });
 
     // Download completed or failed
     item.once('done', (event, state) => {
-        downloadInfo.state = state;
+        // Quitting cancels running downloads; keep them resumable instead
+        downloadInfo.state = isQuitting && state === 'cancelled' ? 'interrupted' : state;
         downloadInfo.receivedBytes = item.getReceivedBytes();
         downloadInfo.savePath = item.getSavePath();
         downloadInfo.endTime = Date.now();
+        downloadInfo.throttled = false;
+        downloadInfo.speed = 0;
+        removeFromDownloadQueue(downloadId);
+
+        // Remove item reference after completion
+        downloadInfo.item = null;
+
+        // Transfers that died for good are re-created from the partial file, with backoff
+        const retrying = state === 'interrupted' && !isQuitting && downloadInfo.persist &&
+            scheduleDownloadRetry(downloadInfo, () => resumeInterruptedDownload(downloadInfo));
+        if (state === 'completed') {
+            downloadInfo.retryCount = 0;
+        }
+        saveDownloads();
+        processDownloadQueue();
+        if (retrying) {
+            sendDownloadProgress(downloadInfo);
+            return;
+        }
+
+        if (downloadInfo.state === 'completed') {
+            downloadInfo.warnings = getDownloadWarnings(downloadInfo);
+            computeDownloadHashes(downloadInfo);
+        }
 
-        sendToRenderer('download-completed', {
+        sendDownloadEvent(downloadInfo, 'download-completed', {
             id: downloadId,
-            state: state,
+            state: downloadInfo.state,
             savePath: downloadInfo.savePath,
-            filename: downloadInfo.filename
+            filename: downloadInfo.filename,
+            warnings: downloadInfo.warnings || []
         });
 
         // Show notification for completed downloads using Electron's built-in Notification
@@ -162,15 +360,315 @@ function handleDownload(item) {
             
             notification.show();
         }
+    });
 
-        // Remove item reference after completion
-        downloadInfo.item = null;
+    enqueueDownload(downloadInfo);
+}
+
+function sendDownloadProgress(download) {
+    const remaining = download.totalBytes - download.receivedBytes;
+    sendDownloadEvent(download, 'download-progress', {
+        id: download.id,
+        receivedBytes: download.receivedBytes,
+        totalBytes: download.totalBytes,
+        state: download.state,
+        savePath: download.savePath,
+        speed: download.speed || 0,
+        // Seconds left; null while the size or speed is unknown
+        eta: download.speed > 0 && download.totalBytes > 0 ? Math.round(remaining / download.speed) : null,
+        queuePosition: download.state === 'queued' ? downloadQueue.indexOf(download.id) + 1 : null,
+        retryCount: download.retryCount || 0,
+        nextRetryAt: download.state === 'retrying' ? download.nextRetryAt : null
     });
 }
 
-function sendToRenderer(channel, data) {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send(channel, data);
+// ============================================
+// Download Checksums & Warnings
+// ============================================
+const { Worker } = require('worker_threads');
+const { getDownloadRetryDelay, getDownloadWarnings, parseExpectedHash } = require('./download-policy');
+
+function computeDownloadHashes(download) {
+    const worker = new Worker(path.join(__dirname, 'download-hash-worker.js'), {
+        workerData: { filePath: download.savePath }
+    });
+
+    worker.once('message', (result) => {
+        if (result.error) {
+            console.error('Failed to hash download:', result.error);
+            return;
+        }
+        download.hashes = result.hashes;
+        scheduleDownloadsSave();
+        sendDownloadEvent(download, 'download-hashes', { id: download.id, hashes: download.hashes });
+    });
+    worker.once('error', (error) => {
+        console.error('Download hash worker failed:', error);
+    });
+}
+
+ipcMain.handle('download-verify-hash', (event, { downloadId, expected } = {}) => {
+    const download = downloads.get(downloadId);
+    if (!canAccessDownload(event.sender, download)) {
+        return { success: false, error: 'Download not found' };
+    }
+    if (!download.hashes) {
+        return { success: false, pending: true, error: 'Checksums are still being computed' };
+    }
+
+    const parsed = parseExpectedHash(expected);
+    if (!parsed) {
+        return { success: false, error: 'Not a SHA-256, SHA-1 or MD5 hash' };
+    }
+
+    download.verification = {
+        expected: parsed.hash,
+        algorithm: parsed.algorithm,
+        match: download.hashes[parsed.algorithm] === parsed.hash
+    };
+    scheduleDownloadsSave();
+    return { success: true, ...download.verification };
+});
+
+// ============================================
+// Download Queue
+// ============================================
+// At most downloadMaxConcurrent items run; the rest wait paused in this order
+const downloadQueue = [];
+const DOWNLOAD_THROTTLE_INTERVAL = 250;
+let downloadThrottleTimer = null;
+
+function getRunningDownloads() {
+    return Array.from(downloads.values()).filter((download) => download.item && download.state === 'progressing');
+}
+
+function enqueueDownload(download) {
+    const running = getRunningDownloads().filter((other) => other !== download);
+    if (running.length >= Math.max(1, browserSettings.downloadMaxConcurrent || 1)) {
+        if (!download.item.isPaused()) {
+            download.item.pause();
+        }
+        download.state = 'queued';
+        if (!downloadQueue.includes(download.id)) {
+            downloadQueue.push(download.id);
+        }
+        sendDownloadProgress(download);
+        return;
+    }
+    startDownload(download);
+}
+
+function startDownload(download) {
+    removeFromDownloadQueue(download.id);
+    download.state = 'progressing';
+    download.throttled = false;
+    download.speedSample = { time: Date.now(), bytes: download.item.getReceivedBytes() };
+    if (download.item.isPaused() || download.item.getState() === 'interrupted') {
+        download.item.resume();
+    }
+    sendDownloadProgress(download);
+    ensureDownloadThrottle();
+}
+
+function removeFromDownloadQueue(downloadId) {
+    const index = downloadQueue.indexOf(downloadId);
+    if (index !== -1) {
+        downloadQueue.splice(index, 1);
+    }
+}
+
+function processDownloadQueue() {
+    const limit = Math.max(1, browserSettings.downloadMaxConcurrent || 1);
+    while (downloadQueue.length && getRunningDownloads().length < limit) {
+        const download = downloads.get(downloadQueue.shift());
+        if (download && download.item && download.state === 'queued') {
+            startDownload(download);
+        }
+    }
+    downloadQueue.forEach((id) => {
+        const download = downloads.get(id);
+        if (download) sendDownloadProgress(download);
+    });
+}
+
+// Returns false once the retries are used up
+function scheduleDownloadRetry(download, retry) {
+    // 'updated' and then 'done' can both report the same failure: one retry, with the latest way to do it
+    if (download.retryTimer) {
+        download.retryAction = retry;
+        if (download.state === 'interrupted') {
+            download.state = 'retrying';
+        }
+        return true;
+    }
+
+    const maxRetries = browserSettings.downloadRetries || 0;
+    if ((download.retryCount || 0) >= maxRetries) {
+        return false;
+    }
+
+    download.retryCount = (download.retryCount || 0) + 1;
+    const delay = getDownloadRetryDelay(download.retryCount);
+    download.state = 'retrying';
+    download.nextRetryAt = Date.now() + delay;
+    download.retryAction = retry;
+
+    download.retryTimer = setTimeout(() => {
+        download.retryTimer = null;
+        if (download.state !== 'retrying' || !downloads.has(download.id)) return;
+        try {
+            download.state = 'progressing';
+            download.retryAction();
+        } catch (error) {
+            console.error('Download retry failed:', error);
+            download.state = 'interrupted';
+            sendDownloadProgress(download);
+        }
+    }, delay);
+    return true;
+}
+
+// Electron has no bandwidth limit, so running items are paused whenever they get ahead of
+// their budget (a token bucket per download; the global limit is split evenly)
+function ensureDownloadThrottle() {
+    if (!downloadThrottleTimer) {
+        downloadThrottleTimer = setInterval(updateDownloadThrottle, DOWNLOAD_THROTTLE_INTERVAL);
+    }
+}
+
+function updateDownloadThrottle() {
+    const running = getRunningDownloads();
+    if (running.length === 0) {
+        clearInterval(downloadThrottleTimer);
+        downloadThrottleTimer = null;
+        return;
+    }
+
+    const globalLimit = (browserSettings.downloadSpeedLimitKB || 0) * 1024;
+    const itemLimit = (browserSettings.downloadItemSpeedLimitKB || 0) * 1024;
+    const limits = [itemLimit, globalLimit ? globalLimit / running.length : 0].filter((limit) => limit > 0);
+    const limit = limits.length ? Math.min(...limits) : 0;
+    const now = Date.now();
+
+    running.forEach((download) => {
+        const received = download.item.getReceivedBytes();
+
+        // Average speed over roughly the last second, smoothed
+        const sample = download.speedSample || { time: now, bytes: received };
+        if (now - sample.time >= 1000) {
+            const current = (received - sample.bytes) / ((now - sample.time) / 1000);
+            download.speed = download.speed ? download.speed * 0.5 + current * 0.5 : current;
+            download.speedSample = { time: now, bytes: received };
+            download.receivedBytes = received;
+            sendDownloadProgress(download);
+        } else if (!download.speedSample) {
+            download.speedSample = sample;
+        }
+
+        if (!limit) {
+            download.budget = null;
+            if (download.throttled) {
+                download.throttled = false;
+                download.item.resume();
+            }
+            return;
+        }
+
+        // Allowance accumulates at `limit` bytes/s, capped at one second's worth
+        const bucket = download.budget || { time: now, bytes: received, tokens: limit };
+        bucket.tokens = Math.min(limit, bucket.tokens + limit * (now - bucket.time) / 1000) - (received - bucket.bytes);
+        bucket.time = now;
+        bucket.bytes = received;
+        download.budget = bucket;
+
+        if (bucket.tokens < 0 && !download.throttled) {
+            download.throttled = true;
+            download.item.pause();
+        } else if (bucket.tokens >= 0 && download.throttled) {
+            download.throttled = false;
+            download.item.resume();
+        }
+    });
+}
+
+// Where a new download goes: the first matching file-type rule, else the download folder
+function getDownloadDirectory(filename) {
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    const rule = (browserSettings.downloadRules || []).find((candidate) =>
+        candidate && candidate.folder && (candidate.extensions || []).includes(extension));
+    const folder = rule ? rule.folder : browserSettings.downloadPath;
+
+    if (!folder) return app.getPath('downloads');
+    if (folder === '~' || folder.startsWith('~/') || folder.startsWith('~\\')) {
+        return path.join(app.getPath('home'), folder.slice(1));
+    }
+    return path.resolve(folder);
+}
+
+// "report.pdf" -> "report (1).pdf" while the name is taken on disk or by another running download
+function getUniqueSavePath(directory, filename) {
+    const extension = path.extname(filename);
+    const base = path.basename(filename, extension);
+    const isTaken = (candidate) => fs.existsSync(candidate) || fs.existsSync(`${candidate}.crdownload`) ||
+        Array.from(downloads.values()).some((download) => download.item && download.savePath === candidate);
+
+    let candidate = path.join(directory, filename);
+    for (let i = 1; isTaken(candidate); i++) {
+        candidate = path.join(directory, `${base} (${i})${extension}`);
+    }
+    return candidate;
+}
+
+function chooseDownloadSavePath(item) {
+    const directory = getDownloadDirectory(item.getFilename());
+    const savePath = getUniqueSavePath(directory, item.getFilename());
+
+    if (browserSettings.askBeforeDownload) {
+        // Without a save path Electron shows this dialog before the download starts
+        item.setSaveDialogOptions({
+            title: '保存文件',
+            defaultPath: savePath
+        });
+        return;
+    }
+
+    try {
+        fs.mkdirSync(directory, { recursive: true });
+        item.setSavePath(savePath);
+    } catch (error) {
+        console.error('Failed to use download folder, asking instead:', error);
+        item.setSaveDialogOptions({ defaultPath: path.join(app.getPath('downloads'), item.getFilename()) });
+    }
+}
+
+function findPendingResume(item) {
+    const savePath = item.getSavePath();
+    if (savePath && pendingDownloadResumes.has(savePath)) {
+        const download = pendingDownloadResumes.get(savePath);
+        pendingDownloadResumes.delete(savePath);
+        return download;
+    }
+
+    // Downloads started over from scratch have no save path yet; match them by URL
+    for (const [key, download] of pendingDownloadResumes) {
+        if (download.url === item.getURL()) {
+            pendingDownloadResumes.delete(key);
+            item.setSavePath(download.savePath);
+            return download;
+        }
+    }
+    return null;
+}
+
+// Events go to the window that started the download; normal downloads fall back to the
+// main window once it is gone, incognito downloads are never shown anywhere else
+function sendDownloadEvent(download, channel, data) {
+    let target = download.ownerId ? webContents.fromId(download.ownerId) : null;
+    if ((!target || target.isDestroyed()) && download.persist && mainWindow && !mainWindow.isDestroyed()) {
+        target = mainWindow.webContents;
+    }
+    if (target && !target.isDestroyed()) {
+        target.send(channel, data);
     }
 }
 
@@ -179,8 +677,14 @@ function sendToRenderer(channel, data) {
 // ============================================
 ipcMain.handle('pause-download', (event, downloadId) => {
     const download = downloads.get(downloadId);
-    if (download && download.item && download.state === 'progressing') {
+    if (!canAccessDownload(event.sender, download)) return false;
+    if (download.item && ['progressing', 'queued', 'retrying'].includes(download.state)) {
         download.item.pause();
+        download.state = 'paused';
+        download.throttled = false;
+        removeFromDownloadQueue(downloadId);
+        processDownloadQueue();
+        sendDownloadProgress(download);
         return true;
     }
     return false;
@@ -188,31 +692,110 @@ ipcMain.handle('pause-download', (event, downloadId) => {
 
 ipcMain.handle('resume-download', (event, downloadId) => {
     const download = downloads.get(downloadId);
-    if (download && download.item && download.item.isPaused()) {
-        download.item.resume();
+    if (!canAccessDownload(event.sender, download)) return false;
+    // Progress now goes to the window the download was resumed from
+    download.ownerId = event.sender.id;
+
+    if (download.item && (download.item.isPaused() || download.item.canResume())) {
+        // Resuming goes through the queue like a new download
+        enqueueDownload(download);
         return true;
     }
+
+    // Interrupted in an earlier run, or the item is gone: re-create it from the saved record
+    if (!download.item && download.state === 'interrupted' && download.persist && download.savePath) {
+        try {
+            resumeInterruptedDownload(download);
+            return true;
+        } catch (error) {
+            console.error('Failed to resume download:', error);
+        }
+    }
     return false;
 });
 
 ipcMain.handle('cancel-download', (event, downloadId) => {
     const download = downloads.get(downloadId);
-    if (download && download.item) {
+    if (!canAccessDownload(event.sender, download)) return false;
+    if (download.item) {
         download.item.cancel();
         downloads.delete(downloadId);
+        removeFromDownloadQueue(downloadId);
+        saveDownloads();
+        processDownloadQueue();
+        return true;
+    }
+    // A download waiting to retry has no live item yet
+    if (download.state === 'retrying') {
+        download.state = 'cancelled';
+        downloads.delete(downloadId);
+        saveDownloads();
         return true;
     }
     return false;
 });
 
-ipcMain.handle('open-download', (event, savePath) => {
-    if (savePath) {
-        shell.openPath(savePath);
+ipcMain.handle('download-move', (event, { downloadId, offset }) => {
+    const index = downloadQueue.indexOf(downloadId);
+    if (index === -1 || !canAccessDownload(event.sender, downloads.get(downloadId))) return false;
+
+    const target = Math.max(0, Math.min(downloadQueue.length - 1, index + offset));
+    downloadQueue.splice(index, 1);
+    downloadQueue.splice(target, 0, downloadId);
+    downloadQueue.forEach((id) => sendDownloadProgress(downloads.get(id)));
+    return true;
+});
+
+ipcMain.handle('remove-download', (event, downloadId) => {
+    const download = downloads.get(downloadId);
+    if (canAccessDownload(event.sender, download) && !download.item) {
+        downloads.delete(downloadId);
+        saveDownloads();
         return true;
     }
     return false;
 });
 
+ipcMain.handle('open-download', async (event, savePath) => {
+    if (!savePath) {
+        return false;
+    }
+
+    // Executables, files fetched over plain HTTP and checksum mismatches only open after an explicit confirmation
+    const download = Array.from(downloads.values()).find((candidate) =>
+        candidate.savePath === savePath && canAccessDownload(event.sender, candidate));
+    const warnings = download ? (download.warnings || getDownloadWarnings(download)) : getDownloadWarnings({ savePath });
+    const hashMismatch = !!download && !!download.verification && download.verification.match === false;
+    if (warnings.length > 0 || hashMismatch) {
+        const reasons = [];
+        if (warnings.includes('dangerousType')) {
+            reasons.push('此类文件可以在您的电脑上运行程序，可能会损害您的设备。');
+        }
+        if (warnings.includes('insecureSource')) {
+            reasons.push('此文件通过不安全的 HTTP 连接下载，可能已在传输过程中被篡改。');
+        }
+        if (hashMismatch) {
+            reasons.push('文件的校验值与您提供的值不一致。');
+        }
+        const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+            type: 'warning',
+            title: '打开下载的文件',
+            message: `确定要打开“${path.basename(savePath)}”吗？`,
+            detail: reasons.join('\n'),
+            buttons: ['取消', '仍然打开'],
+            defaultId: 0,
+            cancelId: 0,
+            noLink: true
+        });
+        if (response !== 1) {
+            return false;
+        }
+    }
+
+    shell.openPath(savePath);
+    return true;
+});
+
 ipcMain.handle('show-download-folder', (event, savePath) => {
     if (savePath) {
         shell.showItemInFolder(savePath);
@@ -221,9 +804,24 @@ ipcMain.handle('show-download-folder', (event, savePath) => {
     return false;
 });
 
-ipcMain.handle('get-downloads', () => {
+ipcMain.handle('downloads-get-default-folder', () => app.getPath('downloads'));
+
+ipcMain.handle('downloads-choose-folder', async (event, defaultPath) => {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: '选择下载位置',
+        defaultPath: defaultPath || app.getPath('downloads'),
+        properties: ['openDirectory', 'createDirectory']
+    });
+    if (result.canceled || !result.filePaths.length) {
+        return { success: false, canceled: true };
+    }
+    return { success: true, path: result.filePaths[0] };
+});
+
+ipcMain.handle('get-downloads', (event) => {
     const downloadsList = [];
     downloads.forEach((download, id) => {
+        if (!canAccessDownload(event.sender, download)) return;
         downloadsList.push({
             id: id,
             filename: download.filename,
@@ -233,18 +831,28 @@ ipcMain.handle('get-downloads', () => {
             receivedBytes: download.receivedBytes,
             state: download.state,
             startTime: download.startTime,
-            endTime: download.endTime
+            endTime: download.endTime,
+            speed: download.speed || 0,
+            queuePosition: download.state === 'queued' ? downloadQueue.indexOf(id) + 1 : null,
+            retryCount: download.retryCount || 0,
+            hashes: download.hashes || null,
+            verification: download.verification || null,
+            warnings: download.warnings || [],
+            // Completed files may have been moved or deleted since
+            fileExists: download.state === 'completed' ? fs.existsSync(download.savePath) : undefined
         });
     });
     return downloadsList;
 });
 
-ipcMain.handle('clear-completed-downloads', () => {
+ipcMain.handle('clear-completed-downloads', (event) => {
     downloads.forEach((download, id) => {
+        if (!canAccessDownload(event.sender, download)) return;
         if (download.state === 'completed' || download.state === 'cancelled' || download.state === 'interrupted') {
             downloads.delete(id);
         }
     });
+    saveDownloads();
     return true;
 });
 
@@ -300,101 +908,936 @@ ipcMain.handle('window-toggle-fullscreen', (event) => {
 // ============================================
 // Password Manager with Windows Hello
 // ============================================
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
 
+// Plaintext store used before the encrypted vault; migrated on first unlock
 const passwordsPath = path.join(app.getPath('userData'), 'passwords.json');
+const passwordVaultPath = path.join(app.getPath('userData'), 'password-vault.json');
+
+const VAULT_CHECK_VALUE = 'paperstation-vault';
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Decrypted entries and the master key only live here while the vault is unlocked
+const passwordVault = {
+    data: null,
+    entries: null,
+    key: null,
+    autoLockTimer: null
+};
+
+function isSafeStorageUsable() {
+    if (!safeStorage.isEncryptionAvailable()) return false;
+    // Without a keyring Linux falls back to a hardcoded key, which is no protection at all
+    if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend() === 'basic_text') return false;
+    return true;
+}
 
-function loadPasswords() {
+function loadVaultFile() {
     try {
-        if (fs.existsSync(passwordsPath)) {
-            const data = fs.readFileSync(passwordsPath, 'utf8');
-            return JSON.parse(data);
+        if (fs.existsSync(passwordVaultPath)) {
+            return JSON.parse(fs.readFileSync(passwordVaultPath, 'utf8'));
         }
     } catch (error) {
-        console.error('Error loading passwords:', error);
+        console.error('Error loading password vault:', error);
     }
-    return [];
+    return null;
 }
 
-function savePasswords(passwords) {
+function writeVaultFile() {
     try {
-        fs.writeFileSync(passwordsPath, JSON.stringify(passwords, null, 2), 'utf8');
+        fs.writeFileSync(passwordVaultPath, JSON.stringify(passwordVault.data, null, 2), 'utf8');
         return true;
     } catch (error) {
-        console.error('Error saving passwords:', error);
+        console.error('Error saving password vault:', error);
         return false;
     }
 }
 
-ipcMain.handle('password-save', async (event, data) => {
-    try {
-        const passwords = loadPasswords();
-        
-        // Check if password already exists
-        const existingIndex = passwords.findIndex(p => p.site === data.site && p.username === data.username);
-        
-        if (existingIndex >= 0) {
-            passwords[existingIndex] = { ...passwords[existingIndex], ...data, updatedAt: new Date().toISOString() };
-        } else {
-            passwords.push({ ...data, id: Date.now(), createdAt: new Date().toISOString() });
-        }
-        
-        savePasswords(passwords);
-        return { success: true };
-    } catch (error) {
-        console.error('Error saving password:', error);
-        return { success: false, error: error.message };
+function deriveVaultKey(masterPassword, salt, params = SCRYPT_PARAMS) {
+    const options = { N: params.N, r: params.r, p: params.p, maxmem: SCRYPT_PARAMS.maxmem };
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(masterPassword, Buffer.from(salt, 'base64'), 32, options, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+function encryptVaultValue(plaintext) {
+    if (passwordVault.data.mode === 'safeStorage') {
+        return safeStorage.encryptString(plaintext).toString('base64');
     }
-});
 
-ipcMain.handle('password-get-all', async (event) => {
-    try {
-        const passwords = loadPasswords();
-        return { success: true, passwords };
-    } catch (error) {
-        console.error('Error getting passwords:', error);
-        return { success: false, error: error.message, passwords: [] };
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', passwordVault.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+function decryptVaultValue(value, key = passwordVault.key) {
+    if (passwordVault.data.mode === 'safeStorage') {
+        return safeStorage.decryptString(Buffer.from(value, 'base64'));
     }
-});
 
-ipcMain.handle('password-delete', async (event, id) => {
+    const [iv, tag, ciphertext] = value.split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function normalizeVaultEntry(entry) {
+    const now = new Date().toISOString();
+    return {
+        id: entry.id ? String(entry.id) : crypto.randomUUID(),
+        website: entry.website || entry.site || '',
+        username: entry.username || '',
+        password: entry.password || '',
+        createdAt: entry.createdAt || entry.updatedAt || now,
+        updatedAt: entry.updatedAt || entry.createdAt || now
+    };
+}
+
+function persistVaultEntries() {
+    // Every entry is encrypted as a whole so a locked vault reveals neither sites nor usernames
+    passwordVault.data.entries = passwordVault.entries.map((entry) => ({
+        id: entry.id,
+        data: encryptVaultValue(JSON.stringify(entry))
+    }));
+    return writeVaultFile();
+}
+
+function openVault() {
+    passwordVault.entries = passwordVault.data.entries.map((record) => JSON.parse(decryptVaultValue(record.data)));
+    migrateLegacyPasswordFile();
+    resetVaultAutoLock();
+}
+
+function migrateLegacyPasswordFile() {
+    if (!fs.existsSync(passwordsPath)) return;
+
     try {
-        const passwords = loadPasswords();
-        const filteredPasswords = passwords.filter(p => p.id !== id);
-        savePasswords(filteredPasswords);
-        return { success: true };
+        const legacy = JSON.parse(fs.readFileSync(passwordsPath, 'utf8'));
+        if (Array.isArray(legacy)) {
+            mergeVaultEntries(legacy);
+        }
+        if (persistVaultEntries()) {
+            fs.unlinkSync(passwordsPath);
+        }
     } catch (error) {
-        console.error('Error deleting password:', error);
-        return { success: false, error: error.message };
+        console.error('Error migrating passwords.json:', error);
     }
-});
+}
 
-ipcMain.handle('password-verify-hello', async (event) => {
-    try {
-        if (process.platform !== 'win32') {
-            return { success: false, error: 'Windows Hello is only available on Windows' };
+function mergeVaultEntries(entries) {
+    let added = 0;
+    entries.forEach((raw) => {
+        const entry = normalizeVaultEntry(raw);
+        if (!entry.website || !entry.password) return;
+
+        const existing = passwordVault.entries.find((item) => item.website === entry.website && item.username === entry.username);
+        if (!existing) {
+            passwordVault.entries.push(entry);
+            added++;
+        } else if (entry.updatedAt > existing.updatedAt) {
+            Object.assign(existing, entry, { id: existing.id });
         }
+    });
+    return added;
+}
 
-        return new Promise((resolve) => {
-            exec('powershell -Command "Add-Type -AssemblyName System.Runtime.WindowsRuntime; [Windows.Security.Credentials.UI.CredentialPicker,Windows.Security.Credentials.UI,ContentType=WindowsRuntime] | Out-Null"', (error) => {
-                if (error) {
-                    console.error('Windows Hello error:', error);
-                    resolve({ success: false, error: 'Windows Hello not available' });
-                } else {
-                    resolve({ success: true });
-                }
-            });
-        });
-    } catch (error) {
-        console.error('Error verifying with Windows Hello:', error);
-        return { success: false, error: error.message };
+function isVaultLocked() {
+    return !passwordVault.data || passwordVault.entries === null;
+}
+
+function lockVault() {
+    if (passwordVault.key) {
+        passwordVault.key.fill(0);
     }
-});
+    passwordVault.key = null;
+    passwordVault.entries = null;
+    clearTimeout(passwordVault.autoLockTimer);
+    passwordVault.autoLockTimer = null;
+
+    BrowserWindow.getAllWindows().forEach((win) => {
+        if (!win.isDestroyed()) {
+            win.webContents.send('password-vault-locked');
+        }
+    });
+}
 
-ipcMain.handle('webview-go-back', (event, webviewId) => {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-        return mainWindow.webContents.executeJavaScript(`
+function resetVaultAutoLock() {
+    clearTimeout(passwordVault.autoLockTimer);
+    const minutes = Number(browserSettings.passwordAutoLockMinutes);
+    if (minutes > 0 && !isVaultLocked()) {
+        passwordVault.autoLockTimer = setTimeout(lockVault, minutes * 60 * 1000);
+    }
+}
+
+function getVaultStatus() {
+    if (!passwordVault.data) {
+        passwordVault.data = loadVaultFile();
+    }
+    return {
+        initialized: !!passwordVault.data,
+        locked: isVaultLocked(),
+        mode: passwordVault.data ? passwordVault.data.mode : (isSafeStorageUsable() ? 'safeStorage' : 'masterPassword'),
+        hasLegacyData: fs.existsSync(passwordsPath)
+    };
+}
+
+// Password IPC handlers only work on an unlocked vault
+function withUnlockedVault(handler) {
+    return async (event, ...args) => {
+        getVaultStatus();
+        if (isVaultLocked()) {
+            return { success: false, locked: true, error: 'Password vault is locked' };
+        }
+        resetVaultAutoLock();
+        try {
+            return await handler(event, ...args);
+        } catch (error) {
+            console.error('Password vault error:', error);
+            return { success: false, error: error.message };
+        }
+    };
+}
+
+ipcMain.handle('password-vault-status', () => getVaultStatus());
+
+ipcMain.handle('password-vault-setup', async (event, { masterPassword } = {}) => {
+    try {
+        if (getVaultStatus().initialized) {
+            return { success: false, error: 'Password vault already exists' };
+        }
+
+        if (isSafeStorageUsable() && !masterPassword) {
+            passwordVault.data = { version: 1, mode: 'safeStorage', entries: [] };
+        } else {
+            if (!masterPassword || masterPassword.length < 8) {
+                return { success: false, error: 'Master password must be at least 8 characters' };
+            }
+            const salt = crypto.randomBytes(16).toString('base64');
+            passwordVault.key = await deriveVaultKey(masterPassword, salt);
+            passwordVault.data = {
+                version: 1,
+                mode: 'masterPassword',
+                kdf: { name: 'scrypt', salt, N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p },
+                check: null,
+                entries: []
+            };
+            passwordVault.data.check = encryptVaultValue(VAULT_CHECK_VALUE);
+        }
+
+        passwordVault.entries = [];
+        persistVaultEntries();
+        openVault();
+        return { success: true };
+    } catch (error) {
+        console.error('Error creating password vault:', error);
+        passwordVault.data = null;
+        passwordVault.key = null;
+        passwordVault.entries = null;
+        return { success: false, error: error.message };
+    }
+});
+
+// UserConsentVerifier shows the Windows Hello prompt (face, fingerprint or PIN)
+const WINDOWS_HELLO_SCRIPT = [
+    'Add-Type -AssemblyName System.Runtime.WindowsRuntime',
+    "$asTask = [System.WindowsRuntimeSystemExtensions].GetMethods() | Where-Object { $_.Name -eq 'AsTask' -and $_.GetParameters().Count -eq 1 -and $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncOperation`1' } | Select-Object -First 1",
+    '$verifier = [Windows.Security.Credentials.UI.UserConsentVerifier,Windows.Security.Credentials.UI,ContentType=WindowsRuntime]',
+    '$availability = $asTask.MakeGenericMethod([Windows.Security.Credentials.UI.UserConsentVerifierAvailability,Windows.Security.Credentials.UI,ContentType=WindowsRuntime]).Invoke($null, @($verifier::CheckAvailabilityAsync())).Result',
+    "if ($availability -ne 'Available') { 'Unavailable'; exit }",
+    '$asTask.MakeGenericMethod([Windows.Security.Credentials.UI.UserConsentVerificationResult,Windows.Security.Credentials.UI,ContentType=WindowsRuntime]).Invoke($null, @($verifier::RequestVerificationAsync($env:PAPERSTATION_HELLO_MESSAGE))).Result'
+].join('; ');
+
+// Resolves 'verified', 'failed', or 'unavailable' when Windows Hello is not set up
+function verifyWindowsHello(message) {
+    return new Promise((resolve) => {
+        execFile('powershell', ['-NoProfile', '-NonInteractive', '-Command', WINDOWS_HELLO_SCRIPT], {
+            env: { ...process.env, PAPERSTATION_HELLO_MESSAGE: message },
+            windowsHide: true
+        }, (error, stdout) => {
+            if (error) {
+                console.error('Windows Hello error:', error);
+                resolve('unavailable');
+                return;
+            }
+            const result = stdout.trim();
+            resolve(result === 'Verified' ? 'verified' : result === 'Unavailable' ? 'unavailable' : 'failed');
+        });
+    });
+}
+
+// Asks the OS to confirm the user is at the computer, where it has a prompt Electron can show
+async function verifyUserPresence(message) {
+    if (process.platform === 'win32') {
+        return verifyWindowsHello(message);
+    }
+    if (process.platform === 'darwin' && systemPreferences.canPromptTouchID()) {
+        try {
+            await systemPreferences.promptTouchID(message);
+            return 'verified';
+        } catch (error) {
+            return 'failed';
+        }
+    }
+    return 'unavailable';
+}
+
+ipcMain.handle('password-vault-unlock', async (event, { masterPassword } = {}) => {
+    const status = getVaultStatus();
+    if (!status.initialized) {
+        return { success: false, error: 'Password vault has not been set up' };
+    }
+    if (!status.locked) {
+        resetVaultAutoLock();
+        return { success: true };
+    }
+
+    try {
+        if (passwordVault.data.mode === 'masterPassword') {
+            const { salt, N, r, p } = passwordVault.data.kdf;
+            const key = await deriveVaultKey(masterPassword || '', salt, { N, r, p });
+            try {
+                if (decryptVaultValue(passwordVault.data.check, key) !== VAULT_CHECK_VALUE) throw new Error();
+            } catch (error) {
+                return { success: false, error: 'Incorrect master password' };
+            }
+            passwordVault.key = key;
+        } else if (await verifyUserPresence('解锁已保存的密码') === 'failed') {
+            // safeStorage decrypts without asking, so Windows Hello or Touch ID stands in for the master password
+            return { success: false, error: 'Verification failed' };
+        }
+
+        openVault();
+        return { success: true };
+    } catch (error) {
+        console.error('Error unlocking password vault:', error);
+        passwordVault.key = null;
+        passwordVault.entries = null;
+        return { success: false, error: error.message };
+    }
+});
+
+// Moves a safeStorage vault to a master password, for devices without an OS prompt to verify the user
+ipcMain.handle('password-vault-set-master-password', withUnlockedVault(async (event, { masterPassword } = {}) => {
+    if (passwordVault.data.mode === 'masterPassword') {
+        return { success: false, error: 'Master password is already set' };
+    }
+    if (!masterPassword || masterPassword.length < 8) {
+        return { success: false, error: 'Master password must be at least 8 characters' };
+    }
+
+    const previous = passwordVault.data;
+    const salt = crypto.randomBytes(16).toString('base64');
+    passwordVault.key = await deriveVaultKey(masterPassword, salt);
+    passwordVault.data = {
+        version: 1,
+        mode: 'masterPassword',
+        kdf: { name: 'scrypt', salt, N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p },
+        check: null,
+        entries: []
+    };
+    passwordVault.data.check = encryptVaultValue(VAULT_CHECK_VALUE);
+
+    if (!persistVaultEntries()) {
+        passwordVault.key.fill(0);
+        passwordVault.key = null;
+        passwordVault.data = previous;
+        return { success: false, error: 'Failed to write password vault' };
+    }
+    return { success: true };
+}));
+
+ipcMain.handle('password-vault-lock', () => {
+    lockVault();
+    return { success: true };
+});
+
+ipcMain.handle('password-migrate-legacy', withUnlockedVault(async (event, entries) => {
+    const added = mergeVaultEntries(Array.isArray(entries) ? entries : []);
+    return { success: persistVaultEntries(), added };
+}));
+
+function upsertVaultEntry(data) {
+    const entry = normalizeVaultEntry({ ...data, id: null });
+    const existing = passwordVault.entries.find((item) => item.website === entry.website && item.username === entry.username);
+
+    if (existing) {
+        Object.assign(existing, { password: entry.password, updatedAt: new Date().toISOString() });
+    } else {
+        passwordVault.entries.push(entry);
+    }
+
+    if (!persistVaultEntries()) {
+        return { success: false, error: 'Failed to write password vault' };
+    }
+    return { success: true, password: existing || entry };
+}
+
+ipcMain.handle('password-save', withUnlockedVault(async (event, data) => {
+    if (await verifyUserPresence('保存密码') === 'failed') {
+        return { success: false, error: 'Verification failed' };
+    }
+    return upsertVaultEntry(data);
+}));
+
+ipcMain.handle('password-get-all', withUnlockedVault(async () => {
+    return { success: true, passwords: passwordVault.entries.map((entry) => ({ ...entry })) };
+}));
+
+ipcMain.handle('password-delete', withUnlockedVault(async (event, id) => {
+    passwordVault.entries = passwordVault.entries.filter((entry) => entry.id !== String(id));
+    return { success: persistVaultEntries() };
+}));
+
+// ============================================
+// Password Autofill (webview-preload.js)
+// ============================================
+// Credentials offered for saving, kept here so the password never passes through the browser UI
+const pendingCredentialSaves = new Map();
+
+function getEntryHostname(website) {
+    try {
+        return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(website) ? website : `https://${website}`).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+// Credentials are shared across a site (eTLD+1), so accounts.example.com fills on www.example.com
+function getMatchingVaultEntries(pageUrl) {
+    let page;
+    try {
+        page = new URL(pageUrl);
+    } catch (error) {
+        return [];
+    }
+    if (!/^https?:$/.test(page.protocol)) return [];
+
+    const pageSite = getRegistrableDomain(page.hostname);
+    return passwordVault.entries.filter((entry) => {
+        const hostname = getEntryHostname(entry.website);
+        if (!hostname || getRegistrableDomain(hostname) !== pageSite) return false;
+        // Never hand a password saved for an HTTPS site to a plain HTTP page
+        return page.protocol === 'https:' || /^http:/i.test(entry.website);
+    });
+}
+
+function isGuestSender(event) {
+    return event.sender.getType() === 'webview' && !!event.sender.hostWebContents;
+}
+
+ipcMain.handle('autofill-get-credentials', (event) => {
+    if (!isGuestSender(event)) return null;
+
+    getVaultStatus();
+    if (!passwordVault.data) return null;
+    if (isVaultLocked()) return { locked: true, credentials: [] };
+
+    resetVaultAutoLock();
+    const credentials = getMatchingVaultEntries(event.sender.getURL())
+        .map((entry) => ({ id: entry.id, username: entry.username, website: getEntryHostname(entry.website) }));
+    return { locked: false, credentials };
+});
+
+ipcMain.handle('autofill-fill', (event, id) => {
+    if (!isGuestSender(event) || isVaultLocked()) return null;
+
+    // Re-check the match against the page that is asking, not the one that listed the entry
+    const entry = getMatchingVaultEntries(event.sender.getURL()).find((item) => item.id === String(id));
+    if (!entry) return null;
+
+    resetVaultAutoLock();
+    return { username: entry.username, password: entry.password };
+});
+
+ipcMain.on('autofill-request-unlock', (event) => {
+    if (isGuestSender(event)) {
+        event.sender.hostWebContents.send('autofill-unlock-request');
+    }
+});
+
+ipcMain.on('autofill-offer-save', (event, { username, password } = {}) => {
+    if (!isGuestSender(event) || !password) return;
+    // Nothing from private windows is written to disk
+    if (!event.sender.session.isPersistent()) return;
+
+    let page;
+    try {
+        page = new URL(event.sender.getURL());
+    } catch (error) {
+        return;
+    }
+    if (!/^https?:$/.test(page.protocol)) return;
+
+    const website = page.origin;
+    let isUpdate = false;
+    if (!isVaultLocked()) {
+        const existing = getMatchingVaultEntries(page.href).find((entry) => entry.username === (username || ''));
+        if (existing && existing.password === password) return;
+        isUpdate = !!existing;
+    }
+
+    const requestId = crypto.randomUUID();
+    pendingCredentialSaves.set(requestId, { website, username: username || '', password });
+    // Offers the user ignores do not keep passwords in memory for long
+    setTimeout(() => pendingCredentialSaves.delete(requestId), 5 * 60 * 1000);
+
+    event.sender.hostWebContents.send('autofill-save-request', {
+        requestId,
+        webContentsId: event.sender.id,
+        website,
+        username: username || '',
+        isUpdate
+    });
+});
+
+ipcMain.handle('autofill-confirm-save', withUnlockedVault(async (event, requestId) => {
+    const pending = pendingCredentialSaves.get(requestId);
+    if (!pending) {
+        return { success: false, error: 'Save request expired' };
+    }
+
+    const existing = getMatchingVaultEntries(pending.website).find((entry) => entry.username === pending.username);
+    const result = upsertVaultEntry(existing ? { ...pending, website: existing.website } : pending);
+    if (result.success) {
+        pendingCredentialSaves.delete(requestId);
+    }
+    return result;
+}));
+
+ipcMain.handle('autofill-dismiss-save', (event, requestId) => {
+    pendingCredentialSaves.delete(requestId);
+    return true;
+});
+
+// ============================================
+// Password Import / Export
+// ============================================
+const ENCRYPTED_EXPORT_FORMAT = 'paperstation-passwords';
+
+// Parsed entries waiting for the user to confirm the import preview
+let pendingPasswordImport = null;
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvPasswords(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) throw new Error('The file is empty');
+
+    const columns = header.map((name) => name.trim().toLowerCase());
+    const column = (name) => columns.indexOf(name);
+
+    let format;
+    let urlIndex;
+    let timeIndex = -1;
+    if (column('httprealm') !== -1 || column('formactionorigin') !== -1) {
+        // Firefox: url,username,password,httpRealm,formActionOrigin,guid,timeCreated,timeLastUsed,timePasswordChanged
+        format = 'Firefox';
+        urlIndex = column('url');
+        timeIndex = column('timepasswordchanged');
+    } else if (column('name') !== -1 && column('url') !== -1) {
+        // Chrome and Edge: name,url,username,password[,note]
+        format = 'Chrome / Edge';
+        urlIndex = column('url');
+    } else if (column('login_uri') !== -1) {
+        // Bitwarden CSV: folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp
+        format = 'Bitwarden';
+        urlIndex = column('login_uri');
+    } else {
+        throw new Error('Unrecognized CSV format');
+    }
+
+    const usernameIndex = column('username') !== -1 ? column('username') : column('login_username');
+    const passwordIndex = column('password') !== -1 ? column('password') : column('login_password');
+    if (urlIndex === -1 || passwordIndex === -1) {
+        throw new Error('The CSV file has no url or password column');
+    }
+
+    const entries = rows.map((cells) => {
+        const changed = timeIndex !== -1 ? Number(cells[timeIndex]) : NaN;
+        return {
+            website: (cells[urlIndex] || '').trim(),
+            username: (cells[usernameIndex] || '').trim(),
+            password: cells[passwordIndex] || '',
+            updatedAt: Number.isFinite(changed) && changed > 0 ? new Date(changed).toISOString() : undefined
+        };
+    });
+    return { format, entries };
+}
+
+function parseBitwardenJson(data) {
+    if (data.encrypted) {
+        throw new Error('Encrypted Bitwarden exports are not supported, export as unencrypted JSON');
+    }
+
+    // Item type 1 is a login
+    const entries = (data.items || []).filter((item) => item.type === 1 && item.login).map((item) => ({
+        website: (item.login.uris && item.login.uris[0] && item.login.uris[0].uri) || item.name || '',
+        username: item.login.username || '',
+        password: item.login.password || '',
+        updatedAt: item.revisionDate
+    }));
+    return { format: 'Bitwarden', entries };
+}
+
+async function decryptPasswordExport(data, filePassword) {
+    const key = await deriveVaultKey(filePassword, data.kdf.salt, data.kdf);
+    const [iv, tag, ciphertext] = data.data.split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+}
+
+async function parsePasswordFile(filePath, filePassword) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (!filePath.toLowerCase().endsWith('.json')) {
+        return parseCsvPasswords(text);
+    }
+
+    const data = JSON.parse(text);
+    if (data.format !== ENCRYPTED_EXPORT_FORMAT) {
+        return parseBitwardenJson(data);
+    }
+
+    if (!data.kdf) {
+        return { format: 'PaperStation', entries: data.entries || [] };
+    }
+    if (!filePassword) {
+        return { needsPassword: true };
+    }
+    try {
+        return { format: 'PaperStation', entries: await decryptPasswordExport(data, filePassword) };
+    } catch (error) {
+        throw new Error('Incorrect file password');
+    }
+}
+
+// Exports spell the same site differently (https://a.com/ vs a.com), so compare hostnames
+function findImportMatch(entry) {
+    const hostname = getEntryHostname(entry.website);
+    return passwordVault.entries.find((item) => getEntryHostname(item.website) === hostname && item.username === entry.username);
+}
+
+function classifyImportEntry(entry) {
+    const existing = findImportMatch(entry);
+    if (!existing) return 'new';
+    return existing.password === entry.password ? 'duplicate' : 'conflict';
+}
+
+ipcMain.handle('password-import-preview', withUnlockedVault(async (event, { filePath, filePassword } = {}) => {
+    if (!filePath) {
+        const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: '导入密码',
+            properties: ['openFile'],
+            filters: [
+                { name: 'Password exports', extensions: ['csv', 'json'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (result.canceled || !result.filePaths.length) {
+            return { success: false, canceled: true };
+        }
+        filePath = result.filePaths[0];
+    }
+
+    const parsed = await parsePasswordFile(filePath, filePassword);
+    if (parsed.needsPassword) {
+        return { success: false, needsPassword: true, filePath };
+    }
+
+    // Merge rows that appear more than once in the file itself, keeping the newest
+    const byKey = new Map();
+    parsed.entries.map(normalizeVaultEntry).filter((entry) => entry.website && entry.password).forEach((entry) => {
+        const key = getEntryHostname(entry.website) + '\n' + entry.username;
+        const previous = byKey.get(key);
+        if (!previous || entry.updatedAt > previous.updatedAt) {
+            byKey.set(key, entry);
+        }
+    });
+    const entries = Array.from(byKey.values());
+
+    pendingPasswordImport = entries;
+    return {
+        success: true,
+        format: parsed.format,
+        fileName: path.basename(filePath),
+        skipped: parsed.entries.length - entries.length,
+        entries: entries.map((entry) => ({ website: entry.website, username: entry.username, status: classifyImportEntry(entry) }))
+    };
+}));
+
+ipcMain.handle('password-import-commit', withUnlockedVault(async (event, { overwriteConflicts = false } = {}) => {
+    if (!pendingPasswordImport) {
+        return { success: false, error: 'Nothing to import' };
+    }
+
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    pendingPasswordImport.forEach((entry) => {
+        const status = classifyImportEntry(entry);
+        if (status === 'new') {
+            passwordVault.entries.push({ ...entry, id: crypto.randomUUID() });
+            counts.added++;
+        } else if (status === 'conflict' && overwriteConflicts) {
+            Object.assign(findImportMatch(entry), { password: entry.password, updatedAt: new Date().toISOString() });
+            counts.updated++;
+        } else {
+            counts.skipped++;
+        }
+    });
+    pendingPasswordImport = null;
+
+    return { success: persistVaultEntries(), ...counts };
+}));
+
+ipcMain.handle('password-import-cancel', () => {
+    pendingPasswordImport = null;
+    return true;
+});
+
+// Exporting writes every password out of the vault, so the user proves it is them first.
+// Resolves like verifyUserPresence; 'unavailable' means a master password has to be set.
+async function reauthenticateForExport(masterPassword) {
+    if (passwordVault.data.mode === 'masterPassword') {
+        try {
+            const { salt, N, r, p } = passwordVault.data.kdf;
+            const key = await deriveVaultKey(masterPassword || '', salt, { N, r, p });
+            return decryptVaultValue(passwordVault.data.check, key) === VAULT_CHECK_VALUE ? 'verified' : 'failed';
+        } catch (error) {
+            return 'failed';
+        }
+    }
+    return verifyUserPresence('导出已保存的密码');
+}
+
+ipcMain.handle('password-export', withUnlockedVault(async (event, { masterPassword, exportPassword } = {}) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const verification = await reauthenticateForExport(masterPassword);
+    if (verification === 'unavailable') {
+        return { success: false, needsMasterPassword: true, error: 'Set a master password before exporting' };
+    }
+    if (verification !== 'verified') {
+        return { success: false, error: 'Verification failed' };
+    }
+
+    const encrypt = !!exportPassword;
+    const date = new Date().toISOString().slice(0, 10);
+    const result = await dialog.showSaveDialog(win, {
+        title: '导出密码',
+        defaultPath: path.join(app.getPath('documents'), `PaperStation Passwords ${date}.${encrypt ? 'json' : 'csv'}`),
+        filters: encrypt
+            ? [{ name: 'Encrypted export', extensions: ['json'] }]
+            : [{ name: 'CSV', extensions: ['csv'] }]
+    });
+    if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+    }
+
+    let content;
+    if (encrypt) {
+        const salt = crypto.randomBytes(16).toString('base64');
+        const key = await deriveVaultKey(exportPassword, salt);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(passwordVault.entries), 'utf8'), cipher.final()]);
+        content = JSON.stringify({
+            format: ENCRYPTED_EXPORT_FORMAT,
+            version: 1,
+            kdf: { name: 'scrypt', salt, N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p },
+            data: [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':')
+        }, null, 2);
+    } else {
+        // Same columns as Chrome, so the file imports into most password managers
+        const rows = passwordVault.entries.map((entry) =>
+            [getEntryHostname(entry.website), entry.website, entry.username, entry.password].map(toCsvField).join(',')
+        );
+        content = ['name,url,username,password', ...rows].join('\r\n') + '\r\n';
+    }
+
+    fs.writeFileSync(result.filePath, content, { encoding: 'utf8', mode: 0o600 });
+    return { success: true, filePath: result.filePath, count: passwordVault.entries.length };
+}));
+
+// ============================================
+// Password Generator & Vault Health
+// ============================================
+const { estimatePasswordEntropy, generatePassword } = require('./password-generator');
+
+// Offline breach data in the Have I Been Pwned format: SHA-1 "SUFFIX:COUNT" lines in
+// per-prefix range files (ABCDE.txt), or full "HASH:COUNT" lines in any other .txt file
+const breachHashesDir = path.join(app.getPath('userData'), 'breach-hashes');
+
+const OLD_PASSWORD_DAYS = 365;
+const WEAK_PASSWORD_BITS = 50;
+
+function sha1Hex(value) {
+    return crypto.createHash('sha1').update(value, 'utf8').digest('hex').toUpperCase();
+}
+
+// k-anonymity: only the 5-character hash prefix selects which range is read
+async function findBreachedHashes(hashes) {
+    const found = new Map();
+    if (!fs.existsSync(breachHashesDir)) return null;
+
+    const files = fs.readdirSync(breachHashesDir).filter((file) => file.toLowerCase().endsWith('.txt'));
+    if (files.length === 0) return null;
+
+    // Upper-case prefix -> file name as it is on disk, which may be lower case (5baa6.txt)
+    const rangeFiles = new Map(files.filter((file) => /^[0-9A-F]{5}\.txt$/i.test(file)).map((file) => [file.slice(0, 5).toUpperCase(), file]));
+    const remaining = new Set(hashes);
+
+    for (const hash of hashes) {
+        const rangeFile = rangeFiles.get(hash.slice(0, 5));
+        if (!rangeFile) continue;
+        const text = fs.readFileSync(path.join(breachHashesDir, rangeFile), 'utf8');
+        const match = text.match(new RegExp(`^${hash.slice(5)}:(\\d+)`, 'mi'));
+        if (match) found.set(hash, Number(match[1]));
+        remaining.delete(hash);
+    }
+
+    // Full hash lists are streamed so multi-gigabyte downloads never sit in memory
+    const fullLists = files.filter((file) => !/^[0-9A-F]{5}\.txt$/i.test(file));
+    for (const file of fullLists) {
+        if (remaining.size === 0) break;
+        const lines = readline.createInterface({ input: fs.createReadStream(path.join(breachHashesDir, file)), crlfDelay: Infinity });
+        for await (const line of lines) {
+            const hash = line.slice(0, 40).toUpperCase();
+            if (remaining.has(hash)) {
+                found.set(hash, Number(line.slice(41)) || 1);
+                remaining.delete(hash);
+                if (remaining.size === 0) {
+                    lines.close();
+                    break;
+                }
+            }
+        }
+    }
+    return found;
+}
+
+ipcMain.handle('password-generate', (event, options) => {
+    try {
+        return { success: true, password: generatePassword(options) };
+    } catch (error) {
+        console.error('Error generating password:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Suggested passwords in the autofill dropdown use the options last chosen in the add-password modal
+ipcMain.handle('autofill-generate', (event) => {
+    if (!isGuestSender(event)) return null;
+    return generatePassword(browserSettings.passwordGenerator);
+});
+
+ipcMain.handle('password-health-report', withUnlockedVault(async () => {
+    const passwordUses = new Map();
+    passwordVault.entries.forEach((entry) => {
+        passwordUses.set(entry.password, (passwordUses.get(entry.password) || 0) + 1);
+    });
+
+    const hashes = passwordVault.entries.map((entry) => sha1Hex(entry.password));
+    const breached = await findBreachedHashes(Array.from(new Set(hashes)));
+    const now = Date.now();
+
+    const entries = passwordVault.entries.map((entry, index) => {
+        const entropy = estimatePasswordEntropy(entry.password);
+        const ageDays = Math.floor((now - new Date(entry.updatedAt).getTime()) / (24 * 60 * 60 * 1000));
+        return {
+            id: entry.id,
+            website: entry.website,
+            username: entry.username,
+            entropy,
+            weak: entropy < WEAK_PASSWORD_BITS,
+            reusedCount: passwordUses.get(entry.password) - 1,
+            ageDays,
+            old: ageDays >= OLD_PASSWORD_DAYS,
+            breachCount: breached ? (breached.get(hashes[index]) || 0) : null
+        };
+    });
+
+    return {
+        success: true,
+        entries,
+        breachListAvailable: breached !== null,
+        breachListFolder: breachHashesDir
+    };
+}));
+
+ipcMain.handle('password-open-breach-folder', async () => {
+    fs.mkdirSync(breachHashesDir, { recursive: true });
+    const error = await shell.openPath(breachHashesDir);
+    return { success: !error, error };
+});
+
+ipcMain.handle('password-verify-hello', async (event) => {
+    try {
+        if (process.platform !== 'win32') {
+            return { success: false, unavailable: true, error: 'Windows Hello is only available on Windows' };
+        }
+
+        const result = await verifyWindowsHello('保存密码');
+        if (result === 'unavailable') {
+            return { success: false, unavailable: true, error: 'Windows Hello not available' };
+        }
+        return result === 'verified' ? { success: true } : { success: false, error: 'Windows Hello verification failed' };
+    } catch (error) {
+        console.error('Error verifying with Windows Hello:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('webview-go-back', (event, webviewId) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        return mainWindow.webContents.executeJavaScript(`
             const webview = document.getElementById('${webviewId}');
             if (webview && webview.canGoBack()) {
                 webview.goBack();
@@ -475,131 +1918,1885 @@ ipcMain.handle('webview-save-page', async (event, webviewId) => {
                 
                 return true;
             }
-        } catch (error) {
-            console.error('Error saving page:', error);
+        } catch (error) {
+            console.error('Error saving page:', error);
+        }
+    }
+    return false;
+});
+
+ipcMain.handle('webview-open-devtools', (event, webviewId) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        return mainWindow.webContents.executeJavaScript(`
+            const webview = document.getElementById('${webviewId}');
+            if (webview) {
+                webview.openDevTools();
+                return true;
+            }
+            return false;
+        `);
+    }
+    return false;
+});
+
+ipcMain.handle('webview-capture-page', async (event, webviewId) => {
+    return { success: false, error: 'Use captureScreenshot in renderer process instead' };
+});
+
+ipcMain.handle('file-save-image', async (event, { dataUrl, filename }) => {
+    try {
+        if (!dataUrl || typeof dataUrl !== 'string') {
+            console.error('[DEBUG main] Invalid data URL: must be a string');
+            return { success: false, error: 'Invalid data URL: must be a string' };
+        }
+
+        if (!filename || typeof filename !== 'string') {
+            console.error('[DEBUG main] Invalid filename: must be a string');
+            return { success: false, error: 'Invalid filename: must be a string' };
+        }
+
+        if (!dataUrl.startsWith('data:image/png;base64,')) {
+            console.error('[DEBUG main] Invalid data URL format: must be a PNG image');
+            return { success: false, error: 'Invalid data URL format: must be a PNG image' };
+        }
+
+        const base64Data = dataUrl.replace(/^data:image\/png;base64,/, '');
+        console.log('[DEBUG main] base64Data length:', base64Data.length);
+        
+        if (base64Data.length === 0) {
+            console.error('[DEBUG main] Empty image data');
+            return { success: false, error: 'Empty image data' };
+        }
+
+        console.log('[DEBUG main] Decoding base64 to buffer...');
+        const buffer = Buffer.from(base64Data, 'base64');
+        console.log('[DEBUG main] Buffer created, size:', buffer.length);
+        
+        if (buffer.length === 0) {
+            console.error('[DEBUG main] Failed to decode image data');
+            return { success: false, error: 'Failed to decode image data' };
+        }
+        
+        const downloadsPath = app.getPath('downloads');
+        const filePath = path.join(downloadsPath, filename);
+        console.log('[DEBUG main] Saving to:', filePath);
+        
+        fs.writeFileSync(filePath, buffer);
+        console.log('[DEBUG main] File saved successfully');
+        
+        return { success: true, filePath };
+    } catch (error) {
+        console.error('[DEBUG main] Error saving image:', error);
+        console.error('[DEBUG main] Error stack:', error.stack);
+        return { success: false, error: error.message || 'Unknown error occurred' };
+    }
+});
+
+// ============================================
+// Search Engines (OpenSearch)
+// ============================================
+// The browser window cannot fetch cross-origin description files, so they are fetched
+// here and parsed by the renderer. Only a page's own origin is asked, with the tab's
+// session, so the request carries the same cookies and proxy as the page itself.
+const OPENSEARCH_MAX_BYTES = 256 * 1024;
+
+ipcMain.handle('search-engine-fetch-opensearch', async (event, { guestWebContentsId, url } = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 10000);
+    try {
+        const guest = getGuest(guestWebContentsId);
+        if (!guest || guest.hostWebContents !== event.sender) {
+            return { success: false, error: 'Tab not found' };
+        }
+        const target = new URL(url);
+        if (!/^https?:$/.test(target.protocol) || target.origin !== new URL(guest.getURL()).origin) {
+            return { success: false, error: 'Unsupported URL' };
+        }
+
+        const response = await guest.session.fetch(target.href, { signal: controller.signal });
+        if (!response.ok) {
+            controller.abort();
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+        if (Number(response.headers.get('content-length')) > OPENSEARCH_MAX_BYTES) {
+            controller.abort();
+            return { success: false, error: 'Description too large' };
+        }
+
+        // Read no more than the cap, whatever the server claims
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            size += chunk.value.byteLength;
+            if (size > OPENSEARCH_MAX_BYTES) {
+                controller.abort();
+                return { success: false, error: 'Description too large' };
+            }
+            chunks.push(chunk.value);
+        }
+        return { success: true, xml: Buffer.concat(chunks).toString('utf8') };
+    } catch (error) {
+        console.error('Error fetching OpenSearch description:', error);
+        return { success: false, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+});
+
+// ============================================
+// Internal Pages (paperstation://)
+// ============================================
+// paperstation://<page>/ serves internal/<page>.html in a normal tab; any other path is a
+// file from internal/ (shared scripts and styles). The pages' data lives in the browser
+// window, so their calls are checked here and forwarded to the window that hosts the tab.
+const INTERNAL_SCHEME = 'paperstation';
+const internalPagesDir = path.join(__dirname, 'internal');
+
+// What each page may call; nothing is shared between pages except the theme
+const INTERNAL_PAGE_METHODS = {
+    settings: ['settings.get', 'settings.set', 'settings.openPanel', 'settings.clearBrowsingData',
+        'defaultBrowser.getStatus', 'defaultBrowser.set', 'defaultBrowser.undo'],
+    history: ['history.list', 'history.remove', 'history.clear'],
+    downloads: ['downloads.list', 'downloads.pause', 'downloads.resume', 'downloads.cancel', 'downloads.remove',
+        'downloads.open', 'downloads.showInFolder', 'downloads.clearCompleted'],
+    knowledge: ['knowledge.list', 'knowledge.remove'],
+    about: ['about.getInfo']
+};
+const SHARED_INTERNAL_METHODS = ['page.getTheme'];
+const INTERNAL_CALL_TIMEOUT = 15000;
+
+const internalProtocolSessions = new WeakSet();
+// requestId -> { host, resolve, timer } for calls waiting on the browser window
+const pendingInternalCalls = new Map();
+
+// Must happen before the app is ready; standard + secure gives each page its own origin
+protocol.registerSchemesAsPrivileged([
+    { scheme: INTERNAL_SCHEME, privileges: { standard: true, secure: true, supportFetchAPI: true } }
+]);
+
+function isInternalUrl(url) {
+    return typeof url === 'string' && url.startsWith(`${INTERNAL_SCHEME}://`);
+}
+
+function setupInternalProtocol(ses) {
+    if (internalProtocolSessions.has(ses)) return;
+    internalProtocolSessions.add(ses);
+
+    ses.protocol.handle(INTERNAL_SCHEME, (request) => {
+        const url = new URL(request.url);
+        if (!INTERNAL_PAGE_METHODS[url.hostname]) {
+            return new Response('Not found', { status: 404 });
+        }
+
+        const relativePath = url.pathname === '/' ? `${url.hostname}.html` : decodeURIComponent(url.pathname.slice(1));
+        const filePath = path.normalize(path.join(internalPagesDir, relativePath));
+        if (!filePath.startsWith(internalPagesDir + path.sep)) {
+            return new Response('Not found', { status: 404 });
+        }
+        return net.fetch(pathToFileURL(filePath).toString());
+    });
+}
+
+// The page name of an internal page's top frame, or null for anything else
+function getInternalPageSender(event) {
+    if (!isGuestSender(event)) return null;
+    const frame = event.senderFrame;
+    if (!frame || frame.parent) return null;
+
+    try {
+        const url = new URL(frame.url);
+        return url.protocol === `${INTERNAL_SCHEME}:` && INTERNAL_PAGE_METHODS[url.hostname] ? url.hostname : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getAboutInfo() {
+    return {
+        name: app.getName(),
+        version: app.getVersion(),
+        electron: process.versions.electron,
+        chrome: process.versions.chrome,
+        node: process.versions.node,
+        v8: process.versions.v8,
+        platform: `${process.platform} ${process.arch}`,
+        userData: app.getPath('userData')
+    };
+}
+
+function forwardInternalCall(host, page, method, args) {
+    return new Promise((resolve) => {
+        const requestId = crypto.randomUUID();
+        const timer = setTimeout(() => {
+            pendingInternalCalls.delete(requestId);
+            resolve({ success: false, error: 'The browser window did not respond' });
+        }, INTERNAL_CALL_TIMEOUT);
+
+        pendingInternalCalls.set(requestId, { host, resolve, timer });
+        host.send('internal-page-call', { requestId, page, method, args });
+    });
+}
+
+ipcMain.handle('internal-page-call', async (event, { method, args = [] } = {}) => {
+    const page = getInternalPageSender(event);
+    if (!page) {
+        return { success: false, error: 'Not an internal page' };
+    }
+    if (!INTERNAL_PAGE_METHODS[page].includes(method) && !SHARED_INTERNAL_METHODS.includes(method)) {
+        return { success: false, error: `${method} is not available on paperstation://${page}` };
+    }
+
+    if (method === 'about.getInfo') {
+        return { success: true, result: getAboutInfo() };
+    }
+    // Handled here rather than by the browser window, which has no say in OS settings
+    const defaultBrowserActions = {
+        'defaultBrowser.getStatus': getDefaultBrowserStatus,
+        'defaultBrowser.set': setAsDefaultBrowser,
+        'defaultBrowser.undo': undoDefaultBrowser
+    };
+    if (defaultBrowserActions[method]) {
+        try {
+            return { success: true, result: await defaultBrowserActions[method]() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    return forwardInternalCall(event.sender.hostWebContents, page, method, Array.isArray(args) ? args : []);
+});
+
+ipcMain.on('internal-page-response', (event, { requestId, success, result, error } = {}) => {
+    const pending = pendingInternalCalls.get(requestId);
+    if (!pending || pending.host !== event.sender) return;
+
+    clearTimeout(pending.timer);
+    pendingInternalCalls.delete(requestId);
+    pending.resolve(success ? { success: true, result } : { success: false, error });
+});
+
+// ============================================
+// Default Browser
+// ============================================
+const DEFAULT_BROWSER_PROTOCOLS = ['http', 'https'];
+// What the generated Linux desktop entry claims; the first two are the URL schemes above
+const DEFAULT_BROWSER_MIME_TYPES = ['x-scheme-handler/http', 'x-scheme-handler/https', 'text/html', 'application/pdf'];
+// Matches "desktopName" in package.json, which Electron hands to xdg-settings
+const LINUX_DESKTOP_FILE = 'paperstation.desktop';
+// The handlers that were default before PaperStation took over, so the change can be undone
+const defaultBrowserStatePath = path.join(app.getPath('userData'), 'default-browser.json');
+
+function runCommand(file, args) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { timeout: 10000 }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout.trim());
+            }
+        });
+    });
+}
+
+// `electron .` has to pass the app path along; a packaged build is just the executable
+function getLaunchArgs() {
+    return process.defaultApp ? [path.resolve(process.argv[1])] : [];
+}
+
+function loadDefaultBrowserState() {
+    try {
+        if (fs.existsSync(defaultBrowserStatePath)) {
+            return JSON.parse(fs.readFileSync(defaultBrowserStatePath, 'utf8'));
+        }
+    } catch (error) {
+        console.error('Failed to load default browser state:', error);
+    }
+    return null;
+}
+
+function getLinuxDesktopFilePath() {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(app.getPath('home'), '.local', 'share');
+    return path.join(dataHome, 'applications', LINUX_DESKTOP_FILE);
+}
+
+function getLinuxMimeappsPath() {
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(app.getPath('home'), '.config');
+    return path.join(configHome, 'mimeapps.list');
+}
+
+// Desktop Entry spec: quote arguments with reserved characters, then escape backslashes once more
+function quoteDesktopExecArg(arg) {
+    const quoted = /[\s"'`$\\<>~|&;*?#()]/.test(arg) ? `"${arg.replace(/(["`$\\])/g, '\\$1')}"` : arg;
+    return quoted.replace(/\\/g, '\\\\');
+}
+
+function writeLinuxDesktopFile() {
+    // An AppImage runs from a temporary mount that is gone after it exits; launch the image itself
+    const executable = process.env.APPIMAGE || process.execPath;
+    const command = [executable, ...getLaunchArgs()].map(quoteDesktopExecArg).join(' ');
+    const content = [
+        '[Desktop Entry]',
+        'Type=Application',
+        'Name=PaperStation',
+        'GenericName=Web Browser',
+        `Exec=${command} %U`,
+        // Files inside app.asar are invisible to the desktop, so packaged builds use the installed icon
+        `Icon=${app.isPackaged ? 'paperstation' : path.join(__dirname, 'assets', 'icon-2.png')}`,
+        'Terminal=false',
+        'Categories=Network;WebBrowser;',
+        `MimeType=${DEFAULT_BROWSER_MIME_TYPES.join(';')};`,
+        ''
+    ].join('\n');
+
+    const filePath = getLinuxDesktopFilePath();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+async function queryLinuxMimeDefault(type) {
+    try {
+        return await runCommand('xdg-mime', ['query', 'default', type]);
+    } catch (error) {
+        return '';
+    }
+}
+
+// Drop PaperStation from [Default Applications] for types that had no handler before it
+function removeLinuxMimeDefaults(types) {
+    const mimeappsPath = getLinuxMimeappsPath();
+    if (!fs.existsSync(mimeappsPath)) return;
+
+    let section = '';
+    const lines = fs.readFileSync(mimeappsPath, 'utf8').split('\n').flatMap((line) => {
+        const header = /^\[(.+)\]\s*$/.exec(line);
+        if (header) {
+            section = header[1];
+            return [line];
+        }
+        const entry = /^([^=]+)=(.*)$/.exec(line);
+        if (section !== 'Default Applications' || !entry || !types.includes(entry[1].trim())) {
+            return [line];
+        }
+        const handlers = entry[2].split(';').filter(handler => handler && handler !== LINUX_DESKTOP_FILE);
+        return handlers.length > 0 ? [`${entry[1]}=${handlers.join(';')};`] : [];
+    });
+    fs.writeFileSync(mimeappsPath, lines.join('\n'));
+}
+
+async function getDefaultBrowserStatus() {
+    const args = getLaunchArgs();
+    const protocols = {};
+    DEFAULT_BROWSER_PROTOCOLS.forEach((protocol) => {
+        protocols[protocol] = app.isDefaultProtocolClient(protocol, process.execPath, args);
+    });
+
+    const status = {
+        platform: process.platform,
+        protocols,
+        mimeTypes: null,
+        isDefault: Object.values(protocols).every(Boolean),
+        canUndo: fs.existsSync(defaultBrowserStatePath)
+    };
+
+    // xdg-settings only knows about URL schemes; files are associated through xdg-mime
+    if (process.platform === 'linux') {
+        status.mimeTypes = {};
+        for (const type of DEFAULT_BROWSER_MIME_TYPES) {
+            status.mimeTypes[type] = await queryLinuxMimeDefault(type) === LINUX_DESKTOP_FILE;
+        }
+        status.isDefault = Object.values(status.mimeTypes).every(Boolean);
+    }
+    return status;
+}
+
+async function setAsDefaultBrowser() {
+    const args = getLaunchArgs();
+    // Keep the handlers from before the first change when this is done twice
+    const previous = loadDefaultBrowserState()?.previous || {};
+
+    if (process.platform === 'linux') {
+        writeLinuxDesktopFile();
+        for (const type of DEFAULT_BROWSER_MIME_TYPES) {
+            const current = await queryLinuxMimeDefault(type);
+            if (current !== LINUX_DESKTOP_FILE) previous[type] = current;
+        }
+    }
+
+    fs.writeFileSync(defaultBrowserStatePath, JSON.stringify({ previous, changedAt: Date.now() }, null, 2));
+
+    DEFAULT_BROWSER_PROTOCOLS.forEach((protocol) => {
+        app.setAsDefaultProtocolClient(protocol, process.execPath, args);
+    });
+
+    if (process.platform === 'linux') {
+        await runCommand('xdg-mime', ['default', LINUX_DESKTOP_FILE, ...DEFAULT_BROWSER_MIME_TYPES]);
+        await runCommand('xdg-settings', ['set', 'default-web-browser', LINUX_DESKTOP_FILE]).catch((error) => {
+            console.error('xdg-settings could not set the default web browser:', error.message);
+        });
+    } else if (process.platform === 'win32') {
+        // Windows only lets the user pick the default browser, so registering is as far as an app can go
+        await shell.openExternal('ms-settings:defaultapps');
+    }
+    return getDefaultBrowserStatus();
+}
+
+async function undoDefaultBrowser() {
+    const state = loadDefaultBrowserState();
+    if (!state) {
+        throw new Error('PaperStation was not set as the default browser here');
+    }
+
+    if (process.platform === 'linux') {
+        const unclaimed = [];
+        for (const type of DEFAULT_BROWSER_MIME_TYPES) {
+            const previous = state.previous?.[type];
+            if (previous && previous !== LINUX_DESKTOP_FILE) {
+                await runCommand('xdg-mime', ['default', previous, type]);
+            } else {
+                unclaimed.push(type);
+            }
+        }
+        removeLinuxMimeDefaults(unclaimed);
+    } else {
+        const args = getLaunchArgs();
+        DEFAULT_BROWSER_PROTOCOLS.forEach((protocol) => {
+            app.removeAsDefaultProtocolClient(protocol, process.execPath, args);
+        });
+    }
+
+    fs.rmSync(defaultBrowserStatePath, { force: true });
+    return getDefaultBrowserStatus();
+}
+
+ipcMain.handle('default-browser-get-status', async () => {
+    try {
+        return { success: true, status: await getDefaultBrowserStatus() };
+    } catch (error) {
+        console.error('Failed to get default browser status:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('default-browser-set', async () => {
+    try {
+        return { success: true, status: await setAsDefaultBrowser() };
+    } catch (error) {
+        console.error('Failed to set default browser:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('default-browser-undo', async () => {
+    try {
+        return { success: true, status: await undoDefaultBrowser() };
+    } catch (error) {
+        console.error('Failed to undo default browser:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// ============================================
+// Incognito Mode
+// ============================================
+let incognitoCounter = 0;
+
+function createIncognitoWindow() {
+    incognitoCounter++;
+
+    // Create incognito window with ephemeral session (no persistence)
+    const incognitoWindow = new BrowserWindow({
+        width: 1200,
+        height: 800,
+        title: 'PaperStation - 隐私模式',
+        icon: path.join(__dirname, 'assets/icon-2.png'),
+        frame: false,
+        autoHideMenuBar: true,
+        webPreferences: {
+            preload: path.join(__dirname, 'preload.js'),
+            contextIsolation: true,
+            nodeIntegration: false,
+            webviewTag: true,
+            sandbox: false,
+            webSecurity: true,
+            // Each incognito window gets unique ephemeral partition
+            partition: `incognito-${Date.now()}-${incognitoCounter}`
+        },
+        backgroundColor: '#0a0a0f',
+        show: false,
+    });
+
+    // Show window when ready
+    incognitoWindow.once('ready-to-show', () => {
+        incognitoWindow.show();
+    });
+
+    // Load index.html with incognito flag
+    incognitoWindow.loadFile('index.html', {
+        query: { incognito: 'true' }
+    });
+
+    // Handle downloads in incognito
+    setupDownloadHandling(incognitoWindow.webContents.session);
+
+    return incognitoWindow;
+}
+
+ipcMain.handle('open-incognito-window', () => {
+    createIncognitoWindow();
+    return true;
+});
+
+// ============================================
+// Browser Settings (mirrored from the renderer)
+// ============================================
+const browserSettingsPath = path.join(app.getPath('userData'), 'settings.json');
+
+// Only the settings the main process acts on; defaults match SettingsManager.defaults
+const browserSettingsDefaults = {
+    blockPopups: true,
+    blockThirdPartyCookies: false,
+    doNotTrack: false,
+    httpsOnly: false,
+    contentBlocking: true,
+    passwordAutoLockMinutes: 5,
+    askBeforeDownload: true,
+    downloadPath: '',
+    downloadRules: [],
+    downloadMaxConcurrent: 3,
+    downloadSpeedLimitKB: 0,
+    downloadItemSpeedLimitKB: 0,
+    downloadRetries: 3,
+    passwordGenerator: {
+        mode: 'random',
+        length: 20,
+        lowercase: true,
+        uppercase: true,
+        digits: true,
+        symbols: true,
+        words: 5,
+        separator: '-',
+        capitalize: true,
+        includeNumber: true
+    }
+};
+
+let browserSettings = loadBrowserSettings();
+
+function loadBrowserSettings() {
+    try {
+        if (fs.existsSync(browserSettingsPath)) {
+            return { ...browserSettingsDefaults, ...JSON.parse(fs.readFileSync(browserSettingsPath, 'utf8')) };
+        }
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+    return { ...browserSettingsDefaults };
+}
+
+ipcMain.handle('settings-sync', (event, settings) => {
+    if (!settings || typeof settings !== 'object') {
+        return false;
+    }
+
+    Object.keys(browserSettingsDefaults).forEach((key) => {
+        if (key in settings) {
+            browserSettings[key] = settings[key];
+        }
+    });
+
+    try {
+        fs.writeFileSync(browserSettingsPath, JSON.stringify(browserSettings, null, 2), 'utf8');
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+    resetVaultAutoLock();
+    processDownloadQueue();
+    return true;
+});
+
+// ============================================
+// Web Request Pipeline
+// ============================================
+// Electron keeps a single listener per webRequest event, so every feature hooks in here
+const configuredSessions = new WeakSet();
+
+function setupWebRequest(ses) {
+    if (!ses || configuredSessions.has(ses)) return;
+    configuredSessions.add(ses);
+
+    ses.webRequest.onBeforeRequest((details, callback) => {
+        const redirectURL = getHttpsUpgrade(details);
+        if (redirectURL) {
+            callback({ redirectURL });
+            return;
+        }
+        if (shouldBlockRequest(details)) {
+            recordBlockedRequest(details);
+            callback({ cancel: true });
+            return;
+        }
+        callback({});
+    });
+
+    ses.webRequest.onBeforeSendHeaders((details, callback) => {
+        const requestHeaders = { ...details.requestHeaders };
+
+        if (browserSettings.doNotTrack) {
+            requestHeaders['DNT'] = '1';
+            requestHeaders['Sec-GPC'] = '1';
+        }
+
+        if (browserSettings.blockThirdPartyCookies && isThirdPartyRequest(details)) {
+            delete requestHeaders['Cookie'];
+            delete requestHeaders['cookie'];
+        }
+
+        callback({ requestHeaders });
+    });
+
+    ses.webRequest.onHeadersReceived((details, callback) => {
+        if (browserSettings.blockThirdPartyCookies && details.responseHeaders && isThirdPartyRequest(details)) {
+            const responseHeaders = { ...details.responseHeaders };
+            Object.keys(responseHeaders).forEach((name) => {
+                if (name.toLowerCase() === 'set-cookie') {
+                    delete responseHeaders[name];
+                }
+            });
+            callback({ responseHeaders });
+            return;
+        }
+        callback({});
+    });
+
+    ses.webRequest.onErrorOccurred((details) => {
+        if (details.resourceType === 'mainFrame' && httpsUpgrades.has(details.url)) {
+            failedHttpsUpgrades.set(details.url, httpsUpgrades.get(details.url));
+        }
+    });
+
+    ses.webRequest.onCompleted((details) => {
+        if (details.resourceType === 'mainFrame') {
+            httpsUpgrades.delete(details.url);
+        }
+    });
+}
+
+// ============================================
+// Security Settings
+// ============================================
+// https URL -> the http URL it was upgraded from
+const httpsUpgrades = new Map();
+const failedHttpsUpgrades = new Map();
+// Hosts the user chose to visit over plain HTTP from the interstitial
+const httpAllowedHosts = new Set();
+
+function isIpAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[');
+}
+
+function isThirdPartyRequest(details) {
+    if (details.resourceType === 'mainFrame') {
+        return false;
+    }
+
+    let topLevelUrl = '';
+    try {
+        topLevelUrl = details.webContents && !details.webContents.isDestroyed()
+            ? details.webContents.getURL()
+            : details.referrer;
+    } catch (error) {
+        topLevelUrl = details.referrer;
+    }
+
+    try {
+        const requestSite = getRegistrableDomain(new URL(details.url).hostname);
+        const topLevelSite = getRegistrableDomain(new URL(topLevelUrl).hostname);
+        return !!topLevelSite && requestSite !== topLevelSite;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getHttpsUpgrade(details) {
+    if (!browserSettings.httpsOnly || details.resourceType !== 'mainFrame' || details.method !== 'GET') {
+        return null;
+    }
+
+    try {
+        const url = new URL(details.url);
+        if (url.protocol !== 'http:') return null;
+
+        // Local and explicitly allowed hosts keep plain HTTP
+        const hostname = url.hostname;
+        if (hostname === 'localhost' || hostname.endsWith('.localhost') || isIpAddress(hostname) || !hostname.includes('.')) {
+            return null;
+        }
+        if (httpAllowedHosts.has(hostname)) {
+            return null;
+        }
+
+        url.protocol = 'https:';
+        if (url.port === '80') {
+            url.port = '';
+        }
+
+        // The upgraded page redirected back to HTTP; upgrading again would loop
+        if (httpsUpgrades.has(url.href)) {
+            httpsUpgrades.delete(url.href);
+            return null;
+        }
+
+        httpsUpgrades.set(url.href, details.url);
+        return url.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Like Chromium's transient user activation: a click or key press lets the page open windows for a few seconds
+const USER_ACTIVATION_MS = 5000;
+const USER_ACTIVATION_INPUTS = new Set(['mouseDown', 'mouseUp', 'rawKeyDown', 'keyDown', 'touchStart', 'touchEnd', 'gestureTap']);
+// webContents id -> time of the last click or key press
+const lastUserActivation = new Map();
+
+function trackUserActivation(contents) {
+    const id = contents.id;
+    contents.on('input-event', (event, input) => {
+        if (USER_ACTIVATION_INPUTS.has(input.type)) {
+            lastUserActivation.set(id, Date.now());
+        }
+    });
+    contents.once('destroyed', () => lastUserActivation.delete(id));
+}
+
+// Windows the user did not ask for (no recent click or key press) are popups; OAuth and payment windows opened from a click are not
+function isPopupRequest(contents) {
+    return Date.now() - (lastUserActivation.get(contents.id) || 0) > USER_ACTIVATION_MS;
+}
+
+function notifyPopupBlocked(contents, url) {
+    const host = contents.hostWebContents || (mainWindow && !mainWindow.isDestroyed() ? mainWindow.webContents : null);
+    if (host && !host.isDestroyed()) {
+        host.send('popup-blocked', { url });
+    }
+}
+
+ipcMain.handle('security-get-https-fallback', (event, url) => {
+    const httpUrl = failedHttpsUpgrades.get(url) || null;
+    failedHttpsUpgrades.delete(url);
+    return httpUrl;
+});
+
+ipcMain.handle('security-allow-http', (event, url) => {
+    try {
+        httpAllowedHosts.add(new URL(url).hostname);
+        return true;
+    } catch (error) {
+        return false;
+    }
+});
+
+// ============================================
+// Content Blocker
+// ============================================
+// Adblock Plus filter syntax: network rules, @@ exceptions and ## cosmetic selectors.
+// Lists are plain .txt files read from the bundled filters/ folder and <userData>/filter-lists.
+const bundledFilterListsDir = path.join(__dirname, 'filters');
+const userFilterListsDir = path.join(app.getPath('userData'), 'filter-lists');
+const contentBlockerStatePath = path.join(app.getPath('userData'), 'content-blocker.json');
+
+// Electron resourceType -> filter option name
+const FILTER_RESOURCE_TYPES = {
+    mainFrame: 'document',
+    subFrame: 'subdocument',
+    stylesheet: 'stylesheet',
+    script: 'script',
+    image: 'image',
+    font: 'font',
+    object: 'object',
+    xhr: 'xmlhttprequest',
+    ping: 'ping',
+    cspReport: 'other',
+    media: 'media',
+    webSocket: 'websocket',
+    other: 'other'
+};
+const FILTER_TYPE_OPTIONS = new Set([
+    'document', 'subdocument', 'stylesheet', 'script', 'image', 'font', 'object',
+    'xmlhttprequest', 'ping', 'media', 'websocket', 'other'
+]);
+const FILTER_OPTION_ALIASES = { xhr: 'xmlhttprequest', frame: 'subdocument', css: 'stylesheet', '3p': 'third-party', '1p': '~third-party' };
+// Words in almost every URL, which would put a rule in a bucket checked for every request
+const FILTER_COMMON_TOKENS = new Set(['http', 'https', 'www', 'com']);
+const BLOCKED_COUNT_FLUSH_MS = 250;
+
+let contentBlockerState = loadContentBlockerState();
+let filterEngine = createFilterEngine();
+// webContents id -> requests blocked since the last top-level navigation
+const blockedRequestCounts = new Map();
+// webContents ids whose count changed since it was last sent to the browser window
+const pendingBlockedCounts = new Set();
+let blockedCountTimer = null;
+
+function loadContentBlockerState() {
+    try {
+        if (fs.existsSync(contentBlockerStatePath)) {
+            const data = JSON.parse(fs.readFileSync(contentBlockerStatePath, 'utf8'));
+            return { allowlist: Array.isArray(data.allowlist) ? data.allowlist : [] };
+        }
+    } catch (error) {
+        console.error('Error loading content blocker state:', error);
+    }
+    return { allowlist: [] };
+}
+
+function saveContentBlockerState() {
+    try {
+        fs.writeFileSync(contentBlockerStatePath, JSON.stringify(contentBlockerState, null, 2), 'utf8');
+    } catch (error) {
+        console.error('Error saving content blocker state:', error);
+    }
+}
+
+function createFilterEngine() {
+    return {
+        // Rules anchored to a host (||example.com^) indexed by that host, the rest by a word
+        // of their pattern (see getFilterToken); '' holds rules that have none
+        hostRules: new Map(),
+        genericRules: new Map(),
+        hostExceptions: new Map(),
+        genericExceptions: new Map(),
+        // @@...$document rules that turn blocking off for whole pages
+        documentExceptions: [],
+        genericSelectors: new Set(),
+        // domain -> selectors / selector exceptions
+        domainSelectors: new Map(),
+        selectorExceptions: new Map(),
+        ruleCount: 0,
+        lists: []
+    };
+}
+
+function addToMapList(map, key, value) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+}
+
+function parseFilterDomains(value, separator) {
+    const include = [];
+    const exclude = [];
+    value.split(separator).map((domain) => domain.trim().toLowerCase()).filter(Boolean).forEach((domain) => {
+        if (domain.startsWith('~')) {
+            exclude.push(domain.slice(1));
+        } else {
+            include.push(domain);
+        }
+    });
+    return { include, exclude };
+}
+
+function patternToRegExp(pattern, matchCase) {
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+        return new RegExp(pattern.slice(1, -1), matchCase ? '' : 'i');
+    }
+
+    let prefix = '';
+    let suffix = '';
+    if (pattern.startsWith('||')) {
+        prefix = '^[a-z-]+:\\/\\/(?:[^\\/?#]*\\.)?';
+        pattern = pattern.slice(2);
+    } else if (pattern.startsWith('|')) {
+        prefix = '^';
+        pattern = pattern.slice(1);
+    }
+    if (pattern.endsWith('|')) {
+        suffix = '$';
+        pattern = pattern.slice(0, -1);
+    }
+
+    const source = pattern
+        .replace(/\*+/g, '*')
+        .replace(/[.+?${}()[\]\\|]/g, '\\$&')
+        .replace(/\^/g, '(?:[^\\w.%-]|$)')
+        .replace(/\*/g, '.*');
+    return new RegExp(prefix + source + suffix, matchCase ? '' : 'i');
+}
+
+// The longest whole word in a pattern; a URL the pattern matches has the same word in it,
+// so only rules filed under one of the URL's words need to be tried
+function getFilterToken(pattern) {
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) return '';
+
+    const text = pattern.toLowerCase();
+    let best = '';
+    for (const match of text.matchAll(/[a-z0-9%]+/g)) {
+        const token = match[0];
+        const before = text[match.index - 1];
+        const after = text[match.index + token.length];
+        // At an unanchored end or next to *, the word may be part of a longer one in the URL
+        const whole = before !== undefined && before !== '*' && after !== undefined && after !== '*';
+        if (whole && token.length > best.length && token.length > 1 && !FILTER_COMMON_TOKENS.has(token)) {
+            best = token;
+        }
+    }
+    return best;
+}
+
+function getUrlTokens(url) {
+    return new Set(url.toLowerCase().match(/[a-z0-9%]+/g) || []);
+}
+
+function parseNetworkFilter(line) {
+    const isException = line.startsWith('@@');
+    let text = isException ? line.slice(2) : line;
+    const rule = { isException, thirdParty: null, domains: null, types: null, excludedTypes: null };
+
+    const optionsIndex = text.lastIndexOf('$');
+    let matchCase = false;
+    if (optionsIndex !== -1 && !/^\/.*\/$/.test(text)) {
+        const options = text.slice(optionsIndex + 1).split(',');
+        text = text.slice(0, optionsIndex);
+
+        for (const rawOption of options) {
+            const option = FILTER_OPTION_ALIASES[rawOption.trim().toLowerCase()] || rawOption.trim().toLowerCase();
+            const negated = option.startsWith('~');
+            const name = negated ? option.slice(1) : option;
+
+            if (name === 'third-party') {
+                rule.thirdParty = !negated;
+            } else if (name.startsWith('domain=')) {
+                rule.domains = parseFilterDomains(name.slice(7), '|');
+            } else if (name === 'match-case') {
+                matchCase = true;
+            } else if (FILTER_TYPE_OPTIONS.has(name)) {
+                const key = negated ? 'excludedTypes' : 'types';
+                rule[key] = rule[key] || new Set();
+                rule[key].add(name);
+            } else {
+                // Unsupported options (redirect, csp, ...) would change the rule's meaning, skip it
+                return null;
+            }
+        }
+    }
+
+    if (!text || text === '*' || text === '||' || text === '|') {
+        // Pattern-less rules are only meaningful as $domain / $document switches
+        if (!rule.domains && !(rule.types && rule.types.has('document'))) return null;
+        text = '*';
+    }
+
+    try {
+        rule.regex = patternToRegExp(text, matchCase);
+    } catch (error) {
+        return null;
+    }
+
+    const hostMatch = text.match(/^\|\|([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:\^|\/|$)/i);
+    rule.host = hostMatch ? hostMatch[1].toLowerCase() : null;
+    rule.token = rule.host ? '' : getFilterToken(text);
+    return rule;
+}
+
+function addFilterLine(engine, rawLine) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!') || line.startsWith('[')) return;
+
+    // Cosmetic filters: domains##selector and domains#@#selector
+    const cosmetic = line.match(/^([^/|@"!#]*)(#@?#)(.+)$/);
+    if (cosmetic) {
+        const [, domainList, separator, selector] = cosmetic;
+        // Extended syntax (#?#, #$#, scriptlets, HTML filters) is not supported
+        if (selector.startsWith('+js(') || selector.startsWith('^')) return;
+
+        const domains = domainList ? parseFilterDomains(domainList, ',') : null;
+        if (separator === '#@#') {
+            (domains ? domains.include : ['*']).forEach((domain) => addToMapList(engine.selectorExceptions, domain, selector));
+        } else if (!domains || domains.include.length === 0) {
+            engine.genericSelectors.add(selector);
+            if (domains) {
+                domains.exclude.forEach((domain) => addToMapList(engine.selectorExceptions, domain, selector));
+            }
+        } else {
+            domains.include.forEach((domain) => addToMapList(engine.domainSelectors, domain, selector));
+            domains.exclude.forEach((domain) => addToMapList(engine.selectorExceptions, domain, selector));
+        }
+        engine.ruleCount++;
+        return;
+    }
+    if (/#[?$@]?#/.test(line)) return;
+
+    const rule = parseNetworkFilter(line);
+    if (!rule) return;
+
+    if (rule.isException && rule.types && rule.types.has('document')) {
+        engine.documentExceptions.push(rule);
+    } else if (rule.isException) {
+        rule.host ? addToMapList(engine.hostExceptions, rule.host, rule) : addToMapList(engine.genericExceptions, rule.token, rule);
+    } else {
+        rule.host ? addToMapList(engine.hostRules, rule.host, rule) : addToMapList(engine.genericRules, rule.token, rule);
+    }
+    engine.ruleCount++;
+}
+
+function loadFilterLists() {
+    const engine = createFilterEngine();
+
+    try {
+        fs.mkdirSync(userFilterListsDir, { recursive: true });
+    } catch (error) {
+        console.error('Error creating filter list folder:', error);
+    }
+
+    [bundledFilterListsDir, userFilterListsDir].forEach((dir) => {
+        let files = [];
+        try {
+            files = fs.readdirSync(dir).filter((file) => file.toLowerCase().endsWith('.txt'));
+        } catch (error) {
+            return;
+        }
+
+        files.forEach((file) => {
+            try {
+                const before = engine.ruleCount;
+                fs.readFileSync(path.join(dir, file), 'utf8').split(/\r?\n/).forEach((line) => addFilterLine(engine, line));
+                engine.lists.push({ name: file, rules: engine.ruleCount - before });
+            } catch (error) {
+                console.error('Error loading filter list', file, error);
+            }
+        });
+    });
+
+    filterEngine = engine;
+    console.log(`[ContentBlocker] Loaded ${engine.ruleCount} rules from ${engine.lists.length} lists`);
+    return engine;
+}
+
+function hostSuffixes(hostname) {
+    const labels = hostname.toLowerCase().split('.');
+    const suffixes = [];
+    for (let i = 0; i < labels.length - 1; i++) {
+        suffixes.push(labels.slice(i).join('.'));
+    }
+    return suffixes.length ? suffixes : [hostname.toLowerCase()];
+}
+
+function domainMatches(hostname, domain) {
+    return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+function filterRuleMatches(rule, request) {
+    if (rule.thirdParty !== null && rule.thirdParty !== request.isThirdParty) return false;
+    if (rule.types && !rule.types.has(request.type)) return false;
+    if (rule.excludedTypes && rule.excludedTypes.has(request.type)) return false;
+
+    if (rule.domains) {
+        const pageHost = request.pageHost;
+        if (rule.domains.exclude.some((domain) => domainMatches(pageHost, domain))) return false;
+        if (rule.domains.include.length && !rule.domains.include.some((domain) => domainMatches(pageHost, domain))) return false;
+    }
+    return rule.regex.test(request.url);
+}
+
+function findMatchingFilter(hostIndex, tokenIndex, request) {
+    const matches = (rules) => !!rules && rules.some((rule) => filterRuleMatches(rule, request));
+    for (const suffix of request.hostSuffixes) {
+        if (matches(hostIndex.get(suffix))) return true;
+    }
+    for (const token of request.tokens) {
+        if (matches(tokenIndex.get(token))) return true;
+    }
+    return matches(tokenIndex.get(''));
+}
+
+function isSiteAllowlisted(hostname) {
+    return !!hostname && contentBlockerState.allowlist.some((domain) => domainMatches(hostname.toLowerCase(), domain));
+}
+
+function isPageExempt(pageUrl, pageHost) {
+    if (isSiteAllowlisted(pageHost)) return true;
+
+    const documentRequest = { url: pageUrl, type: 'document', isThirdParty: false, pageHost };
+    return filterEngine.documentExceptions.some((rule) => filterRuleMatches(rule, documentRequest));
+}
+
+function getRequestPageUrl(details) {
+    try {
+        if (details.webContents && !details.webContents.isDestroyed()) {
+            return details.webContents.getURL() || details.referrer;
+        }
+    } catch (error) {
+    }
+    return details.referrer;
+}
+
+function shouldBlockRequest(details) {
+    if (!browserSettings.contentBlocking || details.resourceType === 'mainFrame') return false;
+    if (filterEngine.ruleCount === 0) return false;
+
+    let requestUrl, pageUrl;
+    try {
+        requestUrl = new URL(details.url);
+        pageUrl = new URL(getRequestPageUrl(details));
+    } catch (error) {
+        return false;
+    }
+    if (!/^(https?|wss?):$/.test(requestUrl.protocol)) return false;
+
+    const pageHost = pageUrl.hostname.toLowerCase();
+    if (isPageExempt(pageUrl.href, pageHost)) return false;
+
+    const request = {
+        url: details.url,
+        type: FILTER_RESOURCE_TYPES[details.resourceType] || 'other',
+        isThirdParty: getRegistrableDomain(requestUrl.hostname) !== getRegistrableDomain(pageHost),
+        pageHost,
+        hostSuffixes: hostSuffixes(requestUrl.hostname),
+        tokens: getUrlTokens(details.url)
+    };
+
+    if (!findMatchingFilter(filterEngine.hostRules, filterEngine.genericRules, request)) return false;
+    return !findMatchingFilter(filterEngine.hostExceptions, filterEngine.genericExceptions, request);
+}
+
+function recordBlockedRequest(details) {
+    const contents = details.webContents;
+    if (!contents || contents.isDestroyed()) return;
+
+    blockedRequestCounts.set(contents.id, (blockedRequestCounts.get(contents.id) || 0) + 1);
+
+    // A page can block hundreds of requests while it loads; the toolbar only needs the latest count
+    pendingBlockedCounts.add(contents.id);
+    if (!blockedCountTimer) {
+        blockedCountTimer = setTimeout(flushBlockedCounts, BLOCKED_COUNT_FLUSH_MS);
+    }
+}
+
+function flushBlockedCounts() {
+    blockedCountTimer = null;
+    pendingBlockedCounts.forEach((id) => {
+        const contents = webContents.fromId(id);
+        const host = contents && !contents.isDestroyed() ? contents.hostWebContents : null;
+        if (host && !host.isDestroyed()) {
+            host.send('content-blocker-blocked', { webContentsId: id, count: blockedRequestCounts.get(id) || 0 });
+        }
+    });
+    pendingBlockedCounts.clear();
+}
+
+function getCosmeticSelectors(pageHost) {
+    const host = pageHost.toLowerCase();
+    const suffixes = hostSuffixes(host);
+    const exceptions = new Set(filterEngine.selectorExceptions.get('*') || []);
+    suffixes.forEach((suffix) => (filterEngine.selectorExceptions.get(suffix) || []).forEach((selector) => exceptions.add(selector)));
+
+    const selectors = [];
+    filterEngine.genericSelectors.forEach((selector) => {
+        if (!exceptions.has(selector)) selectors.push(selector);
+    });
+    suffixes.forEach((suffix) => {
+        (filterEngine.domainSelectors.get(suffix) || []).forEach((selector) => {
+            if (!exceptions.has(selector)) selectors.push(selector);
+        });
+    });
+    return selectors;
+}
+
+function injectCosmeticFilters(contents) {
+    if (!browserSettings.contentBlocking || contents.isDestroyed()) return;
+
+    let pageUrl;
+    try {
+        pageUrl = new URL(contents.getURL());
+    } catch (error) {
+        return;
+    }
+    if (!/^https?:$/.test(pageUrl.protocol) || isPageExempt(pageUrl.href, pageUrl.hostname.toLowerCase())) return;
+
+    const selectors = getCosmeticSelectors(pageUrl.hostname);
+    if (selectors.length === 0) return;
+
+    // One rule per selector so a selector the engine cannot parse only drops itself
+    const css = selectors.map((selector) => `${selector} { display: none !important; }`).join('\n');
+    contents.insertCSS(css, { cssOrigin: 'user' }).catch((error) => {
+        console.error('Error injecting cosmetic filters:', error);
+    });
+}
+
+function setupContentBlockerForWebview(contents) {
+    contents.on('did-start-navigation', (details) => {
+        if (details.isMainFrame && !details.isSameDocument) {
+            blockedRequestCounts.delete(contents.id);
+            const host = contents.hostWebContents;
+            if (host && !host.isDestroyed()) {
+                host.send('content-blocker-blocked', { webContentsId: contents.id, count: 0 });
+            }
+        }
+    });
+
+    contents.on('dom-ready', () => injectCosmeticFilters(contents));
+
+    contents.once('destroyed', () => {
+        blockedRequestCounts.delete(contents.id);
+        pendingBlockedCounts.delete(contents.id);
+    });
+}
+
+ipcMain.handle('content-blocker-get-state', (event, { webContentsId, url } = {}) => {
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+    }
+
+    return {
+        enabled: !!browserSettings.contentBlocking,
+        allowlisted: isSiteAllowlisted(hostname),
+        blockedCount: blockedRequestCounts.get(webContentsId) || 0,
+        ruleCount: filterEngine.ruleCount,
+        lists: filterEngine.lists,
+        allowlist: contentBlockerState.allowlist
+    };
+});
+
+ipcMain.handle('content-blocker-set-allowlisted', (event, { url, allowlisted }) => {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return { success: false, error: 'Invalid URL' };
+    }
+
+    contentBlockerState.allowlist = contentBlockerState.allowlist.filter((domain) => !domainMatches(hostname, domain) && domain !== hostname);
+    if (allowlisted) {
+        contentBlockerState.allowlist.push(hostname);
+    }
+    saveContentBlockerState();
+    return { success: true, hostname };
+});
+
+ipcMain.handle('content-blocker-reload-lists', () => {
+    const engine = loadFilterLists();
+    return { ruleCount: engine.ruleCount, lists: engine.lists };
+});
+
+ipcMain.handle('content-blocker-open-lists-folder', async () => {
+    fs.mkdirSync(userFilterListsDir, { recursive: true });
+    const error = await shell.openPath(userFilterListsDir);
+    return { success: !error, error };
+});
+
+// ============================================
+// Clear Browsing Data
+// ============================================
+// History and knowledge live in the browser window's IndexedDB and are cleared by the renderer.
+// Chromium cannot clear cookies, cache or site storage by time, so those always go entirely.
+const { isClearableDownload, isInClearRange } = require('./browsing-data');
+
+const CLEARABLE_DATA_TYPES = ['cookies', 'cache', 'siteStorage', 'serviceWorkers', 'downloads', 'passwords'];
+
+async function clearBrowsingData({ since = 0, types = [] } = {}) {
+    const browsingSession = session.fromPartition('persist:paperstation');
+    const selected = types.filter((type) => CLEARABLE_DATA_TYPES.includes(type));
+    const removed = {};
+
+    if (selected.includes('cookies')) {
+        const cookies = await browsingSession.cookies.get({});
+        await browsingSession.clearStorageData({ storages: ['cookies'] });
+        removed.cookies = cookies.length;
+    }
+
+    if (selected.includes('cache')) {
+        const sizeBefore = await browsingSession.getCacheSize();
+        await browsingSession.clearCache();
+        await browsingSession.clearStorageData({ storages: ['shadercache', 'cachestorage'] });
+        removed.cacheBytes = Math.max(0, sizeBefore - await browsingSession.getCacheSize());
+    }
+
+    if (selected.includes('siteStorage')) {
+        await browsingSession.clearStorageData({ storages: ['localstorage', 'indexdb', 'websql', 'filesystem'] });
+        removed.siteStorage = true;
+    }
+
+    if (selected.includes('serviceWorkers')) {
+        await browsingSession.clearStorageData({ storages: ['serviceworkers'] });
+        removed.serviceWorkers = true;
+    }
+
+    if (selected.includes('downloads')) {
+        let count = 0;
+        downloads.forEach((download, id) => {
+            if (download.persist && isClearableDownload(download, since)) {
+                downloads.delete(id);
+                count++;
+            }
+        });
+        saveDownloads();
+        removed.downloads = count;
+    }
+
+    if (selected.includes('passwords')) {
+        getVaultStatus();
+        if (isVaultLocked()) {
+            removed.passwords = null;
+            removed.passwordsLocked = true;
+        } else {
+            const before = passwordVault.entries.length;
+            passwordVault.entries = passwordVault.entries.filter((entry) => !isInClearRange(entry.createdAt, since));
+            removed.passwords = before - passwordVault.entries.length;
+            if (removed.passwords > 0) {
+                persistVaultEntries();
+            }
         }
     }
-    return false;
+
+    return removed;
+}
+
+ipcMain.handle('browsing-data-clear', async (event, options = {}) => {
+    try {
+        const removed = await clearBrowsingData(options);
+        return { success: true, removed };
+    } catch (error) {
+        console.error('Failed to clear browsing data:', error);
+        return { success: false, error: error.message };
+    }
 });
 
-ipcMain.handle('webview-open-devtools', (event, webviewId) => {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-        return mainWindow.webContents.executeJavaScript(`
-            const webview = document.getElementById('${webviewId}');
-            if (webview) {
-                webview.openDevTools();
-                return true;
+// ============================================
+// Session Restore
+// ============================================
+const sessionPath = path.join(app.getPath('userData'), 'session.json');
+const SESSION_SAVE_DELAY = 1000;
+const MAX_SESSION_HISTORY_ENTRIES = 50;
+
+// Live tab state reported by each normal window, keyed by BrowserWindow id
+const sessionWindows = new Map();
+// Window state waiting to be picked up by a freshly created window, keyed by webContents id
+const pendingSessionRestores = new Map();
+// Back/forward stacks waiting for their webview to attach, keyed by restore token
+const pendingTabRestores = new Map();
+const RESTORE_SRC_PREFIX = 'about:blank#paperstation-restore=';
+let attachingRestoreToken = null;
+let previousSession = loadPreviousSession();
+let sessionSaveTimer = null;
+let isQuitting = false;
+
+function loadPreviousSession() {
+    try {
+        if (fs.existsSync(sessionPath)) {
+            const data = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+            // The last run ended while it was still offering the session before it; that one is still to restore
+            if (Array.isArray(data.previous?.windows) && data.previous.windows.length > 0) {
+                return { windows: data.previous.windows, crashed: !!data.previous.crashed };
             }
-            return false;
-        `);
+            return {
+                windows: Array.isArray(data.windows) ? data.windows : [],
+                // A session file that was never marked clean means the last run crashed
+                crashed: data.cleanExit === false
+            };
+        }
+    } catch (error) {
+        console.error('Error loading session:', error);
     }
-    return false;
-});
+    return { windows: [], crashed: false };
+}
 
-ipcMain.handle('webview-capture-page', async (event, webviewId) => {
-    return { success: false, error: 'Use captureScreenshot in renderer process instead' };
-});
+function getNavigationHistory(webContentsId) {
+    const contents = webContentsId ? webContents.fromId(webContentsId) : null;
+    if (!contents || contents.isDestroyed()) {
+        return null;
+    }
 
-ipcMain.handle('file-save-image', async (event, { dataUrl, filename }) => {
     try {
-        if (!dataUrl || typeof dataUrl !== 'string') {
-            console.error('[DEBUG main] Invalid data URL: must be a string');
-            return { success: false, error: 'Invalid data URL: must be a string' };
+        const history = contents.navigationHistory;
+        let entries = history.getAllEntries();
+        let index = history.getActiveIndex();
+
+        // Keep the stack around the active entry bounded
+        if (entries.length > MAX_SESSION_HISTORY_ENTRIES) {
+            const start = Math.max(0, Math.min(index - MAX_SESSION_HISTORY_ENTRIES / 2, entries.length - MAX_SESSION_HISTORY_ENTRIES));
+            entries = entries.slice(start, start + MAX_SESSION_HISTORY_ENTRIES);
+            index -= start;
         }
 
-        if (!filename || typeof filename !== 'string') {
-            console.error('[DEBUG main] Invalid filename: must be a string');
-            return { success: false, error: 'Invalid filename: must be a string' };
-        }
+        return { entries, index };
+    } catch (error) {
+        return null;
+    }
+}
 
-        if (!dataUrl.startsWith('data:image/png;base64,')) {
-            console.error('[DEBUG main] Invalid data URL format: must be a PNG image');
-            return { success: false, error: 'Invalid data URL format: must be a PNG image' };
+function buildSessionSnapshot(cleanExit) {
+    const windows = [];
+    sessionWindows.forEach((state) => {
+        const tabs = state.tabs.map((tab) => {
+            // Refresh the back/forward stack from the live webview while it still exists
+            const history = getNavigationHistory(tab.webContentsId) || tab.history || null;
+            tab.history = history;
+            return {
+                url: tab.url,
+                title: tab.title,
+                favicon: tab.favicon,
+                groupId: tab.groupId ?? null,
+                pinned: !!tab.pinned,
+                parentIndex: tab.parentIndex ?? null,
+                treeCollapsed: !!tab.treeCollapsed,
+                history
+            };
+        });
+        if (tabs.length > 0) {
+            windows.push({ tabs, groups: state.groups || [], split: state.split || null, activeIndex: state.activeIndex, bounds: state.bounds });
         }
+    });
+    const snapshot = { version: 1, savedAt: Date.now(), cleanExit, windows };
+    // Until the user restores or discards the previous session, it stays in the file with the new one
+    if (previousSession.windows.length > 0) {
+        snapshot.previous = { windows: previousSession.windows, crashed: previousSession.crashed };
+    }
+    return snapshot;
+}
 
-        const base64Data = dataUrl.replace(/^data:image\/png;base64,/, '');
-        console.log('[DEBUG main] base64Data length:', base64Data.length);
-        
-        if (base64Data.length === 0) {
-            console.error('[DEBUG main] Empty image data');
-            return { success: false, error: 'Empty image data' };
+function writeSession(cleanExit = false) {
+    try {
+        fs.writeFileSync(sessionPath, JSON.stringify(buildSessionSnapshot(cleanExit)), 'utf8');
+        return true;
+    } catch (error) {
+        console.error('Error saving session:', error);
+        return false;
+    }
+}
+
+function scheduleSessionSave() {
+    if (sessionSaveTimer) {
+        clearTimeout(sessionSaveTimer);
+    }
+    sessionSaveTimer = setTimeout(() => {
+        sessionSaveTimer = null;
+        writeSession(false);
+    }, SESSION_SAVE_DELAY);
+}
+
+function forgetSessionWindow(windowId) {
+    // Windows closed while quitting (or the last window) are part of the session to restore
+    if (isQuitting || !sessionWindows.has(windowId) || sessionWindows.size <= 1) {
+        return;
+    }
+    sessionWindows.delete(windowId);
+    scheduleSessionSave();
+}
+
+ipcMain.handle('session-update', (event, state) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win || win.isDestroyed() || !state || !Array.isArray(state.tabs)) {
+        return false;
+    }
+
+    const previous = sessionWindows.get(win.id);
+    const tabs = state.tabs.map((tab, index) => {
+        // Keep the last known history for tabs whose webview has not attached yet;
+        // discarded tabs have no webview and report the token their history waits under
+        const known = previous?.tabs.find(t => t.webContentsId && t.webContentsId === tab.webContentsId);
+        const parked = typeof tab.restoreToken === 'string' ? pendingTabRestores.get(tab.restoreToken) : null;
+        return {
+            url: tab.url,
+            title: tab.title,
+            favicon: tab.favicon,
+            groupId: Number.isInteger(tab.groupId) ? tab.groupId : null,
+            pinned: !!tab.pinned,
+            parentIndex: sanitizeParentIndex(tab.parentIndex, index),
+            treeCollapsed: !!tab.treeCollapsed,
+            webContentsId: tab.webContentsId || null,
+            history: known?.history || (parked ? { entries: parked.entries, index: parked.index } : null)
+        };
+    });
+
+    sessionWindows.set(win.id, {
+        tabs,
+        groups: sanitizeTabGroups(state.groups),
+        split: sanitizeSplitView(state.split, tabs.length),
+        activeIndex: state.activeIndex || 0,
+        bounds: win.getBounds()
+    });
+    scheduleSessionSave();
+    return true;
+});
+
+ipcMain.handle('session-get-startup', (event) => {
+    // Windows created by a restore receive their own tabs unconditionally
+    const pending = pendingSessionRestores.get(event.sender.id);
+    if (pending) {
+        pendingSessionRestores.delete(event.sender.id);
+        return { crashed: false, forced: true, window: prepareWindowRestore(pending), extraWindows: 0 };
+    }
+
+    // Only the first window of a launch is offered the previous session
+    if (previousSession.offered || previousSession.windows.length === 0) {
+        return { crashed: false, forced: false, window: null, extraWindows: 0 };
+    }
+
+    previousSession.offered = true;
+    return {
+        crashed: previousSession.crashed,
+        forced: false,
+        window: prepareWindowRestore(previousSession.windows[0]),
+        extraWindows: previousSession.windows.length - 1
+    };
+});
+
+// Called once the first window has restored its share, even when there are no other windows
+ipcMain.handle('session-restore-windows', () => {
+    const [, ...rest] = previousSession.windows;
+    previousSession = { windows: [], crashed: false };
+    scheduleSessionSave();
+    rest.forEach((state) => {
+        const win = createWindow(state);
+        if (state.bounds) {
+            win.setBounds(state.bounds);
         }
+    });
+    return rest.length;
+});
 
-        console.log('[DEBUG main] Decoding base64 to buffer...');
-        const buffer = Buffer.from(base64Data, 'base64');
-        console.log('[DEBUG main] Buffer created, size:', buffer.length);
-        
-        if (buffer.length === 0) {
-            console.error('[DEBUG main] Failed to decode image data');
-            return { success: false, error: 'Failed to decode image data' };
+ipcMain.handle('session-discard-previous', () => {
+    previousSession = { windows: [], crashed: false };
+    scheduleSessionSave();
+    return true;
+});
+
+// ============================================
+// Moving Tabs (duplicate, tear-off, drag between windows)
+// ============================================
+// A tab's back/forward stack moves with it through the same restore tokens used by session restore
+function snapshotTab(guestWebContentsId, url) {
+    const history = getNavigationHistory(guestWebContentsId);
+    if (!history) return null;
+    const restoreToken = crypto.randomUUID();
+    pendingTabRestores.set(restoreToken, { ...history, url });
+    return restoreToken;
+}
+
+function getGuest(guestWebContentsId) {
+    const guest = Number.isInteger(guestWebContentsId) ? webContents.fromId(guestWebContentsId) : null;
+    return guest && !guest.isDestroyed() && guest.hostWebContents ? guest : null;
+}
+
+ipcMain.handle('tab-snapshot', (event, { guestWebContentsId, url } = {}) => {
+    const guest = getGuest(guestWebContentsId);
+    if (!guest || guest.hostWebContents !== event.sender) {
+        return { success: false, error: 'Tab not found' };
+    }
+    return { success: true, restoreToken: snapshotTab(guestWebContentsId, url) };
+});
+
+// Dropped outside every window: the tab becomes a window of its own
+ipcMain.handle('tab-detach', (event, { guestWebContentsId, url, title, favicon, screenX, screenY } = {}) => {
+    const guest = getGuest(guestWebContentsId);
+    if (!guest || guest.hostWebContents !== event.sender) {
+        return { success: false, error: 'Tab not found' };
+    }
+    // Incognito windows each have their own session, so their tabs cannot leave them
+    if (isIncognitoContents(event.sender)) {
+        return { success: false, error: 'Incognito tabs cannot be moved to another window' };
+    }
+
+    const history = getNavigationHistory(guestWebContentsId);
+    const win = createWindow({ tabs: [{ url, title, favicon, history }], activeIndex: 0 });
+    if (Number.isFinite(screenX) && Number.isFinite(screenY)) {
+        win.setPosition(Math.round(screenX - 120), Math.round(screenY - 20));
+    }
+    return { success: true };
+});
+
+// Dropped on another window's tab strip: that window takes the tab over and the source lets go of it
+ipcMain.handle('tab-adopt', (event, { guestWebContentsId, tabId, url } = {}) => {
+    const guest = getGuest(guestWebContentsId);
+    const source = guest?.hostWebContents;
+    if (!source || source === event.sender) {
+        return { success: false, error: 'Tab not found' };
+    }
+    if (isIncognitoContents(source) || isIncognitoContents(event.sender)) {
+        return { success: false, error: 'Incognito tabs cannot be moved to another window' };
+    }
+
+    const restoreToken = snapshotTab(guestWebContentsId, url);
+    source.send('tab-released', tabId);
+    return { success: true, restoreToken };
+});
+
+// A tab and the tabs opened from it move to a window of their own, keeping the tree
+ipcMain.handle('tab-detach-tree', (event, { tabs } = {}) => {
+    if (!Array.isArray(tabs) || tabs.length === 0) {
+        return { success: false, error: 'No tabs to move' };
+    }
+    if (isIncognitoContents(event.sender)) {
+        return { success: false, error: 'Incognito tabs cannot be moved to another window' };
+    }
+
+    const moved = [];
+    for (const tab of tabs) {
+        let history = null;
+        if (tab.guestWebContentsId != null) {
+            const guest = getGuest(tab.guestWebContentsId);
+            if (!guest || guest.hostWebContents !== event.sender) {
+                return { success: false, error: 'Tab not found' };
+            }
+            history = getNavigationHistory(tab.guestWebContentsId);
+        } else if (typeof tab.restoreToken === 'string' && pendingTabRestores.has(tab.restoreToken)) {
+            // Discarded tab: its history is parked under the token
+            const parked = pendingTabRestores.get(tab.restoreToken);
+            pendingTabRestores.delete(tab.restoreToken);
+            history = { entries: parked.entries, index: parked.index };
         }
-        
-        const downloadsPath = app.getPath('downloads');
-        const filePath = path.join(downloadsPath, filename);
-        console.log('[DEBUG main] Saving to:', filePath);
-        
-        fs.writeFileSync(filePath, buffer);
-        console.log('[DEBUG main] File saved successfully');
-        
-        return { success: true, filePath };
-    } catch (error) {
-        console.error('[DEBUG main] Error saving image:', error);
-        console.error('[DEBUG main] Error stack:', error.stack);
-        return { success: false, error: error.message || 'Unknown error occurred' };
+        moved.push({
+            url: String(tab.url || ''),
+            title: tab.title,
+            favicon: tab.favicon,
+            parentIndex: sanitizeParentIndex(tab.parentIndex, moved.length),
+            treeCollapsed: !!tab.treeCollapsed,
+            history
+        });
     }
+
+    createWindow({ tabs: moved, activeIndex: 0 });
+    return { success: true };
 });
 
 // ============================================
-// Incognito Mode
+// Tabs Opened From Pages
 // ============================================
-let incognitoCounter = 0;
-
-function createIncognitoWindow() {
-    incognitoCounter++;
+const PAGE_CONTEXT_MENU_LABELS = {
+    cut: '剪切',
+    copy: '复制',
+    paste: '粘贴',
+    selectAll: '全选',
+    copyLink: '复制链接地址',
+    copyImage: '复制图片',
+    copyImageAddress: '复制图片地址',
+    saveImageAs: '将图片另存为...',
+    searchWithGoogle: '使用Google搜索'
+};
+
+// The tab opens in the window hosting the page, as a child of the page's tab
+function openTabFromContents(contents, url) {
+    const host = contents.hostWebContents || mainWindow?.webContents;
+    if (!host || host.isDestroyed()) return;
+    host.send('tab-open-from-page', { url, openerWebContentsId: contents.hostWebContents ? contents.id : null });
+}
 
-    // Create incognito window with ephemeral session (no persistence)
-    const incognitoWindow = new BrowserWindow({
-        width: 1200,
-        height: 800,
-        title: 'PaperStation - 隐私模式',
-        icon: path.join(__dirname, 'assets/icon-2.png'),
-        frame: false,
-        autoHideMenuBar: true,
-        webPreferences: {
-            preload: path.join(__dirname, 'preload.js'),
-            contextIsolation: true,
-            nodeIntegration: false,
-            webviewTag: true,
-            sandbox: false,
-            webSecurity: true,
-            // Each incognito window gets unique ephemeral partition
-            partition: `incognito-${Date.now()}-${incognitoCounter}`
-        },
-        backgroundColor: '#0a0a0f',
-        show: false,
+// Right-click menu inside tabs
+function setupPageContextMenu(contents) {
+    contextMenu({
+        window: contents,
+        showSaveImageAs: true,
+        showCopyImageAddress: true,
+        showSelectAll: true,
+        showInspectElement: false,
+        labels: PAGE_CONTEXT_MENU_LABELS,
+        prepend: (defaultActions, params) => [
+            {
+                label: '在新标签页中打开链接',
+                visible: /^(https?|file):/i.test(params.linkURL || ''),
+                click: () => openTabFromContents(contents, params.linkURL)
+            }
+        ]
     });
+}
 
-    // Show window when ready
-    incognitoWindow.once('ready-to-show', () => {
-        incognitoWindow.show();
-    });
+// ============================================
+// Tab Memory (discarding and the Performance panel)
+// ============================================
+// Per-tab memory from the OS process of each of the sender's webviews; same-site tabs may share a process
+ipcMain.handle('tab-get-metrics', (event) => {
+    try {
+        const metrics = app.getAppMetrics();
+        const byPid = new Map(metrics.map(metric => [metric.pid, metric]));
+        const guests = webContents.getAllWebContents()
+            .filter(contents => !contents.isDestroyed() && contents.hostWebContents === event.sender);
+
+        const tabs = {};
+        guests.forEach((guest) => {
+            const pid = guest.getOSProcessId();
+            const metric = byPid.get(pid);
+            tabs[guest.id] = {
+                pid,
+                memoryKB: metric ? metric.memory.workingSetSize : 0,
+                cpu: metric ? metric.cpu.percentCPUUsage : 0,
+                sharedProcess: guests.some(other => other !== guest && other.getOSProcessId() === pid)
+            };
+        });
 
-    // Load index.html with incognito flag
-    incognitoWindow.loadFile('index.html', {
-        query: { incognito: 'true' }
+        const system = process.getSystemMemoryInfo();
+        return {
+            success: true,
+            tabs,
+            browserMemoryKB: metrics.reduce((sum, metric) => sum + metric.memory.workingSetSize, 0),
+            systemMemory: { totalKB: system.total, freeKB: system.free }
+        };
+    } catch (error) {
+        console.error('Error reading process metrics:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Hand a saved window to a renderer, keeping each tab's back/forward stack in the main process
+function prepareWindowRestore(state) {
+    return {
+        activeIndex: state.activeIndex || 0,
+        groups: sanitizeTabGroups(state.groups),
+        split: sanitizeSplitView(state.split, state.tabs.length),
+        tabs: state.tabs.map((tab, index) => {
+            let restoreToken = null;
+            if (tab.history && Array.isArray(tab.history.entries) && tab.history.entries.length > 0) {
+                restoreToken = crypto.randomUUID();
+                pendingTabRestores.set(restoreToken, { ...tab.history, url: tab.url });
+            }
+            return {
+                url: tab.url,
+                title: tab.title,
+                favicon: tab.favicon,
+                groupId: tab.groupId ?? null,
+                pinned: !!tab.pinned,
+                parentIndex: sanitizeParentIndex(tab.parentIndex, index),
+                treeCollapsed: !!tab.treeCollapsed,
+                restoreToken
+            };
+        })
+    };
+}
+
+function restoreTabNavigation(guest, restore) {
+    const entries = restore.entries.filter(entry => entry && entry.url);
+    const index = Math.min(Math.max(restore.index || 0, 0), entries.length - 1);
+
+    guest.navigationHistory.restore({ entries, index }).catch((error) => {
+        console.error('Error restoring navigation history:', error);
+        if (!guest.isDestroyed() && restore.url) {
+            guest.loadURL(restore.url);
+        }
     });
+}
+
+// ============================================
+// Command Line (first launch and second instances)
+// ============================================
+// Pages a command line may open; anything else (javascript:, data:, ...) is dropped
+const LAUNCH_PROTOCOLS = new Set(['http:', 'https:', 'file:', 'paperstation:']);
+
+// URLs waiting for a window's renderer to ask for them, keyed by webContents id
+const pendingLaunchUrls = new Map();
+// Renderers that have collected their launch URLs and now take them as events
+const launchReadyContents = new Set();
+// macOS open-file/open-url events that arrive before the first window exists
+let earlyLaunchUrls = [];
+let lastFocusedWindow = null;
+
+function toLaunchUrl(arg, workingDirectory) {
+    const text = arg.trim();
+    if (!text) return null;
+
+    // Existing files win over everything else, relative to where the command was run
+    const filePath = path.resolve(workingDirectory || process.cwd(), text);
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text) && fs.existsSync(filePath)) {
+        return pathToFileURL(filePath).href;
+    }
+
+    const result = UrlClassifier.classify(text);
+    if (result.type !== 'url') return null;
+    try {
+        const url = new URL(result.url);
+        return LAUNCH_PROTOCOLS.has(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
 
-    // Handle webview downloads in incognito
-    incognitoWindow.webContents.session.on('will-download', (event, item, webContents) => {
-        handleDownload(item);
+function parseCommandLine(argv, workingDirectory) {
+    // The executable comes first; `electron .` also passes the app path
+    const args = argv.slice(process.defaultApp ? 2 : 1);
+    const options = { urls: [], incognito: false, newWindow: false };
+    let onlyUrls = false;
+
+    args.forEach((arg) => {
+        if (!onlyUrls && arg === '--') {
+            onlyUrls = true;
+        } else if (!onlyUrls && arg.startsWith('-')) {
+            // Chromium adds switches of its own to second instances, so unknown ones are ignored
+            if (arg === '--incognito' || arg === '--private') options.incognito = true;
+            if (arg === '--new-window') options.newWindow = true;
+        } else {
+            const url = toLaunchUrl(arg, workingDirectory);
+            if (url) {
+                options.urls.push(url);
+            } else {
+                console.warn('Ignoring command line argument:', arg);
+            }
+        }
     });
 
-    return incognitoWindow;
+    return options;
 }
 
-ipcMain.handle('open-incognito-window', () => {
-    createIncognitoWindow();
-    return true;
+// Send URLs to a window, or park them until its renderer is ready to open tabs
+function openLaunchUrls(win, urls) {
+    if (!win || win.isDestroyed() || urls.length === 0) return;
+    const contents = win.webContents;
+    if (launchReadyContents.has(contents.id)) {
+        contents.send('launch-open-urls', urls);
+    } else {
+        pendingLaunchUrls.set(contents.id, [...(pendingLaunchUrls.get(contents.id) || []), ...urls]);
+    }
+}
+
+function focusWindow(win) {
+    if (win.isMinimized()) {
+        win.restore();
+    }
+    win.show();
+    win.focus();
+}
+
+function handleCommandLine({ urls, incognito, newWindow }) {
+    if (incognito) {
+        openLaunchUrls(createIncognitoWindow(), urls);
+        return;
+    }
+
+    const existing = [lastFocusedWindow, mainWindow].find(win => win && !win.isDestroyed());
+    if (newWindow || !existing) {
+        openLaunchUrls(createWindow(), urls);
+        return;
+    }
+
+    openLaunchUrls(existing, urls);
+    focusWindow(existing);
+}
+
+ipcMain.handle('launch-get-urls', (event) => {
+    const id = event.sender.id;
+    const urls = pendingLaunchUrls.get(id) || [];
+    pendingLaunchUrls.delete(id);
+    launchReadyContents.add(id);
+    event.sender.once('destroyed', () => launchReadyContents.delete(id));
+    return urls;
+});
+
+// macOS delivers files and links opened from Finder or other apps as events
+function openExternalUrl(url) {
+    if (!app.isReady()) {
+        earlyLaunchUrls.push(url);
+        return;
+    }
+    handleCommandLine({ urls: [url], incognito: false, newWindow: false });
+}
+
+app.on('open-file', (event, filePath) => {
+    event.preventDefault();
+    openExternalUrl(pathToFileURL(filePath).href);
+});
+
+app.on('open-url', (event, url) => {
+    event.preventDefault();
+    const launchUrl = toLaunchUrl(url);
+    if (launchUrl) openExternalUrl(launchUrl);
 });
 
 // ============================================
@@ -621,13 +3818,8 @@ if (singleInstanceLockEnabled) {
     } else {
         // Listen for second instance attempts
         app.on('second-instance', (event, commandLine, workingDirectory) => {
-            // Focus the existing window when a second instance is launched
-            if (mainWindow) {
-                if (mainWindow.isMinimized()) {
-                    mainWindow.restore();
-                }
-                mainWindow.focus();
-            }
+            // Open what the second instance was given here; with nothing to open, just focus
+            handleCommandLine(parseCommandLine(commandLine, workingDirectory));
         });
     }
 }
@@ -762,7 +3954,20 @@ app.whenReady().then(() => {
         }
     });
 
-    createWindow();
+    loadFilterLists();
+    loadDownloads();
+    setupWebRequest(session.fromPartition('persist:paperstation'));
+    setupDownloadHandling(session.fromPartition('persist:paperstation'));
+    setupInternalProtocol(session.fromPartition('persist:paperstation'));
+
+    // Never leave the password vault open behind a locked screen or a sleeping machine
+    powerMonitor.on('lock-screen', lockVault);
+    powerMonitor.on('suspend', lockVault);
+
+    const launch = parseCommandLine(process.argv, process.cwd());
+    launch.urls.push(...earlyLaunchUrls);
+    earlyLaunchUrls = [];
+    handleCommandLine(launch);
 
     // On macOS, re-create window when dock icon is clicked
     app.on('activate', () => {
@@ -772,6 +3977,17 @@ app.whenReady().then(() => {
     });
 });
 
+// Save the session one last time and mark it as a clean shutdown
+app.on('before-quit', () => {
+    isQuitting = true;
+    saveDownloads();
+    if (sessionSaveTimer) {
+        clearTimeout(sessionSaveTimer);
+        sessionSaveTimer = null;
+    }
+    writeSession(true);
+});
+
 // Quit when all windows are closed (except on macOS)
 app.on('window-all-closed', () => {
     if (process.platform !== 'darwin') {
@@ -781,40 +3997,72 @@ app.on('window-all-closed', () => {
 
 // Security: Handle new window requests from webview
 app.on('web-contents-created', (event, contents) => {
-    // Handle webview download events
+    // Tabs are configured here before their guest exists
+    if (contents.getType() === 'window') {
+        contents.on('will-attach-webview', (attachEvent, webPreferences, params) => {
+            // Every tab gets the autofill preload; pages cannot choose their own
+            webPreferences.preload = path.join(__dirname, 'webview-preload.js');
+            delete params.preload;
+
+            // Restored tabs load their saved back/forward stack instead of a URL
+            attachingRestoreToken = null;
+            if (params.src && params.src.startsWith(RESTORE_SRC_PREFIX)) {
+                const token = params.src.slice(RESTORE_SRC_PREFIX.length);
+                if (pendingTabRestores.has(token)) {
+                    attachingRestoreToken = token;
+                    delete params.src;
+                }
+            }
+        });
+    }
+
+    // The guest is created synchronously after will-attach-webview, before anything loads
+    if (contents.getType() === 'webview' && attachingRestoreToken) {
+        const restore = pendingTabRestores.get(attachingRestoreToken);
+        pendingTabRestores.delete(attachingRestoreToken);
+        attachingRestoreToken = null;
+        restoreTabNavigation(contents, restore);
+    }
+
+    // Handle webview download events (once per session, however many tabs share it)
+    if (contents.getType() === 'webview') {
+        setupDownloadHandling(contents.session);
+    }
+
+    // Privacy and security rules apply to every browsing session, including incognito partitions
     if (contents.getType() === 'webview') {
-        contents.session.on('will-download', (event, item, webContents) => {
-            handleDownload(item);
+        setupWebRequest(contents.session);
+        setupContentBlockerForWebview(contents);
+        setupInternalProtocol(contents.session);
+        setupPageContextMenu(contents);
+
+        // Web pages cannot link into internal pages; typing the address still works
+        contents.on('will-navigate', (navigateEvent, url) => {
+            if (isInternalUrl(url) && !isInternalUrl(contents.getURL())) {
+                navigateEvent.preventDefault();
+            }
         });
     }
 
+    trackUserActivation(contents);
     contents.setWindowOpenHandler(({ url }) => {
+        // Popup windows are dropped when the popup blocker is on; the rest open as tabs below
+        if (browserSettings.blockPopups && isPopupRequest(contents)) {
+            notifyPopupBlocked(contents, url);
+            return { action: 'deny' };
+        }
+
         // Handle target="_blank" links by opening in new tab
         if (url && url.startsWith('file://')) {
             // For local file links (like error pages), open in new tab
-            if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.executeJavaScript(`
-                    if (window.tabManager) {
-                        window.tabManager.createTab('${url}');
-                    }
-                `).catch(err => {
-                    console.error('Failed to open new tab:', err);
-                });
-            }
+            openTabFromContents(contents, url);
             return { action: 'deny' };
         }
         
-        // For external URLs, open in new tab
-        if (url && (url.startsWith('http://') || url.startsWith('https://'))) {
-            if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.executeJavaScript(`
-                    if (window.tabManager) {
-                        window.tabManager.createTab('${url}');
-                    }
-                `).catch(err => {
-                    console.error('Failed to open new tab:', err);
-                });
-            }
+        // For external URLs (and internal pages opened from another internal page), open in new tab
+        if (url && (url.startsWith('http://') || url.startsWith('https://') ||
+            (isInternalUrl(url) && isInternalUrl(contents.getURL())))) {
+            openTabFromContents(contents, url);
             return { action: 'deny' };
         }
         
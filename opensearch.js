@@ -0,0 +1,43 @@
+/**
+ * PaperStation Browser - OpenSearch Descriptions
+ *
+ * Picks the search URL out of an OpenSearch 1.1 description and turns its template into a
+ * search engine template with a %s placeholder. The renderer reads the XML with DOMParser
+ * and passes in the attributes of each <Url>; this file has no DOM dependencies, so
+ * index.html loads it as a script and it can be exercised directly from Node.
+ */
+(function (root) {
+    function isValidTemplate(template) {
+        return /^https?:\/\/[^\s]+$/i.test(template || '') && template.includes('%s');
+    }
+
+    /**
+     * urls: [{ type, method, template }] for each <Url>, in document order.
+     * Returns the template of the first HTML GET URL, or null when there is no usable one.
+     */
+    function getSearchTemplate(urls) {
+        const url = urls.find(candidate =>
+            (candidate.type || '').toLowerCase() === 'text/html' &&
+            (candidate.method || 'get').toLowerCase() === 'get'
+        );
+        if (!url) return null;
+
+        const template = (url.template || '')
+            .replace(/\{searchTerms\}/g, '%s')
+            .replace(/\{(inputEncoding|outputEncoding)\??\}/g, 'UTF-8')
+            .replace(/\{[^}]*\?\}/g, '');
+        // Any parameter left is required and cannot be filled in
+        return !template.includes('{') && isValidTemplate(template) ? template : null;
+    }
+
+    const OpenSearch = {
+        getSearchTemplate,
+        isValidTemplate
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OpenSearch;
+    } else {
+        root.OpenSearch = OpenSearch;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,122 @@
+/**
+ * PaperStation Browser - Password Generator
+ *
+ * Generates random passwords and Diceware passphrases and estimates how strong a password
+ * is. It has no Electron dependencies: main.js requires it, and it can be exercised
+ * directly from Node.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// EFF's large Diceware list (7776 words, ~12.9 bits each), https://www.eff.org/dice, CC BY 3.0 US
+const passphraseWordlistPath = path.join(__dirname, 'assets', 'wordlists', 'eff_large_wordlist.txt');
+
+const PASSWORD_CHARSETS = {
+    lowercase: 'abcdefghijkmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+    digits: '23456789',
+    symbols: '!@#$%^&*()-_=+[]{};:,.?'
+};
+const COMMON_PASSWORD_WORDS = ['password', 'qwerty', 'letmein', 'welcome', 'admin', 'iloveyou', 'monkey', 'dragon'];
+
+let passphraseWordlist = null;
+let passphraseWordSet = null;
+
+function getPassphraseWordlist() {
+    if (!passphraseWordlist) {
+        passphraseWordlist = fs.readFileSync(passphraseWordlistPath, 'utf8')
+            .split(/\r?\n/)
+            .map((line) => line.split('\t').pop().trim())
+            .filter(Boolean);
+    }
+    return passphraseWordlist;
+}
+
+function getPassphraseWordSet() {
+    if (!passphraseWordSet) {
+        passphraseWordSet = new Set(getPassphraseWordlist());
+    }
+    return passphraseWordSet;
+}
+
+function shuffleSecure(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+function generatePassword(options = {}) {
+    if (options.mode === 'passphrase') {
+        const words = getPassphraseWordlist();
+        const count = Math.min(Math.max(Number(options.words) || 5, 3), 12);
+        const picked = Array.from({ length: count }, () => {
+            const word = words[crypto.randomInt(words.length)];
+            return options.capitalize ? word[0].toUpperCase() + word.slice(1) : word;
+        });
+        if (options.includeNumber) {
+            const index = crypto.randomInt(picked.length);
+            picked[index] += crypto.randomInt(10);
+        }
+        return picked.join(options.separator ?? '-');
+    }
+
+    const length = Math.min(Math.max(Number(options.length) || 20, 8), 128);
+    const classes = Object.keys(PASSWORD_CHARSETS).filter((name) => options[name] !== false);
+    if (classes.length === 0) classes.push('lowercase');
+
+    // One character from every selected class, the rest from the combined pool
+    const pool = classes.map((name) => PASSWORD_CHARSETS[name]).join('');
+    const chars = classes.map((name) => PASSWORD_CHARSETS[name][crypto.randomInt(PASSWORD_CHARSETS[name].length)]);
+    while (chars.length < length) {
+        chars.push(pool[crypto.randomInt(pool.length)]);
+    }
+    return shuffleSecure(chars).join('');
+}
+
+// Rough zxcvbn-style estimate: character pool size, discounted for repeats, sequences and dictionary words
+function estimatePasswordEntropy(password) {
+    if (!password) return 0;
+
+    let pool = 0;
+    if (/[a-z]/.test(password)) pool += 26;
+    if (/[A-Z]/.test(password)) pool += 26;
+    if (/[0-9]/.test(password)) pool += 10;
+    if (/[^a-zA-Z0-9]/.test(password)) pool += 33;
+
+    let effectiveLength = 0;
+    for (let i = 0; i < password.length; i++) {
+        const code = password.charCodeAt(i);
+        const previous = password.charCodeAt(i - 1);
+        // Repeated characters and runs like "abc" / "321" add almost nothing
+        effectiveLength += (i > 0 && (code === previous || Math.abs(code - previous) === 1)) ? 0.25 : 1;
+    }
+
+    let bits = effectiveLength * Math.log2(pool);
+
+    // Passphrases are only as strong as the number of words picked from the list
+    const words = getPassphraseWordSet();
+    const parts = password.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    const isPassphrase = parts.length >= 2 && parts.every((part) => words.has(part));
+    if (isPassphrase) {
+        bits = Math.min(bits, parts.length * Math.log2(words.size) + (password.length - parts.join('').length) * 2);
+    }
+
+    // A password that is mostly a common word is only as strong as the word list
+    // (the list itself has "password" and "dragonfly", which passphrases may pick)
+    const lower = password.toLowerCase().replace(/[^a-z]/g, '');
+    if (!isPassphrase && lower.length >= 4) {
+        if (words.has(lower) || COMMON_PASSWORD_WORDS.some((word) => lower.includes(word))) {
+            bits = Math.min(bits, 13 + (password.length - lower.length) * 3.3);
+        }
+    }
+    return Math.round(bits);
+}
+
+module.exports = {
+    estimatePasswordEntropy,
+    generatePassword
+};
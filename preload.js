@@ -10,7 +10,7 @@
  * - nodeIntegration: false (renderer has no direct Node.js access)
  */
 
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Expose protected methods to the renderer process
 // These APIs are available in the renderer via window.focusFlowAPI
@@ -32,10 +32,15 @@ contextBridge.exposeInMainWorld('focusFlowAPI', {
         pause: (downloadId) => ipcRenderer.invoke('pause-download', downloadId),
         resume: (downloadId) => ipcRenderer.invoke('resume-download', downloadId),
         cancel: (downloadId) => ipcRenderer.invoke('cancel-download', downloadId),
+        remove: (downloadId) => ipcRenderer.invoke('remove-download', downloadId),
+        move: (downloadId, offset) => ipcRenderer.invoke('download-move', { downloadId, offset }),
+        verifyHash: (downloadId, expected) => ipcRenderer.invoke('download-verify-hash', { downloadId, expected }),
         open: (savePath) => ipcRenderer.invoke('open-download', savePath),
         showInFolder: (savePath) => ipcRenderer.invoke('show-download-folder', savePath),
         getAll: () => ipcRenderer.invoke('get-downloads'),
         clearCompleted: () => ipcRenderer.invoke('clear-completed-downloads'),
+        getDefaultFolder: () => ipcRenderer.invoke('downloads-get-default-folder'),
+        chooseFolder: (defaultPath) => ipcRenderer.invoke('downloads-choose-folder', defaultPath),
 
         // Event listeners for download updates
         onStarted: (callback) => {
@@ -46,6 +51,9 @@ contextBridge.exposeInMainWorld('focusFlowAPI', {
         },
         onCompleted: (callback) => {
             ipcRenderer.on('download-completed', (event, data) => callback(data));
+        },
+        onHashes: (callback) => {
+            ipcRenderer.on('download-hashes', (event, data) => callback(data));
         }
     },
 
@@ -81,6 +89,89 @@ contextBridge.exposeInMainWorld('focusFlowAPI', {
         openWindow: () => ipcRenderer.invoke('open-incognito-window')
     },
 
+    // ============================================
+    // Session Restore API
+    // ============================================
+    session: {
+        update: (state) => ipcRenderer.invoke('session-update', state),
+        getStartup: () => ipcRenderer.invoke('session-get-startup'),
+        restoreWindows: () => ipcRenderer.invoke('session-restore-windows'),
+        discardPrevious: () => ipcRenderer.invoke('session-discard-previous')
+    },
+
+    // Tabs: moving between windows, memory use and tabs opened by pages
+    tabs: {
+        snapshot: (data) => ipcRenderer.invoke('tab-snapshot', data),
+        detach: (data) => ipcRenderer.invoke('tab-detach', data),
+        adopt: (data) => ipcRenderer.invoke('tab-adopt', data),
+        getMetrics: () => ipcRenderer.invoke('tab-get-metrics'),
+        detachTree: (data) => ipcRenderer.invoke('tab-detach-tree', data),
+        onOpenFromPage: (callback) => {
+            ipcRenderer.on('tab-open-from-page', (event, data) => callback(data));
+        },
+        onReleased: (callback) => {
+            ipcRenderer.on('tab-released', (event, tabId) => callback(tabId));
+        }
+    },
+
+    defaultBrowser: {
+        getStatus: () => ipcRenderer.invoke('default-browser-get-status'),
+        set: () => ipcRenderer.invoke('default-browser-set'),
+        undo: () => ipcRenderer.invoke('default-browser-undo')
+    },
+
+    // URLs and files from the command line, second instances and the OS
+    launch: {
+        getUrls: () => ipcRenderer.invoke('launch-get-urls'),
+        onOpenUrls: (callback) => {
+            ipcRenderer.on('launch-open-urls', (event, urls) => callback(urls));
+        }
+    },
+
+    // ============================================
+    // Settings & Security API
+    // ============================================
+    settings: {
+        sync: (settings) => ipcRenderer.invoke('settings-sync', settings)
+    },
+
+    searchEngines: {
+        fetchOpenSearch: (guestWebContentsId, url) => ipcRenderer.invoke('search-engine-fetch-opensearch', { guestWebContentsId, url })
+    },
+
+    // Calls from paperstation:// tabs, already checked by the main process
+    internalPages: {
+        onCall: (callback) => {
+            ipcRenderer.on('internal-page-call', (event, data) => callback(data));
+        },
+        respond: (requestId, response) => ipcRenderer.send('internal-page-response', { requestId, ...response })
+    },
+
+    browsingData: {
+        clear: (options) => ipcRenderer.invoke('browsing-data-clear', options)
+    },
+
+    security: {
+        getHttpsFallback: (url) => ipcRenderer.invoke('security-get-https-fallback', url),
+        allowHttp: (url) => ipcRenderer.invoke('security-allow-http', url),
+        onPopupBlocked: (callback) => {
+            ipcRenderer.on('popup-blocked', (event, data) => callback(data));
+        }
+    },
+
+    // ============================================
+    // Content Blocker API
+    // ============================================
+    contentBlocker: {
+        getState: (webContentsId, url) => ipcRenderer.invoke('content-blocker-get-state', { webContentsId, url }),
+        setAllowlisted: (url, allowlisted) => ipcRenderer.invoke('content-blocker-set-allowlisted', { url, allowlisted }),
+        reloadLists: () => ipcRenderer.invoke('content-blocker-reload-lists'),
+        openListsFolder: () => ipcRenderer.invoke('content-blocker-open-lists-folder'),
+        onBlocked: (callback) => {
+            ipcRenderer.on('content-blocker-blocked', (event, data) => callback(data));
+        }
+    },
+
     // ============================================
     // Window Control API
     // ============================================
@@ -114,7 +205,9 @@ contextBridge.exposeInMainWorld('focusFlowAPI', {
             console.log('[DEBUG preload] Payload dataUrl type:', typeof payload.dataUrl);
             console.log('[DEBUG preload] Payload filename type:', typeof payload.filename);
             return ipcRenderer.invoke('file-save-image', payload);
-        }
+        },
+        // Dropped File objects no longer carry .path
+        getPathForFile: (file) => webUtils.getPathForFile(file)
     },
 
     // ============================================
@@ -124,6 +217,38 @@ contextBridge.exposeInMainWorld('focusFlowAPI', {
         savePassword: (data) => ipcRenderer.invoke('password-save', data),
         getPasswords: () => ipcRenderer.invoke('password-get-all'),
         deletePassword: (id) => ipcRenderer.invoke('password-delete', id),
-        verifyWithHello: () => ipcRenderer.invoke('password-verify-hello')
+        verifyWithHello: () => ipcRenderer.invoke('password-verify-hello'),
+
+        // Vault state
+        getStatus: () => ipcRenderer.invoke('password-vault-status'),
+        setup: (masterPassword) => ipcRenderer.invoke('password-vault-setup', { masterPassword }),
+        unlock: (masterPassword) => ipcRenderer.invoke('password-vault-unlock', { masterPassword }),
+        setMasterPassword: (masterPassword) => ipcRenderer.invoke('password-vault-set-master-password', { masterPassword }),
+        lock: () => ipcRenderer.invoke('password-vault-lock'),
+        migrateLegacy: (entries) => ipcRenderer.invoke('password-migrate-legacy', entries),
+        onLocked: (callback) => {
+            ipcRenderer.on('password-vault-locked', () => callback());
+        },
+
+        // Import / export
+        importPreview: (options) => ipcRenderer.invoke('password-import-preview', options),
+        importCommit: (options) => ipcRenderer.invoke('password-import-commit', options),
+        importCancel: () => ipcRenderer.invoke('password-import-cancel'),
+        exportPasswords: (options) => ipcRenderer.invoke('password-export', options),
+
+        // Generator and vault health
+        generate: (options) => ipcRenderer.invoke('password-generate', options),
+        getHealthReport: () => ipcRenderer.invoke('password-health-report'),
+        openBreachFolder: () => ipcRenderer.invoke('password-open-breach-folder'),
+
+        // Autofill (credentials captured by the webview preload)
+        confirmSave: (requestId) => ipcRenderer.invoke('autofill-confirm-save', requestId),
+        dismissSave: (requestId) => ipcRenderer.invoke('autofill-dismiss-save', requestId),
+        onSaveRequest: (callback) => {
+            ipcRenderer.on('autofill-save-request', (event, data) => callback(data));
+        },
+        onUnlockRequest: (callback) => {
+            ipcRenderer.on('autofill-unlock-request', () => callback());
+        }
     }
 });
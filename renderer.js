@@ -26,14 +26,106 @@ function loadSavedSettings() {
 
 const savedSettings = loadSavedSettings();
 
+// ============================================
+// Search Engines
+// ============================================
+// Every engine is a URL template where %s is replaced by the query. Typing an engine's
+// keyword followed by a space searches that engine instead of the default one.
+const BUILTIN_SEARCH_ENGINES = [
+    { id: 'google', name: 'Google', keyword: 'google', template: 'https://www.google.com/search?q=%s', homePage: 'https://www.google.com' },
+    { id: 'bing', name: 'Bing (China)', keyword: 'bing', template: 'https://cn.bing.com/search?q=%s', homePage: 'https://www.bing.com' },
+    { id: 'duckduckgo', name: 'DuckDuckGo', keyword: 'ddg', template: 'https://duckduckgo.com/?q=%s', homePage: 'https://duckduckgo.com' },
+    { id: 'brave', name: 'Brave Search', keyword: '', template: 'https://search.brave.com/search?q=%s', homePage: 'https://search.brave.com' },
+    { id: 'yahoo', name: 'Yahoo', keyword: 'yahoo', template: 'https://search.yahoo.com/search?p=%s', homePage: 'https://www.yahoo.com' },
+    { id: 'ecosia', name: 'Ecosia', keyword: 'ecosia', template: 'https://www.ecosia.org/search?q=%s', homePage: 'https://www.ecosia.org' },
+    { id: 'chickrubgo', name: 'ChickRubGo', keyword: 'crg', template: 'https://ruanmingze.github.io/ChickRubGo/search?q=%s', homePage: 'https://ruanmingze.github.io/ChickRubGo/' },
+    { id: 'scholar', name: 'Google Scholar', keyword: 'scholar', template: 'https://scholar.google.com/scholar?q=%s', homePage: 'https://scholar.google.com' },
+    { id: 'arxiv', name: 'arXiv', keyword: 'arxiv', template: 'https://arxiv.org/search/?query=%s&searchtype=all', homePage: 'https://arxiv.org' }
+];
+
+const DEFAULT_SEARCH_ENGINE = 'chickrubgo';
+// The preset home page has always searched Bing until an engine is chosen
+const PRESET_HOME_SEARCH_ENGINE = 'bing';
+
+const SearchEngines = {
+    // Built-in engines (with the user's keyword overrides) followed by custom ones
+    getAll() {
+        const settings = loadSavedSettings() || {};
+        const keywords = settings.searchEngineKeywords || {};
+        const builtins = BUILTIN_SEARCH_ENGINES.map(engine => ({
+            ...engine,
+            keyword: keywords[engine.id] ?? engine.keyword,
+            builtin: true
+        }));
+        const custom = (settings.customSearchEngines || []).map(engine => ({ ...engine, builtin: false }));
+        return [...builtins, ...custom];
+    },
+
+    get(id) {
+        return this.getAll().find(engine => engine.id === id) || null;
+    },
+
+    getDefault() {
+        const settings = loadSavedSettings();
+        return this.get(settings?.searchEngine) || this.get(DEFAULT_SEARCH_ENGINE);
+    },
+
+    findByKeyword(keyword) {
+        if (!keyword) return null;
+        const lower = keyword.toLowerCase();
+        return this.getAll().find(engine => engine.keyword && engine.keyword.toLowerCase() === lower) || null;
+    },
+
+    isValidTemplate(template) {
+        return OpenSearch.isValidTemplate(template);
+    },
+
+    buildUrl(engine, query) {
+        return engine.template.replace(/%s/g, encodeURIComponent(query));
+    },
+
+    getHomePage(engine) {
+        if (engine.homePage) return engine.homePage;
+        try {
+            return new URL(engine.template.replace(/%s/g, '')).origin;
+        } catch (e) {
+            return engine.template;
+        }
+    },
+
+    // "arxiv diffusion" -> { engine: arXiv, query: 'diffusion' }
+    parseKeywordQuery(input) {
+        const match = /^(\S+)\s+(.+)$/.exec((input || '').trim());
+        if (!match) return null;
+        const engine = this.findByKeyword(match[1]);
+        return engine ? { engine, query: match[2] } : null;
+    },
+
+    // OpenSearch 1.1 description -> { name, template }, or null when there is no usable GET URL
+    parseOpenSearchDescription(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) return null;
+
+        const name = doc.getElementsByTagNameNS('*', 'ShortName')[0]?.textContent.trim();
+        const urls = Array.from(doc.getElementsByTagNameNS('*', 'Url')).map(el => ({
+            type: el.getAttribute('type'),
+            method: el.getAttribute('method'),
+            template: el.getAttribute('template')
+        }));
+        const template = OpenSearch.getSearchTemplate(urls);
+        if (!name || !template) return null;
+        return { name, template };
+    }
+};
+
 const CONFIG = {
     get homePage() {
         const settings = loadSavedSettings();
         console.log('[CONFIG.homePage] 加载设置:', settings);
         console.log('[CONFIG.homePage] usePresetHomePage:', settings?.usePresetHomePage);
         if (settings && settings.usePresetHomePage) {
-            const searchEngine = settings.searchEngine || 'bing';
-            const presetHomeUrl = `./preset-home.html?searchEngine=${encodeURIComponent(searchEngine)}`;
+            const engine = SearchEngines.get(settings.searchEngine) || SearchEngines.get(PRESET_HOME_SEARCH_ENGINE);
+            const presetHomeUrl = `./preset-home.html?searchEngine=${encodeURIComponent(engine.id)}&template=${encodeURIComponent(engine.template)}`;
             console.log('[CONFIG.homePage] 返回预设主页:', presetHomeUrl);
             return presetHomeUrl;
         }
@@ -41,36 +133,9 @@ const CONFIG = {
             console.log('[CONFIG.homePage] 返回自定义主页:', settings.homePage);
             return settings.homePage;
         }
-        if (settings && settings.searchEngine) {
-            const engines = {
-                google: 'https://www.google.com',
-                bing: 'https://www.bing.com',
-                duckduckgo: 'https://duckduckgo.com',
-                yahoo: 'https://www.yahoo.com',
-                ecosia: 'https://www.ecosia.org'
-            };
-            const engineUrl = engines[settings.searchEngine] || 'https://ruanmingze.github.io/ChickRubGo/';
-            console.log('[CONFIG.homePage] 返回搜索引擎主页:', engineUrl);
-            return engineUrl;
-        }
-        const defaultUrl = 'https://ruanmingze.github.io/ChickRubGo/';
-        console.log('[CONFIG.homePage] 返回默认主页:', defaultUrl);
-        return defaultUrl;
-    },
-    get searchEngine() {
-        const settings = loadSavedSettings();
-        if (settings && settings.searchEngine) {
-            const engines = {
-                google: 'https://www.google.com/search?q=',
-                bing: 'https://cn.bing.com/search?q=',
-                duckduckgo: 'https://duckduckgo.com/?q=',
-                yahoo: 'https://search.yahoo.com/search?p=',
-                ecosia: 'https://www.ecosia.org/search?q=',
-                chickrubgo: 'https://ruanmingze.github.io/ChickRubGo/search?q='
-            };
-            return engines[settings.searchEngine] || 'https://ruanmingze.github.io/ChickRubGo/search?q=';
-        }
-        return 'https://ruanmingze.github.io/ChickRubGo/search?q=';
+        const engineUrl = SearchEngines.getHomePage(SearchEngines.getDefault());
+        console.log('[CONFIG.homePage] 返回搜索引擎主页:', engineUrl);
+        return engineUrl;
     },
     defaultTitle: IS_INCOGNITO ? '隐私标签页' : '新标签页',
     // Incognito uses ephemeral partition (no persist: prefix = no storage)
@@ -267,6 +332,9 @@ function showPrompt(message, defaultValue = '') {
     });
 }
 
+// Drag payload for tabs, readable by any PaperStation window
+const TAB_DRAG_TYPE = 'application/x-paperstation-tab';
+
 // ============================================
 // Tab Manager Class
 // ============================================
@@ -293,6 +361,12 @@ class TabManager {
         this.newTabBtn = document.getElementById('newTabBtn');
         this.bookmarkBtn = document.getElementById('bookmarkBtn');
         this.pwaInstallBtn = document.getElementById('pwaInstallBtn');
+        this.contentBlockerBtn = document.getElementById('contentBlockerBtn');
+        this.contentBlockerCount = document.getElementById('contentBlockerCount');
+        this.addSearchEngineBtn = document.getElementById('addSearchEngineBtn');
+        this.intranetHosts = this.loadIntranetHosts();
+        // OpenSearch description URL -> parsed engine (or null), so each is fetched once
+        this.openSearchCache = new Map();
 
         this.init();
     }
@@ -303,16 +377,48 @@ class TabManager {
         this.setupUrlInputListeners();
         this.setupNewTabListener();
         this.setupSearchInputListener();
+        this.setupSecurityListeners();
+        this.setupContentBlockerListeners();
+        this.setupSearchEngineListeners();
+        this.setupTabStripListeners();
+
+        this.groups = new TabGroupManager(this);
+        this.lifecycle = new TabLifecycleManager(this);
+        this.split = new SplitViewManager(this);
+        this.tree = new TabTreeManager(this);
+
+        // Restore the previous session or open the startup page
+        this.session = new SessionManager(this);
+        this.session.openStartupTabs();
+
+        // Later URLs from another launch of PaperStation open as new tabs here
+        window.focusFlowAPI?.launch?.onOpenUrls((urls) => {
+            urls.forEach(url => this.createTab(url));
+        });
+
+        // window.open, target=_blank fallbacks and the page context menu
+        window.focusFlowAPI?.tabs?.onOpenFromPage(({ url, openerWebContentsId }) => {
+            this.createTab(url, { openerTabId: this.findTabByWebContentsId(openerWebContentsId) });
+        });
+    }
 
-        // Create initial tab
-        this.createTab(CONFIG.homePage);
+    findTabByWebContentsId(webContentsId) {
+        if (!webContentsId) return null;
+        for (const [tabId, tab] of this.tabs) {
+            try {
+                if (tab.webview.getWebContentsId() === webContentsId) return tabId;
+            } catch (e) {
+                // Not attached or discarded
+            }
+        }
+        return null;
     }
 
     // ============================================
     // Tab Creation & Management
     // ============================================
 
-    createTab(url = CONFIG.homePage) {
+    createTab(url = CONFIG.homePage, options = {}) {
         const tabId = ++this.tabCounter;
 
         // Create tab element
@@ -320,7 +426,7 @@ class TabManager {
         this.tabsContainer.appendChild(tabElement);
 
         // Create webview and overlay
-        const { webview, overlay } = this.createWebview(tabId, url);
+        const { webview, overlay } = this.createWebview(tabId, url, options.restoreToken);
         this.webviewContainer.appendChild(webview);
         // Only add overlay if it's not null
         if (overlay) {
@@ -335,13 +441,52 @@ class TabManager {
             title: CONFIG.defaultTitle,
             favicon: null,
             url: url,
+            blockedCount: 0,
+            // How the next committed navigation started, for history visits
+            pendingTransition: options.restoreToken ? 'restore' : (options.openerTabId ? 'link' : 'typed'),
+            openerTabId: options.openerTabId || null,
+            // Tree-style tabs nest under this tab; unlike openerTabId it moves up when that tab closes
+            parentTabId: options.parentTabId ?? options.openerTabId ?? null,
+            treeCollapsed: !!options.treeCollapsed,
+            groupId: null,
+            pinned: false,
+            muted: false,
+            audible: false,
+            // Set while the webview is freed; see TabLifecycleManager
+            discarded: false,
+            restoreToken: null,
+            thumbnail: null,
+            lastActiveAt: Date.now(),
         });
 
+        if (options.pinned) {
+            this.setPinned(tabId, true);
+        }
+
+        // Links opened from a grouped tab stay in its group
+        const groupId = options.groupId ?? (options.openerTabId ? this.tabs.get(options.openerTabId)?.groupId : null);
+        if (groupId) {
+            this.groups.moveTabsToGroup([tabId], groupId);
+        }
+        this.tree.placeNewTab(tabId);
+        this.tree.render();
+
+        // Restored tabs show their saved title and icon until the page loads
+        if (options.title) {
+            this.updateTabTitle(tabId, options.title);
+        }
+        if (options.favicon) {
+            this.updateTabFavicon(tabId, options.favicon);
+        }
+
         // Set up webview event listeners
         this.setupWebviewListeners(tabId, webview);
 
         // Activate this tab
-        this.activateTab(tabId);
+        if (options.activate !== false) {
+            this.activateTab(tabId);
+        }
+        this.session?.scheduleSave();
 
         // Focus URL input for new tab
         if (url === CONFIG.newTabPage || url === 'about:blank') {
@@ -357,6 +502,11 @@ class TabManager {
         tab.dataset.tabId = tabId;
 
         tab.innerHTML = `
+      <button class="tab-tree-toggle">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="6 9 12 15 18 9"/>
+        </svg>
+      </button>
       <div class="tab-favicon">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <circle cx="12" cy="12" r="10"/>
@@ -364,23 +514,39 @@ class TabManager {
         </svg>
       </div>
       <span class="tab-title">${CONFIG.defaultTitle}</span>
+      <button class="tab-audio" title="静音标签页">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/>
+          <path class="tab-audio-waves" d="M15.54 8.46a5 5 0 0 1 0 7.07M19.07 4.93a10 10 0 0 1 0 14.14"/>
+          <path class="tab-audio-off" d="M23 9l-6 6M17 9l6 6"/>
+        </svg>
+      </button>
       <button class="tab-close" title="Close Tab">
         <svg viewBox="0 0 12 12"><path d="M2 2l8 8M10 2L2 10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>
       </button>
       <div class="tab-active-indicator"></div>
     `;
 
-        // Click to activate tab
+        // Click to activate tab; Ctrl/Shift+click selects tabs for grouping
         tab.addEventListener('click', (e) => {
-            if (!e.target.closest('.tab-close')) {
+            if (!e.target.closest('.tab-close') && !this.groups.handleTabClick(tabId, e)) {
                 this.activateTab(tabId);
             }
         });
 
-        // Right-click to close
         tab.addEventListener('contextmenu', (e) => {
             e.preventDefault();
-            this.closeTab(tabId);
+            this.showTabContextMenu(e, tabId);
+        });
+
+        tab.querySelector('.tab-tree-toggle').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.tree.toggleCollapsed(tabId);
+        });
+
+        tab.querySelector('.tab-audio').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleMute(tabId);
         });
 
         // Close button click
@@ -389,10 +555,13 @@ class TabManager {
             this.closeTab(tabId);
         });
 
+        tab.draggable = true;
+        this.setupTabDrag(tab, tabId);
+
         return tab;
     }
 
-    createWebview(tabId, url) {
+    createWebview(tabId, url, restoreToken = null) {
         const webview = document.createElement('webview');
         webview.id = `webview-${tabId}`;
         webview.className = 'browser-webview';
@@ -402,7 +571,10 @@ class TabManager {
         webview.setAttribute('plugins', 'false');
 
         // Set initial URL
-        if (url && url !== 'about:blank') {
+        if (restoreToken) {
+            // The main process swaps this marker for the tab's saved back/forward stack
+            webview.src = `about:blank#paperstation-restore=${restoreToken}`;
+        } else if (url && url !== 'about:blank') {
             webview.src = this.normalizeUrl(url);
         }
 
@@ -504,6 +676,15 @@ class TabManager {
             this.updateTabTitle(tabId, e.title);
         });
 
+        // Audio indicator; a tab muted before its page attached is muted once it has
+        webview.addEventListener('media-started-playing', () => this.setTabAudible(tabId, true));
+        webview.addEventListener('media-paused', () => this.setTabAudible(tabId, false));
+        webview.addEventListener('dom-ready', () => {
+            if (this.tabs.get(tabId)?.muted) {
+                webview.setAudioMuted(true);
+            }
+        });
+
         // Favicon updated
         webview.addEventListener('page-favicon-updated', (e) => {
             if (e.favicons && e.favicons.length > 0) {
@@ -563,8 +744,20 @@ class TabManager {
         });
 
         // Loading failed
-        webview.addEventListener('did-fail-load', (e) => {
-            if (e.errorCode !== -3) { // -3 is aborted
+        webview.addEventListener('did-fail-load', async (e) => {
+            if (e.errorCode !== -3 && e.isMainFrame !== false) { // -3 is aborted
+                // An automatic HTTPS upgrade failed: warn before falling back to HTTP
+                if (window.focusFlowAPI?.security) {
+                    const httpUrl = await window.focusFlowAPI.security.getHttpsFallback(e.validatedURL);
+                    if (httpUrl) {
+                        if (this.activeTabId === tabId) {
+                            this.setStatus('此网站不支持 HTTPS');
+                        }
+                        this.showErrorInIframe(tabId, `errors/https-only.html?url=${encodeURIComponent(httpUrl)}`);
+                        return;
+                    }
+                }
+
                 if (this.activeTabId === tabId) {
                     this.setStatus(`错误：${e.errorDescription}`);
                 }
@@ -604,6 +797,10 @@ class TabManager {
         webview.addEventListener('new-window', (e) => {
             e.preventDefault();
             const url = e.url;
+            if (e.disposition === 'new-window' && this.isPopupBlockingEnabled()) {
+                this.handlePopupBlocked(url);
+                return;
+            }
             // Handle relative paths
             if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('file://') && !url.startsWith('about:')) {
                 // Get current tab's URL to resolve relative path
@@ -611,15 +808,15 @@ class TabManager {
                 if (currentTab && currentTab.url) {
                     try {
                         const resolvedUrl = new URL(url, currentTab.url).href;
-                        this.createTab(resolvedUrl);
+                        this.createTab(resolvedUrl, { openerTabId: tabId });
                     } catch (err) {
-                        this.createTab(url);
+                        this.createTab(url, { openerTabId: tabId });
                     }
                 } else {
-                    this.createTab(url);
+                    this.createTab(url, { openerTabId: tabId });
                 }
             } else {
-                this.createTab(url);
+                this.createTab(url, { openerTabId: tabId });
             }
         });
 
@@ -656,13 +853,21 @@ class TabManager {
             
             // Check for service worker and PWA capabilities
             this.checkPwaCapabilities(tabId, webview);
+
+            this.detectOpenSearch(tabId, webview);
             
             // Handle target="_blank" links to open in new tabs
             webview.executeJavaScript(`
                 // Override window.open to handle target="_blank"
                 const originalOpen = window.open;
                 window.open = function(url, target, features) {
-                    if (target === '_blank' || !target) {
+                    const sized = !!features && /(width|height|left|top|popup)\\s*=/i.test(features);
+                    if (sized || target === '_blank' || !target) {
+                        // A new window opened without a click or key press is a popup; the browser decides whether to allow it
+                        if (!navigator.userActivation || !navigator.userActivation.isActive) {
+                            console.log('OPEN_POPUP:' + url);
+                            return null;
+                        }
                         // Open in new tab
                         console.log('OPEN_IN_NEW_TAB:' + url);
                         return {
@@ -716,31 +921,42 @@ class TabManager {
 
         // Listen for messages from webview (for opening new tabs)
         webview.addEventListener('console-message', (e) => {
-            if (e.message && e.message.startsWith('OPEN_IN_NEW_TAB:')) {
-                const url = e.message.replace('OPEN_IN_NEW_TAB:', '').trim();
+            let message = e.message;
+            if (message && message.startsWith('OPEN_POPUP:')) {
+                const url = message.replace('OPEN_POPUP:', '').trim();
+                if (this.resolveOpenedUrl(tabId, url) === null) return;
+                if (this.isPopupBlockingEnabled()) {
+                    this.handlePopupBlocked(url);
+                    return;
+                }
+                message = 'OPEN_IN_NEW_TAB:' + url;
+            }
+            if (message && message.startsWith('OPEN_IN_NEW_TAB:')) {
+                const url = this.resolveOpenedUrl(tabId, message.replace('OPEN_IN_NEW_TAB:', '').trim());
                 if (url) {
-                    // Handle relative paths
-                    if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('file://') && !url.startsWith('about:')) {
-                        // Get current tab's URL to resolve relative path
-                        const currentTab = this.tabs.get(tabId);
-                        if (currentTab && currentTab.url) {
-                            try {
-                                const resolvedUrl = new URL(url, currentTab.url).href;
-                                this.createTab(resolvedUrl);
-                            } catch (err) {
-                                this.createTab(url);
-                            }
-                        } else {
-                            this.createTab(url);
-                        }
-                    } else {
-                        this.createTab(url);
-                    }
+                    this.createTab(url, { openerTabId: tabId });
                 }
             }
         });
     }
 
+    // URL a page asked to open in a new tab, resolved against the page; null if it may not open it
+    resolveOpenedUrl(tabId, url) {
+        if (!url) return null;
+        const currentTab = this.tabs.get(tabId);
+        let resolvedUrl = url;
+        // Handle relative paths
+        if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('file://') && !url.startsWith('about:') && currentTab?.url) {
+            try {
+                resolvedUrl = new URL(url, currentTab.url).href;
+            } catch (err) {
+            }
+        }
+        // Like setWindowOpenHandler in main.js, only internal pages may open other internal pages
+        if (isInternalUrl(resolvedUrl) && !isInternalUrl(currentTab?.url)) return null;
+        return resolvedUrl;
+    }
+
     activateTab(tabId) {
         const tab = this.tabs.get(tabId);
         if (!tab) return;
@@ -749,6 +965,7 @@ class TabManager {
         if (this.activeTabId !== null) {
             const currentTab = this.tabs.get(this.activeTabId);
             if (currentTab) {
+                this.lifecycle.onTabDeactivated(this.activeTabId);
                 currentTab.element.classList.remove('active');
                 currentTab.webview.style.display = 'none';
                 if (currentTab.overlay) {
@@ -762,7 +979,11 @@ class TabManager {
 
         // Activate new tab
         this.activeTabId = tabId;
+        this.lifecycle.restore(tabId);
+        this.lifecycle.onTabActivated(tabId);
         tab.element.classList.add('active');
+        this.groups.onTabActivated(tabId);
+        this.tree.onTabActivated(tabId);
         if (tab.errorIframe) {
             tab.errorIframe.style.display = 'block';
             tab.webview.style.display = 'none';
@@ -777,15 +998,21 @@ class TabManager {
         this.updateUrlBar(tab.url);
         this.updateSecurityIndicator(tab.url);
         this.updateNavigationState();
+        this.updateContentBlockerButton();
+        this.updateSearchEngineButton();
 
         // Hide new tab page if showing webview
         this.toggleNewTabPage(tab.url === 'about:blank' || !tab.url);
         
+        this.split.layout();
+
         // Check PWA capabilities for the new active tab (safely)
         try {
             this.checkPwaCapabilities(tabId, tab.webview);
         } catch (err) {
         }
+
+        this.session?.scheduleSave();
     }
 
     closeTab(tabId) {
@@ -799,10 +1026,12 @@ class TabManager {
             return;
         }
 
-        // Find next tab to activate
-        const tabIds = Array.from(this.tabs.keys());
+        // Find next tab to activate, skipping tabs hidden in collapsed groups
+        const tabIds = this.getOrderedTabIds().filter(id => id === tabId || (!this.groups.isTabCollapsed(id) && !this.tree.isHidden(id)));
         const currentIndex = tabIds.indexOf(tabId);
-        const nextTabId = tabIds[currentIndex === 0 ? 1 : currentIndex - 1];
+        const nextTabId = this.split.getPartner(tabId)
+            ?? tabIds[currentIndex === 0 ? 1 : currentIndex - 1]
+            ?? Array.from(this.tabs.keys()).find(id => id !== tabId);
 
         // Remove tab
         tab.element.remove();
@@ -813,754 +1042,2698 @@ class TabManager {
         if (tab.errorIframe) {
             tab.errorIframe.remove();
         }
+        this.lifecycle.onTabClosed(tab);
         this.tabs.delete(tabId);
+        this.groups.onTabClosed(tabId);
+        this.split.onTabClosed(tabId);
+        this.tree.onTabClosed(tabId, tab);
 
         // Activate next tab if this was active
         if (this.activeTabId === tabId) {
             this.activateTab(nextTabId);
         }
+        this.session?.scheduleSave();
     }
 
-    showErrorInIframe(tabId, errorPagePath) {
-        const tab = this.tabs.get(tabId);
-        if (!tab) return;
-
-        // Remove any existing error iframe
-        if (tab.errorIframe) {
-            tab.errorIframe.remove();
-        }
-
-        // Create error iframe
-        const iframe = document.createElement('iframe');
-        iframe.id = `error-iframe-${tabId}`;
-        iframe.className = 'error-iframe';
-        iframe.src = errorPagePath;
-        iframe.style.cssText = `
-            position: absolute;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            border: none;
-            z-index: 1000;
-        `;
-
-        // Add iframe to webview container
-        this.webviewContainer.appendChild(iframe);
-
-        // Store reference to iframe in tab data
-        tab.errorIframe = iframe;
-
-        // Hide webview
-        tab.webview.style.display = 'none';
-
-        // Show iframe
-        iframe.style.display = 'block';
+    // Tab ids in the order they appear in the tab strip
+    getOrderedTabIds() {
+        return Array.from(this.tabsContainer.querySelectorAll('.tab'))
+            .map(el => parseInt(el.dataset.tabId))
+            .filter(id => this.tabs.has(id));
     }
 
-    hideErrorIframe(tabId) {
+    // ============================================
+    // Pinning, Muting & Tab Context Menu
+    // ============================================
+
+    setPinned(tabId, pinned) {
         const tab = this.tabs.get(tabId);
-        if (!tab || !tab.errorIframe) return;
+        if (!tab || tab.pinned === pinned) return;
 
-        // Remove error iframe
-        tab.errorIframe.remove();
-        tab.errorIframe = null;
+        if (pinned && tab.groupId) {
+            this.groups.removeTabsFromGroup([tabId]);
+        }
+        tab.pinned = pinned;
+        tab.element.classList.toggle('pinned', pinned);
 
-        // Show webview again
-        tab.webview.style.display = 'flex';
+        // Pinned tabs sit at the start of the strip; unpinning leaves the tab just after them
+        const lastPinned = this.getOrderedTabIds().filter(id => id !== tabId && this.tabs.get(id).pinned).pop();
+        if (lastPinned !== undefined) {
+            this.tabs.get(lastPinned).element.after(tab.element);
+        } else {
+            this.tabsContainer.prepend(tab.element);
+        }
+        this.groups.render();
+        this.session?.scheduleSave();
     }
 
-    updateTabTitle(tabId, title) {
+    toggleMute(tabId) {
         const tab = this.tabs.get(tabId);
         if (!tab) return;
 
-        tab.title = title || CONFIG.defaultTitle;
-        const titleEl = tab.element.querySelector('.tab-title');
-        if (titleEl) {
-            titleEl.textContent = tab.title;
-            titleEl.title = tab.title; // Tooltip for long titles
+        tab.muted = !tab.muted;
+        try {
+            tab.webview.setAudioMuted(tab.muted);
+        } catch (e) {
+            // Not attached yet; dom-ready applies it
         }
+        this.updateTabAudio(tabId);
     }
 
-    updateTabFavicon(tabId, faviconUrl) {
+    setTabAudible(tabId, audible) {
         const tab = this.tabs.get(tabId);
         if (!tab) return;
-
-        tab.favicon = faviconUrl;
-        const faviconEl = tab.element.querySelector('.tab-favicon');
-        if (faviconEl) {
-            faviconEl.innerHTML = `<img src="${faviconUrl}" alt="" onerror="this.style.display='none'"/>`;
-        }
+        tab.audible = audible;
+        this.updateTabAudio(tabId);
     }
 
-    // ============================================
-    // Navigation
-    // ============================================
-
-    navigate(input) {
-        console.log('[TabManager.navigate] 导航到:', input);
-        let url = input.trim();
-        
-        // Use normalizeUrl directly to handle all cases correctly
-        url = this.normalizeUrl(input);
-        console.log('[TabManager.navigate] 规范化后的URL:', url);
-        
-        const tab = this.tabs.get(this.activeTabId);
-
-        if (tab && tab.webview) {
-            // Hide any existing error iframe
-            this.hideErrorIframe(this.activeTabId);
-            
-            tab.webview.src = url;
-            tab.url = url;
-            this.toggleNewTabPage(false);
-        }
+    updateTabAudio(tabId) {
+        const tab = this.tabs.get(tabId);
+        tab.element.classList.toggle('audible', tab.audible);
+        tab.element.classList.toggle('muted', tab.muted);
+        tab.element.querySelector('.tab-audio').title = tab.muted ? '取消静音' : '静音标签页';
     }
 
-    normalizeUrl(input) {
-        if (!input || input === 'about:blank') return input;
-
-        input = input.trim();
+    // Copies keep their back/forward history and open right after the original
+    async duplicateTab(tabId) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return;
 
-        // Check if it's already a valid URL
-        if (/^https?:\/\//i.test(input)) {
-            return input;
+        let restoreToken = null;
+        try {
+            const result = await window.focusFlowAPI?.tabs?.snapshot({ guestWebContentsId: tab.webview.getWebContentsId(), url: tab.url });
+            restoreToken = result?.success ? result.restoreToken : null;
+        } catch (e) {
+            // Webview not attached yet; the copy starts from the URL alone
         }
 
-        // Check if it's a local file path
-        if (input.startsWith('./') || input.startsWith('../') || input.includes('.html') || input.includes('.htm')) {
-            // Return as is for local files
-            return input;
-        }
+        const newTabId = this.createTab(tab.url, {
+            restoreToken,
+            title: tab.title,
+            favicon: tab.favicon,
+            pinned: tab.pinned,
+            groupId: tab.groupId,
+            parentTabId: tab.parentTabId
+        });
+        this.moveTab(newTabId, tabId, true);
+    }
 
-        // Check if it looks like a domain
-        if (/^[\w-]+(\.[\w-]+)+/.test(input) && !input.includes(' ')) {
-            return 'https://' + input;
-        }
+    // Pinned tabs are kept by "close others" and "close to the right"
+    closeOtherTabs(tabId) {
+        this.activateTab(tabId);
+        this.getOrderedTabIds()
+            .filter(id => id !== tabId && !this.tabs.get(id).pinned)
+            .forEach(id => this.closeTab(id));
+    }
 
-        // Otherwise, treat as search query
-        return CONFIG.searchEngine + encodeURIComponent(input);
+    closeTabsToRight(tabId) {
+        const ordered = this.getOrderedTabIds();
+        ordered.slice(ordered.indexOf(tabId) + 1)
+            .filter(id => !this.tabs.get(id).pinned)
+            .forEach(id => this.closeTab(id));
     }
 
-    handleNavigation(tabId, url) {
+    showTabContextMenu(e, tabId) {
         const tab = this.tabs.get(tabId);
         if (!tab) return;
+        this.closeTabContextMenu();
 
-        tab.url = url;
+        const ordered = this.getOrderedTabIds();
+        const hasOthers = ordered.some(id => id !== tabId && !this.tabs.get(id).pinned);
+        const hasRight = ordered.slice(ordered.indexOf(tabId) + 1).some(id => !this.tabs.get(id).pinned);
+        const items = [
+            { label: '新建标签页', action: () => this.createTab() },
+            { divider: true },
+            { label: '重新加载', action: () => tab.discarded ? this.lifecycle.restore(tabId) : tab.webview.reload() },
+            { label: '复制标签页', action: () => this.duplicateTab(tabId) },
+            { label: tab.pinned ? '取消固定' : '固定', action: () => this.setPinned(tabId, !tab.pinned) },
+            { label: tab.muted ? '取消静音' : '静音标签页', action: () => this.toggleMute(tabId) },
+            tab.groupId
+                ? { label: '从组中移除', action: () => this.groups.removeTabsFromGroup([tabId]) }
+                : { label: '添加到新组', enabled: !tab.pinned, action: () => this.groups.showEditor(this.groups.createGroup([tabId])) },
+            this.getSplitMenuItem(tabId),
+            ...this.getTreeMenuItems(tabId),
+            { divider: true },
+            { label: '关闭', action: () => this.closeTab(tabId) },
+            { label: '关闭其他标签页', enabled: hasOthers, action: () => this.closeOtherTabs(tabId) },
+            { label: '关闭右侧标签页', enabled: hasRight, action: () => this.closeTabsToRight(tabId) }
+        ];
 
-        if (this.activeTabId === tabId) {
-            this.updateUrlBar(url);
-            this.updateSecurityIndicator(url);
-            this.updateNavigationState();
-        }
-    }
+        const menu = document.createElement('div');
+        menu.className = 'tab-context-menu';
+        items.forEach(item => {
+            if (item.divider) {
+                menu.appendChild(Object.assign(document.createElement('div'), { className: 'tab-context-menu-divider' }));
+                return;
+            }
+            const button = document.createElement('button');
+            button.className = 'tab-context-menu-item';
+            button.textContent = item.label;
+            button.disabled = item.enabled === false;
+            button.addEventListener('click', () => {
+                this.closeTabContextMenu();
+                item.action();
+            });
+            menu.appendChild(button);
+        });
 
-    goBack() {
-        const tab = this.tabs.get(this.activeTabId);
-        if (tab && tab.webview && tab.webview.canGoBack()) {
-            tab.webview.goBack();
-        }
+        document.body.appendChild(menu);
+        menu.style.left = `${Math.min(e.clientX, window.innerWidth - menu.offsetWidth - 4)}px`;
+        menu.style.top = `${Math.min(e.clientY, window.innerHeight - menu.offsetHeight - 4)}px`;
+        this.tabContextMenu = menu;
     }
 
-    goForward() {
-        const tab = this.tabs.get(this.activeTabId);
-        if (tab && tab.webview && tab.webview.canGoForward()) {
-            tab.webview.goForward();
-        }
+    getTreeMenuItems(tabId) {
+        if (!this.tree.enabled || this.tree.getDescendants(tabId).length === 0) return [];
+        const tab = this.tabs.get(tabId);
+        return [
+            { divider: true },
+            { label: tab.treeCollapsed ? '展开子标签页' : '折叠子标签页', action: () => this.tree.toggleCollapsed(tabId) },
+            { label: '关闭此标签页及其子标签页', action: () => this.tree.closeSubtree(tabId) },
+            { label: '将此标签页及其子标签页移至新窗口', enabled: !CONFIG.isIncognito, action: () => this.tree.moveSubtreeToNewWindow(tabId) }
+        ];
     }
 
-    reload() {
-        const tab = this.tabs.get(this.activeTabId);
-        if (tab && tab.webview) {
-            tab.webview.reload();
+    getSplitMenuItem(tabId) {
+        if (this.split.getPartner(tabId) !== null) {
+            return { label: '退出分屏', action: () => this.split.exit() };
         }
+        if (tabId === this.activeTabId) {
+            return { label: '在分屏中打开新标签页', action: () => this.split.openWithNewTab() };
+        }
+        return { label: '与当前标签页分屏显示', action: () => this.split.openWithTab(tabId) };
     }
 
-    openDevTools() {
-        const tab = this.tabs.get(this.activeTabId);
-        if (tab && tab.webview) {
-            tab.webview.openDevTools();
-        }
+    closeTabContextMenu() {
+        this.tabContextMenu?.remove();
+        this.tabContextMenu = null;
     }
 
-    checkPwaCapabilities(tabId, webview) {
-        if (!webview) return;
+    setupTabStripListeners() {
+        document.addEventListener('mousedown', (e) => {
+            if (this.tabContextMenu && !this.tabContextMenu.contains(e.target)) {
+                this.closeTabContextMenu();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeTabContextMenu();
+        });
+        window.addEventListener('blur', () => this.closeTabContextMenu());
 
-        try {
-            // Check if page has service worker and is installable
-            webview.executeJavaScript(`
-            (async function() {
-                // Check if service worker is registered
-                const registrations = await navigator.serviceWorker.getRegistrations();
-                const hasServiceWorker = registrations.length > 0;
-                
-                // Check if PWA is installable
-                let isInstallable = false;
-                try {
-                    // Check for manifest
-                    const manifestLink = document.querySelector('link[rel="manifest"]');
-                    if (manifestLink) {
-                        isInstallable = true;
-                    }
-                } catch (e) {
-                }
-                
-                return { hasServiceWorker, isInstallable };
-            })();
-        `).then(result => {
-            if (result && result.hasServiceWorker && result.isInstallable) {
-                // Show PWA install button if this is the active tab
-                if (tabId === this.activeTabId && this.pwaInstallBtn) {
-                    console.log('PWA: Showing install button for tab', tabId);
-                    this.pwaInstallBtn.style.display = 'flex';
-                    
-                    // Add click event listener for PWA install
-                    this.pwaInstallBtn.onclick = () => {
-                        console.log('PWA: Install button clicked for tab', tabId);
-                        this.installPWA(tabId, webview);
-                    };
-                }
-            } else {
-                // Hide PWA install button
-                if (this.pwaInstallBtn) {
-                    console.log('PWA: Hiding install button for tab', tabId);
-                    this.pwaInstallBtn.style.display = 'none';
-                }
-            }
-        }).catch(err => {
-            // Hide button on error
-            if (this.pwaInstallBtn) {
-                this.pwaInstallBtn.style.display = 'none';
+        this.tabsContainer.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.showDropIndicator(this.getTabDropTarget(e));
+        });
+
+        this.tabsContainer.addEventListener('dragleave', (e) => {
+            if (!this.tabsContainer.contains(e.relatedTarget)) {
+                this.showDropIndicator(null);
             }
         });
-    } catch (err) {
-        // Hide button on error
-        if (this.pwaInstallBtn) {
-            this.pwaInstallBtn.style.display = 'none';
-        }
-    }
-    }
 
-    installPWA(tabId, webview) {
-        console.log('PWA: installPWA called for tab', tabId);
-        // Get the current active tab's webview
-        const activeWebview = webview || document.getElementById(`webview-${this.activeTabId}`);
-        console.log('PWA: Active webview found:', !!activeWebview);
-        if (!activeWebview) {
-            console.log('PWA: No active webview found');
-            return;
-        }
+        this.tabsContainer.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+            e.preventDefault();
+            const target = this.getTabDropTarget(e);
+            this.showDropIndicator(null);
 
-        // Trigger PWA installation
-        console.log('PWA: Executing JavaScript on webview');
-        
-        // First, check if deferredPrompt exists
-        activeWebview.executeJavaScript('!!window.deferredPrompt')
-            .then(hasDeferredPrompt => {
-                console.log('PWA: Has deferredPrompt:', hasDeferredPrompt);
-                
-                if (hasDeferredPrompt) {
-                    // Trigger the installation prompt
-                    return activeWebview.executeJavaScript(`
-                        (function() {
-                            console.log('PWA: Triggering install prompt');
-                            window.deferredPrompt.prompt();
-                            window.deferredPrompt.userChoice.then(function(choiceResult) {
-                                console.log('PWA: User choice:', choiceResult.outcome);
-                                window.deferredPrompt = null;
-                            });
-                            return true;
-                        })();
-                    `);
+            let data = null;
+            try {
+                data = JSON.parse(e.dataTransfer.getData(TAB_DRAG_TYPE));
+            } catch (err) {
+                return;
+            }
+
+            // Tab ids are per window, so only a drag that started here is a local move
+            if (this.draggedTabId === data.tabId) {
+                if (target) {
+                    this.moveTab(data.tabId, target.tabId, target.after);
                 } else {
-                    console.log('PWA: No deferredPrompt available');
-                    // Try to show a message to the user
-                    this.showNotification('PWA 无法安装', '由于技术限制，PWA安装功能暂时不可用');
-                    return Promise.resolve(false);
+                    this.moveTabToEnd(data.tabId);
                 }
-            })
-            .then(() => {
-                console.log('PWA: Installation prompt triggered');
-                this.setStatus('PWA 安装提示已显示');
-            })
-            .catch(err => {
-                console.error('PWA: Error triggering installation:', err);
-                this.setStatus('PWA 无法安装');
-                this.showNotification('PWA 无法安装', '由于技术限制，PWA安装功能暂时不可用');
-            });
+            } else {
+                this.adoptTab(data, target);
+            }
+        });
+
+        // Another window took one of our tabs
+        window.focusFlowAPI?.tabs?.onReleased((tabId) => {
+            if (!this.tabs.has(tabId)) return;
+            if (this.tabs.size === 1) {
+                window.focusFlowAPI.window.close();
+            } else {
+                this.closeTab(tabId);
+            }
+        });
     }
 
-    async captureScreenshot() {
-        const tab = this.tabs.get(this.activeTabId);
-        if (!tab || !tab.webview) {
-            this.showNotification('截图失败', '没有找到活动标签页或webview');
-            return;
-        }
+    // ============================================
+    // Tab Drag & Drop
+    // ============================================
 
-        try {
-            const webview = tab.webview;
-            
-            if (typeof webview.capturePage !== 'function') {
-                throw new Error('Webview does not support capturePage method');
-            }
-            
-            let image;
+    setupTabDrag(element, tabId) {
+        element.addEventListener('dragstart', (e) => {
+            const tab = this.tabs.get(tabId);
+            let guestWebContentsId = null;
             try {
-                image = await webview.capturePage();
-            } catch (e) {
-                throw new Error('Capture failed: ' + e.message);
-            }
-            
-            if (!image || typeof image.toDataURL !== 'function') {
-                throw new Error('Invalid image object');
+                guestWebContentsId = tab.webview.getWebContentsId();
+            } catch (err) {
+                // Not attached yet; it can still be reordered here
             }
-            
-            console.log('[DEBUG] Converting image to data URL...');
-            const dataUrl = image.toDataURL();
-            console.log('[DEBUG] Data URL generated, length:', dataUrl ? dataUrl.length : 0);
-            console.log('[DEBUG] Data URL prefix:', dataUrl ? dataUrl.substring(0, 50) : 'null');
 
-            console.log('[DEBUG] Data URL received, type:', typeof dataUrl);
+            this.draggedTabId = tabId;
+            this.closeTabContextMenu();
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData(TAB_DRAG_TYPE, JSON.stringify({
+                tabId,
+                guestWebContentsId,
+                url: tab.url,
+                title: tab.title,
+                favicon: tab.favicon,
+                pinned: tab.pinned
+            }));
+            element.classList.add('dragging');
+        });
 
-            if (!dataUrl || typeof dataUrl !== 'string') {
-                console.error('[DEBUG] Invalid data URL type');
-                throw new Error('Invalid data URL: must be a string');
-            }
+        element.addEventListener('dragend', (e) => {
+            element.classList.remove('dragging');
+            this.draggedTabId = null;
+            this.showDropIndicator(null);
 
-            if (!dataUrl.startsWith('data:image/png;base64,')) {
-                console.error('[DEBUG] Invalid data URL format');
-                throw new Error('Invalid data URL format: must be a PNG image');
+            // Nobody accepted the drop and it ended outside the window or well below the strip
+            if (e.dataTransfer.dropEffect !== 'none' || !this.tabs.has(tabId) || this.tabs.size === 1) return;
+            const outside = e.screenX < window.screenX || e.screenX > window.screenX + window.outerWidth
+                || e.screenY < window.screenY || e.screenY > window.screenY + window.outerHeight;
+            const strip = this.tabsContainer.getBoundingClientRect();
+            const belowStrip = this.tree.enabled ? e.clientX > strip.right + 80 : e.clientY > strip.bottom + 80;
+            if (outside || belowStrip) {
+                this.detachTab(tabId, e.screenX, e.screenY);
             }
+        });
+    }
 
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `screenshot-${timestamp}.png`;
-            console.log('[DEBUG] Filename generated:', filename);
-            
-            if (!window.focusFlowAPI || !window.focusFlowAPI.file || !window.focusFlowAPI.file.saveImage) {
-                console.error('[DEBUG] FocusFlow API not available');
-                throw new Error('FocusFlow API not available');
-            }
+    // The tab under the pointer and which side of it to drop on; a group header means its first tab
+    getTabDropTarget(e) {
+        const header = e.target.closest('.tab-group-header');
+        if (header) {
+            const firstTabId = this.groups.getGroupTabIds(parseInt(header.dataset.groupId))[0];
+            return firstTabId !== undefined ? { tabId: firstTabId, after: false } : null;
+        }
 
-            console.log('[DEBUG] Calling saveImage with dataUrl length:', dataUrl.length);
-            
-            const result = await window.focusFlowAPI.file.saveImage(dataUrl, filename);
-            
-            console.log('[DEBUG] saveImage result:', result);
-            
-            if (result && result.success) {
-                console.log('Screenshot saved to:', result.filePath);
-                this.showNotification('截图已保存', `文件已保存到: ${result.filePath}`);
+        const element = e.target.closest('.tab');
+        if (!element || !this.tabsContainer.contains(element)) return null;
+        const rect = element.getBoundingClientRect();
+        const after = this.tree.enabled ? e.clientY > rect.top + rect.height / 2 : e.clientX > rect.left + rect.width / 2;
+        return { tabId: parseInt(element.dataset.tabId), after };
+    }
+
+    showDropIndicator(target) {
+        this.tabsContainer.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+            el.classList.remove('drop-before', 'drop-after');
+        });
+        const element = target && this.tabs.get(target.tabId)?.element;
+        if (element) {
+            element.classList.add(target.after ? 'drop-after' : 'drop-before');
+        }
+    }
+
+    // A moved tab joins the group of the tab it is dropped next to; pinned and unpinned tabs keep to their own zones
+    moveTab(tabId, targetTabId, after) {
+        const tab = this.tabs.get(tabId);
+        const target = this.tabs.get(targetTabId);
+        if (!tab || !target || tabId === targetTabId) return;
+
+        // In the tree view a tab takes the tabs under it along, and cannot be dropped among them
+        const subtree = this.tree.enabled && !tab.pinned ? this.tree.getDescendants(tabId) : [];
+        if (subtree.includes(targetTabId)) return;
+
+        if (tab.pinned === target.pinned) {
+            tab.groupId = target.groupId;
+            if (after) {
+                target.element.after(tab.element);
             } else {
-                console.error('Failed to save screenshot:', result.error);
-                this.showNotification('保存失败', result.error || '未知错误');
+                target.element.before(tab.element);
+            }
+        } else {
+            // Dropped across the boundary: stop at the edge of the tab's own zone
+            tab.groupId = null;
+            const lastPinned = this.getOrderedTabIds().filter(id => id !== tabId && this.tabs.get(id).pinned).pop();
+            if (lastPinned !== undefined) {
+                this.tabs.get(lastPinned).element.after(tab.element);
+            } else {
+                this.tabsContainer.prepend(tab.element);
             }
-        } catch (error) {
-            console.error('[DEBUG] Error in captureScreenshot:', error);
-            console.error('[DEBUG] Error stack:', error.stack);
-            this.showNotification('截图失败', error.message || '未知错误');
         }
+        subtree.reduce((anchor, id) => {
+            const child = this.tabs.get(id);
+            child.groupId = tab.groupId;
+            anchor.after(child.element);
+            return child.element;
+        }, tab.element);
+
+        this.groups.pruneGroups();
+        this.groups.render();
+        this.session?.scheduleSave();
     }
 
-    showNotification(title, message) {
-        const notification = document.createElement('div');
-        notification.className = 'notification';
-        notification.innerHTML = `
-            <div class="notification-content">
-                <div class="notification-title">${title}</div>
-                <div class="notification-message">${message}</div>
-            </div>
-        `;
-        document.body.appendChild(notification);
+    // Dropped on empty space at the end of the strip
+    moveTabToEnd(tabId) {
+        const tab = this.tabs.get(tabId);
+        if (!tab || tab.pinned) return;
 
-        setTimeout(() => {
-            notification.classList.add('show');
-        }, 10);
+        tab.groupId = null;
+        this.tabsContainer.appendChild(tab.element);
+        this.groups.pruneGroups();
+        this.groups.render();
+        this.session?.scheduleSave();
+    }
 
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => {
-                notification.remove();
-            }, 300);
-        }, 3000);
+    async adoptTab(data, target) {
+        if (!Number.isInteger(data.guestWebContentsId)) return;
+
+        const result = await window.focusFlowAPI?.tabs?.adopt({
+            guestWebContentsId: data.guestWebContentsId,
+            tabId: data.tabId,
+            url: data.url
+        });
+        if (!result?.success) {
+            console.error('Failed to move tab between windows:', result?.error);
+            return;
+        }
+
+        const tabId = this.createTab(data.url, {
+            restoreToken: result.restoreToken,
+            title: data.title,
+            favicon: data.favicon,
+            pinned: data.pinned
+        });
+        if (target) {
+            this.moveTab(tabId, target.tabId, target.after);
+        }
     }
 
-    showWebviewContextMenu(e, tabId, webview) {
-        console.log('showWebviewContextMenu called', { tabId, webviewId: webview.id });
+    async detachTab(tabId, screenX, screenY) {
         const tab = this.tabs.get(tabId);
-        if (!tab) {
-            console.log('Tab not found for tabId:', tabId);
+        if (!tab) return;
+
+        let guestWebContentsId;
+        try {
+            guestWebContentsId = tab.webview.getWebContentsId();
+        } catch (e) {
             return;
         }
-        console.log('Tab found:', tab);
-        
-        // Close any existing context menu
-        if (this.currentContextMenu) {
-            try {
-                if (this.currentContextMenu.parentNode) {
-                    document.body.removeChild(this.currentContextMenu);
-                    console.log('Closed existing context menu');
-                }
-            } catch (error) {
-                console.error('Error closing existing context menu:', error);
-            }
-            this.currentContextMenu = null;
+
+        const result = await window.focusFlowAPI?.tabs?.detach({
+            guestWebContentsId,
+            url: tab.url,
+            title: tab.title,
+            favicon: tab.favicon,
+            screenX,
+            screenY
+        });
+        if (result?.success) {
+            this.closeTab(tabId);
+        } else if (result) {
+            console.error('Failed to move tab to a new window:', result.error);
         }
+    }
 
-        // Get mouse position - handle different event structures
-        const x = e.x || e.clientX || e.pageX || 0;
-        const y = e.y || e.clientY || e.pageY || 0;
+    showErrorInIframe(tabId, errorPagePath) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return;
 
-        const canGoBack = webview.canGoBack();
-        const canGoForward = webview.canGoForward();
+        // Remove any existing error iframe
+        if (tab.errorIframe) {
+            tab.errorIframe.remove();
+        }
 
-        const menu = document.createElement('div');
-        menu.className = 'webview-context-menu';
-        menu.style.cssText = `
-            position: fixed;
-            left: ${x}px;
-            top: ${y}px;
-            background: #1a1a2e;
-            border: 1px solid #333;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.5);
-            padding: 4px 0;
-            min-width: 180px;
-            z-index: 10000;
+        // Create error iframe
+        const iframe = document.createElement('iframe');
+        iframe.id = `error-iframe-${tabId}`;
+        iframe.className = 'error-iframe';
+        iframe.src = errorPagePath;
+        iframe.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            border: none;
+            z-index: 1000;
         `;
 
-        const items = [
-            {
-                label: '返回',
-                enabled: canGoBack,
-                action: () => {
-                    window.focusFlowAPI.webview.goBack(webview.id);
+        // Add iframe to webview container
+        this.webviewContainer.appendChild(iframe);
+
+        // Store reference to iframe in tab data
+        tab.errorIframe = iframe;
+
+        // Hide webview
+        tab.webview.style.display = 'none';
+
+        // Show iframe
+        iframe.style.display = 'block';
+    }
+
+    hideErrorIframe(tabId) {
+        const tab = this.tabs.get(tabId);
+        if (!tab || !tab.errorIframe) return;
+
+        // Remove error iframe
+        tab.errorIframe.remove();
+        tab.errorIframe = null;
+
+        // Show webview again
+        tab.webview.style.display = 'flex';
+    }
+
+    updateTabTitle(tabId, title) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return;
+
+        tab.title = title || CONFIG.defaultTitle;
+        const titleEl = tab.element.querySelector('.tab-title');
+        if (titleEl) {
+            titleEl.textContent = tab.title;
+            titleEl.title = tab.title; // Tooltip for long titles
+        }
+        this.session?.scheduleSave();
+    }
+
+    updateTabFavicon(tabId, faviconUrl) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return;
+
+        tab.favicon = faviconUrl;
+        const faviconEl = tab.element.querySelector('.tab-favicon');
+        if (faviconEl) {
+            faviconEl.innerHTML = `<img src="${faviconUrl}" alt="" onerror="this.style.display='none'"/>`;
+        }
+        this.session?.scheduleSave();
+    }
+
+    // ============================================
+    // Navigation
+    // ============================================
+
+    navigate(input) {
+        console.log('[TabManager.navigate] 导航到:', input);
+        let url = input.trim();
+        
+        // Use normalizeUrl directly to handle all cases correctly
+        url = this.normalizeUrl(input);
+        console.log('[TabManager.navigate] 规范化后的URL:', url);
+        
+        const tab = this.tabs.get(this.activeTabId);
+
+        if (tab && tab.webview) {
+            // Hide any existing error iframe
+            this.hideErrorIframe(this.activeTabId);
+
+            const classification = this.classifyInput(input);
+            tab.pendingTransition = classification.type === 'search' ? 'generated' : 'typed';
+            tab.webview.src = url;
+            tab.url = url;
+            this.toggleNewTabPage(false);
+
+            if (classification.hint) {
+                this.showDidYouMean(classification.hint);
+            }
+        }
+    }
+
+    normalizeUrl(input) {
+        if (!input || input === 'about:blank') return input;
+
+        const result = this.classifyInput(input);
+        if (result.type === 'url') {
+            return result.url;
+        }
+
+        // "scholar transformer attention" searches the engine with that keyword
+        const keywordSearch = SearchEngines.parseKeywordQuery(result.query);
+        if (keywordSearch) {
+            return SearchEngines.buildUrl(keywordSearch.engine, keywordSearch.query);
+        }
+        return SearchEngines.buildUrl(SearchEngines.getDefault(), result.query);
+    }
+
+    // See url-classifier.js; single-label hosts the user confirmed skip the search
+    classifyInput(input) {
+        return UrlClassifier.classify(input, { knownHosts: this.intranetHosts });
+    }
+
+    loadIntranetHosts() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem('focusflow-intranet-hosts')) || []);
+        } catch (e) {
+            return new Set();
+        }
+    }
+
+    rememberIntranetHost(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (e) {
+            return;
+        }
+        if (!hostname || hostname.includes('.') || this.intranetHosts.has(hostname)) return;
+
+        this.intranetHosts.add(hostname);
+        if (!CONFIG.isIncognito) {
+            localStorage.setItem('focusflow-intranet-hosts', JSON.stringify([...this.intranetHosts]));
+        }
+    }
+
+    // A bare word like "wiki" is searched, but it may have been an intranet host
+    showDidYouMean(url) {
+        document.querySelector('.did-you-mean')?.remove();
+
+        const bar = document.createElement('div');
+        bar.className = 'did-you-mean';
+        bar.innerHTML = `
+            <span>您是否要访问 <a href="#"></a>？</span>
+            <button class="did-you-mean-close" title="关闭">×</button>
+        `;
+        const link = bar.querySelector('a');
+        link.textContent = url;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            bar.remove();
+            this.rememberIntranetHost(url);
+            this.navigate(url);
+        });
+        bar.querySelector('.did-you-mean-close').addEventListener('click', () => bar.remove());
+        document.body.appendChild(bar);
+
+        setTimeout(() => bar.classList.add('show'), 10);
+        setTimeout(() => bar.remove(), 10000);
+    }
+
+    handleNavigation(tabId, url) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return;
+
+        tab.url = url;
+
+        if (this.activeTabId === tabId) {
+            this.updateUrlBar(url);
+            this.updateSecurityIndicator(url);
+            this.updateNavigationState();
+            this.updateContentBlockerButton();
+        }
+        this.session?.scheduleSave();
+    }
+
+    goBack() {
+        const tab = this.tabs.get(this.activeTabId);
+        if (tab && tab.webview && tab.webview.canGoBack()) {
+            tab.pendingTransition = 'back_forward';
+            tab.webview.goBack();
+        }
+    }
+
+    goForward() {
+        const tab = this.tabs.get(this.activeTabId);
+        if (tab && tab.webview && tab.webview.canGoForward()) {
+            tab.pendingTransition = 'back_forward';
+            tab.webview.goForward();
+        }
+    }
+
+    reload() {
+        const tab = this.tabs.get(this.activeTabId);
+        if (tab && tab.webview) {
+            tab.pendingTransition = 'reload';
+            tab.webview.reload();
+        }
+    }
+
+    openDevTools() {
+        const tab = this.tabs.get(this.activeTabId);
+        if (tab && tab.webview) {
+            tab.webview.openDevTools();
+        }
+    }
+
+    checkPwaCapabilities(tabId, webview) {
+        if (!webview) return;
+
+        try {
+            // Check if page has service worker and is installable
+            webview.executeJavaScript(`
+            (async function() {
+                // Check if service worker is registered
+                const registrations = await navigator.serviceWorker.getRegistrations();
+                const hasServiceWorker = registrations.length > 0;
+                
+                // Check if PWA is installable
+                let isInstallable = false;
+                try {
+                    // Check for manifest
+                    const manifestLink = document.querySelector('link[rel="manifest"]');
+                    if (manifestLink) {
+                        isInstallable = true;
+                    }
+                } catch (e) {
                 }
-            },
-            {
-                label: '前进',
-                enabled: canGoForward,
-                action: () => {
-                    window.focusFlowAPI.webview.goForward(webview.id);
+                
+                return { hasServiceWorker, isInstallable };
+            })();
+        `).then(result => {
+            if (result && result.hasServiceWorker && result.isInstallable) {
+                // Show PWA install button if this is the active tab
+                if (tabId === this.activeTabId && this.pwaInstallBtn) {
+                    console.log('PWA: Showing install button for tab', tabId);
+                    this.pwaInstallBtn.style.display = 'flex';
+                    
+                    // Add click event listener for PWA install
+                    this.pwaInstallBtn.onclick = () => {
+                        console.log('PWA: Install button clicked for tab', tabId);
+                        this.installPWA(tabId, webview);
+                    };
                 }
-            },
-            { divider: true },
-            {
-                label: '另存为...',
-                enabled: true,
-                action: () => {
-                    window.focusFlowAPI.webview.savePage(webview.id);
+            } else {
+                // Hide PWA install button
+                if (this.pwaInstallBtn) {
+                    console.log('PWA: Hiding install button for tab', tabId);
+                    this.pwaInstallBtn.style.display = 'none';
                 }
-            },
-            { divider: true },
-            {
-                label: '检查',
-                enabled: true,
-                action: () => {
-                    webview.openDevTools();
+            }
+        }).catch(err => {
+            // Hide button on error
+            if (this.pwaInstallBtn) {
+                this.pwaInstallBtn.style.display = 'none';
+            }
+        });
+    } catch (err) {
+        // Hide button on error
+        if (this.pwaInstallBtn) {
+            this.pwaInstallBtn.style.display = 'none';
+        }
+    }
+    }
+
+    installPWA(tabId, webview) {
+        console.log('PWA: installPWA called for tab', tabId);
+        // Get the current active tab's webview
+        const activeWebview = webview || document.getElementById(`webview-${this.activeTabId}`);
+        console.log('PWA: Active webview found:', !!activeWebview);
+        if (!activeWebview) {
+            console.log('PWA: No active webview found');
+            return;
+        }
+
+        // Trigger PWA installation
+        console.log('PWA: Executing JavaScript on webview');
+        
+        // First, check if deferredPrompt exists
+        activeWebview.executeJavaScript('!!window.deferredPrompt')
+            .then(hasDeferredPrompt => {
+                console.log('PWA: Has deferredPrompt:', hasDeferredPrompt);
+                
+                if (hasDeferredPrompt) {
+                    // Trigger the installation prompt
+                    return activeWebview.executeJavaScript(`
+                        (function() {
+                            console.log('PWA: Triggering install prompt');
+                            window.deferredPrompt.prompt();
+                            window.deferredPrompt.userChoice.then(function(choiceResult) {
+                                console.log('PWA: User choice:', choiceResult.outcome);
+                                window.deferredPrompt = null;
+                            });
+                            return true;
+                        })();
+                    `);
+                } else {
+                    console.log('PWA: No deferredPrompt available');
+                    // Try to show a message to the user
+                    this.showNotification('PWA 无法安装', '由于技术限制，PWA安装功能暂时不可用');
+                    return Promise.resolve(false);
+                }
+            })
+            .then(() => {
+                console.log('PWA: Installation prompt triggered');
+                this.setStatus('PWA 安装提示已显示');
+            })
+            .catch(err => {
+                console.error('PWA: Error triggering installation:', err);
+                this.setStatus('PWA 无法安装');
+                this.showNotification('PWA 无法安装', '由于技术限制，PWA安装功能暂时不可用');
+            });
+    }
+
+    async captureScreenshot() {
+        const tab = this.tabs.get(this.activeTabId);
+        if (!tab || !tab.webview) {
+            this.showNotification('截图失败', '没有找到活动标签页或webview');
+            return;
+        }
+
+        try {
+            const webview = tab.webview;
+            
+            if (typeof webview.capturePage !== 'function') {
+                throw new Error('Webview does not support capturePage method');
+            }
+            
+            let image;
+            try {
+                image = await webview.capturePage();
+            } catch (e) {
+                throw new Error('Capture failed: ' + e.message);
+            }
+            
+            if (!image || typeof image.toDataURL !== 'function') {
+                throw new Error('Invalid image object');
+            }
+            
+            console.log('[DEBUG] Converting image to data URL...');
+            const dataUrl = image.toDataURL();
+            console.log('[DEBUG] Data URL generated, length:', dataUrl ? dataUrl.length : 0);
+            console.log('[DEBUG] Data URL prefix:', dataUrl ? dataUrl.substring(0, 50) : 'null');
+
+            console.log('[DEBUG] Data URL received, type:', typeof dataUrl);
+
+            if (!dataUrl || typeof dataUrl !== 'string') {
+                console.error('[DEBUG] Invalid data URL type');
+                throw new Error('Invalid data URL: must be a string');
+            }
+
+            if (!dataUrl.startsWith('data:image/png;base64,')) {
+                console.error('[DEBUG] Invalid data URL format');
+                throw new Error('Invalid data URL format: must be a PNG image');
+            }
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const filename = `screenshot-${timestamp}.png`;
+            console.log('[DEBUG] Filename generated:', filename);
+            
+            if (!window.focusFlowAPI || !window.focusFlowAPI.file || !window.focusFlowAPI.file.saveImage) {
+                console.error('[DEBUG] FocusFlow API not available');
+                throw new Error('FocusFlow API not available');
+            }
+
+            console.log('[DEBUG] Calling saveImage with dataUrl length:', dataUrl.length);
+            
+            const result = await window.focusFlowAPI.file.saveImage(dataUrl, filename);
+            
+            console.log('[DEBUG] saveImage result:', result);
+            
+            if (result && result.success) {
+                console.log('Screenshot saved to:', result.filePath);
+                this.showNotification('截图已保存', `文件已保存到: ${result.filePath}`);
+            } else {
+                console.error('Failed to save screenshot:', result.error);
+                this.showNotification('保存失败', result.error || '未知错误');
+            }
+        } catch (error) {
+            console.error('[DEBUG] Error in captureScreenshot:', error);
+            console.error('[DEBUG] Error stack:', error.stack);
+            this.showNotification('截图失败', error.message || '未知错误');
+        }
+    }
+
+    showNotification(title, message) {
+        const notification = document.createElement('div');
+        notification.className = 'notification';
+        notification.innerHTML = `
+            <div class="notification-content">
+                <div class="notification-title">${title}</div>
+                <div class="notification-message">${message}</div>
+            </div>
+        `;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.classList.add('show');
+        }, 10);
+
+        setTimeout(() => {
+            notification.classList.remove('show');
+            setTimeout(() => {
+                notification.remove();
+            }, 300);
+        }, 3000);
+    }
+
+    showWebviewContextMenu(e, tabId, webview) {
+        console.log('showWebviewContextMenu called', { tabId, webviewId: webview.id });
+        const tab = this.tabs.get(tabId);
+        if (!tab) {
+            console.log('Tab not found for tabId:', tabId);
+            return;
+        }
+        console.log('Tab found:', tab);
+        
+        // Close any existing context menu
+        if (this.currentContextMenu) {
+            try {
+                if (this.currentContextMenu.parentNode) {
+                    document.body.removeChild(this.currentContextMenu);
+                    console.log('Closed existing context menu');
+                }
+            } catch (error) {
+                console.error('Error closing existing context menu:', error);
+            }
+            this.currentContextMenu = null;
+        }
+
+        // Get mouse position - handle different event structures
+        const x = e.x || e.clientX || e.pageX || 0;
+        const y = e.y || e.clientY || e.pageY || 0;
+
+        const canGoBack = webview.canGoBack();
+        const canGoForward = webview.canGoForward();
+
+        const menu = document.createElement('div');
+        menu.className = 'webview-context-menu';
+        menu.style.cssText = `
+            position: fixed;
+            left: ${x}px;
+            top: ${y}px;
+            background: #1a1a2e;
+            border: 1px solid #333;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.5);
+            padding: 4px 0;
+            min-width: 180px;
+            z-index: 10000;
+        `;
+
+        const items = [
+            {
+                label: '返回',
+                enabled: canGoBack,
+                action: () => {
+                    window.focusFlowAPI.webview.goBack(webview.id);
+                }
+            },
+            {
+                label: '前进',
+                enabled: canGoForward,
+                action: () => {
+                    window.focusFlowAPI.webview.goForward(webview.id);
+                }
+            },
+            { divider: true },
+            {
+                label: '另存为...',
+                enabled: true,
+                action: () => {
+                    window.focusFlowAPI.webview.savePage(webview.id);
+                }
+            },
+            { divider: true },
+            {
+                label: '检查',
+                enabled: true,
+                action: () => {
+                    webview.openDevTools();
+                }
+            }
+        ];
+
+        items.forEach(item => {
+            if (item.divider) {
+                const divider = document.createElement('div');
+                divider.style.cssText = `
+                    height: 1px;
+                    background: #333;
+                    margin: 4px 0;
+                `;
+                menu.appendChild(divider);
+            } else {
+                const menuItem = document.createElement('div');
+                menuItem.className = 'context-menu-item';
+                menuItem.textContent = item.label;
+                menuItem.style.cssText = `
+                    padding: 8px 16px;
+                    cursor: ${item.enabled ? 'pointer' : 'not-allowed'};
+                    color: ${item.enabled ? '#fff' : '#666'};
+                    font-size: 13px;
+                    transition: background 0.15s;
+                `;
+
+                if (item.enabled) {
+                    menuItem.addEventListener('mouseenter', () => {
+                        menuItem.style.background = '#2a2a4e';
+                    });
+                    menuItem.addEventListener('mouseleave', () => {
+                        menuItem.style.background = 'transparent';
+                    });
+                    menuItem.addEventListener('click', () => {
+                        item.action();
+                        document.body.removeChild(menu);
+                    });
+                }
+
+                menu.appendChild(menuItem);
+            }
+        });
+
+        console.log('Creating context menu at position:', { x, y });
+        console.log('Menu created:', menu);
+        
+        document.body.appendChild(menu);
+        this.currentContextMenu = menu;
+        console.log('Menu added to document');
+        console.log('Current context menu set:', this.currentContextMenu);
+
+        const closeMenu = () => {
+            try {
+                if (menu.parentNode) {
+                    document.body.removeChild(menu);
+                    console.log('Menu removed from document');
+                }
+                // Clear the current context menu reference
+                if (this.currentContextMenu === menu) {
+                    this.currentContextMenu = null;
+                    console.log('Current context menu cleared');
+                }
+            } catch (error) {
+                console.error('Error closing context menu:', error);
+            }
+        };
+
+        setTimeout(() => {
+            document.addEventListener('click', closeMenu, { once: true });
+            console.log('Click listener added to close menu');
+        }, 0);
+    }
+
+    goHome() {
+        this.navigate(CONFIG.homePage);
+    }
+
+    updateNavigationState() {
+        const tab = this.tabs.get(this.activeTabId);
+        if (tab && tab.webview) {
+            try {
+                this.backBtn.disabled = !tab.webview.canGoBack();
+                this.forwardBtn.disabled = !tab.webview.canGoForward();
+            } catch (e) {
+                // Webview not ready yet - set to disabled
+                this.backBtn.disabled = true;
+                this.forwardBtn.disabled = true;
+            }
+        }
+    }
+
+
+    // ============================================
+    // UI Updates
+    // ============================================
+
+    updateUrlBar(url) {
+        if (url && url !== 'about:blank') {
+            this.urlInput.value = url;
+        } else {
+            this.urlInput.value = '';
+        }
+    }
+
+    updateSecurityIndicator(url) {
+        if (!url || url === 'about:blank') {
+            this.securityIndicator.className = 'security-indicator';
+            return;
+        }
+
+        if (url.startsWith('https://') || url.startsWith('paperstation://')) {
+            this.securityIndicator.className = 'security-indicator secure';
+        } else {
+            this.securityIndicator.className = 'security-indicator insecure';
+        }
+    }
+
+    setStatus(text) {
+        if (this.statusText) {
+            this.statusText.textContent = text;
+        }
+    }
+
+    toggleNewTabPage(show) {
+        const ntp = document.querySelector('.new-tab-page');
+        if (ntp) {
+            ntp.style.display = show ? 'flex' : 'none';
+        }
+    }
+
+    // ============================================
+    // Event Listeners Setup
+    // ============================================
+
+    setupNavigationListeners() {
+        this.backBtn.addEventListener('click', () => this.goBack());
+        this.forwardBtn.addEventListener('click', () => this.goForward());
+        this.reloadBtn.addEventListener('click', () => this.reload());
+        this.homeBtn.addEventListener('click', () => this.goHome());
+        this.screenshotBtn.addEventListener('click', () => this.captureScreenshot());
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Ctrl+T: New tab
+            if (e.ctrlKey && e.key === 't') {
+                e.preventDefault();
+                this.createTab();
+            }
+            // Ctrl+W: Close tab
+            if (e.ctrlKey && e.key === 'w') {
+                e.preventDefault();
+                this.closeTab(this.activeTabId);
+            }
+            // Ctrl+R or F5: Reload
+            if ((e.ctrlKey && e.key === 'r') || e.key === 'F5') {
+                e.preventDefault();
+                this.reload();
+            }
+            // Alt+Left: Back
+            if (e.altKey && e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.goBack();
+            }
+            // Alt+Right: Forward
+            if (e.altKey && e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.goForward();
+            }
+            // Ctrl+L: Focus URL bar
+            if (e.ctrlKey && e.key === 'l') {
+                e.preventDefault();
+                this.urlInput.focus();
+                this.urlInput.select();
+            }
+            // Escape: Stop loading / blur URL bar
+            if (e.key === 'Escape') {
+                if (document.activeElement === this.urlInput) {
+                    this.urlInput.blur();
+                } else {
+                    const tab = this.tabs.get(this.activeTabId);
+                    if (tab && tab.webview) {
+                        tab.webview.stop();
+                    }
+                }
+            }
+            // F12: Open DevTools for current webview
+            if (e.key === 'F12') {
+                e.preventDefault();
+                this.openDevTools();
+            }
+        });
+    }
+
+    setupUrlInputListeners() {
+        this.urlInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                const value = this.urlInput.value.trim();
+                if (value) {
+                    this.navigate(value);
+                    this.urlInput.blur();
+                }
+            }
+        });
+
+        this.urlInput.addEventListener('focus', () => {
+            this.urlInput.select();
+        });
+
+        // Dropping a file, link or path on the address bar opens it in the current tab
+        this.urlInput.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        this.urlInput.addEventListener('drop', (e) => {
+            const target = this.getDroppedTarget(e.dataTransfer);
+            if (!target) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.navigate(target);
+            this.urlInput.blur();
+        });
+
+        // Elsewhere in the window a drop would replace the browser UI, so it opens new tabs instead
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            for (const file of e.dataTransfer.files) {
+                const filePath = window.focusFlowAPI?.file?.getPathForFile(file);
+                if (filePath) this.createTab(UrlClassifier.filePathToUrl(filePath));
+            }
+        });
+    }
+
+    // Dropped files have no URL of their own, only a local path
+    getDroppedTarget(dataTransfer) {
+        const file = dataTransfer.files[0];
+        if (file) {
+            return window.focusFlowAPI?.file?.getPathForFile(file) || null;
+        }
+        const uri = dataTransfer.getData('text/uri-list')
+            .split(/\r?\n/)
+            .find(line => line && !line.startsWith('#'));
+        return (uri || dataTransfer.getData('text/plain')).trim() || null;
+    }
+
+    setupNewTabListener() {
+        this.newTabBtn.addEventListener('click', () => {
+            this.createTab();
+        });
+    }
+
+    setupSecurityListeners() {
+        // Popups denied by the main process (window.open with features, new windows)
+        if (window.focusFlowAPI?.security) {
+            window.focusFlowAPI.security.onPopupBlocked((data) => {
+                this.handlePopupBlocked(data.url);
+            });
+        }
+
+        // Buttons on the HTTPS-only interstitial
+        window.addEventListener('message', (e) => {
+            const tab = this.tabs.get(this.activeTabId);
+            if (!tab || !tab.errorIframe || e.source !== tab.errorIframe.contentWindow) return;
+
+            if (e.data?.type === 'https-only-continue' && e.data.url) {
+                window.focusFlowAPI.security.allowHttp(e.data.url).then(() => {
+                    this.navigate(e.data.url);
+                });
+            } else if (e.data?.type === 'https-only-back') {
+                this.hideErrorIframe(this.activeTabId);
+                if (tab.webview.canGoBack()) {
+                    tab.webview.goBack();
+                } else {
+                    this.navigate(CONFIG.homePage);
+                }
+            }
+        });
+    }
+
+    // ============================================
+    // Content Blocker
+    // ============================================
+
+    setupContentBlockerListeners() {
+        if (!window.focusFlowAPI?.contentBlocker || !this.contentBlockerBtn) return;
+
+        window.focusFlowAPI.contentBlocker.onBlocked(({ webContentsId, count }) => {
+            for (const [tabId, tab] of this.tabs) {
+                let id;
+                try {
+                    id = tab.webview.getWebContentsId();
+                } catch (e) {
+                    continue;
+                }
+                if (id === webContentsId) {
+                    tab.blockedCount = count;
+                    if (tabId === this.activeTabId) {
+                        this.contentBlockerCount.textContent = count > 0 ? count : '';
+                    }
+                    break;
+                }
+            }
+        });
+
+        // Clicking the shield turns blocking off (or back on) for the current site
+        this.contentBlockerBtn.addEventListener('click', async () => {
+            const tab = this.tabs.get(this.activeTabId);
+            if (!tab || !/^https?:/.test(tab.url || '')) return;
+
+            const state = await window.focusFlowAPI.contentBlocker.getState(null, tab.url);
+            const result = await window.focusFlowAPI.contentBlocker.setAllowlisted(tab.url, !state.allowlisted);
+            if (result.success) {
+                this.showNotification(
+                    state.allowlisted ? '已在此网站启用内容拦截' : '已在此网站停用内容拦截',
+                    result.hostname
+                );
+                tab.webview.reload();
+            }
+        });
+    }
+
+    async updateContentBlockerButton() {
+        if (!window.focusFlowAPI?.contentBlocker || !this.contentBlockerBtn) return;
+
+        const tab = this.tabs.get(this.activeTabId);
+        if (!tab || !/^https?:/.test(tab.url || '')) {
+            this.contentBlockerBtn.style.display = 'none';
+            return;
+        }
+
+        const state = await window.focusFlowAPI.contentBlocker.getState(null, tab.url);
+        const active = state.enabled && !state.allowlisted;
+        this.contentBlockerBtn.style.display = state.enabled ? 'flex' : 'none';
+        this.contentBlockerBtn.classList.toggle('off', !active);
+        this.contentBlockerBtn.title = active
+            ? `内容拦截：已拦截 ${tab.blockedCount} 个请求（点击在此网站停用）`
+            : '内容拦截已在此网站停用（点击启用）';
+        this.contentBlockerCount.textContent = active && tab.blockedCount > 0 ? tab.blockedCount : '';
+    }
+
+    // ============================================
+    // Search Engines (OpenSearch)
+    // ============================================
+
+    setupSearchEngineListeners() {
+        if (!this.addSearchEngineBtn) return;
+
+        this.addSearchEngineBtn.addEventListener('click', async () => {
+            const tab = this.tabs.get(this.activeTabId);
+            if (!tab?.openSearch || !window.settingsManager) return;
+
+            const { name, template, openSearchUrl } = tab.openSearch;
+            let suggested = '';
+            try {
+                suggested = new URL(template.replace(/%s/g, '')).hostname.replace(/^www\./, '').split('.')[0];
+            } catch (e) {
+            }
+            if (SearchEngines.findByKeyword(suggested)) suggested = '';
+
+            const escape = value => window.settingsManager.escapeAttribute(value);
+            const keyword = await showPrompt(`将“${escape(name)}”添加为搜索引擎。关键字（可留空）：`, suggested);
+            if (keyword === null) return;
+
+            // The name comes from the website, and notifications and alerts are rendered as HTML
+            const result = window.settingsManager.addSearchEngine({ name, keyword, template, openSearchUrl });
+            if (result.success) {
+                this.showNotification('已添加搜索引擎', keyword ? `在地址栏输入“${escape(keyword)} 搜索词”即可使用` : escape(name));
+                for (const other of this.tabs.values()) {
+                    if (other.openSearch?.template === template) other.openSearch = null;
+                }
+                this.updateSearchEngineButton();
+            } else {
+                await showAlert(escape(result.error));
+            }
+        });
+    }
+
+    // Sites advertise their search with <link rel="search" type="application/opensearchdescription+xml">
+    async detectOpenSearch(tabId, webview) {
+        const tab = this.tabs.get(tabId);
+        if (!tab || CONFIG.isIncognito || !window.focusFlowAPI?.searchEngines) return;
+
+        tab.openSearch = null;
+        if (tabId === this.activeTabId) this.updateSearchEngineButton();
+
+        const pageUrl = tab.url;
+        let href;
+        try {
+            href = await webview.executeJavaScript(
+                `document.querySelector('link[rel~="search"][type="application/opensearchdescription+xml"]')?.href || ''`
+            );
+        } catch (e) {
+            return;
+        }
+        if (!href || !/^https?:/i.test(href)) return;
+        // Descriptions are only fetched from the page's own origin
+        try {
+            if (new URL(href).origin !== new URL(pageUrl).origin) return;
+        } catch (e) {
+            return;
+        }
+
+        if (!this.openSearchCache.has(href)) {
+            let guestWebContentsId;
+            try {
+                guestWebContentsId = webview.getWebContentsId();
+            } catch (e) {
+                return;
+            }
+            const result = await window.focusFlowAPI.searchEngines.fetchOpenSearch(guestWebContentsId, href);
+            this.openSearchCache.set(href, result.success ? SearchEngines.parseOpenSearchDescription(result.xml) : null);
+        }
+        const description = this.openSearchCache.get(href);
+        if (!description || SearchEngines.getAll().some(engine => engine.template === description.template)) return;
+
+        // The tab may have navigated away while the description was fetched
+        if (this.tabs.get(tabId) !== tab || tab.url !== pageUrl) return;
+        tab.openSearch = { ...description, openSearchUrl: href };
+        if (tabId === this.activeTabId) this.updateSearchEngineButton();
+    }
+
+    updateSearchEngineButton() {
+        if (!this.addSearchEngineBtn) return;
+        const openSearch = this.tabs.get(this.activeTabId)?.openSearch;
+        this.addSearchEngineBtn.style.display = openSearch ? 'flex' : 'none';
+        this.addSearchEngineBtn.title = openSearch ? `添加搜索引擎：${openSearch.name}` : '';
+    }
+
+    isPopupBlockingEnabled() {
+        const settings = loadSavedSettings();
+        return settings?.blockPopups ?? true;
+    }
+
+    handlePopupBlocked(url) {
+        this.setStatus('已阻止弹出窗口');
+        this.showNotification('已阻止弹出窗口', url || '');
+    }
+
+    setupSearchInputListener() {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            searchInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    const query = searchInput.value.trim();
+                    if (query) {
+                        this.navigate(query);
+                    }
+                }
+            });
+        }
+
+        // Quick links
+        document.querySelectorAll('.quick-link[data-url]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const url = link.dataset.url;
+                this.navigate(url);
+            });
+        });
+    }
+
+    // ============================================
+    // Knowledge Mode - Content Extraction
+    // ============================================
+
+    extractPageContent(tabId, webview) {
+        // Check if Knowledge Mode is enabled
+        if (!window.knowledgeManager || !window.knowledgeManager.isKnowledgeModeEnabled()) {
+            return; // Knowledge Mode is OFF, skip extraction
+        }
+
+        const tab = this.tabs.get(tabId);
+        if (!tab || !webview) return;
+
+        // Don't extract from about:blank or empty pages
+        const currentUrl = tab.url;
+        if (!currentUrl || currentUrl === 'about:blank') return;
+
+        // Execute JavaScript in the webview to extract content
+        const extractionScript = `
+            (function() {
+                // Helper to get text content and clean it
+                const getText = (el) => el.textContent.trim();
+                
+                // Helper to get array of text from elements
+                const getTextArray = (selector) => {
+                    return Array.from(document.querySelectorAll(selector))
+                        .map(el => getText(el))
+                        .filter(text => text.length > 0);
+                };
+
+                // Extract all content
+                return {
+                    url: window.location.href,
+                    title: document.title || '',
+                    headings: getTextArray('h1'),
+                    subHeadings: getTextArray('h2'),
+                    paragraphs: getTextArray('p').slice(0, 50), // Limit to first 50 paragraphs
+                    lists: getTextArray('li').slice(0, 100), // Limit to first 100 list items
+                    timestamp: new Date().toISOString()
+                };
+            })();
+        `;
+
+        webview.executeJavaScript(extractionScript)
+            .then(pageContent => {
+                if (pageContent && pageContent.url) {
+                    // Log the extracted content for testing
+                    // Classify the content using the Knowledge Classifier
+                    if (window.knowledgeClassifier) {
+                        const classifiedContent = window.knowledgeClassifier.classify(pageContent);
+
+                        if (classifiedContent) {
+                            // Dispatch event with classified content
+                            window.dispatchEvent(new CustomEvent('pageContentClassified', {
+                                detail: { tabId, content: classifiedContent }
+                            }));
+                        }
+                    }
+
+                    // Dispatch event for other parts of the app to use
+                    window.dispatchEvent(new CustomEvent('pageContentExtracted', {
+                        detail: { tabId, content: pageContent }
+                    }));
+                }
+            })
+            .catch(err => {
+            });
+    }
+}
+
+// ============================================
+// Session Manager - Save & Restore Open Tabs
+// ============================================
+class SessionManager {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.saveDelay = 500;
+        this.saveTimer = null;
+        this.isRestoring = false;
+        // Incognito windows are never written to disk
+        this.enabled = !CONFIG.isIncognito && !!window.focusFlowAPI?.session;
+
+        if (this.enabled) {
+            window.addEventListener('beforeunload', () => this.save());
+        }
+    }
+
+    async openStartupTabs() {
+        let launchUrls = [];
+        try {
+            launchUrls = await window.focusFlowAPI?.launch?.getUrls() || [];
+        } catch (e) {
+            console.error('Failed to get launch URLs:', e);
+        }
+
+        if (!this.enabled) {
+            this.openLaunchUrls(launchUrls) || this.tabManager.createTab(CONFIG.homePage);
+            return;
+        }
+
+        let startup = null;
+        try {
+            startup = await window.focusFlowAPI.session.getStartup();
+        } catch (e) {
+        }
+
+        const settings = loadSavedSettings() || {};
+        const startupMode = settings.startupMode || 'newTab';
+        const saved = startup && startup.window && startup.window.tabs.length > 0 ? startup.window : null;
+
+        // Windows re-created by a restore, or "restore last session" on startup
+        if (saved && (startup.forced || startupMode === 'restore')) {
+            this.restoreWindow(saved);
+            this.openLaunchUrls(launchUrls);
+            // Also tells the main process the previous session has been used
+            if (!startup.forced) {
+                await window.focusFlowAPI.session.restoreWindows();
+            }
+            return;
+        }
+
+        // Pages passed on the command line replace the startup page
+        if (!this.openLaunchUrls(launchUrls)) {
+            this.openStartupPage(startupMode, settings);
+        }
+
+        if (!saved) return;
+
+        // After a crash, offer the previous session even if the user normally starts fresh
+        if (startup.crashed && await showConfirm('PaperStation 上次没有正常关闭。要恢复之前打开的标签页吗？')) {
+            this.restoreWindow(saved, launchUrls.length === 0);
+            await window.focusFlowAPI.session.restoreWindows();
+        } else {
+            await window.focusFlowAPI.session.discardPrevious();
+        }
+    }
+
+    // Returns whether anything was opened
+    openLaunchUrls(urls) {
+        urls.forEach(url => this.tabManager.createTab(url));
+        return urls.length > 0;
+    }
+
+    openStartupPage(startupMode, settings) {
+        if (startupMode === 'custom' && settings.customStartupUrl) {
+            this.tabManager.createTab(settings.customStartupUrl);
+        } else {
+            this.tabManager.createTab(CONFIG.homePage);
+        }
+    }
+
+    restoreWindow(state, replaceExisting = false) {
+        const previousTabIds = replaceExisting ? this.tabManager.getOrderedTabIds() : [];
+        const restoredIds = [];
+
+        this.isRestoring = true;
+        state.tabs.forEach(tab => {
+            restoredIds.push(this.tabManager.createTab(tab.url || 'about:blank', {
+                title: tab.title,
+                favicon: tab.favicon,
+                restoreToken: tab.restoreToken,
+                pinned: tab.pinned,
+                parentTabId: restoredIds[tab.parentIndex] ?? null,
+                treeCollapsed: tab.treeCollapsed,
+                activate: false
+            }));
+        });
+        this.tabManager.groups.restoreGroups(state.groups, restoredIds, state.tabs.map(tab => tab.groupId));
+        this.tabManager.split.restore(state.split, restoredIds);
+        this.isRestoring = false;
+
+        const activeId = restoredIds[state.activeIndex] ?? restoredIds[0];
+        if (activeId !== undefined) {
+            this.tabManager.activateTab(activeId);
+        }
+
+        // Drop the startup tab that was opened while waiting for the user's answer
+        previousTabIds.forEach(tabId => this.tabManager.closeTab(tabId));
+        this.scheduleSave();
+    }
+
+    collectState() {
+        const tabIds = this.tabManager.getOrderedTabIds();
+        const tabs = tabIds.map(tabId => {
+            const tab = this.tabManager.tabs.get(tabId);
+            let webContentsId = null;
+            try {
+                webContentsId = tab.webview.getWebContentsId();
+            } catch (e) {
+                // Webview not attached yet
+            }
+            return {
+                url: tab.url,
+                title: tab.title,
+                favicon: tab.favicon,
+                groupId: tab.groupId,
+                pinned: tab.pinned,
+                ...this.tabManager.tree.collectState(tabId, tabIds),
+                webContentsId,
+                restoreToken: tab.discarded ? tab.restoreToken : null
+            };
+        });
+
+        return {
+            tabs,
+            groups: this.tabManager.groups.collectState(),
+            split: this.tabManager.split.collectState(tabIds),
+            activeIndex: Math.max(0, tabIds.indexOf(this.tabManager.activeTabId))
+        };
+    }
+
+    scheduleSave() {
+        if (!this.enabled || this.isRestoring) return;
+
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    save() {
+        if (!this.enabled) return;
+
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        window.focusFlowAPI.session.update(this.collectState()).catch(() => { });
+    }
+}
+
+// ============================================
+// Tab Groups
+// ============================================
+const TAB_GROUP_COLORS = [
+    { id: 'grey', name: '灰色', value: '#9aa0a6' },
+    { id: 'blue', name: '蓝色', value: '#8ab4f8' },
+    { id: 'red', name: '红色', value: '#f28b82' },
+    { id: 'yellow', name: '黄色', value: '#fdd663' },
+    { id: 'green', name: '绿色', value: '#81c995' },
+    { id: 'pink', name: '粉色', value: '#ff8bcb' },
+    { id: 'purple', name: '紫色', value: '#c58af9' },
+    { id: 'cyan', name: '青色', value: '#78d9ec' },
+    { id: 'orange', name: '橙色', value: '#fcad70' }
+];
+
+function getTabGroupColor(colorId) {
+    return TAB_GROUP_COLORS.find(color => color.id === colorId) || TAB_GROUP_COLORS[0];
+}
+
+class TabGroupManager {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        // groupId -> { id, name, color, collapsed, savedId, header }
+        this.groups = new Map();
+        this.groupCounter = 0;
+        // Ctrl/Shift-clicked tabs; the active tab always counts as selected too
+        this.selectedTabIds = new Set();
+        this.savedGroupsKey = 'focusflow-saved-tab-groups';
+        this.savedGroups = this.loadSavedGroups();
+        this.editor = null;
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.editor && !this.editor.contains(e.target)) {
+                this.closeEditor();
+            }
+        });
+    }
+
+    // ============================================
+    // Selection
+    // ============================================
+
+    // Returns true when the click only changed the selection
+    handleTabClick(tabId, e) {
+        const activeTabId = this.tabManager.activeTabId;
+
+        if (e.ctrlKey || e.metaKey) {
+            this.selectedTabIds.add(activeTabId);
+            if (this.selectedTabIds.has(tabId) && tabId !== activeTabId) {
+                this.selectedTabIds.delete(tabId);
+            } else {
+                this.selectedTabIds.add(tabId);
+            }
+            this.updateSelection();
+            return true;
+        }
+
+        if (e.shiftKey) {
+            const visible = this.tabManager.getOrderedTabIds().filter(id => !this.isTabCollapsed(id));
+            const from = visible.indexOf(activeTabId);
+            const to = visible.indexOf(tabId);
+            if (from === -1 || to === -1) return false;
+            this.selectedTabIds = new Set(visible.slice(Math.min(from, to), Math.max(from, to) + 1));
+            this.updateSelection();
+            return true;
+        }
+
+        this.clearSelection();
+        return false;
+    }
+
+    getSelectedTabIds() {
+        const activeTabId = this.tabManager.activeTabId;
+        return this.tabManager.getOrderedTabIds().filter(id => id === activeTabId || this.selectedTabIds.has(id));
+    }
+
+    updateSelection() {
+        this.tabManager.tabs.forEach((tab, id) => {
+            tab.element.classList.toggle('selected', this.selectedTabIds.has(id));
+        });
+    }
+
+    clearSelection() {
+        if (this.selectedTabIds.size === 0) return;
+        this.selectedTabIds.clear();
+        this.updateSelection();
+    }
+
+    // ============================================
+    // Groups
+    // ============================================
+
+    getGroupTabIds(groupId) {
+        return this.tabManager.getOrderedTabIds().filter(id => this.tabManager.tabs.get(id).groupId === groupId);
+    }
+
+    getGroupOfTab(tabId) {
+        return this.groups.get(this.tabManager.tabs.get(tabId)?.groupId) || null;
+    }
+
+    isTabCollapsed(tabId) {
+        return !!this.getGroupOfTab(tabId)?.collapsed;
+    }
+
+    // Prefer a color that is not already on the strip
+    pickColor() {
+        const used = new Set(Array.from(this.groups.values()).map(group => group.color));
+        const free = TAB_GROUP_COLORS.find(color => !used.has(color.id));
+        return (free || TAB_GROUP_COLORS[this.groupCounter % TAB_GROUP_COLORS.length]).id;
+    }
+
+    // Pinned tabs stay out of groups
+    createGroup(tabIds, { name = '', color = null, collapsed = false, savedId = null } = {}) {
+        tabIds = tabIds.filter(id => !this.tabManager.tabs.get(id)?.pinned);
+        if (tabIds.length === 0) return null;
+
+        const groupId = ++this.groupCounter;
+        this.groups.set(groupId, {
+            id: groupId,
+            name,
+            color: TAB_GROUP_COLORS.some(c => c.id === color) ? color : this.pickColor(),
+            collapsed,
+            savedId,
+            header: this.createHeader(groupId)
+        });
+        this.moveTabsToGroup(tabIds, groupId);
+        return groupId;
+    }
+
+    groupSelectedTabs() {
+        const groupId = this.createGroup(this.getSelectedTabIds());
+        if (groupId) {
+            this.showEditor(groupId);
+        }
+        return groupId;
+    }
+
+    moveTabsToGroup(tabIds, groupId) {
+        if (!this.groups.has(groupId)) return;
+
+        // Tabs joining a group line up after its last tab, in strip order
+        const moving = this.tabManager.getOrderedTabIds().filter(id => tabIds.includes(id) && !this.tabManager.tabs.get(id).pinned);
+        const members = this.getGroupTabIds(groupId).filter(id => !moving.includes(id));
+        let anchor = members.length > 0 ? this.tabManager.tabs.get(members[members.length - 1]).element : null;
+
+        moving.forEach(id => {
+            const tab = this.tabManager.tabs.get(id);
+            tab.groupId = groupId;
+            if (anchor) {
+                anchor.after(tab.element);
+            }
+            anchor = tab.element;
+        });
+
+        this.clearSelection();
+        this.pruneGroups();
+        this.render();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    removeTabsFromGroup(tabIds) {
+        // Tabs leave on the right-hand side of their group
+        this.tabManager.getOrderedTabIds().filter(id => tabIds.includes(id)).reverse().forEach(id => {
+            const tab = this.tabManager.tabs.get(id);
+            if (!tab.groupId) return;
+            const members = this.getGroupTabIds(tab.groupId);
+            this.tabManager.tabs.get(members[members.length - 1]).element.after(tab.element);
+            tab.groupId = null;
+        });
+
+        this.clearSelection();
+        this.pruneGroups();
+        this.render();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    ungroup(groupId) {
+        this.getGroupTabIds(groupId).forEach(id => {
+            this.tabManager.tabs.get(id).groupId = null;
+        });
+        this.pruneGroups();
+        this.render();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    closeGroup(groupId) {
+        const tabIds = this.getGroupTabIds(groupId);
+        // Closing every tab in the window leaves a fresh one behind
+        if (tabIds.length === this.tabManager.tabs.size) {
+            this.tabManager.createTab();
+        }
+        tabIds.forEach(id => this.tabManager.closeTab(id));
+    }
+
+    newTabInGroup(groupId) {
+        return this.tabManager.createTab(CONFIG.homePage, { groupId });
+    }
+
+    updateGroup(groupId, changes) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        if (typeof changes.name === 'string') group.name = changes.name.trim().slice(0, 50);
+        if (TAB_GROUP_COLORS.some(c => c.id === changes.color)) group.color = changes.color;
+        this.render();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    setCollapsed(groupId, collapsed) {
+        const group = this.groups.get(groupId);
+        if (!group || group.collapsed === collapsed) return;
+        group.collapsed = collapsed;
+
+        // The active tab cannot hide inside a collapsed group
+        if (collapsed && this.getGroupOfTab(this.tabManager.activeTabId) === group) {
+            const ordered = this.tabManager.getOrderedTabIds();
+            const lastIndex = ordered.indexOf(this.getGroupTabIds(groupId).pop());
+            const candidates = [...ordered.slice(lastIndex + 1), ...ordered.slice(0, lastIndex).reverse()];
+            const next = candidates.find(id => !this.isTabCollapsed(id));
+            if (next !== undefined) {
+                this.tabManager.activateTab(next);
+            } else {
+                this.tabManager.createTab();
+            }
+        }
+
+        this.render();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    toggleCollapsed(groupId) {
+        const group = this.groups.get(groupId);
+        if (group) {
+            this.setCollapsed(groupId, !group.collapsed);
+        }
+    }
+
+    // ============================================
+    // Tab Manager Hooks
+    // ============================================
+
+    onTabActivated(tabId) {
+        const group = this.getGroupOfTab(tabId);
+        if (group?.collapsed) {
+            this.setCollapsed(group.id, false);
+        }
+    }
+
+    onTabClosed(tabId) {
+        this.selectedTabIds.delete(tabId);
+        this.pruneGroups();
+        this.render();
+    }
+
+    pruneGroups() {
+        const inUse = new Set(Array.from(this.tabManager.tabs.values()).map(tab => tab.groupId));
+        this.groups.forEach((group, groupId) => {
+            if (!inUse.has(groupId)) {
+                group.header.remove();
+                this.groups.delete(groupId);
+                if (this.editor?.dataset.groupId === String(groupId)) {
+                    this.closeEditor();
+                }
+            }
+        });
+    }
+
+    // ============================================
+    // Tab Strip
+    // ============================================
+
+    createHeader(groupId) {
+        const header = document.createElement('div');
+        header.className = 'tab-group-header';
+        header.dataset.groupId = groupId;
+        header.innerHTML = `
+            <span class="tab-group-name"></span>
+            <span class="tab-group-count"></span>
+        `;
+
+        header.addEventListener('click', () => this.toggleCollapsed(groupId));
+        header.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showEditor(groupId);
+        });
+        return header;
+    }
+
+    // Keeps each group's header and tabs together, at the position of its first tab
+    render() {
+        const { tabs, tabsContainer } = this.tabManager;
+        const ordered = this.tabManager.getOrderedTabIds();
+        const sequence = [];
+        const placed = new Set();
+
+        ordered.forEach(id => {
+            const group = this.groups.get(tabs.get(id).groupId);
+            if (!group) {
+                sequence.push(tabs.get(id).element);
+            } else if (!placed.has(group.id)) {
+                placed.add(group.id);
+                sequence.push(group.header, ...this.getGroupTabIds(group.id).map(memberId => tabs.get(memberId).element));
+            }
+        });
+
+        // Re-appending restarts CSS transitions, so only touch the DOM when the order changed
+        const current = Array.from(tabsContainer.children);
+        if (current.length !== sequence.length || sequence.some((element, index) => current[index] !== element)) {
+            sequence.forEach(element => tabsContainer.appendChild(element));
+        }
+
+        tabs.forEach(tab => {
+            const group = this.groups.get(tab.groupId);
+            tab.element.classList.toggle('in-group', !!group);
+            tab.element.classList.toggle('group-collapsed', !!group?.collapsed);
+            if (group) {
+                tab.element.style.setProperty('--tab-group-color', getTabGroupColor(group.color).value);
+            } else {
+                tab.element.style.removeProperty('--tab-group-color');
+            }
+        });
+
+        this.groups.forEach(group => {
+            const count = this.getGroupTabIds(group.id).length;
+            group.header.style.setProperty('--tab-group-color', getTabGroupColor(group.color).value);
+            group.header.classList.toggle('collapsed', group.collapsed);
+            group.header.classList.toggle('unnamed', !group.name);
+            group.header.querySelector('.tab-group-name').textContent = group.name;
+            group.header.querySelector('.tab-group-count').textContent = group.collapsed || !group.name ? count : '';
+            group.header.title = `${group.name || '未命名的组'}（${count} 个标签页）- 单击${group.collapsed ? '展开' : '折叠'}，右键编辑`;
+        });
+
+        // Tree depth follows strip order, which may just have changed
+        this.tabManager.tree?.render();
+    }
+
+    showEditor(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        this.closeEditor();
+
+        const editor = document.createElement('div');
+        editor.className = 'tab-group-editor';
+        editor.dataset.groupId = groupId;
+        editor.innerHTML = `
+            <input type="text" class="tab-group-editor-name" placeholder="为此组命名" maxlength="50" spellcheck="false">
+            <div class="tab-group-editor-colors">
+                ${TAB_GROUP_COLORS.map(color => `
+                    <button class="tab-group-color ${color.id === group.color ? 'active' : ''}" data-color="${color.id}" title="${color.name}"></button>
+                `).join('')}
+            </div>
+            <div class="tab-group-editor-actions">
+                <button data-action="newTab">在组中新建标签页</button>
+                <button data-action="save">${group.savedId ? '更新已保存的组' : '保存组'}</button>
+                <button data-action="ungroup">取消组合</button>
+                <button data-action="close">关闭组</button>
+            </div>
+        `;
+
+        const nameInput = editor.querySelector('.tab-group-editor-name');
+        nameInput.value = group.name;
+        nameInput.addEventListener('input', () => this.updateGroup(groupId, { name: nameInput.value }));
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === 'Escape') {
+                this.closeEditor();
+            }
+        });
+
+        editor.querySelectorAll('.tab-group-color').forEach(button => {
+            button.style.setProperty('--tab-group-color', getTabGroupColor(button.dataset.color).value);
+            button.addEventListener('click', () => {
+                editor.querySelectorAll('.tab-group-color').forEach(b => b.classList.toggle('active', b === button));
+                this.updateGroup(groupId, { color: button.dataset.color });
+            });
+        });
+
+        const actions = {
+            newTab: () => this.newTabInGroup(groupId),
+            save: () => this.saveGroup(groupId),
+            ungroup: () => this.ungroup(groupId),
+            close: () => this.closeGroup(groupId)
+        };
+        editor.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.closeEditor();
+                actions[button.dataset.action]();
+            });
+        });
+
+        const rect = group.header.getBoundingClientRect();
+        editor.style.left = `${Math.min(rect.left, window.innerWidth - 260)}px`;
+        editor.style.top = `${rect.bottom + 4}px`;
+        document.body.appendChild(editor);
+        this.editor = editor;
+        nameInput.focus();
+        nameInput.select();
+    }
+
+    closeEditor() {
+        this.editor?.remove();
+        this.editor = null;
+    }
+
+    // ============================================
+    // Saved Groups
+    // ============================================
+
+    loadSavedGroups() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.savedGroupsKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    persistSavedGroups() {
+        try {
+            localStorage.setItem(this.savedGroupsKey, JSON.stringify(this.savedGroups));
+        } catch (e) {
+            console.error('Failed to save tab groups:', e);
+        }
+    }
+
+    // Saving again updates the same entry instead of adding a copy
+    saveGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+
+        const entry = {
+            id: group.savedId || `group-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: group.name,
+            color: group.color,
+            tabs: this.getGroupTabIds(groupId).map(id => {
+                const tab = this.tabManager.tabs.get(id);
+                return { url: tab.url, title: tab.title, favicon: tab.favicon };
+            }),
+            savedAt: Date.now()
+        };
+
+        const index = this.savedGroups.findIndex(saved => saved.id === entry.id);
+        if (index === -1) {
+            this.savedGroups.push(entry);
+        } else {
+            this.savedGroups[index] = entry;
+        }
+        group.savedId = entry.id;
+        this.persistSavedGroups();
+        this.tabManager.session?.scheduleSave();
+        this.tabManager.showNotification('标签组已保存', `“${this.escapeHTML(entry.name || '未命名的组')}”中的 ${entry.tabs.length} 个标签页可以随时重新打开`);
+    }
+
+    openSavedGroup(savedId) {
+        const entry = this.savedGroups.find(saved => saved.id === savedId);
+        if (!entry) return null;
+
+        // A saved group that is already open is just brought forward
+        const open = Array.from(this.groups.values()).find(group => group.savedId === savedId);
+        if (open) {
+            this.setCollapsed(open.id, false);
+            this.tabManager.activateTab(this.getGroupTabIds(open.id)[0]);
+            return open.id;
+        }
+
+        const tabIds = entry.tabs.map((tab, index) => this.tabManager.createTab(tab.url, {
+            title: tab.title,
+            favicon: tab.favicon,
+            activate: index === 0
+        }));
+        return this.createGroup(tabIds, { name: entry.name, color: entry.color, savedId });
+    }
+
+    deleteSavedGroup(savedId) {
+        this.savedGroups = this.savedGroups.filter(saved => saved.id !== savedId);
+        this.groups.forEach(group => {
+            if (group.savedId === savedId) group.savedId = null;
+        });
+        this.persistSavedGroups();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    // ============================================
+    // Session
+    // ============================================
+
+    collectState() {
+        return Array.from(this.groups.values()).map(({ id, name, color, collapsed, savedId }) => ({
+            id, name, color, collapsed, savedId
+        }));
+    }
+
+    // groupIds[i] is the saved group id of tabIds[i]
+    restoreGroups(groups, tabIds, groupIds) {
+        (groups || []).forEach(saved => {
+            const members = tabIds.filter((tabId, index) => groupIds[index] === saved.id);
+            this.createGroup(members, {
+                name: saved.name || '',
+                color: saved.color,
+                collapsed: !!saved.collapsed,
+                savedId: this.savedGroups.some(entry => entry.id === saved.savedId) ? saved.savedId : null
+            });
+        });
+    }
+
+    escapeHTML(text) {
+        if (!text) return '';
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// ============================================
+// Tab Discarding
+// ============================================
+// A page with typed-in form values is never thrown away
+const UNSAVED_INPUT_CHECK = `(() => Array.from(document.querySelectorAll('input, textarea, select')).some(el => {
+    if (['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(el.type)) return false;
+    if (el.type === 'checkbox' || el.type === 'radio') return el.checked !== el.defaultChecked;
+    if (el.tagName === 'SELECT') return Array.from(el.options).some(option => option.selected !== option.defaultSelected);
+    return el.value !== el.defaultValue;
+}))()`;
+
+class TabLifecycleManager {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.checkInterval = 30 * 1000;
+        // Memory pressure: less than this share of system memory is free
+        this.pressureFreeRatio = 0.1;
+        this.lowMemoryPressureFreeRatio = 0.25;
+        this.lowMemoryIdleMinutes = 5;
+        // Under pressure, tabs used within the last minute are still left alone
+        this.minIdleUnderPressure = 60 * 1000;
+        this.thumbnailWidth = 480;
+        this.checking = false;
+
+        setInterval(() => this.check(), this.checkInterval);
+    }
+
+    getIdleMinutes() {
+        const minutes = Number(window.settingsManager?.getSetting('tabDiscardMinutes')) || 0;
+        if (window.settingsManager?.getSetting('lowMemoryMode')) {
+            return minutes > 0 ? Math.min(minutes, this.lowMemoryIdleMinutes) : this.lowMemoryIdleMinutes;
+        }
+        return minutes;
+    }
+
+    // Exemptions that can be decided without asking the page
+    canDiscard(tabId) {
+        const tab = this.tabManager.tabs.get(tabId);
+        return !!tab && tabId !== this.tabManager.activeTabId && !tab.discarded
+            && !tab.pinned && !tab.audible && !tab.errorIframe && !this.tabManager.split?.isVisible(tabId);
+    }
+
+    async hasUnsavedInput(webview) {
+        try {
+            const timeout = new Promise(resolve => setTimeout(() => resolve(true), 2000));
+            return await Promise.race([webview.executeJavaScript(UNSAVED_INPUT_CHECK), timeout]) !== false;
+        } catch (e) {
+            // Could not ask the page; keep it to be safe
+            return true;
+        }
+    }
+
+    async check() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const now = Date.now();
+            const idleMinutes = this.getIdleMinutes();
+            const candidates = Array.from(this.tabManager.tabs.keys())
+                .filter(tabId => this.canDiscard(tabId))
+                .sort((a, b) => this.tabManager.tabs.get(a).lastActiveAt - this.tabManager.tabs.get(b).lastActiveAt);
+            if (candidates.length === 0) return;
+
+            const metrics = await window.focusFlowAPI?.tabs?.getMetrics();
+            const ratio = window.settingsManager?.getSetting('lowMemoryMode') ? this.lowMemoryPressureFreeRatio : this.pressureFreeRatio;
+            let underPressure = !!metrics?.success && metrics.systemMemory.freeKB < metrics.systemMemory.totalKB * ratio;
+
+            for (const tabId of candidates) {
+                const tab = this.tabManager.tabs.get(tabId);
+                if (!tab) continue;
+                const idle = now - tab.lastActiveAt;
+
+                if (idleMinutes > 0 && idle >= idleMinutes * 60 * 1000) {
+                    await this.discard(tabId);
+                } else if (underPressure && idle >= this.minIdleUnderPressure) {
+                    // One tab per check, least recently used first, then measure again
+                    underPressure = !await this.discard(tabId);
                 }
             }
-        ];
+        } catch (e) {
+            console.error('Tab discard check failed:', e);
+        } finally {
+            this.checking = false;
+        }
+    }
 
-        items.forEach(item => {
-            if (item.divider) {
-                const divider = document.createElement('div');
-                divider.style.cssText = `
-                    height: 1px;
-                    background: #333;
-                    margin: 4px 0;
-                `;
-                menu.appendChild(divider);
-            } else {
-                const menuItem = document.createElement('div');
-                menuItem.className = 'context-menu-item';
-                menuItem.textContent = item.label;
-                menuItem.style.cssText = `
-                    padding: 8px 16px;
-                    cursor: ${item.enabled ? 'pointer' : 'not-allowed'};
-                    color: ${item.enabled ? '#fff' : '#666'};
-                    font-size: 13px;
-                    transition: background 0.15s;
-                `;
+    // Frees the tab's webview; title, favicon, URL, thumbnail and back/forward history stay
+    async discard(tabId) {
+        if (!this.canDiscard(tabId)) return false;
+        const tab = this.tabManager.tabs.get(tabId);
 
-                if (item.enabled) {
-                    menuItem.addEventListener('mouseenter', () => {
-                        menuItem.style.background = '#2a2a4e';
-                    });
-                    menuItem.addEventListener('mouseleave', () => {
-                        menuItem.style.background = 'transparent';
-                    });
-                    menuItem.addEventListener('click', () => {
-                        item.action();
-                        document.body.removeChild(menu);
-                    });
-                }
+        let guestWebContentsId;
+        try {
+            guestWebContentsId = tab.webview.getWebContentsId();
+        } catch (e) {
+            // Never attached, so there is nothing to free
+            return false;
+        }
+        if (await this.hasUnsavedInput(tab.webview)) return false;
 
-                menu.appendChild(menuItem);
+        const result = await window.focusFlowAPI?.tabs?.snapshot({ guestWebContentsId, url: tab.url });
+        // The tab may have been activated or closed meanwhile
+        if (!this.canDiscard(tabId)) return false;
+
+        tab.restoreToken = result?.success ? result.restoreToken : null;
+        tab.discarded = true;
+        tab.webview.remove();
+        tab.element.classList.add('discarded');
+        this.tabManager.session?.scheduleSave();
+        return true;
+    }
+
+    discardBackgroundTabs() {
+        return Promise.all(Array.from(this.tabManager.tabs.keys()).map(tabId => this.discard(tabId)))
+            .then(results => results.filter(Boolean).length);
+    }
+
+    // Called on activation; shows the thumbnail until the new webview has drawn the page
+    restore(tabId) {
+        const tab = this.tabManager.tabs.get(tabId);
+        if (!tab?.discarded) return;
+
+        const { webview } = this.tabManager.createWebview(tabId, tab.url, tab.restoreToken);
+        tab.webview = webview;
+        tab.discarded = false;
+        tab.restoreToken = null;
+        tab.pendingTransition = 'restore';
+        tab.element.classList.remove('discarded');
+        this.tabManager.webviewContainer.appendChild(webview);
+        this.tabManager.setupWebviewListeners(tabId, webview);
+
+        if (tab.thumbnail) {
+            const preview = document.createElement('img');
+            preview.className = 'discarded-tab-preview';
+            preview.src = tab.thumbnail;
+            preview.alt = '';
+            preview.style.display = tabId === this.tabManager.activeTabId ? 'block' : 'none';
+            this.tabManager.webviewContainer.appendChild(preview);
+            tab.preview = preview;
+
+            const removePreview = () => {
+                preview.remove();
+                if (tab.preview === preview) tab.preview = null;
+            };
+            webview.addEventListener('did-stop-loading', removePreview, { once: true });
+            webview.addEventListener('did-fail-load', removePreview, { once: true });
+        }
+    }
+
+    onTabActivated(tabId) {
+        const tab = this.tabManager.tabs.get(tabId);
+        if (!tab) return;
+        tab.lastActiveAt = Date.now();
+        if (tab.preview) tab.preview.style.display = 'block';
+    }
+
+    // Capture while the page is still on screen; a hidden webview has no frame to capture
+    onTabDeactivated(tabId) {
+        const tab = this.tabManager.tabs.get(tabId);
+        if (!tab) return;
+        tab.lastActiveAt = Date.now();
+        if (tab.preview) tab.preview.style.display = 'none';
+        if (tab.discarded || tab.errorIframe) return;
+
+        try {
+            tab.webview.capturePage().then(image => {
+                if (image.isEmpty()) return;
+                const { width } = image.getSize();
+                tab.thumbnail = (width > this.thumbnailWidth ? image.resize({ width: this.thumbnailWidth }) : image).toDataURL();
+            }).catch(() => { });
+        } catch (e) {
+            // Not attached yet
+        }
+    }
+
+    onTabClosed(tab) {
+        tab.preview?.remove();
+    }
+}
+
+// ============================================
+// Split View
+// ============================================
+class SplitViewManager {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        // { tabIds: [first, second], orientation: 'horizontal' | 'vertical', ratio } or null;
+        // the pair is shown whenever one of its tabs is active
+        this.pair = null;
+        this.minRatio = 0.2;
+        this.maxRatio = 0.8;
+        this.divider = this.createDivider();
+
+        // Clicking into a pane makes its tab the active one, so the URL bar and buttons follow it
+        tabManager.webviewContainer.addEventListener('focusin', (e) => {
+            const pane = e.target.closest?.('webview, .error-iframe');
+            const tabId = pane ? parseInt(pane.id.match(/(\d+)$/)?.[1]) : NaN;
+            if (this.isVisible(tabId) && tabId !== tabManager.activeTabId) {
+                tabManager.activateTab(tabId);
             }
         });
+    }
 
-        console.log('Creating context menu at position:', { x, y });
-        console.log('Menu created:', menu);
-        
-        document.body.appendChild(menu);
-        this.currentContextMenu = menu;
-        console.log('Menu added to document');
-        console.log('Current context menu set:', this.currentContextMenu);
+    createDivider() {
+        const divider = document.createElement('div');
+        divider.className = 'split-divider';
+        divider.hidden = true;
+        divider.title = '拖动调整大小，双击恢复均分';
 
-        const closeMenu = () => {
-            try {
-                if (menu.parentNode) {
-                    document.body.removeChild(menu);
-                    console.log('Menu removed from document');
-                }
-                // Clear the current context menu reference
-                if (this.currentContextMenu === menu) {
-                    this.currentContextMenu = null;
-                    console.log('Current context menu cleared');
-                }
-            } catch (error) {
-                console.error('Error closing context menu:', error);
-            }
+        divider.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            divider.setPointerCapture(e.pointerId);
+            // Webviews would swallow the pointer while it is over them
+            this.tabManager.webviewContainer.classList.add('split-resizing');
+        });
+
+        divider.addEventListener('pointermove', (e) => {
+            if (!this.pair || !divider.hasPointerCapture(e.pointerId)) return;
+            const rect = this.tabManager.webviewContainer.getBoundingClientRect();
+            const ratio = this.pair.orientation === 'vertical'
+                ? (e.clientY - rect.top) / rect.height
+                : (e.clientX - rect.left) / rect.width;
+            this.pair.ratio = Math.min(this.maxRatio, Math.max(this.minRatio, ratio));
+            this.layout();
+        });
+
+        const endResize = (e) => {
+            if (!divider.hasPointerCapture(e.pointerId)) return;
+            divider.releasePointerCapture(e.pointerId);
+            this.tabManager.webviewContainer.classList.remove('split-resizing');
+            this.tabManager.session?.scheduleSave();
         };
+        divider.addEventListener('pointerup', endResize);
+        divider.addEventListener('pointercancel', endResize);
 
-        setTimeout(() => {
-            document.addEventListener('click', closeMenu, { once: true });
-            console.log('Click listener added to close menu');
-        }, 0);
+        divider.addEventListener('dblclick', () => {
+            if (!this.pair) return;
+            this.pair.ratio = 0.5;
+            this.layout();
+            this.tabManager.session?.scheduleSave();
+        });
+
+        this.tabManager.webviewContainer.appendChild(divider);
+        return divider;
     }
 
-    goHome() {
-        this.navigate(CONFIG.homePage);
+    isShowing() {
+        return !!this.pair && this.pair.tabIds.includes(this.tabManager.activeTabId);
     }
 
-    updateNavigationState() {
-        const tab = this.tabs.get(this.activeTabId);
-        if (tab && tab.webview) {
-            try {
-                this.backBtn.disabled = !tab.webview.canGoBack();
-                this.forwardBtn.disabled = !tab.webview.canGoForward();
-            } catch (e) {
-                // Webview not ready yet - set to disabled
-                this.backBtn.disabled = true;
-                this.forwardBtn.disabled = true;
-            }
-        }
+    isVisible(tabId) {
+        return this.isShowing() && this.pair.tabIds.includes(tabId);
     }
 
+    getPartner(tabId) {
+        if (!this.pair?.tabIds.includes(tabId)) return null;
+        return this.pair.tabIds.find(id => id !== tabId);
+    }
 
     // ============================================
-    // UI Updates
+    // Opening & Closing
     // ============================================
 
-    updateUrlBar(url) {
-        if (url && url !== 'about:blank') {
-            this.urlInput.value = url;
-        } else {
-            this.urlInput.value = '';
-        }
+    open(tabId, otherTabId, { orientation = 'horizontal', ratio = 0.5 } = {}) {
+        const { tabs } = this.tabManager;
+        if (!tabs.has(tabId) || !tabs.has(otherTabId) || tabId === otherTabId) return;
+
+        this.pair = { tabIds: [tabId, otherTabId], orientation, ratio };
+        this.updateTabMarkers();
+        this.tabManager.activateTab(otherTabId);
+        this.tabManager.session?.scheduleSave();
     }
 
-    updateSecurityIndicator(url) {
-        if (!url || url === 'about:blank') {
-            this.securityIndicator.className = 'security-indicator';
-            return;
-        }
+    // The new pane starts on the home page; the blank new tab page covers the whole container
+    openWithNewTab() {
+        const tabId = this.tabManager.activeTabId;
+        const newTabId = this.tabManager.createTab(CONFIG.homePage, { activate: false });
+        this.tabManager.moveTab(newTabId, tabId, true);
+        this.open(tabId, newTabId);
+    }
 
-        if (url.startsWith('https://')) {
-            this.securityIndicator.className = 'security-indicator secure';
-        } else {
-            this.securityIndicator.className = 'security-indicator insecure';
-        }
+    openWithTab(otherTabId) {
+        this.open(this.tabManager.activeTabId, otherTabId);
     }
 
-    setStatus(text) {
-        if (this.statusText) {
-            this.statusText.textContent = text;
-        }
+    exit() {
+        if (!this.pair) return;
+        this.pair = null;
+        this.updateTabMarkers();
+        this.layout();
+        this.tabManager.session?.scheduleSave();
     }
 
-    toggleNewTabPage(show) {
-        const ntp = document.querySelector('.new-tab-page');
-        if (ntp) {
-            ntp.style.display = show ? 'flex' : 'none';
+    swap() {
+        if (!this.pair) return;
+        this.pair.tabIds.reverse();
+        this.layout();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    toggleOrientation() {
+        if (!this.pair) return;
+        this.pair.orientation = this.pair.orientation === 'vertical' ? 'horizontal' : 'vertical';
+        this.layout();
+        this.tabManager.session?.scheduleSave();
+    }
+
+    onTabClosed(tabId) {
+        if (this.pair?.tabIds.includes(tabId)) {
+            this.exit();
         }
     }
 
     // ============================================
-    // Event Listeners Setup
+    // Layout
     // ============================================
 
-    setupNavigationListeners() {
-        this.backBtn.addEventListener('click', () => this.goBack());
-        this.forwardBtn.addEventListener('click', () => this.goForward());
-        this.reloadBtn.addEventListener('click', () => this.reload());
-        this.homeBtn.addEventListener('click', () => this.goHome());
-        this.screenshotBtn.addEventListener('click', () => this.captureScreenshot());
-
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Ctrl+T: New tab
-            if (e.ctrlKey && e.key === 't') {
-                e.preventDefault();
-                this.createTab();
-            }
-            // Ctrl+W: Close tab
-            if (e.ctrlKey && e.key === 'w') {
-                e.preventDefault();
-                this.closeTab(this.activeTabId);
-            }
-            // Ctrl+R or F5: Reload
-            if ((e.ctrlKey && e.key === 'r') || e.key === 'F5') {
-                e.preventDefault();
-                this.reload();
-            }
-            // Alt+Left: Back
-            if (e.altKey && e.key === 'ArrowLeft') {
-                e.preventDefault();
-                this.goBack();
-            }
-            // Alt+Right: Forward
-            if (e.altKey && e.key === 'ArrowRight') {
-                e.preventDefault();
-                this.goForward();
-            }
-            // Ctrl+L: Focus URL bar
-            if (e.ctrlKey && e.key === 'l') {
-                e.preventDefault();
-                this.urlInput.focus();
-                this.urlInput.select();
-            }
-            // Escape: Stop loading / blur URL bar
-            if (e.key === 'Escape') {
-                if (document.activeElement === this.urlInput) {
-                    this.urlInput.blur();
-                } else {
-                    const tab = this.tabs.get(this.activeTabId);
-                    if (tab && tab.webview) {
-                        tab.webview.stop();
-                    }
-                }
-            }
-            // F12: Open DevTools for current webview
-            if (e.key === 'F12') {
-                e.preventDefault();
-                this.openDevTools();
-            }
+    updateTabMarkers() {
+        this.tabManager.tabs.forEach((tab, tabId) => {
+            tab.element.classList.toggle('in-split', !!this.pair?.tabIds.includes(tabId));
         });
     }
 
-    setupUrlInputListeners() {
-        this.urlInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                const value = this.urlInput.value.trim();
-                if (value) {
-                    this.navigate(value);
-                    this.urlInput.blur();
-                }
+    // Runs after activateTab has shown the active tab; adds its partner and sizes both panes
+    layout() {
+        const { tabs, activeTabId, webviewContainer } = this.tabManager;
+        const showing = this.isShowing();
+        const partnerId = showing ? this.getPartner(activeTabId) : null;
+        if (partnerId !== null) {
+            this.tabManager.lifecycle.restore(partnerId);
+        }
+
+        webviewContainer.classList.toggle('split', showing);
+        webviewContainer.classList.toggle('split-vertical', showing && this.pair.orientation === 'vertical');
+
+        tabs.forEach((tab, tabId) => {
+            const index = showing ? this.pair.tabIds.indexOf(tabId) : -1;
+            [tab.webview, tab.errorIframe, tab.preview].forEach(element => {
+                if (element) this.applyPaneRect(element, index);
+            });
+            tab.webview.classList.toggle('split-focused', showing && tabId === activeTabId);
+
+            if (tabId === partnerId) {
+                tab.webview.style.display = tab.errorIframe ? 'none' : 'flex';
+                if (tab.errorIframe) tab.errorIframe.style.display = 'block';
+                if (tab.preview) tab.preview.style.display = 'block';
+            } else if (tabId !== activeTabId) {
+                tab.webview.style.display = 'none';
+                if (tab.errorIframe) tab.errorIframe.style.display = 'none';
+                if (tab.preview) tab.preview.style.display = 'none';
             }
         });
 
-        this.urlInput.addEventListener('focus', () => {
-            this.urlInput.select();
+        this.divider.hidden = !showing;
+        if (showing) {
+            const position = `calc(${this.pair.ratio * 100}% - 3px)`;
+            this.divider.style.left = this.pair.orientation === 'vertical' ? '0' : position;
+            this.divider.style.top = this.pair.orientation === 'vertical' ? position : '0';
+        }
+    }
+
+    // index is the pane (0 or 1), or -1 to fill the container
+    applyPaneRect(element, index) {
+        const vertical = this.pair?.orientation === 'vertical';
+        const ratio = this.pair ? this.pair.ratio * 100 : 100;
+        const size = index === -1 ? '100%' : `${index === 0 ? ratio : 100 - ratio}%`;
+        const offset = index === 1 ? `${ratio}%` : '0';
+
+        element.style.left = vertical ? '0' : offset;
+        element.style.top = vertical ? offset : '0';
+        element.style.width = vertical || index === -1 ? '100%' : size;
+        element.style.height = vertical ? size : '100%';
+    }
+
+    // ============================================
+    // Session
+    // ============================================
+
+    collectState(tabIds) {
+        if (!this.pair) return null;
+        return {
+            tabIndexes: this.pair.tabIds.map(tabId => tabIds.indexOf(tabId)),
+            orientation: this.pair.orientation,
+            ratio: this.pair.ratio
+        };
+    }
+
+    restore(state, tabIds) {
+        const [first, second] = (state?.tabIndexes || []).map(index => tabIds[index]);
+        if (first === undefined || second === undefined || first === second) return;
+
+        this.pair = {
+            tabIds: [first, second],
+            orientation: state.orientation === 'vertical' ? 'vertical' : 'horizontal',
+            ratio: Math.min(this.maxRatio, Math.max(this.minRatio, Number(state.ratio) || 0.5))
+        };
+        this.updateTabMarkers();
+    }
+}
+
+// ============================================
+// Tab Tree (vertical tabs)
+// ============================================
+// Tabs opened from another tab nest under it. The tree follows strip order: a tab is shown under
+// its parent only while it sits inside the parent's run of descendants, otherwise it is a root.
+class TabTreeManager {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.enabled = false;
+        this.indent = 16;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        document.querySelector('.browser-container')?.classList.toggle('vertical-tabs', this.enabled);
+        this.render();
+    }
+
+    // tabId -> { depth, parentId } in strip order; pinned tabs are always roots
+    computeTree() {
+        const { tabs } = this.tabManager;
+        const tree = new Map();
+        const ancestors = [];
+
+        this.tabManager.getOrderedTabIds().forEach(tabId => {
+            const tab = tabs.get(tabId);
+            const at = tab.pinned ? -1 : ancestors.lastIndexOf(tab.parentTabId);
+            ancestors.length = at + 1;
+            tree.set(tabId, { depth: ancestors.length, parentId: ancestors[ancestors.length - 1] ?? null });
+            ancestors.push(tabId);
         });
+        return tree;
+    }
+
+    getDescendants(tabId, tree = this.computeTree()) {
+        const ordered = this.tabManager.getOrderedTabIds();
+        const depth = tree.get(tabId)?.depth ?? 0;
+        const descendants = [];
+        for (let i = ordered.indexOf(tabId) + 1; i < ordered.length && tree.get(ordered[i]).depth > depth; i++) {
+            descendants.push(ordered[i]);
+        }
+        return descendants;
+    }
+
+    getAncestors(tabId, tree = this.computeTree()) {
+        const ancestors = [];
+        for (let id = tree.get(tabId)?.parentId; id != null; id = tree.get(id)?.parentId) {
+            ancestors.push(id);
+        }
+        return ancestors;
+    }
+
+    isHidden(tabId) {
+        if (!this.enabled) return false;
+        return this.getAncestors(tabId).some(id => this.tabManager.tabs.get(id).treeCollapsed);
     }
 
-    setupNewTabListener() {
-        this.newTabBtn.addEventListener('click', () => {
-            this.createTab();
-        });
+    // A tab opened from another one goes after the opener's last descendant
+    placeNewTab(tabId) {
+        const tab = this.tabManager.tabs.get(tabId);
+        const opener = this.tabManager.tabs.get(tab?.parentTabId);
+        if (!this.enabled || !opener || opener.pinned || tab.pinned || tab.groupId !== opener.groupId) return;
+
+        const tree = this.computeTree();
+        const last = [tab.parentTabId, ...this.getDescendants(tab.parentTabId, tree)].filter(id => id !== tabId).pop();
+        this.tabManager.tabs.get(last).element.after(tab.element);
     }
 
-    setupSearchInputListener() {
-        const searchInput = document.getElementById('searchInput');
-        if (searchInput) {
-            searchInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    const query = searchInput.value.trim();
-                    if (query) {
-                        this.navigate(query);
-                    }
-                }
-            });
-        }
+    render() {
+        const tree = this.computeTree();
+        this.tabManager.tabs.forEach((tab, tabId) => {
+            const { depth } = tree.get(tabId) || { depth: 0 };
+            const childCount = this.getDescendants(tabId, tree).length;
+            const hidden = this.enabled && this.getAncestors(tabId, tree).some(id => this.tabManager.tabs.get(id).treeCollapsed);
 
-        // Quick links
-        document.querySelectorAll('.quick-link[data-url]').forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const url = link.dataset.url;
-                this.navigate(url);
-            });
+            tab.element.style.setProperty('--tab-depth', this.enabled ? depth : 0);
+            tab.element.classList.toggle('has-children', childCount > 0);
+            tab.element.classList.toggle('tree-collapsed', !!tab.treeCollapsed && childCount > 0);
+            tab.element.classList.toggle('tree-hidden', hidden);
+            tab.element.querySelector('.tab-tree-toggle').title = tab.treeCollapsed
+                ? `展开 ${childCount} 个子标签页`
+                : `折叠 ${childCount} 个子标签页`;
         });
     }
 
     // ============================================
-    // Knowledge Mode - Content Extraction
+    // Subtree Actions
     // ============================================
 
-    extractPageContent(tabId, webview) {
-        // Check if Knowledge Mode is enabled
-        if (!window.knowledgeManager || !window.knowledgeManager.isKnowledgeModeEnabled()) {
-            return; // Knowledge Mode is OFF, skip extraction
+    toggleCollapsed(tabId) {
+        const tab = this.tabManager.tabs.get(tabId);
+        if (!tab) return;
+
+        tab.treeCollapsed = !tab.treeCollapsed;
+        // The active tab cannot disappear into a collapsed subtree
+        if (tab.treeCollapsed && this.getDescendants(tabId).includes(this.tabManager.activeTabId)) {
+            this.tabManager.activateTab(tabId);
         }
+        this.render();
+        this.tabManager.session?.scheduleSave();
+    }
 
-        const tab = this.tabs.get(tabId);
-        if (!tab || !webview) return;
+    onTabActivated(tabId) {
+        if (!this.enabled) return;
+        const collapsed = this.getAncestors(tabId).filter(id => this.tabManager.tabs.get(id).treeCollapsed);
+        if (collapsed.length === 0) return;
+        collapsed.forEach(id => {
+            this.tabManager.tabs.get(id).treeCollapsed = false;
+        });
+        this.render();
+    }
 
-        // Don't extract from about:blank or empty pages
-        const currentUrl = tab.url;
-        if (!currentUrl || currentUrl === 'about:blank') return;
+    // Children of a closed tab move up to its parent
+    onTabClosed(tabId, tab) {
+        this.tabManager.tabs.forEach(other => {
+            if (other.parentTabId === tabId) other.parentTabId = tab.parentTabId;
+        });
+        this.render();
+    }
 
-        // Execute JavaScript in the webview to extract content
-        const extractionScript = `
-            (function() {
-                // Helper to get text content and clean it
-                const getText = (el) => el.textContent.trim();
-                
-                // Helper to get array of text from elements
-                const getTextArray = (selector) => {
-                    return Array.from(document.querySelectorAll(selector))
-                        .map(el => getText(el))
-                        .filter(text => text.length > 0);
-                };
+    closeSubtree(tabId) {
+        [...this.getDescendants(tabId).reverse(), tabId].forEach(id => this.tabManager.closeTab(id));
+    }
 
-                // Extract all content
-                return {
-                    url: window.location.href,
-                    title: document.title || '',
-                    headings: getTextArray('h1'),
-                    subHeadings: getTextArray('h2'),
-                    paragraphs: getTextArray('p').slice(0, 50), // Limit to first 50 paragraphs
-                    lists: getTextArray('li').slice(0, 100), // Limit to first 100 list items
-                    timestamp: new Date().toISOString()
-                };
-            })();
-        `;
+    async moveSubtreeToNewWindow(tabId) {
+        const { tabs } = this.tabManager;
+        const tree = this.computeTree();
+        const tabIds = [tabId, ...this.getDescendants(tabId, tree)];
 
-        webview.executeJavaScript(extractionScript)
-            .then(pageContent => {
-                if (pageContent && pageContent.url) {
-                    // Log the extracted content for testing
-                    // Classify the content using the Knowledge Classifier
-                    if (window.knowledgeClassifier) {
-                        const classifiedContent = window.knowledgeClassifier.classify(pageContent);
+        const payload = tabIds.map((id, index) => {
+            const tab = tabs.get(id);
+            let guestWebContentsId = null;
+            try {
+                guestWebContentsId = tab.discarded ? null : tab.webview.getWebContentsId();
+            } catch (e) {
+                // Not attached yet; it moves by URL alone
+            }
+            const parentIndex = index === 0 ? -1 : tabIds.indexOf(tree.get(id).parentId);
+            return {
+                guestWebContentsId,
+                restoreToken: tab.discarded ? tab.restoreToken : null,
+                url: tab.url,
+                title: tab.title,
+                favicon: tab.favicon,
+                parentIndex: parentIndex >= 0 ? parentIndex : null,
+                treeCollapsed: tab.treeCollapsed
+            };
+        });
 
-                        if (classifiedContent) {
-                            // Dispatch event with classified content
-                            window.dispatchEvent(new CustomEvent('pageContentClassified', {
-                                detail: { tabId, content: classifiedContent }
-                            }));
-                        }
-                    }
+        const result = await window.focusFlowAPI?.tabs?.detachTree({ tabs: payload });
+        if (!result?.success) {
+            if (result) await showAlert(`无法移至新窗口：${result.error}`);
+            return;
+        }
 
-                    // Dispatch event for other parts of the app to use
-                    window.dispatchEvent(new CustomEvent('pageContentExtracted', {
-                        detail: { tabId, content: pageContent }
-                    }));
-                }
-            })
-            .catch(err => {
-            });
+        // The whole window moved: close it instead of leaving a home page behind
+        if (tabIds.length === tabs.size) {
+            window.focusFlowAPI.window.close();
+            return;
+        }
+        tabIds.reverse().forEach(id => this.tabManager.closeTab(id));
+    }
+
+    // ============================================
+    // Session
+    // ============================================
+
+    collectState(tabId, tabIds) {
+        const tab = this.tabManager.tabs.get(tabId);
+        const parentIndex = tabIds.indexOf(tab.parentTabId);
+        return { parentIndex: parentIndex >= 0 ? parentIndex : null, treeCollapsed: !!tab.treeCollapsed };
     }
 }
 
@@ -2559,6 +4732,7 @@ class KnowledgeDB {
             request.onsuccess = (event) => {
                 const id = event.target.result;
                 resolve({ ...knowledgeEntry, id });
+                window.internalPages?.notify('knowledge', { type: 'knowledge-changed' });
             };
 
             request.onerror = (event) => {
@@ -2680,6 +4854,7 @@ class KnowledgeDB {
 
             request.onsuccess = () => {
                 resolve(true);
+                window.internalPages?.notify('knowledge', { type: 'knowledge-changed' });
             };
 
             request.onerror = (event) => {
@@ -2707,6 +4882,36 @@ class KnowledgeDB {
         });
     }
 
+    // Delete entries saved at or after a time (ms); returns how many were removed
+    async deleteKnowledgeSince(since) {
+        await this.ensureReady();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.openCursor();
+            let removed = 0;
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (BrowsingData.isInClearRange(cursor.value.savedAt || cursor.value.timestamp, since)) {
+                    cursor.delete();
+                    removed++;
+                }
+                cursor.continue();
+            };
+
+            request.onerror = (event) => {
+                reject(event.target.error);
+            };
+
+            transaction.oncomplete = () => {
+                resolve(removed);
+            };
+        });
+    }
+
     // Check if URL already exists in the database
     async hasURL(url) {
         await this.ensureReady();
@@ -4525,69 +6730,123 @@ class BookmarkManager {
 class PasswordManager {
     constructor() {
         this.passwords = [];
-        this.storageKey = 'paperstation-passwords';
+        // Plaintext store from before the encrypted vault; migrated on first unlock
+        this.legacyStorageKey = 'paperstation-passwords';
+        this.status = null;
         this.isPanelOpen = false;
         this.init();
     }
 
     init() {
-        this.loadPasswords();
         this.setupEventListeners();
+        this.refreshStatus();
+    }
+
+    get api() {
+        return window.focusFlowAPI?.passwordManager;
+    }
+
+    isLocked() {
+        return !this.status || this.status.locked;
+    }
+
+    // ============================================
+    // Vault State
+    // ============================================
+
+    async refreshStatus() {
+        if (!this.api) return;
+        this.status = await this.api.getStatus();
+        if (!this.status.locked) {
+            await this.loadPasswords();
+        }
     }
 
-    loadPasswords() {
+    async setupVault(masterPassword) {
+        const result = await this.api.setup(masterPassword);
+        if (result.success) {
+            await this.refreshStatus();
+        }
+        return result;
+    }
+
+    async unlock(masterPassword) {
+        const result = await this.api.unlock(masterPassword);
+        if (result.success) {
+            await this.refreshStatus();
+        }
+        return result;
+    }
+
+    async lock() {
+        await this.api.lock();
+    }
+
+    async loadPasswords() {
         try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                this.passwords = JSON.parse(stored);
+            const result = await this.api.getPasswords();
+            if (result.locked) {
+                this.status = { ...this.status, locked: true };
+                this.passwords = [];
+                return;
             }
+            this.passwords = result.passwords || [];
+            await this.migrateLegacyPasswords();
         } catch (error) {
             console.error('Failed to load passwords:', error);
             this.passwords = [];
         }
     }
 
-    savePasswords() {
+    async migrateLegacyPasswords() {
+        const stored = localStorage.getItem(this.legacyStorageKey);
+        if (!stored) return;
+
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.passwords));
+            const result = await this.api.migrateLegacy(JSON.parse(stored));
+            if (result.success) {
+                localStorage.removeItem(this.legacyStorageKey);
+                if (result.added > 0) {
+                    const reloaded = await this.api.getPasswords();
+                    this.passwords = reloaded.passwords || this.passwords;
+                }
+            }
         } catch (error) {
-            console.error('Failed to save passwords:', error);
+            console.error('Failed to migrate passwords:', error);
         }
     }
 
+    // ============================================
+    // Entries
+    // ============================================
+
     async savePassword(data) {
         try {
-            // Verify with Windows Hello if available
-            const verified = await window.focusFlowAPI.passwordManager.verifyWithHello();
-            if (!verified) {
-                return { success: false, error: 'Windows Hello verification failed' };
-            }
-
-            const password = {
-                id: Date.now(),
+            // The main process asks for Windows Hello or Touch ID first, where the OS has them
+            const result = await this.api.savePassword({
                 website: data.website,
                 username: data.username,
-                password: data.password,
-                updatedAt: new Date().toISOString()
-            };
+                password: data.password
+            });
+            if (!result.success) {
+                const error = result.locked ? '密码库已锁定' : result.error === 'Verification failed' ? '身份验证失败' : result.error;
+                return { success: false, error };
+            }
 
-            this.passwords.push(password);
-            this.savePasswords();
-            this.renderPasswordsList();
-            
-            return { success: true, password };
+            await this.loadPasswords();
+            this.refreshPanel();
+            return { success: true, password: result.password };
         } catch (error) {
             console.error('Failed to save password:', error);
             return { success: false, error: error.message };
         }
     }
 
-    deletePassword(id) {
-        const index = this.passwords.findIndex(p => p.id === id);
-        if (index !== -1) {
-            this.passwords.splice(index, 1);
-            this.savePasswords();
-            this.renderPasswordsList();
+    async deletePassword(id) {
+        const result = await this.api.deletePassword(id);
+        if (result.success) {
+            this.passwords = this.passwords.filter(p => p.id !== id);
+            this.refreshPanel();
             return true;
         }
         return false;
@@ -4597,9 +6856,19 @@ class PasswordManager {
         return this.passwords;
     }
 
-    showPasswordManager() {
+    // ============================================
+    // UI
+    // ============================================
+
+    async showPasswordManager() {
         if (this.isPanelOpen) return;
 
+        await this.refreshStatus();
+        // With OS secure storage the vault is created transparently on first use
+        if (this.status && !this.status.initialized && this.status.mode === 'safeStorage') {
+            await this.setupVault();
+        }
+
         const panel = document.createElement('div');
         panel.id = 'passwordManagerPanel';
         panel.className = 'password-manager-panel';
@@ -4611,20 +6880,86 @@ class PasswordManager {
                     &times;
                 </button>
             </div>
-            <div class="password-manager-body">
-                <div class="password-manager-actions">
-                    <button class="password-manager-btn primary" id="addPasswordBtn">
-                        添加密码
-                    </button>
-                </div>
-                <div class="passwords-list" id="passwordsList">
-                    ${this.renderPasswordsList()}
-                </div>
+            <div class="password-manager-body" id="passwordManagerBody">
+                ${this.renderPanelBody()}
             </div>
         `;
         
         document.body.appendChild(panel);
         this.isPanelOpen = true;
+
+        document.getElementById('passwordManagerClose')?.addEventListener('click', () => {
+            this.hidePasswordManager();
+        });
+        this.setupPanelEventListeners();
+    }
+
+    renderPanelBody() {
+        if (!this.status) {
+            return `<div class="passwords-empty"><p>密码管理器不可用</p></div>`;
+        }
+
+        if (!this.status.initialized) {
+            return `
+                <form class="password-vault-form" id="vaultSetupForm">
+                    <p>系统安全存储不可用，请设置主密码来加密您的密码库。</p>
+                    <div class="password-form-group">
+                        <label for="vaultMasterPassword">主密码（至少 8 位）</label>
+                        <input type="password" id="vaultMasterPassword" minlength="8" required>
+                    </div>
+                    <div class="password-form-group">
+                        <label for="vaultMasterPasswordConfirm">确认主密码</label>
+                        <input type="password" id="vaultMasterPasswordConfirm" minlength="8" required>
+                    </div>
+                    <p class="password-vault-hint">主密码无法找回，忘记后将无法读取已保存的密码。</p>
+                    <div class="password-form-actions">
+                        <button type="submit" class="password-btn primary">创建密码库</button>
+                    </div>
+                </form>
+            `;
+        }
+
+        if (this.status.locked) {
+            const needsPassword = this.status.mode === 'masterPassword';
+            return `
+                <form class="password-vault-form" id="vaultUnlockForm">
+                    <p>🔒 密码库已锁定</p>
+                    ${needsPassword ? `
+                        <div class="password-form-group">
+                            <label for="vaultUnlockPassword">主密码</label>
+                            <input type="password" id="vaultUnlockPassword" required>
+                        </div>
+                    ` : ''}
+                    <div class="password-form-actions">
+                        <button type="submit" class="password-btn primary">解锁</button>
+                    </div>
+                </form>
+            `;
+        }
+
+        return `
+            <div class="password-manager-actions">
+                <button class="password-manager-btn primary" id="addPasswordBtn">
+                    添加密码
+                </button>
+                <button class="password-manager-btn" id="vaultHealthBtn">
+                    密码健康检查
+                </button>
+                <button class="password-manager-btn" id="lockVaultBtn">
+                    立即锁定
+                </button>
+            </div>
+            <div class="passwords-list" id="passwordsList">
+                ${this.renderPasswordsList()}
+            </div>
+        `;
+    }
+
+    refreshPanel() {
+        const body = document.getElementById('passwordManagerBody');
+        if (!this.isPanelOpen || !body) return;
+
+        body.innerHTML = this.renderPanelBody();
         this.setupPanelEventListeners();
     }
 
@@ -4658,44 +6993,210 @@ class PasswordManager {
     }
 
     setupPanelEventListeners() {
-        // Close button
-        document.getElementById('passwordManagerClose')?.addEventListener('click', () => {
-            this.hidePasswordManager();
+        // Vault setup (master password mode)
+        document.getElementById('vaultSetupForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const masterPassword = document.getElementById('vaultMasterPassword').value;
+            if (masterPassword !== document.getElementById('vaultMasterPasswordConfirm').value) {
+                showAlert('两次输入的主密码不一致');
+                return;
+            }
+            const result = await this.setupVault(masterPassword);
+            if (result.success) {
+                this.refreshPanel();
+            } else {
+                showAlert('创建密码库失败：' + result.error);
+            }
+        });
+
+        // Unlock
+        document.getElementById('vaultUnlockForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = document.getElementById('vaultUnlockPassword');
+            const result = await this.unlock(input ? input.value : undefined);
+            if (result.success) {
+                this.refreshPanel();
+            } else {
+                showAlert('解锁失败：' + result.error);
+                if (input) input.select();
+            }
         });
         
         // Add password button
         document.getElementById('addPasswordBtn')?.addEventListener('click', () => {
             this.showAddPasswordModal();
         });
-        
-        // Copy password buttons
-        document.querySelectorAll('.password-action-btn.copy').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const id = parseInt(e.currentTarget.dataset.id);
-                const password = this.passwords.find(p => p.id === id);
-                if (password) {
-                    navigator.clipboard.writeText(password.password).then(() => {
-                        showAlert('密码已复制到剪贴板');
-                    });
-                }
+
+        document.getElementById('vaultHealthBtn')?.addEventListener('click', () => {
+            this.showVaultHealth();
+        });
+
+        document.getElementById('lockVaultBtn')?.addEventListener('click', () => {
+            this.lock();
+        });
+        
+        // Copy password buttons
+        document.querySelectorAll('.password-action-btn.copy').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const id = e.currentTarget.dataset.id;
+                const password = this.passwords.find(p => p.id === id);
+                if (password) {
+                    navigator.clipboard.writeText(password.password).then(() => {
+                        showAlert('密码已复制到剪贴板');
+                    });
+                }
+            });
+        });
+        
+        // Delete password buttons
+        document.querySelectorAll('.password-action-btn.delete').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const id = e.currentTarget.dataset.id;
+                if (await showConfirm('确定要删除这个密码吗？')) {
+                    this.deletePassword(id);
+                }
+            });
+        });
+    }
+
+    // ============================================
+    // Generator & Vault Health
+    // ============================================
+
+    getGeneratorOptions() {
+        return { ...window.settingsManager?.defaults.passwordGenerator, ...window.settingsManager?.getSetting('passwordGenerator') };
+    }
+
+    renderGeneratorOptions(options) {
+        return `
+            <div class="password-generator" id="passwordGenerator" style="display: none;">
+                <div class="password-generator-modes">
+                    <label><input type="radio" name="generatorMode" value="random" ${options.mode !== 'passphrase' ? 'checked' : ''}> 随机字符</label>
+                    <label><input type="radio" name="generatorMode" value="passphrase" ${options.mode === 'passphrase' ? 'checked' : ''}> 密码短语</label>
+                </div>
+                <div class="password-generator-random" ${options.mode === 'passphrase' ? 'style="display: none;"' : ''}>
+                    <label>长度 <span id="generatorLengthValue">${options.length}</span>
+                        <input type="range" data-option="length" min="8" max="64" value="${options.length}">
+                    </label>
+                    <label><input type="checkbox" data-option="lowercase" ${options.lowercase ? 'checked' : ''}> 小写字母</label>
+                    <label><input type="checkbox" data-option="uppercase" ${options.uppercase ? 'checked' : ''}> 大写字母</label>
+                    <label><input type="checkbox" data-option="digits" ${options.digits ? 'checked' : ''}> 数字</label>
+                    <label><input type="checkbox" data-option="symbols" ${options.symbols ? 'checked' : ''}> 符号</label>
+                </div>
+                <div class="password-generator-passphrase" ${options.mode !== 'passphrase' ? 'style="display: none;"' : ''}>
+                    <label>单词数 <span id="generatorWordsValue">${options.words}</span>
+                        <input type="range" data-option="words" min="3" max="10" value="${options.words}">
+                    </label>
+                    <label><input type="checkbox" data-option="capitalize" ${options.capitalize ? 'checked' : ''}> 首字母大写</label>
+                    <label><input type="checkbox" data-option="includeNumber" ${options.includeNumber ? 'checked' : ''}> 包含数字</label>
+                </div>
+            </div>
+        `;
+    }
+
+    setupGenerator(modal, passwordInput) {
+        const panel = modal.querySelector('#passwordGenerator');
+        let options = this.getGeneratorOptions();
+
+        const generate = async () => {
+            const result = await this.api.generate(options);
+            if (result.success) {
+                passwordInput.type = 'text';
+                passwordInput.value = result.password;
+            }
+        };
+
+        // Remember the choice; the autofill dropdown suggests passwords with the same options
+        const update = () => {
+            window.settingsManager?.setSetting('passwordGenerator', options);
+            generate();
+        };
+
+        modal.querySelector('#generatePasswordBtn').addEventListener('click', () => {
+            panel.style.display = '';
+            generate();
+        });
+
+        panel.querySelectorAll('input[name="generatorMode"]').forEach(input => {
+            input.addEventListener('change', () => {
+                options = { ...options, mode: input.value };
+                panel.querySelector('.password-generator-random').style.display = input.value === 'passphrase' ? 'none' : '';
+                panel.querySelector('.password-generator-passphrase').style.display = input.value === 'passphrase' ? '' : 'none';
+                update();
             });
         });
-        
-        // Delete password buttons
-        document.querySelectorAll('.password-action-btn.delete').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const id = parseInt(e.currentTarget.dataset.id);
-                if (await showConfirm('确定要删除这个密码吗？')) {
-                    this.deletePassword(id);
-                }
+
+        panel.querySelectorAll('input[data-option]').forEach(input => {
+            input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                options = { ...options, [input.dataset.option]: input.type === 'range' ? Number(input.value) : input.checked };
+                if (input.dataset.option === 'length') panel.querySelector('#generatorLengthValue').textContent = input.value;
+                if (input.dataset.option === 'words') panel.querySelector('#generatorWordsValue').textContent = input.value;
+                update();
             });
         });
-        
-        // Escape key to close
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isPanelOpen) {
-                this.hidePasswordManager();
-            }
+    }
+
+    async showVaultHealth() {
+        if (!(await this.ensureUnlocked())) return;
+
+        const report = await this.api.getHealthReport();
+        if (!report.success) {
+            showAlert('无法生成报告：' + report.error);
+            return;
+        }
+
+        const issues = report.entries.filter(entry => entry.weak || entry.reusedCount > 0 || entry.old || entry.breachCount > 0);
+        const count = (key) => report.entries.filter(entry => key === 'breachCount' ? entry.breachCount > 0 : (key === 'reusedCount' ? entry.reusedCount > 0 : entry[key])).length;
+
+        const modal = document.createElement('div');
+        modal.id = 'vaultHealthModal';
+        modal.className = 'password-modal';
+        modal.innerHTML = `
+            <div class="password-modal-content password-health">
+                <h3>密码健康检查</h3>
+                <div class="password-health-summary">
+                    <div><strong>${count('breachCount')}</strong><span>已泄露</span></div>
+                    <div><strong>${count('reusedCount')}</strong><span>重复使用</span></div>
+                    <div><strong>${count('weak')}</strong><span>强度弱</span></div>
+                    <div><strong>${count('old')}</strong><span>超过一年未更改</span></div>
+                </div>
+                <p class="password-vault-hint">
+                    ${report.breachListAvailable
+                        ? '已使用本地泄露密码哈希列表检查（仅比对 SHA-1 前缀范围，不联网）。'
+                        : '未找到本地泄露密码哈希列表。将 Have I Been Pwned 格式的哈希文件放入泄露列表文件夹即可启用检查。'}
+                </p>
+                <div class="password-health-list">
+                    ${issues.length === 0 ? '<p>没有发现问题 🎉</p>' : ''}
+                </div>
+                <div class="password-form-actions">
+                    <button type="button" class="password-btn cancel" id="openBreachFolder">打开泄露列表文件夹</button>
+                    <button type="button" class="password-btn primary" id="closeVaultHealth">关闭</button>
+                </div>
+            </div>
+        `;
+
+        const list = modal.querySelector('.password-health-list');
+        issues.forEach(entry => {
+            const tags = [];
+            if (entry.breachCount > 0) tags.push(`已在 ${entry.breachCount} 次泄露中出现`);
+            if (entry.reusedCount > 0) tags.push(`与另外 ${entry.reusedCount} 个账号相同`);
+            if (entry.weak) tags.push(`强度弱（约 ${entry.entropy} 位）`);
+            if (entry.old) tags.push(`${entry.ageDays} 天未更改`);
+
+            const row = document.createElement('div');
+            row.className = 'password-health-row';
+            row.innerHTML = '<div class="site"></div><div class="user"></div><div class="tags"></div>';
+            row.querySelector('.site').textContent = entry.website;
+            row.querySelector('.user').textContent = entry.username;
+            row.querySelector('.tags').textContent = tags.join(' · ');
+            list.appendChild(row);
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('#closeVaultHealth').addEventListener('click', () => modal.remove());
+        modal.querySelector('#openBreachFolder').addEventListener('click', () => this.api.openBreachFolder());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
         });
     }
 
@@ -4718,8 +7219,12 @@ class PasswordManager {
                     </div>
                     <div class="password-form-group">
                         <label for="password">密码</label>
-                        <input type="password" id="password" placeholder="输入密码" required>
+                        <div class="password-input-row">
+                            <input type="password" id="password" placeholder="输入密码" required>
+                            <button type="button" class="password-btn" id="generatePasswordBtn" title="生成强密码">生成</button>
+                        </div>
                     </div>
+                    ${this.renderGeneratorOptions(this.getGeneratorOptions())}
                     <div class="password-form-actions">
                         <button type="button" class="password-btn cancel" id="cancelAddPassword">取消</button>
                         <button type="submit" class="password-btn primary">保存密码</button>
@@ -4729,6 +7234,7 @@ class PasswordManager {
         `;
         
         document.body.appendChild(modal);
+        this.setupGenerator(modal, modal.querySelector('#password'));
         
         // Focus the input
         setTimeout(() => {
@@ -4781,16 +7287,623 @@ class PasswordManager {
         });
     }
 
-    hidePasswordManager() {
-        const panel = document.getElementById('passwordManagerPanel');
-        if (panel) {
-            panel.remove();
+    // ============================================
+    // Import / Export
+    // ============================================
+
+    async ensureUnlocked() {
+        await this.refreshStatus();
+        if (!this.isLocked()) return true;
+        showAlert('请先在密码管理器中解锁密码库');
+        this.showPasswordManager();
+        return false;
+    }
+
+    async importPasswords(options = {}) {
+        if (!(await this.ensureUnlocked())) return;
+
+        const preview = await this.api.importPreview(options);
+        if (preview.needsPassword) {
+            const filePassword = await this.promptForPassword('此导出文件已加密，请输入文件密码');
+            if (filePassword) {
+                this.importPasswords({ filePath: preview.filePath, filePassword });
+            }
+            return;
+        }
+        if (!preview.success) {
+            if (!preview.canceled) showAlert('导入失败：' + preview.error);
+            return;
+        }
+        this.showImportPreview(preview);
+    }
+
+    showImportPreview(preview) {
+        const statusLabels = { new: '新增', duplicate: '已存在', conflict: '密码不同' };
+        const counts = { new: 0, duplicate: 0, conflict: 0 };
+        preview.entries.forEach(entry => counts[entry.status]++);
+
+        const modal = document.createElement('div');
+        modal.id = 'importPasswordModal';
+        modal.className = 'password-modal';
+        modal.innerHTML = `
+            <div class="password-modal-content password-import-preview">
+                <h3>导入密码</h3>
+                <p class="password-import-summary"></p>
+                <div class="password-import-list"></div>
+                <label class="password-import-option">
+                    <input type="checkbox" id="importOverwriteConflicts">
+                    用导入的密码覆盖"密码不同"的条目
+                </label>
+                <div class="password-form-actions">
+                    <button type="button" class="password-btn cancel" id="cancelImportPasswords">取消</button>
+                    <button type="button" class="password-btn primary" id="confirmImportPasswords">导入</button>
+                </div>
+            </div>
+        `;
+
+        // Values come from the imported file, so they are inserted as text
+        modal.querySelector('.password-import-summary').textContent =
+            `${preview.fileName}（${preview.format}）：新增 ${counts.new} 条，已存在 ${counts.duplicate} 条，密码不同 ${counts.conflict} 条` +
+            (preview.skipped ? `，文件内重复或无效 ${preview.skipped} 条` : '') + '。';
+        const list = modal.querySelector('.password-import-list');
+        preview.entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = `password-import-row ${entry.status}`;
+            row.innerHTML = '<span class="site"></span><span class="user"></span><span class="status"></span>';
+            row.querySelector('.site').textContent = entry.website;
+            row.querySelector('.user').textContent = entry.username;
+            row.querySelector('.status').textContent = statusLabels[entry.status];
+            list.appendChild(row);
+        });
+        document.body.appendChild(modal);
+
+        const close = () => {
+            modal.remove();
+        };
+
+        modal.querySelector('#cancelImportPasswords').addEventListener('click', () => {
+            this.api.importCancel();
+            close();
+        });
+
+        modal.querySelector('#confirmImportPasswords').addEventListener('click', async () => {
+            const overwriteConflicts = modal.querySelector('#importOverwriteConflicts').checked;
+            const result = await this.api.importCommit({ overwriteConflicts });
+            close();
+            if (result.success) {
+                await this.loadPasswords();
+                this.refreshPanel();
+                showAlert(`导入完成：新增 ${result.added} 条，更新 ${result.updated} 条，跳过 ${result.skipped} 条。`);
+            } else {
+                showAlert('导入失败：' + result.error);
+            }
+        });
+    }
+
+    async exportPasswords() {
+        if (!(await this.ensureUnlocked())) return;
+
+        const needsMasterPassword = this.status.mode === 'masterPassword';
+        const modal = document.createElement('div');
+        modal.id = 'exportPasswordModal';
+        modal.className = 'password-modal';
+        modal.innerHTML = `
+            <div class="password-modal-content">
+                <h3>导出密码</h3>
+                <form id="exportPasswordForm">
+                    ${needsMasterPassword ? `
+                        <div class="password-form-group">
+                            <label for="exportMasterPassword">请输入主密码以确认身份</label>
+                            <input type="password" id="exportMasterPassword" required>
+                        </div>
+                    ` : ''}
+                    <label class="password-import-option">
+                        <input type="checkbox" id="exportEncrypt" checked>
+                        加密导出文件（仅 PaperStation 可导入）
+                    </label>
+                    <div class="password-form-group" id="exportPasswordGroup">
+                        <label for="exportFilePassword">文件密码</label>
+                        <input type="password" id="exportFilePassword" minlength="8">
+                    </div>
+                    <p class="password-vault-hint" id="exportPlainWarning" style="display: none;">未加密的 CSV 文件以明文保存所有密码，可导入 Chrome、Firefox 和 Bitwarden。</p>
+                    <div class="password-form-actions">
+                        <button type="button" class="password-btn cancel" id="cancelExportPasswords">取消</button>
+                        <button type="submit" class="password-btn primary">导出</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const encryptCheckbox = modal.querySelector('#exportEncrypt');
+        encryptCheckbox.addEventListener('change', () => {
+            modal.querySelector('#exportPasswordGroup').style.display = encryptCheckbox.checked ? '' : 'none';
+            modal.querySelector('#exportPlainWarning').style.display = encryptCheckbox.checked ? 'none' : '';
+        });
+
+        modal.querySelector('#cancelExportPasswords').addEventListener('click', () => modal.remove());
+
+        modal.querySelector('#exportPasswordForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const exportPassword = encryptCheckbox.checked ? modal.querySelector('#exportFilePassword').value : '';
+            if (encryptCheckbox.checked && exportPassword.length < 8) {
+                showAlert('文件密码至少需要 8 位');
+                return;
+            }
+
+            const result = await this.api.exportPasswords({
+                masterPassword: needsMasterPassword ? modal.querySelector('#exportMasterPassword').value : undefined,
+                exportPassword
+            });
+            if (result.success) {
+                modal.remove();
+                showAlert(`已导出 ${result.count} 个密码到 ${result.filePath}`);
+            } else if (result.needsMasterPassword) {
+                modal.remove();
+                if (await this.setMasterPasswordForExport()) {
+                    this.exportPasswords();
+                }
+            } else if (!result.canceled) {
+                showAlert('导出失败：' + (result.error === 'Verification failed' ? '身份验证失败' : result.error));
+            }
+        });
+    }
+
+    // Without Windows Hello or Touch ID, a master password is what proves who is exporting
+    async setMasterPasswordForExport() {
+        const confirmed = await showConfirm('此设备无法通过系统验证您的身份。导出密码前，需要先为密码库设置主密码。现在设置吗？');
+        if (!confirmed) return false;
+
+        const masterPassword = await this.promptForPassword('设置主密码（至少 8 位，无法找回）');
+        if (masterPassword === null) return false;
+        if (masterPassword.length < 8) {
+            showAlert('主密码至少需要 8 位');
+            return false;
+        }
+        if (await this.promptForPassword('再次输入主密码') !== masterPassword) {
+            showAlert('两次输入的主密码不一致');
+            return false;
+        }
+
+        const result = await this.api.setMasterPassword(masterPassword);
+        await this.refreshStatus();
+        if (!result.success) {
+            showAlert('设置主密码失败：' + result.error);
+            return false;
+        }
+        return true;
+    }
+
+    promptForPassword(message) {
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'password-modal';
+            modal.innerHTML = `
+                <div class="password-modal-content">
+                    <form>
+                        <div class="password-form-group">
+                            <label>${message}</label>
+                            <input type="password" required>
+                        </div>
+                        <div class="password-form-actions">
+                            <button type="button" class="password-btn cancel">取消</button>
+                            <button type="submit" class="password-btn primary">确定</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+            document.body.appendChild(modal);
+            const input = modal.querySelector('input');
+            input.focus();
+
+            modal.querySelector('form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                modal.remove();
+                resolve(input.value);
+            });
+            modal.querySelector('.cancel').addEventListener('click', () => {
+                modal.remove();
+                resolve(null);
+            });
+        });
+    }
+
+    showSavePrompt({ requestId, website, username, isUpdate }) {
+        document.getElementById('passwordSavePrompt')?.remove();
+
+        const prompt = document.createElement('div');
+        prompt.id = 'passwordSavePrompt';
+        prompt.className = 'password-save-prompt';
+        prompt.innerHTML = `
+            <div class="password-save-prompt-title">🔐 ${isUpdate ? '更新' : '保存'}此网站的密码？</div>
+            <div class="password-save-prompt-site"></div>
+            <div class="password-save-prompt-user"></div>
+            <div class="password-save-prompt-message"></div>
+            <div class="password-save-prompt-actions">
+                <button class="password-btn cancel" data-action="dismiss">不保存</button>
+                <button class="password-btn primary" data-action="save">${isUpdate ? '更新' : '保存'}</button>
+            </div>
+        `;
+        // Page-controlled values are inserted as text
+        prompt.querySelector('.password-save-prompt-site').textContent = website;
+        prompt.querySelector('.password-save-prompt-user').textContent = username || '（无用户名）';
+        document.body.appendChild(prompt);
+
+        prompt.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+            this.api.dismissSave(requestId);
+            prompt.remove();
+        });
+
+        prompt.querySelector('[data-action="save"]').addEventListener('click', async () => {
+            const result = await this.api.confirmSave(requestId);
+            if (result.success) {
+                prompt.remove();
+                await this.loadPasswords();
+                this.refreshPanel();
+            } else if (result.locked) {
+                prompt.querySelector('.password-save-prompt-message').textContent = '请先解锁密码库，然后再次点击保存。';
+                this.showPasswordManager();
+            } else {
+                prompt.querySelector('.password-save-prompt-message').textContent = '保存失败：' + result.error;
+            }
+        });
+    }
+
+    hidePasswordManager() {
+        const panel = document.getElementById('passwordManagerPanel');
+        if (panel) {
+            panel.remove();
+        }
+        this.isPanelOpen = false;
+    }
+
+    setupEventListeners() {
+        // The main process locks the vault on inactivity, screen lock and suspend
+        this.api?.onLocked(() => {
+            this.passwords = [];
+            if (this.status) {
+                this.status = { ...this.status, locked: true };
+            }
+            this.refreshPanel();
+            document.getElementById('addPasswordModal')?.remove();
+        });
+
+        // Login forms submitted in a tab (see webview-preload.js)
+        this.api?.onSaveRequest((data) => {
+            this.showSavePrompt(data);
+        });
+
+        this.api?.onUnlockRequest(() => {
+            this.showPasswordManager();
+        });
+
+        // Escape key to close
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPanelOpen && !document.getElementById('addPasswordModal')) {
+                this.hidePasswordManager();
+            }
+        });
+    }
+}
+
+// ============================================
+// History Database (IndexedDB)
+// ============================================
+// Two stores, like Chromium's History database:
+//   urls   - one record per URL (title, favicon, visit counts, search tokens)
+//   visits - one record per visit (time, transition, referrer tab/visit, dwell time)
+class HistoryDB {
+    constructor() {
+        this.dbName = 'PaperStationHistoryDB';
+        this.dbVersion = 1;
+        this.db = null;
+        this.isReady = false;
+        this.readyPromise = this.initHistoryDB();
+    }
+
+    async initHistoryDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = (event) => {
+                reject(event.target.error);
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                this.isReady = true;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('urls')) {
+                    const urls = db.createObjectStore('urls', { keyPath: 'id', autoIncrement: true });
+                    urls.createIndex('url', 'url', { unique: true });
+                    urls.createIndex('lastVisitTime', 'lastVisitTime', { unique: false });
+                    urls.createIndex('tokens', 'tokens', { unique: false, multiEntry: true });
+                }
+
+                if (!db.objectStoreNames.contains('visits')) {
+                    const visits = db.createObjectStore('visits', { keyPath: 'id', autoIncrement: true });
+                    visits.createIndex('urlId', 'urlId', { unique: false });
+                    visits.createIndex('visitTime', 'visitTime', { unique: false });
+                }
+            };
+        });
+    }
+
+    async ensureReady() {
+        if (!this.isReady) {
+            await this.readyPromise;
+        }
+        return this.db;
+    }
+
+    // Wrap an IDBRequest in a Promise
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Lowercase words from the title and URL; CJK runs are split into bigrams so Chinese titles are searchable
+    static tokenize(text) {
+        const tokens = new Set();
+        (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).forEach(word => {
+            if (!word) return;
+            if (/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/.test(word)) {
+                const chars = Array.from(word);
+                if (chars.length === 1) tokens.add(word);
+                for (let i = 0; i < chars.length - 1; i++) {
+                    tokens.add(chars[i] + chars[i + 1]);
+                }
+            } else {
+                tokens.add(word);
+            }
+        });
+        return Array.from(tokens);
+    }
+
+    buildSearchFields(record) {
+        record.searchText = `${record.title || ''} ${record.url}`.toLowerCase();
+        record.tokens = HistoryDB.tokenize(`${record.title || ''} ${record.url}`);
+        return record;
+    }
+
+    // Record a visit and update (or create) its URL record; resolves to { urlId, visitId }
+    async addVisit(visit) {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['urls', 'visits'], 'readwrite');
+        const result = await this.putVisit(transaction, visit);
+        await this.transactionDone(transaction);
+        return result;
+    }
+
+    // addVisit inside a transaction the caller owns
+    async putVisit(transaction, { url, title, favicon, visitTime = Date.now(), transition = 'link', tabId = null, referrerTabId = null, referrerVisitId = null }) {
+        const urls = transaction.objectStore('urls');
+        const visits = transaction.objectStore('visits');
+
+        const existing = await this.request(urls.index('url').get(url));
+        const record = existing || { url, visitCount: 0, typedCount: 0 };
+        record.title = title || record.title || '';
+        record.favicon = favicon || record.favicon || null;
+        record.visitCount++;
+        if (transition === 'typed') record.typedCount++;
+        record.lastVisitTime = Math.max(record.lastVisitTime || 0, visitTime);
+        this.buildSearchFields(record);
+
+        const urlId = await this.request(urls.put(record));
+        const visitId = await this.request(visits.add({
+            urlId,
+            visitTime,
+            transition,
+            tabId,
+            referrerTabId,
+            referrerVisitId,
+            dwellTime: 0
+        }));
+        return { urlId, visitId };
+    }
+
+    async updateUrl(url, changes) {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['urls'], 'readwrite');
+        const urls = transaction.objectStore('urls');
+        const record = await this.request(urls.index('url').get(url));
+        if (record) {
+            Object.assign(record, changes);
+            this.buildSearchFields(record);
+            urls.put(record);
+        }
+        await this.transactionDone(transaction);
+    }
+
+    async setDwellTime(visitId, dwellTime) {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['visits'], 'readwrite');
+        const visits = transaction.objectStore('visits');
+        const visit = await this.request(visits.get(visitId));
+        if (visit) {
+            visit.dwellTime = dwellTime;
+            visits.put(visit);
+        }
+        await this.transactionDone(transaction);
+    }
+
+    // Most recent visits joined with their URL records, newest first
+    async getVisits({ before = Infinity, limit = 200 } = {}) {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['urls', 'visits'], 'readonly');
+        const urls = transaction.objectStore('urls');
+        const range = before === Infinity ? null : IDBKeyRange.upperBound(before, true);
+        const results = [];
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = transaction.objectStore('visits').index('visitTime').openCursor(range, 'prev');
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || results.length >= limit) {
+                    resolve();
+                    return;
+                }
+                results.push(cursor.value);
+                cursor.continue();
+            };
+        });
+
+        return Promise.all(results.map(async visit => {
+            const record = await this.request(urls.get(visit.urlId));
+            return { ...visit, url: record?.url, title: record?.title, favicon: record?.favicon };
+        })).then(items => items.filter(item => item.url));
+    }
+
+    // Full-text search: every query word must appear in the title or URL
+    async search(query, limit = 100) {
+        await this.ensureReady();
+
+        const words = HistoryDB.tokenize(query);
+        if (words.length === 0) return [];
+
+        // Walk the token index for the longest word (most selective), then check the rest on the record
+        const lead = words.reduce((a, b) => (b.length > a.length ? b : a));
+        const needles = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        const transaction = this.db.transaction(['urls'], 'readonly');
+        const index = transaction.objectStore('urls').index('tokens');
+        const matches = new Map();
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = index.openCursor(IDBKeyRange.bound(lead, lead + '\uffff'));
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                const record = cursor.value;
+                if (!matches.has(record.id) && needles.every(needle => record.searchText.includes(needle))) {
+                    matches.set(record.id, record);
+                }
+                cursor.continue();
+            };
+        });
+
+        return Array.from(matches.values())
+            .sort((a, b) => b.lastVisitTime - a.lastVisitTime)
+            .slice(0, limit);
+    }
+
+    async getAllUrls() {
+        await this.ensureReady();
+        const transaction = this.db.transaction(['urls'], 'readonly');
+        return this.request(transaction.objectStore('urls').getAll());
+    }
+
+    // Remove a URL together with all of its visits
+    async deleteUrl(urlId) {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['urls', 'visits'], 'readwrite');
+        const visits = transaction.objectStore('visits');
+        const visitKeys = await this.request(visits.index('urlId').getAllKeys(urlId));
+        visitKeys.forEach(key => visits.delete(key));
+        transaction.objectStore('urls').delete(urlId);
+        await this.transactionDone(transaction);
+    }
+
+    // Remove visits at or after a time (ms); URLs left without visits go too
+    async deleteSince(since) {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['urls', 'visits'], 'readwrite');
+        const urls = transaction.objectStore('urls');
+        const visits = transaction.objectStore('visits');
+        const removed = await this.request(visits.index('visitTime').getAll(IDBKeyRange.lowerBound(since)));
+
+        removed.forEach(visit => visits.delete(visit.id));
+        const urlIds = [...new Set(removed.map(visit => visit.urlId))];
+
+        for (const urlId of urlIds) {
+            const remaining = await this.request(visits.index('urlId').getAll(urlId));
+            if (remaining.length === 0) {
+                urls.delete(urlId);
+                continue;
+            }
+            const record = await this.request(urls.get(urlId));
+            if (record) {
+                record.visitCount = remaining.length;
+                record.typedCount = remaining.filter(visit => visit.transition === 'typed').length;
+                record.lastVisitTime = Math.max(...remaining.map(visit => visit.visitTime));
+                urls.put(record);
+            }
         }
-        this.isPanelOpen = false;
+
+        await this.transactionDone(transaction);
+        return removed.length;
     }
 
-    setupEventListeners() {
-        // Global event listeners if needed
+    async countVisits() {
+        await this.ensureReady();
+        return this.request(this.db.transaction(['visits'], 'readonly').objectStore('visits').count());
+    }
+
+    async clear() {
+        await this.ensureReady();
+
+        const transaction = this.db.transaction(['urls', 'visits'], 'readwrite');
+        transaction.objectStore('urls').clear();
+        transaction.objectStore('visits').clear();
+        await this.transactionDone(transaction);
+    }
+
+    // One-time import of the old localStorage array ({ url, title, favicon, timestamp })
+    async importLegacy(entries) {
+        await this.ensureReady();
+
+        // Oldest first, so visit counts and lastVisitTime come out right
+        const sorted = [...entries].filter(entry => entry && entry.url).sort((a, b) => a.timestamp - b.timestamp);
+
+        // All or nothing: if the import is cut short, the next start imports everything again without duplicates
+        const transaction = this.db.transaction(['urls', 'visits'], 'readwrite');
+        const done = this.transactionDone(transaction);
+        try {
+            for (const entry of sorted) {
+                await this.putVisit(transaction, {
+                    url: entry.url,
+                    title: entry.title,
+                    favicon: entry.favicon,
+                    visitTime: entry.timestamp || Date.now(),
+                    transition: 'link'
+                });
+            }
+        } catch (e) {
+            try {
+                transaction.abort();
+            } catch (abortError) {
+            }
+            await done.catch(() => { });
+            throw e;
+        }
+        await done;
+        return sorted.length;
     }
 }
 
@@ -4800,19 +7913,25 @@ class PasswordManager {
 class HistoryManager {
     constructor(tabManager) {
         this.tabManager = tabManager;
+        this.db = new HistoryDB();
+        // Visits currently shown in the panel
         this.history = [];
         this.recentlyClosed = [];
-        this.storageKey = 'focusflow-history';
+        // Pre-IndexedDB history, imported once
+        this.legacyStorageKey = 'focusflow-history';
         this.closedTabsKey = 'focusflow-closed-tabs';
-        this.maxHistoryItems = 1000;
         this.maxClosedTabs = 25;
+        this.pageSize = 200;
+        this.searchQuery = '';
+        // tabId -> { visitId, url, startedAt } for dwell time
+        this.openVisits = new Map();
         this.isPanelOpen = false;
 
         this.init();
     }
 
     init() {
-        this.loadHistory();
+        this.migrateLegacyHistory();
         this.loadClosedTabs();
         this.createHistoryPanel();
         this.setupEventListeners();
@@ -4822,23 +7941,16 @@ class HistoryManager {
     // Storage Operations
     // ============================================
 
-    loadHistory() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            this.history = stored ? JSON.parse(stored) : [];
-        } catch (e) {
-            this.history = [];
-        }
-    }
+    async migrateLegacyHistory() {
+        const stored = localStorage.getItem(this.legacyStorageKey);
+        if (!stored) return;
 
-    saveHistory() {
         try {
-            // Limit history size
-            if (this.history.length > this.maxHistoryItems) {
-                this.history = this.history.slice(0, this.maxHistoryItems);
-            }
-            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+            const count = await this.db.importLegacy(JSON.parse(stored));
+            localStorage.removeItem(this.legacyStorageKey);
+            console.log(`[HistoryManager] Migrated ${count} history entries to IndexedDB`);
         } catch (e) {
+            console.error('[HistoryManager] History migration failed:', e);
         }
     }
 
@@ -4865,43 +7977,95 @@ class HistoryManager {
     // History Operations
     // ============================================
 
-    addToHistory(url, title, favicon = null) {
+    async addToHistory(url, title, favicon = null, details = {}) {
         if (!url || url === 'about:blank') return;
+        if (window.settingsManager?.getSetting('disableHistoryTracking')) return;
+
+        const tabId = details.tabId ?? null;
+        const previous = tabId !== null ? this.openVisits.get(tabId) : null;
 
-        // Don't add duplicates for the same URL visited consecutively
-        if (this.history.length > 0 && this.history[0].url === url) {
-            // Update timestamp and title if changed
-            this.history[0].timestamp = Date.now();
-            this.history[0].title = title || this.history[0].title;
-            this.saveHistory();
+        // Same URL again in the same tab (hash changes, duplicate events): not a new visit
+        if (previous && previous.url === url && details.transition !== 'reload') {
+            if (title) this.updateTitle(url, title);
             return;
         }
 
-        const entry = {
-            id: Date.now(),
-            url: url,
-            title: title || this.getTitleFromUrl(url),
-            favicon: favicon,
-            timestamp: Date.now()
-        };
+        this.endVisit(tabId);
+
+        try {
+            const visitTime = Date.now();
+            const { visitId } = await this.db.addVisit({
+                url,
+                title: title || this.getTitleFromUrl(url),
+                favicon,
+                visitTime,
+                transition: details.transition || 'link',
+                tabId,
+                referrerTabId: details.referrerTabId ?? null,
+                referrerVisitId: details.referrerVisitId ?? null
+            });
+            if (tabId !== null) {
+                this.openVisits.set(tabId, { visitId, url, startedAt: visitTime });
+            }
+            if (this.isPanelOpen) {
+                this.renderHistoryPanel();
+            }
+            window.internalPages?.notify('history', { type: 'history-changed' });
+        } catch (e) {
+            console.error('[HistoryManager] Failed to record visit:', e);
+        }
+    }
 
-        this.history.unshift(entry);
-        this.saveHistory();
+    getCurrentVisitId(tabId) {
+        return this.openVisits.get(tabId)?.visitId ?? null;
     }
 
-    removeFromHistory(id) {
-        const index = this.history.findIndex(h => h.id === id);
-        if (index !== -1) {
-            this.history.splice(index, 1);
-            this.saveHistory();
-            this.renderHistoryPanel();
-        }
+    // The tab left the page (navigated away or closed): store how long it stayed
+    endVisit(tabId) {
+        const visit = this.openVisits.get(tabId);
+        if (!visit) return;
+
+        this.openVisits.delete(tabId);
+        this.db.setDwellTime(visit.visitId, Date.now() - visit.startedAt).catch(() => { });
+    }
+
+    updateTitle(url, title) {
+        if (!url || !title || url === 'about:blank') return;
+        this.db.updateUrl(url, { title }).catch(() => { });
+    }
+
+    updateFavicon(url, favicon) {
+        if (!url || !favicon || url === 'about:blank') return;
+        this.db.updateUrl(url, { favicon }).catch(() => { });
+    }
+
+    search(query, limit) {
+        return this.db.search(query, limit);
+    }
+
+    async removeFromHistory(urlId) {
+        await this.db.deleteUrl(urlId);
+        this.renderHistoryPanel();
+        window.internalPages?.notify('history', { type: 'history-changed' });
     }
 
-    clearHistory() {
+    // Returns how many visits were removed
+    async clearHistory(since = 0) {
+        let removed;
+        if (since > 0) {
+            removed = await this.db.deleteSince(since);
+            this.openVisits.forEach((visit, tabId) => {
+                if (visit.startedAt >= since) this.openVisits.delete(tabId);
+            });
+        } else {
+            removed = await this.db.countVisits();
+            await this.db.clear();
+            this.openVisits.clear();
+        }
         this.history = [];
-        this.saveHistory();
         this.renderHistoryPanel();
+        window.internalPages?.notify('history', { type: 'history-changed' });
+        return removed;
     }
 
     clearClosedTabs() {
@@ -4978,6 +8142,7 @@ class HistoryManager {
                 <button class="history-tab" data-tab="closed">Recently Closed</button>
             </div>
             <div class="history-panel-actions">
+                <input type="search" class="history-search-input" id="historySearchInput" placeholder="搜索历史记录">
                 <button class="history-action-btn" id="clearHistoryBtn">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <polyline points="3 6 5 6 21 6"/>
@@ -5007,6 +8172,16 @@ class HistoryManager {
             this.togglePanel(false);
         });
 
+        // Search titles and URLs
+        let searchTimer = null;
+        panel.querySelector('#historySearchInput').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                this.searchQuery = e.target.value.trim();
+                this.renderHistoryPanel();
+            }, 150);
+        });
+
         // Clear button
         panel.querySelector('#clearHistoryBtn').addEventListener('click', async () => {
             const activeTab = panel.querySelector('.history-tab.active').dataset.tab;
@@ -5022,22 +8197,53 @@ class HistoryManager {
         });
     }
 
-    renderHistoryPanel() {
+    async renderHistoryPanel() {
         const panel = document.getElementById('historyPanel');
         if (!panel) return;
 
         const content = panel.querySelector('#historyPanelContent');
         const activeTab = panel.querySelector('.history-tab.active').dataset.tab;
-
-        content.innerHTML = '';
+        panel.querySelector('#historySearchInput').style.display = activeTab === 'history' ? '' : 'none';
 
         if (activeTab === 'history') {
+            await this.loadHistoryPage();
+            content.innerHTML = '';
             this.renderHistoryList(content);
         } else {
+            content.innerHTML = '';
             this.renderClosedTabsList(content);
         }
     }
 
+    async loadHistoryPage() {
+        try {
+            if (this.searchQuery) {
+                const urls = await this.db.search(this.searchQuery, this.pageSize);
+                this.history = urls.map(record => ({
+                    id: record.id,
+                    urlId: record.id,
+                    url: record.url,
+                    title: record.title,
+                    favicon: record.favicon,
+                    timestamp: record.lastVisitTime
+                }));
+            } else {
+                const visits = await this.db.getVisits({ limit: this.pageSize });
+                this.history = visits.map(visit => ({
+                    id: visit.id,
+                    urlId: visit.urlId,
+                    url: visit.url,
+                    title: visit.title,
+                    favicon: visit.favicon,
+                    timestamp: visit.visitTime
+                }));
+            }
+        } catch (e) {
+            console.error('[HistoryManager] Failed to load history:', e);
+            this.history = [];
+        }
+    }
+
     renderHistoryList(container) {
         if (this.history.length === 0) {
             container.innerHTML = `
@@ -5046,7 +8252,7 @@ class HistoryManager {
                         <circle cx="12" cy="12" r="10"/>
                         <polyline points="12 6 12 12 16 14"/>
                     </svg>
-                    <p>No browsing history</p>
+                    <p>${this.searchQuery ? 'No matching history' : 'No browsing history'}</p>
                 </div>
             `;
             return;
@@ -5071,6 +8277,31 @@ class HistoryManager {
 
             container.appendChild(section);
         });
+
+        // Older visits are loaded a page at a time
+        if (!this.searchQuery && this.history.length >= this.pageSize) {
+            const more = document.createElement('button');
+            more.className = 'history-action-btn history-load-more';
+            more.textContent = 'Load more';
+            more.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const before = this.history[this.history.length - 1].timestamp;
+                const visits = await this.db.getVisits({ before, limit: this.pageSize });
+                more.remove();
+                const older = visits.map(visit => ({
+                    id: visit.id,
+                    urlId: visit.urlId,
+                    url: visit.url,
+                    title: visit.title,
+                    favicon: visit.favicon,
+                    timestamp: visit.visitTime
+                }));
+                this.history = this.history.concat(older);
+                container.innerHTML = '';
+                this.renderHistoryList(container);
+            });
+            container.appendChild(more);
+        }
     }
 
     renderClosedTabsList(container) {
@@ -5108,8 +8339,8 @@ class HistoryManager {
                 ${item.favicon ? `<img src="${item.favicon}" alt=""/>` : '<img src="assets/" alt=""/>'}
             </span>
             <div class="history-entry-info">
-                <span class="history-entry-title">${item.title}</span>
-                <span class="history-entry-url">${item.url}</span>
+                <span class="history-entry-title"></span>
+                <span class="history-entry-url"></span>
             </div>
             <span class="history-entry-time">${time}</span>
             <button class="history-entry-delete" title="Remove">
@@ -5119,6 +8350,10 @@ class HistoryManager {
             </button>
         `;
 
+        // Titles come from web pages, so they are set as text
+        entry.querySelector('.history-entry-title').textContent = item.title || item.url;
+        entry.querySelector('.history-entry-url').textContent = item.url;
+
         // Click to navigate
         entry.addEventListener('click', (e) => {
             if (!e.target.closest('.history-entry-delete')) {
@@ -5130,7 +8365,7 @@ class HistoryManager {
         // Delete button
         entry.querySelector('.history-entry-delete').addEventListener('click', (e) => {
             e.stopPropagation();
-            this.removeFromHistory(item.id);
+            this.removeFromHistory(item.urlId);
         });
 
         return entry;
@@ -5203,69 +8438,467 @@ class HistoryManager {
             groups[label].push(item);
         });
 
-        return groups;
+        return groups;
+    }
+
+    getRelativeTime(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000);
+
+        if (seconds < 60) return 'Just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        return `${Math.floor(seconds / 86400)}d ago`;
+    }
+
+    togglePanel(show = null) {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+
+        if (show === null) {
+            show = !this.isPanelOpen;
+        }
+
+        this.isPanelOpen = show;
+        panel.classList.toggle('open', show);
+
+        if (show) {
+            this.renderHistoryPanel();
+        }
+    }
+
+    // ============================================
+    // Event Listeners
+    // ============================================
+
+    setupEventListeners() {
+        // Note: Menu button is now handled by MainMenuManager
+        // History is accessed via menu or Ctrl+H
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Ctrl+H: Toggle history
+            if (e.ctrlKey && e.key === 'h') {
+                e.preventDefault();
+                this.togglePanel();
+            }
+            // Ctrl+Shift+T: Restore last closed tab
+            if (e.ctrlKey && e.shiftKey && e.key === 'T') {
+                e.preventDefault();
+                this.restoreLastClosedTab();
+            }
+            // Escape: Close panel
+            if (e.key === 'Escape' && this.isPanelOpen) {
+                this.togglePanel(false);
+            }
+        });
+
+        // Close panel on outside click
+        document.addEventListener('click', (e) => {
+            const panel = document.getElementById('historyPanel');
+            const menuBtn = document.getElementById('menuBtn');
+            if (this.isPanelOpen && panel && !panel.contains(e.target) && !menuBtn?.contains(e.target)) {
+                this.togglePanel(false);
+            }
+        });
+    }
+}
+
+// ============================================
+// Omnibox Suggestions
+// ============================================
+// Everything here is local (IndexedDB, bookmarks, open tabs), so suggestions work offline
+class OmniboxManager {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.input = tabManager.urlInput;
+        this.maxSuggestions = 8;
+        this.suggestions = [];
+        this.selectedIndex = -1;
+        // What the user actually typed, before autocompletion or arrow-key selection
+        this.typedText = '';
+        this.queryId = 0;
+        this.queryTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createDropdown();
+        this.setupEventListeners();
+    }
+
+    createDropdown() {
+        this.dropdown = document.createElement('div');
+        this.dropdown.className = 'omnibox-dropdown';
+        this.dropdown.id = 'omniboxDropdown';
+        this.input.closest('.address-bar-container').appendChild(this.dropdown);
+
+        // Keep focus in the address bar while clicking a suggestion
+        this.dropdown.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', (e) => {
+            this.typedText = this.input.value;
+            // Never autocomplete right after the user deleted text
+            const allowInline = !(e.inputType || '').startsWith('delete');
+            clearTimeout(this.queryTimer);
+            this.queryTimer = setTimeout(() => this.update(allowInline), 60);
+        });
+
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        this.input.addEventListener('blur', () => this.close());
+    }
+
+    handleKeyDown(e) {
+        if (!this.isOpen()) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.select(Math.min(this.selectedIndex + 1, this.suggestions.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.select(Math.max(this.selectedIndex - 1, -1));
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.input.value = this.typedText;
+                this.close();
+                break;
+            case 'Enter':
+                if (this.selectedIndex >= 0) {
+                    e.preventDefault();
+                    this.open(this.suggestions[this.selectedIndex]);
+                } else {
+                    // The address bar's own Enter handler navigates to the (autocompleted) text
+                    this.close();
+                }
+                break;
+            case 'Delete':
+                if (e.shiftKey && this.suggestions[this.selectedIndex]?.type === 'history') {
+                    e.preventDefault();
+                    this.removeHistorySuggestion(this.suggestions[this.selectedIndex]);
+                }
+                break;
+        }
+    }
+
+    isOpen() {
+        return this.dropdown.classList.contains('open');
+    }
+
+    close() {
+        this.dropdown.classList.remove('open');
+        this.suggestions = [];
+        this.selectedIndex = -1;
+    }
+
+    // ============================================
+    // Suggestion Sources
+    // ============================================
+
+    async update(allowInline) {
+        const query = this.typedText.trim();
+        const queryId = ++this.queryId;
+
+        if (!query) {
+            this.close();
+            return;
+        }
+
+        const [history, knowledge] = await Promise.all([
+            this.getHistorySuggestions(query),
+            this.getKnowledgeSuggestions(query)
+        ]);
+
+        // A newer keystroke already started another lookup
+        if (queryId !== this.queryId || document.activeElement !== this.input) return;
+
+        const ranked = this.rank([
+            ...history,
+            ...this.getBookmarkSuggestions(query),
+            ...this.getTabSuggestions(query),
+            ...knowledge
+        ]);
+
+        // The first row is what Enter does: the autocompleted site, the typed address, or a search
+        const inline = allowInline ? this.getInlineCompletion(query, ranked) : null;
+        const target = this.tabManager.normalizeUrl(query);
+        const classification = this.tabManager.classifyInput(query);
+        let first;
+        if (inline) {
+            first = { type: 'url', url: inline.url, title: inline.title, display: inline.text };
+        } else if (classification.type === 'search') {
+            const keywordSearch = SearchEngines.parseKeywordQuery(query);
+            const engine = keywordSearch ? keywordSearch.engine : SearchEngines.getDefault();
+            first = { type: 'search', url: target, title: keywordSearch ? keywordSearch.query : query, engine: engine.name };
+        } else {
+            first = { type: 'url', url: target, title: query, display: target };
+        }
+
+        // "wiki" searches, with http://wiki/ offered right below
+        const hint = !inline && classification.hint
+            ? [{ type: 'url', url: classification.hint, title: classification.hint, display: classification.hint, hint: true }]
+            : [];
+
+        this.suggestions = [first, ...hint, ...ranked.filter(item => item.url !== first.url && item.url !== hint[0]?.url)]
+            .slice(0, this.maxSuggestions);
+        this.render();
+
+        if (inline && this.input.value === this.typedText) {
+            this.input.value = inline.text;
+            this.input.setSelectionRange(this.typedText.length, inline.text.length);
+        }
+    }
+
+    async getHistorySuggestions(query) {
+        if (!window.historyManager) return [];
+
+        try {
+            const records = await window.historyManager.search(query, 50);
+            const now = Date.now();
+            return records.map(record => ({
+                type: 'history',
+                url: record.url,
+                title: record.title,
+                urlId: record.id,
+                score: OmniboxManager.frecency(record, now) + this.matchBonus(query, record.url, record.title)
+            }));
+        } catch (e) {
+            console.error('[Omnibox] History lookup failed:', e);
+            return [];
+        }
+    }
+
+    getBookmarkSuggestions(query) {
+        const bookmarks = window.bookmarkManager?.bookmarks || [];
+        const needle = query.toLowerCase();
+        return bookmarks
+            .filter(bookmark => bookmark.url && `${bookmark.title || ''} ${bookmark.url}`.toLowerCase().includes(needle))
+            .map(bookmark => ({
+                type: 'bookmark',
+                url: bookmark.url,
+                title: bookmark.title,
+                score: 1500 + this.matchBonus(query, bookmark.url, bookmark.title)
+            }));
+    }
+
+    getTabSuggestions(query) {
+        const needle = query.toLowerCase();
+        const results = [];
+        this.tabManager.tabs.forEach((tab, tabId) => {
+            if (tabId === this.tabManager.activeTabId || !tab.url || tab.url === 'about:blank') return;
+            if (`${tab.title || ''} ${tab.url}`.toLowerCase().includes(needle)) {
+                results.push({
+                    type: 'tab',
+                    url: tab.url,
+                    title: tab.title,
+                    tabId,
+                    score: 2000 + this.matchBonus(query, tab.url, tab.title)
+                });
+            }
+        });
+        return results;
+    }
+
+    async getKnowledgeSuggestions(query) {
+        if (!window.knowledgeDB || query.length < 2) return [];
+
+        try {
+            const entries = await window.knowledgeDB.searchKnowledge(query);
+            return entries.slice(0, 3).map(entry => ({
+                type: 'knowledge',
+                url: entry.url,
+                title: entry.title || entry.topic,
+                detail: [entry.subject, entry.topic].filter(Boolean).join(' › '),
+                score: 300 + this.matchBonus(query, entry.url, entry.title)
+            }));
+        } catch (e) {
+            console.error('[Omnibox] Knowledge lookup failed:', e);
+            return [];
+        }
     }
 
-    getRelativeTime(timestamp) {
-        const seconds = Math.floor((Date.now() - timestamp) / 1000);
+    // Visit counts weighted by how recent the last visit was; typed visits count extra
+    static frecency(record, now = Date.now()) {
+        const days = (now - (record.lastVisitTime || 0)) / 86400000;
+        const recency = days < 4 ? 100 : days < 14 ? 70 : days < 31 ? 50 : days < 90 ? 30 : 10;
+        return ((record.visitCount || 0) + 2 * (record.typedCount || 0)) * recency;
+    }
 
-        if (seconds < 60) return 'Just now';
-        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
-        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
-        return `${Math.floor(seconds / 86400)}d ago`;
+    matchBonus(query, url, title) {
+        const needle = query.toLowerCase();
+        let bonus = 0;
+        if (OmniboxManager.stripUrl(url).startsWith(needle)) bonus += 1000;
+        if ((title || '').toLowerCase().startsWith(needle)) bonus += 300;
+        return bonus;
     }
 
-    togglePanel(show = null) {
-        const panel = document.getElementById('historyPanel');
-        if (!panel) return;
+    // One row per URL; open tabs stay separate because they switch instead of navigate
+    rank(items) {
+        const byUrl = new Map();
+        const tabs = [];
+        items.forEach(item => {
+            if (item.type === 'tab') {
+                tabs.push(item);
+                return;
+            }
+            const existing = byUrl.get(item.url);
+            if (!existing) {
+                byUrl.set(item.url, item);
+            } else {
+                // A bookmarked page that was also visited: keep the history row (deletable), add the bookmark score
+                const keep = existing.type === 'history' ? existing : item.type === 'history' ? item : existing;
+                keep.score = Math.max(existing.score, item.score) + 200;
+                keep.bookmarked = keep.bookmarked || existing.type === 'bookmark' || item.type === 'bookmark';
+                byUrl.set(item.url, keep);
+            }
+        });
+        return [...tabs, ...byUrl.values()].sort((a, b) => b.score - a.score);
+    }
 
-        if (show === null) {
-            show = !this.isPanelOpen;
-        }
+    // "git" -> "github.com/": complete to the best-ranked site whose address starts with the input
+    getInlineCompletion(query, ranked) {
+        if (/\s/.test(query)) return null;
+        const needle = query.toLowerCase();
 
-        this.isPanelOpen = show;
-        panel.classList.toggle('open', show);
+        for (const item of ranked) {
+            if (item.type === 'tab' || item.type === 'knowledge' || !/^https?:/i.test(item.url)) continue;
+            const stripped = OmniboxManager.stripUrl(item.url);
+            if (!stripped.startsWith(needle) || stripped === needle) continue;
 
-        if (show) {
-            this.renderHistoryPanel();
+            // Inside the host name, complete only the host; past it, complete the whole address
+            const slash = stripped.indexOf('/');
+            const text = slash === -1 || needle.length <= slash ? stripped.slice(0, slash === -1 ? undefined : slash + 1) : stripped;
+            const completed = query + text.slice(query.length);
+            let url = item.url;
+            if (text !== stripped) {
+                url = new URL(item.url).origin + '/';
+            }
+            return { text: completed, url, title: item.title };
         }
+        return null;
+    }
+
+    static stripUrl(url) {
+        return (url || '').replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '').toLowerCase();
     }
 
     // ============================================
-    // Event Listeners
+    // Rendering & Actions
     // ============================================
 
-    setupEventListeners() {
-        // Note: Menu button is now handled by MainMenuManager
-        // History is accessed via menu or Ctrl+H
+    render() {
+        this.dropdown.innerHTML = '';
+        this.selectedIndex = -1;
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Ctrl+H: Toggle history
-            if (e.ctrlKey && e.key === 'h') {
-                e.preventDefault();
-                this.togglePanel();
-            }
-            // Ctrl+Shift+T: Restore last closed tab
-            if (e.ctrlKey && e.shiftKey && e.key === 'T') {
-                e.preventDefault();
-                this.restoreLastClosedTab();
-            }
-            // Escape: Close panel
-            if (e.key === 'Escape' && this.isPanelOpen) {
-                this.togglePanel(false);
-            }
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        const labels = {
+            search: '搜索',
+            url: '',
+            history: '',
+            bookmark: '书签',
+            tab: '切换到此标签页',
+            knowledge: '知识库'
+        };
+
+        this.suggestions.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = `omnibox-suggestion ${item.type}`;
+            row.dataset.index = index;
+            row.innerHTML = `
+                <span class="omnibox-icon">${this.getIcon(item)}</span>
+                <span class="omnibox-text">
+                    <span class="omnibox-title"></span>
+                    <span class="omnibox-url"></span>
+                </span>
+                <span class="omnibox-label"></span>
+                ${item.type === 'history' ? '<button class="omnibox-remove" title="从历史记录中删除 (Shift+Delete)">×</button>' : ''}
+            `;
+            row.querySelector('.omnibox-title').textContent = item.type === 'search' ? item.title : (item.title || item.display || item.url);
+            row.querySelector('.omnibox-url').textContent = item.type === 'search' ? '' : (item.detail || item.display || item.url);
+            row.querySelector('.omnibox-label').textContent = item.type === 'search'
+                ? `${item.engine} 搜索`
+                : item.hint ? '您是否要访问' : labels[item.type] || (item.bookmarked ? '书签' : '');
+
+            row.addEventListener('mouseenter', () => this.highlight(index));
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('.omnibox-remove')) {
+                    this.removeHistorySuggestion(item);
+                    return;
+                }
+                this.open(item);
+            });
+
+            this.dropdown.appendChild(row);
         });
 
-        // Close panel on outside click
-        document.addEventListener('click', (e) => {
-            const panel = document.getElementById('historyPanel');
-            const menuBtn = document.getElementById('menuBtn');
-            if (this.isPanelOpen && panel && !panel.contains(e.target) && !menuBtn?.contains(e.target)) {
-                this.togglePanel(false);
-            }
+        this.dropdown.classList.add('open');
+    }
+
+    getIcon(item) {
+        switch (item.type) {
+            case 'search':
+                return '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/></svg>';
+            case 'bookmark':
+                return '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>';
+            case 'tab':
+                return '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M3 9h18"/></svg>';
+            case 'knowledge':
+                return '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/></svg>';
+            case 'history':
+                return '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>';
+            default:
+                return '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M2 12h20M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>';
+        }
+    }
+
+    highlight(index) {
+        this.selectedIndex = index;
+        this.dropdown.querySelectorAll('.omnibox-suggestion').forEach((row, i) => {
+            row.classList.toggle('selected', i === index);
         });
     }
+
+    // Arrow keys show the selected address in the input, like other browsers
+    select(index) {
+        this.highlight(index);
+        const item = this.suggestions[index];
+        if (!item || item.type === 'search') {
+            this.input.value = this.typedText;
+        } else {
+            this.input.value = item.url;
+        }
+    }
+
+    open(item) {
+        this.close();
+        this.input.blur();
+
+        if (item.type === 'tab' && this.tabManager.tabs.has(item.tabId)) {
+            this.tabManager.activateTab(item.tabId);
+            return;
+        }
+        if (item.hint) {
+            this.tabManager.rememberIntranetHost(item.url);
+        }
+        this.tabManager.navigate(item.url);
+    }
+
+    async removeHistorySuggestion(item) {
+        if (!window.historyManager || item.type !== 'history') return;
+
+        await window.historyManager.removeFromHistory(item.urlId);
+        this.input.value = this.typedText;
+        this.update(false);
+    }
 }
 
 // ============================================
@@ -5276,6 +8909,8 @@ class DownloadManager {
         this.downloads = new Map();
         this.isPanelOpen = false;
         this.notificationTimeout = null;
+        // Entries whose checksum details are expanded
+        this.expandedChecksums = new Set();
         this.ipcListenersSetUp = false;
 
         this.init();
@@ -5289,6 +8924,23 @@ class DownloadManager {
             this.setupIPCListeners();
             this.ipcListenersSetUp = true;
         }
+        this.syncDownloads();
+    }
+
+    // Load this window's list from the main process (incognito windows only see their own
+    // downloads), which also reports files that were moved or deleted
+    async syncDownloads() {
+        if (!window.focusFlowAPI?.downloads) return;
+
+        try {
+            const list = await window.focusFlowAPI.downloads.getAll();
+            list.forEach(data => {
+                this.downloads.set(data.id, { ...this.downloads.get(data.id), ...data });
+            });
+            this.renderDownloadPanel();
+        } catch (e) {
+            console.error('[DownloadManager] Failed to load downloads:', e);
+        }
     }
 
     // ============================================
@@ -5318,6 +8970,14 @@ class DownloadManager {
                 this.showNotification(`Download failed: ${data.filename}`, 'error');
             }
         });
+
+        window.focusFlowAPI.downloads.onHashes((data) => {
+            const download = this.downloads.get(data.id);
+            if (download) {
+                download.hashes = data.hashes;
+                this.renderDownloadPanel();
+            }
+        });
     }
 
     // ============================================
@@ -5325,11 +8985,10 @@ class DownloadManager {
     // ============================================
 
     addDownload(data) {
-        // Check if download with the same filename and URL already exists
-        const existingDownload = Array.from(this.downloads.values()).find(
-            download => download.filename === data.filename && download.url === data.url
-        );
-        if (existingDownload) {
+        // A resumed download keeps its entry
+        if (this.downloads.has(data.id)) {
+            this.downloads.get(data.id).state = 'progressing';
+            this.renderDownloadPanel();
             return;
         }
         this.downloads.set(data.id, {
@@ -5352,6 +9011,11 @@ class DownloadManager {
             download.totalBytes = data.totalBytes;
             download.state = data.state;
             download.savePath = data.savePath;
+            download.speed = data.speed;
+            download.eta = data.eta;
+            download.queuePosition = data.queuePosition;
+            download.retryCount = data.retryCount;
+            download.nextRetryAt = data.nextRetryAt;
             this.renderDownloadPanel();
         }
     }
@@ -5362,32 +9026,68 @@ class DownloadManager {
             download.state = data.state;
             download.savePath = data.savePath;
             download.endTime = Date.now();
+            download.warnings = data.warnings;
+            download.hashes = null;
+            download.verification = null;
             this.renderDownloadPanel();
         }
     }
 
     async pauseDownload(id) {
         if (window.focusFlowAPI?.downloads) {
-            await window.focusFlowAPI.downloads.pause(id);
+            const paused = await window.focusFlowAPI.downloads.pause(id);
             const download = this.downloads.get(id);
-            if (download) {
+            if (download && paused) {
                 download.state = 'paused';
                 this.renderDownloadPanel();
             }
         }
     }
 
+    async verifyHash(id, expected) {
+        if (!window.focusFlowAPI?.downloads || !expected.trim()) return;
+
+        const result = await window.focusFlowAPI.downloads.verifyHash(id, expected);
+        const download = this.downloads.get(id);
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return;
+        }
+        if (download) {
+            download.verification = { expected: result.expected, algorithm: result.algorithm, match: result.match };
+            this.renderDownloadPanel();
+        }
+        this.showNotification(result.match ? 'Checksum matches' : 'Checksum does NOT match', result.match ? 'success' : 'error');
+    }
+
+    async moveDownload(id, offset) {
+        if (window.focusFlowAPI?.downloads) {
+            await window.focusFlowAPI.downloads.move(id, offset);
+        }
+    }
+
     async resumeDownload(id) {
         if (window.focusFlowAPI?.downloads) {
-            await window.focusFlowAPI.downloads.resume(id);
+            const resumed = await window.focusFlowAPI.downloads.resume(id);
             const download = this.downloads.get(id);
-            if (download) {
+            // Live items report their new state (running or queued) themselves
+            if (download && resumed && (download.state === 'paused' || download.state === 'interrupted')) {
                 download.state = 'progressing';
                 this.renderDownloadPanel();
+            } else if (!resumed) {
+                this.showNotification('This download cannot be resumed', 'error');
             }
         }
     }
 
+    async removeDownload(id) {
+        if (window.focusFlowAPI?.downloads) {
+            await window.focusFlowAPI.downloads.remove(id);
+            this.downloads.delete(id);
+            this.renderDownloadPanel();
+        }
+    }
+
     async cancelDownload(id) {
         if (window.focusFlowAPI?.downloads) {
             await window.focusFlowAPI.downloads.cancel(id);
@@ -5420,6 +9120,16 @@ class DownloadManager {
         }
     }
 
+    // The main process already removed these; mirror it in the panel
+    removeFinishedSince(since) {
+        this.downloads.forEach((download, id) => {
+            if (BrowsingData.isClearableDownload(download, since)) {
+                this.downloads.delete(id);
+            }
+        });
+        this.renderDownloadPanel();
+    }
+
     // ============================================
     // UI Components
     // ============================================
@@ -5494,6 +9204,9 @@ class DownloadManager {
     }
 
     renderDownloadPanel() {
+        // Every change to the list ends up here, so paperstation://downloads refreshes too
+        window.internalPages?.notify('downloads', { type: 'downloads-changed' });
+
         const content = document.getElementById('downloadPanelContent');
         if (!content) return;
 
@@ -5513,8 +9226,12 @@ class DownloadManager {
 
         content.innerHTML = '';
 
-        // Sort by start time (newest first)
-        const sorted = Array.from(this.downloads.values()).sort((a, b) => b.startTime - a.startTime);
+        // Running downloads first, then the queue in order, then the rest newest first
+        const rank = download => download.state === 'progressing' ? 0 : download.state === 'queued' ? 1 : 2;
+        const sorted = Array.from(this.downloads.values()).sort((a, b) =>
+            rank(a) - rank(b) ||
+            (rank(a) === 1 ? a.queuePosition - b.queuePosition : b.startTime - a.startTime)
+        );
 
         sorted.forEach(download => {
             const entry = this.createDownloadEntry(download);
@@ -5524,7 +9241,7 @@ class DownloadManager {
 
     createDownloadEntry(download) {
         const entry = document.createElement('div');
-        entry.className = `download-entry ${download.state}`;
+        entry.className = `download-entry ${download.state}${download.fileExists === false ? ' missing' : ''}`;
 
         const progress = download.totalBytes > 0
             ? Math.round((download.receivedBytes / download.totalBytes) * 100)
@@ -5535,10 +9252,24 @@ class DownloadManager {
 
         let statusText = '';
         let actionButtons = '';
+        const removeButton = `
+            <button class="download-action remove" data-id="${download.id}" title="Remove from list">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="3 6 5 6 21 6"/>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                </svg>
+            </button>
+        `;
 
         switch (download.state) {
             case 'progressing':
                 statusText = `${received} / ${size} (${progress}%)`;
+                if (download.speed > 0) {
+                    statusText += ` · <span class="download-speed">${this.formatBytes(Math.round(download.speed))}/s</span>`;
+                }
+                if (download.eta !== null && download.eta !== undefined) {
+                    statusText += ` · <span class="download-eta">${this.formatDuration(download.eta)} left</span>`;
+                }
                 actionButtons = `
                     <button class="download-action pause" data-id="${download.id}" title="Pause">
                         <svg viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>
@@ -5548,6 +9279,30 @@ class DownloadManager {
                     </button>
                 `;
                 break;
+            case 'queued':
+                statusText = `Queued #${download.queuePosition || ''} - ${size}`;
+                actionButtons = `
+                    <button class="download-action move-up" data-id="${download.id}" title="Move up">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="18 15 12 9 6 15"/></svg>
+                    </button>
+                    <button class="download-action move-down" data-id="${download.id}" title="Move down">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 12 15 18 9"/></svg>
+                    </button>
+                    <button class="download-action cancel" data-id="${download.id}" title="Cancel">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                `;
+                break;
+            case 'retrying': {
+                const wait = download.nextRetryAt ? Math.max(0, Math.round((download.nextRetryAt - Date.now()) / 1000)) : 0;
+                statusText = `Connection lost - retry ${download.retryCount} in ${wait}s`;
+                actionButtons = `
+                    <button class="download-action cancel" data-id="${download.id}" title="Cancel">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                `;
+                break;
+            }
             case 'paused':
                 statusText = `Paused - ${received} / ${size}`;
                 actionButtons = `
@@ -5560,6 +9315,11 @@ class DownloadManager {
                 `;
                 break;
             case 'completed':
+                if (download.fileExists === false) {
+                    statusText = 'File moved or deleted';
+                    actionButtons = removeButton;
+                    break;
+                }
                 statusText = `Completed - ${size}`;
                 actionButtons = `
                     <button class="download-action open" data-path="${download.savePath}" title="Open">
@@ -5576,10 +9336,18 @@ class DownloadManager {
                     </button>
                 `;
                 break;
-            case 'cancelled':
             case 'interrupted':
-                statusText = `Failed`;
-                actionButtons = '';
+                statusText = download.receivedBytes > 0 ? `Interrupted - ${received} / ${size}` : 'Failed';
+                actionButtons = `
+                    <button class="download-action resume" data-id="${download.id}" title="Resume">
+                        <svg viewBox="0 0 24 24" fill="currentColor"><polygon points="5 3 19 12 5 21 5 3"/></svg>
+                    </button>
+                    ${removeButton}
+                `;
+                break;
+            case 'cancelled':
+                statusText = 'Cancelled';
+                actionButtons = removeButton;
                 break;
         }
 
@@ -5594,6 +9362,7 @@ class DownloadManager {
                 <span class="download-filename">${download.filename}</span>
                 <span class="download-status">${statusText}</span>
                 ${download.state === 'progressing' ? `<div class="download-progress-bar"><div class="download-progress-fill" style="width: ${progress}%"></div></div>` : ''}
+                ${download.state === 'completed' && download.fileExists !== false ? this.renderDownloadSafety(download) : ''}
             </div>
             <div class="download-actions">
                 ${actionButtons}
@@ -5610,14 +9379,102 @@ class DownloadManager {
                 if (btn.classList.contains('pause')) this.pauseDownload(id);
                 else if (btn.classList.contains('resume')) this.resumeDownload(id);
                 else if (btn.classList.contains('cancel')) this.cancelDownload(id);
+                else if (btn.classList.contains('remove')) this.removeDownload(id);
+                else if (btn.classList.contains('move-up')) this.moveDownload(id, -1);
+                else if (btn.classList.contains('move-down')) this.moveDownload(id, 1);
                 else if (btn.classList.contains('open')) this.openDownload(path);
                 else if (btn.classList.contains('folder')) this.showInFolder(path);
             });
         });
 
+        // Checksums
+        entry.querySelector('.download-checksum-toggle')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.expandedChecksums.has(download.id)) {
+                this.expandedChecksums.delete(download.id);
+            } else {
+                this.expandedChecksums.add(download.id);
+            }
+            this.renderDownloadPanel();
+        });
+
+        entry.querySelectorAll('.download-hash-value').forEach(value => {
+            value.addEventListener('click', (e) => {
+                e.stopPropagation();
+                navigator.clipboard.writeText(value.textContent);
+                this.showNotification('Checksum copied');
+            });
+        });
+
+        const hashInput = entry.querySelector('.download-hash-input');
+        if (hashInput) {
+            // Keep what was typed across re-renders caused by other downloads
+            hashInput.addEventListener('input', () => {
+                download.expectedHashDraft = hashInput.value;
+            });
+            hashInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.verifyHash(download.id, hashInput.value);
+            });
+            entry.querySelector('.download-hash-verify').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.verifyHash(download.id, hashInput.value);
+            });
+        }
+
         return entry;
     }
 
+    renderDownloadSafety(download) {
+        const warnings = download.warnings || [];
+        const badges = [];
+        if (warnings.includes('dangerousType')) {
+            badges.push('<span class="download-warning">⚠ Executable file - opening asks for confirmation</span>');
+        }
+        if (warnings.includes('insecureSource')) {
+            badges.push('<span class="download-warning">⚠ Downloaded over insecure HTTP</span>');
+        }
+
+        const verification = download.verification;
+        const verificationBadge = verification
+            ? `<span class="download-verification ${verification.match ? 'match' : 'mismatch'}">${verification.match ? '✓' : '✗'} ${verification.algorithm.toUpperCase()} ${verification.match ? 'verified' : 'mismatch'}</span>`
+            : '';
+
+        let details = '';
+        if (this.expandedChecksums.has(download.id)) {
+            details = download.hashes
+                ? `
+                    <div class="download-checksums">
+                        ${['sha256', 'sha1', 'md5'].map(algorithm => `
+                            <div class="download-hash-row">
+                                <span class="download-hash-label">${algorithm.toUpperCase()}</span>
+                                <code class="download-hash-value" title="Click to copy">${download.hashes[algorithm]}</code>
+                            </div>
+                        `).join('')}
+                        <div class="download-hash-verify-row">
+                            <input type="text" class="download-hash-input" placeholder="Paste expected hash" value="${(download.expectedHashDraft || '').replace(/"/g, '&quot;')}">
+                            <button class="download-hash-verify">Verify</button>
+                        </div>
+                    </div>
+                `
+                : '<div class="download-checksums">Computing checksums…</div>';
+        }
+
+        return `
+            ${badges.join('')}
+            <div class="download-checksum-bar">
+                <button class="download-checksum-toggle">${this.expandedChecksums.has(download.id) ? 'Hide checksums' : 'Checksums'}</button>
+                ${verificationBadge}
+            </div>
+            ${details}
+        `;
+    }
+
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+        return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    }
+
     formatBytes(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -5639,6 +9496,7 @@ class DownloadManager {
 
         if (show) {
             this.renderDownloadPanel();
+            this.syncDownloads();
         }
     }
 
@@ -5988,7 +9846,24 @@ class CommandPalette {
             { id: 'focus-url', label: 'Focus Address Bar', shortcut: 'Ctrl+L', icon: 'search', action: () => document.getElementById('urlInput')?.focus() },
             { id: 'reload', label: 'Reload Page', shortcut: 'Ctrl+R', icon: 'refresh', action: () => window.tabManager?.reload() },
             { id: 'home', label: 'Go Home', shortcut: '', icon: 'home', action: () => window.tabManager?.goHome() },
+            { id: 'history-page', label: 'Open History in Tab', shortcut: '', icon: 'clock', action: () => window.tabManager?.createTab('paperstation://history/') },
+            { id: 'downloads-page', label: 'Open Downloads in Tab', shortcut: '', icon: 'download', action: () => window.tabManager?.createTab('paperstation://downloads/') },
+            { id: 'knowledge-page', label: 'Open Knowledge Base in Tab', shortcut: '', icon: 'star', action: () => window.tabManager?.createTab('paperstation://knowledge/') },
+            { id: 'settings-page', label: 'Open Settings in Tab', shortcut: '', icon: 'settings', action: () => window.tabManager?.createTab('paperstation://settings/') },
+            { id: 'about-page', label: 'About PaperStation', shortcut: '', icon: 'user', action: () => window.tabManager?.createTab('paperstation://about/') },
+            { id: 'group-tabs', label: 'Group Selected Tabs', shortcut: '', icon: 'layers', action: () => window.tabManager?.groups.groupSelectedTabs() },
+            { id: 'move-to-group', label: 'Move Tab to Group…', shortcut: '', icon: 'layers', action: () => this.showMoveToGroup() },
+            { id: 'open-saved-group', label: 'Open Saved Tab Group…', shortcut: '', icon: 'layers', action: () => this.showSavedGroups() },
+            { id: 'delete-saved-group', label: 'Delete Saved Tab Group…', shortcut: '', icon: 'x', action: () => this.showSavedGroups(true) },
+            { id: 'split-new-tab', label: 'Split View with New Tab', shortcut: '', icon: 'columns', action: () => window.tabManager?.split.openWithNewTab() },
+            { id: 'split-with-tab', label: 'Split View with Tab…', shortcut: '', icon: 'columns', action: () => this.showSplitWithTab() },
+            { id: 'split-swap', label: 'Swap Split Panes', shortcut: '', icon: 'columns', action: () => window.tabManager?.split.swap() },
+            { id: 'split-orientation', label: 'Toggle Split Orientation', shortcut: '', icon: 'columns', action: () => window.tabManager?.split.toggleOrientation() },
+            { id: 'split-exit', label: 'Exit Split View', shortcut: '', icon: 'x', action: () => window.tabManager?.split.exit() },
+            { id: 'vertical-tabs', label: 'Toggle Vertical Tabs', shortcut: '', icon: 'layers', action: () => window.settingsManager?.setSetting('verticalTabs', !window.settingsManager.getSetting('verticalTabs')) },
         ];
+        // Second-level choices, e.g. which group to move a tab into; null shows the commands above
+        this.listCommands = null;
 
         this.init();
     }
@@ -6035,7 +9910,10 @@ class CommandPalette {
             'user': '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 3c1.66 0 3 1.34 3 3s-1.34 3-3 3-3-1.34-3-3 1.34-3 3-3z"/>',
             'search': '<circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>',
             'refresh': '<polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>',
-            'home': '<path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/>'
+            'home': '<path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/>',
+            'columns': '<rect x="3" y="3" width="18" height="18" rx="2"/><line x1="12" y1="3" x2="12" y2="21"/>',
+            'layers': '<polygon points="12 2 2 7 12 12 22 7 12 2"/><polyline points="2 17 12 22 22 17"/><polyline points="2 12 12 17 22 12"/>',
+            'settings': '<circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 1 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06A1.65 1.65 0 0 0 4.68 15a1.65 1.65 0 0 0-1.51-1H3a2 2 0 1 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06A1.65 1.65 0 0 0 9 4.68a1.65 1.65 0 0 0 1-1.51V3a2 2 0 1 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06A1.65 1.65 0 0 0 19.4 9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 1 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/>'
         };
         return icons[iconName] || icons['search'];
     }
@@ -6044,12 +9922,12 @@ class CommandPalette {
         const list = document.getElementById('commandPaletteList');
         if (!list) return;
 
-        this.filteredCommands = this.commands.filter(cmd =>
+        this.filteredCommands = (this.listCommands || this.commands).filter(cmd =>
             cmd.label.toLowerCase().includes(filter.toLowerCase())
         );
 
         if (this.filteredCommands.length === 0) {
-            list.innerHTML = '<div class="command-palette-empty">No commands found</div>';
+            list.innerHTML = `<div class="command-palette-empty">${this.listCommands ? 'Nothing to choose from' : 'No commands found'}</div>`;
             return;
         }
 
@@ -6065,7 +9943,7 @@ class CommandPalette {
                         ${this.getIcon(cmd.icon)}
                     </svg>
                 </div>
-                <span class="command-palette-item-label">${cmd.label}</span>
+                <span class="command-palette-item-label">${this.escapeHTML(cmd.label)}</span>
                 ${cmd.shortcut ? `<span class="command-palette-item-shortcut">${cmd.shortcut}</span>` : ''}
             </div>
         `).join('');
@@ -6086,6 +9964,67 @@ class CommandPalette {
         }
     }
 
+    // Shows a list of choices in place of the commands until the palette closes
+    openList(placeholder, commands) {
+        this.open();
+        this.listCommands = commands;
+        document.getElementById('commandPaletteInput').placeholder = placeholder;
+        this.renderCommands();
+    }
+
+    showMoveToGroup() {
+        const groups = window.tabManager?.groups;
+        if (!groups) return;
+
+        const tabIds = groups.getSelectedTabIds();
+        const current = groups.getGroupOfTab(window.tabManager.activeTabId);
+        const choices = [
+            { label: 'New Group', icon: 'plus', action: () => groups.groupSelectedTabs() },
+            ...Array.from(groups.groups.values()).filter(group => group !== current).map(group => ({
+                label: `${group.name || 'Unnamed group'} (${groups.getGroupTabIds(group.id).length} tabs)`,
+                icon: 'layers',
+                action: () => groups.moveTabsToGroup(tabIds, group.id)
+            }))
+        ];
+        if (current) {
+            choices.push({ label: 'Remove from Group', icon: 'x', action: () => groups.removeTabsFromGroup(tabIds) });
+        }
+        this.openList(tabIds.length > 1 ? `Move ${tabIds.length} tabs to group...` : 'Move tab to group...', choices);
+    }
+
+    showSplitWithTab() {
+        const tabManager = window.tabManager;
+        if (!tabManager) return;
+
+        this.openList('Show next to the current tab...', tabManager.getOrderedTabIds()
+            .filter(tabId => tabId !== tabManager.activeTabId)
+            .map(tabId => ({
+                label: tabManager.tabs.get(tabId).title || tabManager.tabs.get(tabId).url,
+                icon: 'columns',
+                action: () => tabManager.split.openWithTab(tabId)
+            })));
+    }
+
+    showSavedGroups(deleting = false) {
+        const groups = window.tabManager?.groups;
+        if (!groups) return;
+
+        this.openList(deleting ? 'Delete saved tab group...' : 'Open saved tab group...', groups.savedGroups.map(saved => ({
+            label: `${saved.name || 'Unnamed group'} (${saved.tabs.length} tabs)`,
+            icon: deleting ? 'x' : 'layers',
+            action: () => deleting ? groups.deleteSavedGroup(saved.id) : groups.openSavedGroup(saved.id)
+        })));
+    }
+
+    escapeHTML(text) {
+        if (!text) return '';
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     open() {
         const palette = document.getElementById('commandPalette');
         const input = document.getElementById('commandPaletteInput');
@@ -6105,6 +10044,8 @@ class CommandPalette {
 
         this.isOpen = false;
         palette.classList.remove('open');
+        this.listCommands = null;
+        document.getElementById('commandPaletteInput').placeholder = 'Type a command...';
     }
 
     toggle() {
@@ -6180,7 +10121,11 @@ class SettingsManager {
         // Default settings
             this.defaults = {
                 // Search Engine
-                searchEngine: 'chickrubgo',
+                searchEngine: DEFAULT_SEARCH_ENGINE,
+                // { engineId: keyword } overrides for the built-in engines
+                searchEngineKeywords: {},
+                // [{ id, name, keyword, template: 'https://example.com/?q=%s' }]
+                customSearchEngines: [],
                 // Startup
                 startupMode: 'newTab',
                 customStartupUrl: '',
@@ -6191,18 +10136,43 @@ class SettingsManager {
                 // Downloads
                 askBeforeDownload: true,
                 downloadPath: '',
+                // [{ extensions: ['pdf'], folder: '~/Papers' }]
+                downloadRules: [],
+                downloadMaxConcurrent: 3,
+                // KB/s, 0 = unlimited
+                downloadSpeedLimitKB: 0,
+                downloadItemSpeedLimitKB: 0,
+                downloadRetries: 3,
                 // Appearance
                 theme: 'dark',
                 zoomLevel: 100,
                 fontSize: 14,
+                verticalTabs: false,
                 // Performance
                 lowMemoryMode: false,
+                // Minutes in the background before a tab is discarded, 0 = never
+                tabDiscardMinutes: 0,
                 hardwareAcceleration: true,
                 // Security
                 blockPopups: true,
                 blockThirdPartyCookies: false,
                 doNotTrack: false,
                 httpsOnly: false,
+                contentBlocking: true,
+                // Passwords
+                passwordAutoLockMinutes: 5,
+                passwordGenerator: {
+                    mode: 'random',
+                    length: 20,
+                    lowercase: true,
+                    uppercase: true,
+                    digits: true,
+                    symbols: true,
+                    words: 5,
+                    separator: '-',
+                    capitalize: true,
+                    includeNumber: true
+                },
                 // Shortcuts
                 shortcuts: {
                     newTab: 'Ctrl+T',
@@ -6261,7 +10231,7 @@ class SettingsManager {
 
     applySettings() {
         // Note: Search engine settings are now dynamically read from localStorage via CONFIG getters
-        // No need to set CONFIG.searchEngine - it reads from localStorage automatically
+        // The default engine is read from localStorage by SearchEngines.getDefault()
 
         // Apply theme (only if not incognito)
         if (!CONFIG.isIncognito) {
@@ -6273,17 +10243,86 @@ class SettingsManager {
 
         // Apply font size
         document.documentElement.style.setProperty('--base-font-size', `${this.settings.fontSize}px`);
+
+        window.tabManager?.tree.setEnabled(this.settings.verticalTabs);
+
+        // Security settings are enforced by the main process for every session
+        if (window.focusFlowAPI?.settings) {
+            window.focusFlowAPI.settings.sync({
+                blockPopups: this.settings.blockPopups,
+                blockThirdPartyCookies: this.settings.blockThirdPartyCookies,
+                doNotTrack: this.settings.doNotTrack,
+                httpsOnly: this.settings.httpsOnly,
+                contentBlocking: this.settings.contentBlocking,
+                passwordAutoLockMinutes: this.settings.passwordAutoLockMinutes,
+                passwordGenerator: this.settings.passwordGenerator,
+                askBeforeDownload: this.settings.askBeforeDownload,
+                downloadPath: this.settings.downloadPath,
+                downloadRules: this.settings.downloadRules,
+                downloadMaxConcurrent: this.settings.downloadMaxConcurrent,
+                downloadSpeedLimitKB: this.settings.downloadSpeedLimitKB,
+                downloadItemSpeedLimitKB: this.settings.downloadItemSpeedLimitKB,
+                downloadRetries: this.settings.downloadRetries
+            });
+            window.tabManager?.updateContentBlockerButton();
+        }
+
+        window.internalPages?.notify('*', { type: 'settings-changed', theme: window.internalPages.getTheme() });
     }
 
 
     getSearchEngines() {
-        return [
-            { id: 'google', name: 'Google', url: 'https://www.google.com/search?q=' },
-            { id: 'bing', name: 'Bing (China)', url: 'https://cn.bing.com/search?q=' },
-            { id: 'duckduckgo', name: 'DuckDuckGo', url: 'https://duckduckgo.com/?q=' },
-            { id: 'brave', name: 'Brave Search', url: 'https://search.brave.com/search?q=' },
-            { id: 'chickrubgo', name: 'ChickRubGo', url: 'https://ruanmingze.github.io/ChickRubGo/search?q=' }
-        ];
+        return SearchEngines.getAll();
+    }
+
+    // Shared by the settings form and the OpenSearch offer in the address bar
+    addSearchEngine({ name, keyword, template, openSearchUrl }) {
+        name = (name || '').trim();
+        keyword = (keyword || '').trim();
+        template = (template || '').trim();
+
+        if (!name) return { success: false, error: '请输入搜索引擎名称' };
+        if (!SearchEngines.isValidTemplate(template)) {
+            return { success: false, error: '网址必须以 http:// 或 https:// 开头，并用 %s 代替搜索词' };
+        }
+        if (/\s/.test(keyword)) return { success: false, error: '关键字不能包含空格' };
+        if (keyword && SearchEngines.findByKeyword(keyword)) {
+            return { success: false, error: `关键字“${keyword}”已被使用` };
+        }
+        if (SearchEngines.getAll().some(engine => engine.template === template)) {
+            return { success: false, error: '该搜索引擎已存在' };
+        }
+
+        const engine = { id: `custom-${Date.now()}`, name, keyword, template };
+        if (openSearchUrl) engine.openSearchUrl = openSearchUrl;
+        this.setSetting('customSearchEngines', [...(this.settings.customSearchEngines || []), engine]);
+        return { success: true, engine };
+    }
+
+    removeSearchEngine(id) {
+        this.settings.customSearchEngines = (this.settings.customSearchEngines || []).filter(engine => engine.id !== id);
+        if (this.settings.searchEngine === id) {
+            this.settings.searchEngine = DEFAULT_SEARCH_ENGINE;
+        }
+        this.saveSettings();
+        this.applySettings();
+    }
+
+    setSearchEngineKeyword(id, keyword) {
+        keyword = keyword.trim();
+        if (/\s/.test(keyword)) return { success: false, error: '关键字不能包含空格' };
+        const owner = keyword ? SearchEngines.findByKeyword(keyword) : null;
+        if (owner && owner.id !== id) {
+            return { success: false, error: `关键字“${keyword}”已被 ${owner.name} 使用` };
+        }
+
+        const custom = this.settings.customSearchEngines || [];
+        if (custom.some(engine => engine.id === id)) {
+            this.setSetting('customSearchEngines', custom.map(engine => engine.id === id ? { ...engine, keyword } : engine));
+        } else {
+            this.setSetting('searchEngineKeywords', { ...this.settings.searchEngineKeywords, [id]: keyword });
+        }
+        return { success: true };
     }
 
     // ============================================
@@ -6385,6 +10424,7 @@ class SettingsManager {
 
     renderSearchSection() {
         const engines = this.getSearchEngines();
+        const defaultEngine = SearchEngines.getDefault();
         return `
             <div class="settings-section">
                 <h3 class="settings-section-title">默认搜索引擎</h3>
@@ -6392,13 +10432,35 @@ class SettingsManager {
                 <div class="settings-radio-group">
                     ${engines.map(e => `
                         <label class="settings-radio">
-                            <input type="radio" name="searchEngine" value="${e.id}" ${this.settings.searchEngine === e.id ? 'checked' : ''}>
+                            <input type="radio" name="searchEngine" value="${this.escapeAttribute(e.id)}" ${defaultEngine.id === e.id ? 'checked' : ''}>
                             <span class="settings-radio-mark"></span>
-                            <span class="settings-radio-label">${e.name}</span>
+                            <span class="settings-radio-label">${this.escapeAttribute(e.name)}</span>
                         </label>
                     `).join('')}
                 </div>
             </div>
+
+            <div class="settings-section">
+                <h3 class="settings-section-title">搜索引擎与关键字</h3>
+                <p class="settings-section-desc">在地址栏输入关键字加空格即可使用对应的搜索引擎，例如“scholar transformer attention”或“arxiv diffusion”。</p>
+                <div class="search-engine-list" id="searchEngineList">
+                    ${engines.map(e => `
+                        <div class="search-engine-row" data-engine-id="${this.escapeAttribute(e.id)}">
+                            <span class="search-engine-name" title="${this.escapeAttribute(e.template)}">${this.escapeAttribute(e.name)}</span>
+                            <input type="text" class="settings-input search-engine-keyword" value="${this.escapeAttribute(e.keyword)}" placeholder="关键字">
+                            <span class="search-engine-template">${this.escapeAttribute(e.template)}</span>
+                            ${e.builtin ? '' : '<button class="settings-btn danger search-engine-remove">删除</button>'}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="search-engine-add">
+                    <input type="text" class="settings-input" id="newSearchEngineName" placeholder="名称">
+                    <input type="text" class="settings-input" id="newSearchEngineKeyword" placeholder="关键字">
+                    <input type="text" class="settings-input" id="newSearchEngineTemplate" placeholder="https://example.com/search?q=%s">
+                    <button class="settings-btn" id="addSearchEngine">添加</button>
+                </div>
+                <p class="privacy-info-small">用 %s 代替搜索词。访问提供 OpenSearch 的网站时，地址栏会提示添加该网站的搜索。</p>
+            </div>
             
             <div class="settings-section">
                 <h3 class="settings-section-title">预设主页</h3>
@@ -6445,9 +10507,52 @@ class SettingsManager {
                     <input type="url" class="settings-input" id="customStartupUrl" placeholder="https://example.com" value="${this.settings.customStartupUrl || ''}">
                 </div>
             </div>
+
+            <div class="settings-section">
+                <h3 class="settings-section-title">默认浏览器</h3>
+                <p class="settings-section-desc">用 PaperStation 打开网页链接、HTML 文件和 PDF 文件。</p>
+                <div class="settings-info-box" id="defaultBrowserStatus">
+                    <p>正在检查…</p>
+                </div>
+                <div class="default-browser-actions">
+                    <button class="settings-btn" id="setDefaultBrowser" hidden>设为默认浏览器</button>
+                    <button class="settings-btn" id="undoDefaultBrowser" hidden>撤销更改</button>
+                </div>
+            </div>
         `;
     }
 
+    describeDefaultBrowserStatus(status) {
+        if (status.isDefault) {
+            return 'PaperStation 是您的默认浏览器。';
+        }
+        const labels = { 'x-scheme-handler/http': 'http 链接', 'x-scheme-handler/https': 'https 链接', 'text/html': 'HTML 文件', 'application/pdf': 'PDF 文件' };
+        const handled = status.mimeTypes
+            ? Object.keys(status.mimeTypes).filter(type => status.mimeTypes[type]).map(type => labels[type])
+            : Object.keys(status.protocols).filter(protocol => status.protocols[protocol]).map(protocol => `${protocol} 链接`);
+        return handled.length > 0
+            ? `PaperStation 目前只打开：${handled.join('、')}。`
+            : 'PaperStation 不是您的默认浏览器。';
+    }
+
+    async refreshDefaultBrowserStatus(result = null) {
+        const statusBox = document.getElementById('defaultBrowserStatus');
+        if (!statusBox || !window.focusFlowAPI?.defaultBrowser) return;
+
+        result = result || await window.focusFlowAPI.defaultBrowser.getStatus();
+        if (!document.body.contains(statusBox)) return;
+        if (!result.success) {
+            statusBox.innerHTML = `<p>无法获取默认浏览器状态：${this.escapeAttribute(result.error)}</p>`;
+            return;
+        }
+
+        const { status } = result;
+        statusBox.innerHTML = `<p>${this.describeDefaultBrowserStatus(status)}</p>`
+            + (status.platform === 'win32' && !status.isDefault ? '<p>Windows 需要在系统“默认应用”设置中选择 PaperStation。</p>' : '');
+        document.getElementById('setDefaultBrowser').hidden = status.isDefault;
+        document.getElementById('undoDefaultBrowser').hidden = !status.canUndo;
+    }
+
     renderPrivacySection() {
         const isKnowledgeModeOn = window.knowledgeManager?.isKnowledgeModeEnabled() || false;
 
@@ -6504,13 +10609,67 @@ class SettingsManager {
                 <h3 class="settings-section-title">下载设置</h3>
                 ${this.createToggle('askBeforeDownload', '询问每个文件的保存位置', '在保存前提示下载位置')}
                 <div class="settings-input-group" style="margin-top: 16px;">
-                    <label class="settings-label">下载位置（仅显示）</label>
-                    <input type="text" class="settings-input" id="downloadPath" value="${this.settings.downloadPath || '默认下载文件夹'}" readonly>
+                    <label class="settings-label">下载位置</label>
+                    <div class="download-folder-row">
+                        <input type="text" class="settings-input" id="downloadPath" value="${this.escapeAttribute(this.settings.downloadPath)}" placeholder="默认下载文件夹" readonly>
+                        <button class="settings-btn" id="chooseDownloadPath">更改…</button>
+                        ${this.settings.downloadPath ? '<button class="settings-btn" id="resetDownloadPath">恢复默认</button>' : ''}
+                    </div>
+                </div>
+                <p class="privacy-info-small">同名文件会自动重命名，例如 report (1).pdf。</p>
+            </div>
+            <div class="settings-section">
+                <h3 class="settings-section-title">按文件类型保存</h3>
+                <p class="settings-section-desc">匹配扩展名的文件保存到指定文件夹，例如 pdf → ~/Papers，bib → 参考文献文件夹。</p>
+                <div class="download-rules" id="downloadRules">
+                    ${(this.settings.downloadRules || []).map((rule, index) => `
+                        <div class="download-rule" data-index="${index}">
+                            <input type="text" class="settings-input download-rule-extensions" value="${this.escapeAttribute((rule.extensions || []).join(', '))}" placeholder="pdf, bib">
+                            <input type="text" class="settings-input download-rule-folder" value="${this.escapeAttribute(rule.folder)}" placeholder="~/Papers">
+                            <button class="settings-btn download-rule-browse">选择…</button>
+                            <button class="settings-btn danger download-rule-remove">删除</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <button class="settings-btn" id="addDownloadRule" style="margin-top: 8px;">添加规则</button>
+            </div>
+            <div class="settings-section">
+                <h3 class="settings-section-title">下载队列</h3>
+                <p class="settings-section-desc">超出同时下载数量的文件会排队等候；速度限制为 0 表示不限速。</p>
+                <div class="download-queue-settings">
+                    <label class="settings-label">同时下载数量
+                        <input type="number" class="settings-input" data-download-number="downloadMaxConcurrent" min="1" max="10" value="${this.settings.downloadMaxConcurrent}">
+                    </label>
+                    <label class="settings-label">总速度限制（KB/s）
+                        <input type="number" class="settings-input" data-download-number="downloadSpeedLimitKB" min="0" value="${this.settings.downloadSpeedLimitKB}">
+                    </label>
+                    <label class="settings-label">单个下载速度限制（KB/s）
+                        <input type="number" class="settings-input" data-download-number="downloadItemSpeedLimitKB" min="0" value="${this.settings.downloadItemSpeedLimitKB}">
+                    </label>
+                    <label class="settings-label">中断后自动重试次数
+                        <input type="number" class="settings-input" data-download-number="downloadRetries" min="0" max="10" value="${this.settings.downloadRetries}">
+                    </label>
                 </div>
             </div>
         `;
     }
 
+    escapeAttribute(value) {
+        return String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    // Rules are edited in place; empty rows are dropped when saved
+    saveDownloadRules() {
+        const rules = Array.from(document.querySelectorAll('#downloadRules .download-rule')).map(row => ({
+            extensions: row.querySelector('.download-rule-extensions').value
+                .split(/[\s,]+/)
+                .map(ext => ext.replace(/^\./, '').toLowerCase())
+                .filter(Boolean),
+            folder: row.querySelector('.download-rule-folder').value.trim()
+        })).filter(rule => rule.extensions.length > 0 && rule.folder);
+        this.setSetting('downloadRules', rules);
+    }
+
     renderAppearanceSection() {
         return `
             <div class="settings-section">
@@ -6549,31 +10708,110 @@ class SettingsManager {
                 <input type="range" class="settings-slider" id="fontSize" min="12" max="18" step="1" value="${this.settings.fontSize}">
                 <div class="settings-slider-labels"><span>12px</span><span>14px</span><span>18px</span></div>
             </div>
+            <div class="settings-section">
+                <h3 class="settings-section-title">标签页</h3>
+                ${this.createToggle('verticalTabs', '垂直标签页', '在窗口左侧以树状结构显示标签页，从某个标签页打开的标签页显示在它下方')}
+            </div>
         `;
     }
 
     renderPerformanceSection() {
-        const usedMemory = Math.round(performance.memory?.usedJSHeapSize / 1024 / 1024) || 'N/A';
-        const totalMemory = Math.round(performance.memory?.jsHeapSizeLimit / 1024 / 1024) || 'N/A';
+        const discardOptions = [
+            { value: 0, label: '仅在内存不足时' },
+            { value: 5, label: '5 分钟' },
+            { value: 15, label: '15 分钟' },
+            { value: 30, label: '30 分钟' },
+            { value: 60, label: '1 小时' }
+        ];
 
         return `
             <div class="settings-section">
                 <h3 class="settings-section-title">内存使用</h3>
                 <div class="settings-memory-display">
                     <div class="memory-bar">
-                        <div class="memory-bar-fill" style="width: ${performance.memory ? (performance.memory.usedJSHeapSize / performance.memory.jsHeapSizeLimit * 100) : 50}%"></div>
+                        <div class="memory-bar-fill" id="browserMemoryBar" style="width: 0%"></div>
                     </div>
-                    <span class="memory-text">${usedMemory} MB / ${totalMemory} MB</span>
+                    <span class="memory-text" id="browserMemoryText">正在读取内存使用情况...</span>
+                </div>
+                <div class="tab-memory-list" id="tabMemoryList"></div>
+                <div class="settings-btn-group">
+                    <button class="settings-btn" id="refreshTabMemory">刷新</button>
+                    <button class="settings-btn" id="discardBackgroundTabs">立即释放后台标签页</button>
+                </div>
+            </div>
+            <div class="settings-section">
+                <h3 class="settings-section-title">自动释放标签页</h3>
+                <p class="settings-section-desc">系统内存不足时释放后台标签页占用的内存，也可以让标签页在后台闲置一段时间后释放。标题、图标和浏览记录会保留，切换回来时重新加载。正在播放声音、已固定或有未提交表单内容的标签页不会被释放。</p>
+                <div class="settings-radio-group horizontal">
+                    ${discardOptions.map(option => `
+                        <label class="settings-radio">
+                            <input type="radio" name="tabDiscardMinutes" value="${option.value}" ${Number(this.settings.tabDiscardMinutes) === option.value ? 'checked' : ''}>
+                            <span class="settings-radio-mark"></span>
+                            <span class="settings-radio-label">${option.label}</span>
+                        </label>
+                    `).join('')}
                 </div>
             </div>
             <div class="settings-section">
                 <h3 class="settings-section-title">性能选项</h3>
-                ${this.createToggle('lowMemoryMode', '低内存模式', '通过限制后台进程来减少内存使用')}
+                ${this.createToggle('lowMemoryMode', '低内存模式', '后台标签页闲置 5 分钟即释放，并在内存紧张时更早释放')}
                 ${this.createToggle('hardwareAcceleration', '硬件加速', '在可用时使用 GPU 进行渲染')}
             </div>
         `;
     }
 
+    // Memory of each tab's renderer process as reported by the main process
+    async refreshPerformanceMetrics() {
+        const list = document.getElementById('tabMemoryList');
+        const tabManager = window.tabManager;
+        if (!list || !tabManager || !window.focusFlowAPI?.tabs) return;
+
+        const metrics = await window.focusFlowAPI.tabs.getMetrics();
+        if (!document.body.contains(list)) return;
+        if (!metrics.success) {
+            document.getElementById('browserMemoryText').textContent = `无法读取内存使用情况：${metrics.error}`;
+            return;
+        }
+
+        const toMB = (kb) => Math.round(kb / 1024);
+        const { totalKB, freeKB } = metrics.systemMemory;
+        document.getElementById('browserMemoryBar').style.width = `${Math.min(100, metrics.browserMemoryKB / totalKB * 100)}%`;
+        document.getElementById('browserMemoryText').textContent =
+            `PaperStation 共使用 ${toMB(metrics.browserMemoryKB)} MB · 系统可用 ${toMB(freeKB)} MB / ${toMB(totalKB)} MB`;
+
+        list.innerHTML = tabManager.getOrderedTabIds().map(tabId => {
+            const tab = tabManager.tabs.get(tabId);
+            let usage = '尚未加载';
+            if (tab.discarded) {
+                usage = '已释放';
+            } else {
+                try {
+                    const info = metrics.tabs[tab.webview.getWebContentsId()];
+                    if (info) usage = `${toMB(info.memoryKB)} MB${info.sharedProcess ? '（共享进程）' : ''}`;
+                } catch (e) {
+                    // Not attached yet
+                }
+            }
+            return `
+                <div class="tab-memory-row${tab.discarded ? ' discarded' : ''}">
+                    <span class="tab-memory-title">${this.escapeAttribute(tab.title || tab.url)}</span>
+                    <span class="tab-memory-usage">${usage}</span>
+                    <button class="settings-btn tab-memory-discard" data-discard-tab="${tabId}" ${tabManager.lifecycle.canDiscard(tabId) ? '' : 'disabled'}>释放</button>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('[data-discard-tab]').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                if (!await tabManager.lifecycle.discard(Number(button.dataset.discardTab))) {
+                    await showAlert('该标签页有未提交的表单内容或暂时无法释放');
+                }
+                this.refreshPerformanceMetrics();
+            });
+        });
+    }
+
     renderSecuritySection() {
         return `
             <div class="settings-section">
@@ -6581,7 +10819,16 @@ class SettingsManager {
                 ${this.createToggle('blockPopups', '阻止弹出窗口', '防止网站打开弹出窗口')}
                 ${this.createToggle('blockThirdPartyCookies', '阻止第三方 Cookies', '防止来自其他网站的跟踪 cookies')}
                 ${this.createToggle('doNotTrack', '发送"请勿跟踪"请求', '要求网站不要跟踪您的浏览')}
-                ${this.createToggle('httpsOnly', '仅 HTTPS 模式', '连接到不安全网站时发出警告')}
+                ${this.createToggle('httpsOnly', '仅 HTTPS 模式', '自动升级到 HTTPS，无法安全连接时发出警告')}
+            </div>
+            <div class="settings-section">
+                <h3 class="settings-section-title">内容拦截</h3>
+                ${this.createToggle('contentBlocking', '拦截广告和跟踪器', '使用 Adblock Plus 格式的过滤列表拦截请求并隐藏广告元素')}
+                <p class="settings-section-desc" id="filterListsInfo">正在读取过滤列表...</p>
+                <div class="settings-btn-group">
+                    <button class="settings-btn" id="openFilterListsFolder">打开过滤列表文件夹</button>
+                    <button class="settings-btn" id="reloadFilterLists">重新加载过滤列表</button>
+                </div>
             </div>
         `;
     }
@@ -6605,27 +10852,59 @@ class SettingsManager {
     }
 
     renderPasswordsSection() {
+        const autoLockOptions = [
+            { value: 1, label: '1 分钟' },
+            { value: 5, label: '5 分钟' },
+            { value: 15, label: '15 分钟' },
+            { value: 30, label: '30 分钟' },
+            { value: 0, label: '从不' }
+        ];
         return `
             <div class="settings-section">
                 <h3 class="settings-section-title">🔐 密码管理器</h3>
-                <p class="settings-section-desc">管理您的网站密码，集成 Windows Hello 生物识别。</p>
+                <p class="settings-section-desc">管理您的网站密码，所有条目均加密保存在本地密码库中。</p>
                 
                 <div class="password-manager-actions" style="margin: 20px 0;">
                     <button class="settings-btn primary full-width" id="openPasswordManager">
                         打开密码管理器
                     </button>
+                    <button class="settings-btn full-width" id="lockPasswordVault" style="margin-top: 8px;">
+                        立即锁定密码库
+                    </button>
                 </div>
                 
                 <div class="settings-info-box">
                     <h4>功能说明</h4>
                     <ul style="margin: 10px 0 0 20px; text-align: left;">
                         <li>添加、查看、复制、删除密码</li>
-                        <li>集成 Windows Hello 生物识别验证</li>
-                        <li>密码安全存储在本地</li>
+                        <li>使用系统安全存储加密；不可用时使用主密码加密</li>
+                        <li>闲置一段时间、锁屏或睡眠后自动锁定</li>
                         <li>支持网站、用户名、密码管理</li>
                     </ul>
                 </div>
             </div>
+            <div class="settings-section">
+                <h3 class="settings-section-title">密码工具</h3>
+                <p class="settings-section-desc">检查已泄露、重复、弱或过旧的密码；从 Chrome、Edge、Firefox（CSV）或 Bitwarden（JSON/CSV）导入密码，导入前可预览重复条目。导出需要验证身份。</p>
+                <div class="settings-btn-group">
+                    <button class="settings-btn" id="vaultHealthReport">密码健康检查</button>
+                    <button class="settings-btn" id="importPasswords">导入密码…</button>
+                    <button class="settings-btn" id="exportPasswords">导出密码…</button>
+                </div>
+            </div>
+            <div class="settings-section">
+                <h3 class="settings-section-title">自动锁定</h3>
+                <p class="settings-section-desc">密码库在无操作多长时间后自动锁定。</p>
+                <div class="settings-radio-group horizontal">
+                    ${autoLockOptions.map(option => `
+                        <label class="settings-radio">
+                            <input type="radio" name="passwordAutoLockMinutes" value="${option.value}" ${Number(this.settings.passwordAutoLockMinutes) === option.value ? 'checked' : ''}>
+                            <span class="settings-radio-mark"></span>
+                            <span class="settings-radio-label">${option.label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
         `;
     }
 
@@ -6712,6 +10991,38 @@ class SettingsManager {
             });
         });
 
+        // Search engine keywords and custom engines
+        document.querySelectorAll('#searchEngineList .search-engine-row').forEach(row => {
+            const id = row.dataset.engineId;
+            const keywordInput = row.querySelector('.search-engine-keyword');
+            keywordInput.addEventListener('change', async () => {
+                const result = this.setSearchEngineKeyword(id, keywordInput.value);
+                if (!result.success) {
+                    await showAlert(result.error);
+                    keywordInput.value = SearchEngines.get(id)?.keyword || '';
+                }
+            });
+            row.querySelector('.search-engine-remove')?.addEventListener('click', async () => {
+                if (await showConfirm(`确定删除搜索引擎“${this.escapeAttribute(SearchEngines.get(id)?.name)}”？`)) {
+                    this.removeSearchEngine(id);
+                    this.renderSection('search');
+                }
+            });
+        });
+
+        document.getElementById('addSearchEngine')?.addEventListener('click', async () => {
+            const result = this.addSearchEngine({
+                name: document.getElementById('newSearchEngineName').value,
+                keyword: document.getElementById('newSearchEngineKeyword').value,
+                template: document.getElementById('newSearchEngineTemplate').value
+            });
+            if (result.success) {
+                this.renderSection('search');
+            } else {
+                await showAlert(this.escapeAttribute(result.error));
+            }
+        });
+
         document.querySelectorAll('input[name="startupMode"]').forEach(input => {
             input.addEventListener('change', (e) => {
                 this.setSetting('startupMode', e.target.value);
@@ -6722,12 +11033,112 @@ class SettingsManager {
             });
         });
 
+        // Default browser
+        if (section === 'startup') {
+            this.refreshDefaultBrowserStatus();
+        }
+        document.getElementById('setDefaultBrowser')?.addEventListener('click', async () => {
+            const result = await window.focusFlowAPI?.defaultBrowser?.set();
+            if (result && !result.success) {
+                await showAlert(`设置默认浏览器失败：${result.error}`);
+            }
+            this.refreshDefaultBrowserStatus(result?.success ? result : null);
+        });
+        document.getElementById('undoDefaultBrowser')?.addEventListener('click', async () => {
+            if (!await showConfirm('恢复之前的默认浏览器和文件关联？')) return;
+            const result = await window.focusFlowAPI?.defaultBrowser?.undo();
+            if (result && !result.success) {
+                await showAlert(`撤销失败：${result.error}`);
+            }
+            this.refreshDefaultBrowserStatus(result?.success ? result : null);
+        });
+
+        // Performance
+        if (section === 'performance') {
+            this.refreshPerformanceMetrics();
+        }
+        document.getElementById('refreshTabMemory')?.addEventListener('click', () => this.refreshPerformanceMetrics());
+        document.getElementById('discardBackgroundTabs')?.addEventListener('click', async () => {
+            const count = await window.tabManager?.lifecycle.discardBackgroundTabs();
+            window.tabManager?.showNotification('已释放后台标签页', `释放了 ${count || 0} 个标签页`);
+            this.refreshPerformanceMetrics();
+        });
+
+        document.querySelectorAll('input[name="tabDiscardMinutes"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.setSetting('tabDiscardMinutes', Number(e.target.value));
+            });
+        });
+
+        document.querySelectorAll('input[name="passwordAutoLockMinutes"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.setSetting('passwordAutoLockMinutes', Number(e.target.value));
+            });
+        });
+
         document.querySelectorAll('input[name="theme"]').forEach(input => {
             input.addEventListener('change', (e) => {
                 this.setSetting('theme', e.target.value);
             });
         });
 
+        // Download location
+        document.getElementById('chooseDownloadPath')?.addEventListener('click', async () => {
+            const result = await window.focusFlowAPI?.downloads?.chooseFolder(this.settings.downloadPath);
+            if (result?.success) {
+                this.setSetting('downloadPath', result.path);
+                this.renderSection('downloads');
+            }
+        });
+
+        document.getElementById('resetDownloadPath')?.addEventListener('click', () => {
+            this.setSetting('downloadPath', '');
+            this.renderSection('downloads');
+        });
+
+        const downloadPathInput = document.getElementById('downloadPath');
+        if (downloadPathInput && !this.settings.downloadPath) {
+            window.focusFlowAPI?.downloads?.getDefaultFolder().then(folder => {
+                downloadPathInput.placeholder = `默认下载文件夹（${folder}）`;
+            });
+        }
+
+        // Download queue limits
+        document.querySelectorAll('input[data-download-number]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const min = Number(e.target.min);
+                const max = e.target.max ? Number(e.target.max) : Infinity;
+                const value = Math.min(max, Math.max(min, Math.round(Number(e.target.value)) || min));
+                e.target.value = value;
+                this.setSetting(e.target.dataset.downloadNumber, value);
+            });
+        });
+
+        // Per-file-type download rules
+        document.getElementById('addDownloadRule')?.addEventListener('click', () => {
+            this.settings.downloadRules = [...(this.settings.downloadRules || []), { extensions: [], folder: '' }];
+            this.renderSection('downloads');
+        });
+
+        document.querySelectorAll('#downloadRules .download-rule').forEach(row => {
+            row.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => this.saveDownloadRules());
+            });
+            row.querySelector('.download-rule-browse').addEventListener('click', async () => {
+                const folderInput = row.querySelector('.download-rule-folder');
+                const result = await window.focusFlowAPI?.downloads?.chooseFolder(folderInput.value);
+                if (result?.success) {
+                    folderInput.value = result.path;
+                    this.saveDownloadRules();
+                }
+            });
+            row.querySelector('.download-rule-remove').addEventListener('click', () => {
+                row.remove();
+                this.saveDownloadRules();
+                this.renderSection('downloads');
+            });
+        });
+
         // Custom URL input
         document.getElementById('customStartupUrl')?.addEventListener('change', (e) => {
             this.setSetting('customStartupUrl', e.target.value);
@@ -6753,37 +11164,21 @@ class SettingsManager {
             if (title) title.textContent = `Font Size: ${val}px`;
         });
 
-        // Clear data buttons
-        document.getElementById('clearHistory')?.addEventListener('click', async () => {
-            if (await showConfirm('确定清除所有浏览历史？')) {
-                localStorage.removeItem('focusflow-history');
-                if (window.historyManager) window.historyManager.history = [];
-                showAlert('历史记录已清除！');
-            }
+        // Clear data buttons open the clear-data dialog with their type preselected
+        document.getElementById('clearHistory')?.addEventListener('click', () => {
+            this.showClearDataDialog(['history']);
         });
 
-        document.getElementById('clearCache')?.addEventListener('click', async () => {
-            if (await showConfirm('确定清除缓存？（在 Web 中不完全支持）')) {
-                showAlert('已请求清除缓存。');
-            }
+        document.getElementById('clearCache')?.addEventListener('click', () => {
+            this.showClearDataDialog(['cache']);
         });
 
-        document.getElementById('clearCookies')?.addEventListener('click', async () => {
-            if (await showConfirm('确定清除 Cookie？（在 Web 中不完全支持）')) {
-                showAlert('已请求清除 Cookie。');
-            }
+        document.getElementById('clearCookies')?.addEventListener('click', () => {
+            this.showClearDataDialog(['cookies']);
         });
 
-        document.getElementById('clearAllData')?.addEventListener('click', async () => {
-            if (await showConfirm('确定清除所有浏览数据，包括历史记录、缓存和 Cookie？')) {
-                localStorage.removeItem('focusflow-history');
-                localStorage.removeItem('focusflow-closed-tabs');
-                if (window.historyManager) {
-                    window.historyManager.history = [];
-                    window.historyManager.recentlyClosed = [];
-                }
-                showAlert('所有浏览数据已清除！');
-            }
+        document.getElementById('clearAllData')?.addEventListener('click', () => {
+            this.showClearDataDialog();
         });
 
         // Clear All Knowledge Data
@@ -6810,6 +11205,47 @@ class SettingsManager {
             }
         });
 
+        // Content blocker filter lists
+        const filterListsInfo = document.getElementById('filterListsInfo');
+        const renderFilterListsInfo = (state) => {
+            if (!filterListsInfo) return;
+            const lists = state.lists.map(list => `${list.name}（${list.rules}）`).join('、') || '无';
+            filterListsInfo.textContent = `已加载 ${state.ruleCount} 条规则：${lists}。将 .txt 列表放入过滤列表文件夹后重新加载即可生效。`;
+        };
+        if (filterListsInfo && window.focusFlowAPI?.contentBlocker) {
+            window.focusFlowAPI.contentBlocker.getState(null, '').then(renderFilterListsInfo);
+        }
+
+        document.getElementById('openFilterListsFolder')?.addEventListener('click', () => {
+            window.focusFlowAPI?.contentBlocker.openListsFolder();
+        });
+
+        document.getElementById('reloadFilterLists')?.addEventListener('click', async () => {
+            if (!window.focusFlowAPI?.contentBlocker) return;
+            const state = await window.focusFlowAPI.contentBlocker.reloadLists();
+            renderFilterListsInfo(state);
+            showAlert(`过滤列表已重新加载，共 ${state.ruleCount} 条规则。`);
+        });
+
+        document.getElementById('vaultHealthReport')?.addEventListener('click', () => {
+            window.passwordManager?.showVaultHealth();
+        });
+
+        document.getElementById('importPasswords')?.addEventListener('click', () => {
+            window.passwordManager?.importPasswords();
+        });
+
+        document.getElementById('exportPasswords')?.addEventListener('click', () => {
+            window.passwordManager?.exportPasswords();
+        });
+
+        document.getElementById('lockPasswordVault')?.addEventListener('click', async () => {
+            if (window.passwordManager) {
+                await window.passwordManager.lock();
+                showAlert('密码库已锁定');
+            }
+        });
+
         // Open Password Manager
         document.getElementById('openPasswordManager')?.addEventListener('click', () => {
             if (window.passwordManager) {
@@ -6820,6 +11256,137 @@ class SettingsManager {
         });
     }
 
+    // ============================================
+    // Clear Browsing Data
+    // ============================================
+
+    async showClearDataDialog(preselected = ['history', 'cookies', 'cache', 'siteStorage']) {
+        const types = [
+            { id: 'history', label: '浏览历史记录' },
+            { id: 'cookies', label: 'Cookie' },
+            { id: 'cache', label: '缓存的图片和文件' },
+            { id: 'siteStorage', label: '网站数据（localStorage 和 IndexedDB）' },
+            { id: 'serviceWorkers', label: 'Service Worker' },
+            { id: 'downloads', label: '下载记录' },
+            { id: 'knowledge', label: '知识条目' },
+            { id: 'passwords', label: '已保存的密码' }
+        ];
+
+        const content = `
+            <div class="custom-dialog clear-data-dialog">
+                <div class="custom-dialog-header">
+                    <div class="custom-dialog-title">
+                        <span class="custom-dialog-icon"><i class="fa-solid fa-trash-can"></i></span>
+                        <span>清除浏览数据</span>
+                    </div>
+                </div>
+                <div class="custom-dialog-body">
+                    <label class="settings-label" for="clearDataRange">时间范围</label>
+                    <select class="settings-input clear-data-range" id="clearDataRange">
+                        <option value="hour">过去 1 小时</option>
+                        <option value="day">过去 24 小时</option>
+                        <option value="week">过去 7 天</option>
+                        <option value="all" selected>时间不限</option>
+                    </select>
+                    <div class="clear-data-types">
+                        ${types.map(type => `
+                            <label class="clear-data-type">
+                                <input type="checkbox" value="${type.id}" ${preselected.includes(type.id) ? 'checked' : ''}>
+                                <span>${type.label}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="privacy-info-small">Cookie、缓存、网站数据和 Service Worker 无法按时间清除，将全部删除。</p>
+                </div>
+                <div class="custom-dialog-footer">
+                    <button class="custom-dialog-btn custom-dialog-btn-secondary" id="dialogCancelBtn">取消</button>
+                    <button class="custom-dialog-btn custom-dialog-btn-primary" id="dialogOkBtn">清除数据</button>
+                </div>
+            </div>
+        `;
+
+        // Escape or a click outside closes the dialog with null
+        const closed = customDialog.show(content);
+        const overlay = document.getElementById('customDialogOverlay');
+        document.getElementById('dialogCancelBtn')?.addEventListener('click', () => customDialog.close(null));
+        document.getElementById('dialogOkBtn')?.addEventListener('click', () => {
+            customDialog.close({
+                range: document.getElementById('clearDataRange').value,
+                types: Array.from(overlay.querySelectorAll('.clear-data-type input:checked')).map(input => input.value)
+            });
+        });
+
+        const choice = await closed;
+        if (!choice || choice.types.length === 0) return;
+
+        await this.clearBrowsingData(choice);
+    }
+
+    async clearBrowsingData({ range, types }) {
+        const since = BrowsingData.getClearSince(range);
+        const removed = {};
+
+        // Passwords can only be removed from an unlocked vault; without a vault there is nothing to remove
+        if (types.includes('passwords') && window.passwordManager) {
+            await window.passwordManager.refreshStatus();
+            if (!window.passwordManager.status?.initialized) {
+                types = types.filter(type => type !== 'passwords');
+            } else if (!(await window.passwordManager.ensureUnlocked())) {
+                return;
+            }
+        }
+
+        try {
+            if (types.includes('history') && window.historyManager) {
+                removed.history = await window.historyManager.clearHistory(since);
+                if (since === 0) {
+                    window.historyManager.clearClosedTabs();
+                }
+            }
+
+            if (types.includes('knowledge') && window.knowledgeDB) {
+                if (since === 0) {
+                    removed.knowledge = await window.knowledgeDB.getKnowledgeCount();
+                    await window.knowledgeDB.clearAllKnowledge();
+                } else {
+                    removed.knowledge = await window.knowledgeDB.deleteKnowledgeSince(since);
+                }
+            }
+
+            const mainTypes = types.filter(type => type !== 'history' && type !== 'knowledge');
+            if (mainTypes.length > 0 && window.focusFlowAPI?.browsingData) {
+                const result = await window.focusFlowAPI.browsingData.clear({ since, types: mainTypes });
+                if (!result.success) throw new Error(result.error);
+                Object.assign(removed, result.removed);
+            }
+        } catch (err) {
+            console.error('[SettingsManager] Failed to clear browsing data:', err);
+            showAlert('清除浏览数据失败：' + err.message);
+            return;
+        }
+
+        if (types.includes('downloads')) {
+            window.downloadManager?.removeFinishedSince(since);
+        }
+        if (types.includes('passwords')) {
+            window.passwordManager?.loadPasswords();
+        }
+
+        const lines = [];
+        if ('history' in removed) lines.push(`历史记录：${removed.history} 次访问`);
+        if ('cookies' in removed) lines.push(`Cookie：${removed.cookies} 个`);
+        if ('cacheBytes' in removed) lines.push(`缓存：${(removed.cacheBytes / (1024 * 1024)).toFixed(1)} MB`);
+        if (removed.siteStorage) lines.push('网站数据：已清除');
+        if (removed.serviceWorkers) lines.push('Service Worker：已清除');
+        if ('downloads' in removed) lines.push(`下载记录：${removed.downloads} 条`);
+        if ('knowledge' in removed) lines.push(`知识条目：${removed.knowledge} 条`);
+        if ('passwords' in removed) {
+            lines.push(removed.passwordsLocked ? '密码：密码库已锁定，未删除' : `密码：${removed.passwords} 个`);
+        }
+
+        showAlert('已清除以下数据：<br>' + lines.join('<br>'));
+    }
+
     togglePanel(show = null) {
         const panel = document.getElementById('settingsPanel');
         if (!panel) return;
@@ -6833,6 +11400,127 @@ class SettingsManager {
     }
 }
 
+// ============================================
+// Internal Pages (paperstation://)
+// ============================================
+function isInternalUrl(url) {
+    return typeof url === 'string' && url.toLowerCase().startsWith('paperstation://');
+}
+
+// Answers calls from settings, history, downloads and knowledge pages open in tabs.
+// The main process has already checked that the call comes from that page's origin.
+const INTERNAL_PAGE_SETTINGS = {
+    searchEngine: value => !!SearchEngines.get(value),
+    startupMode: value => ['newTab', 'restore', 'custom'].includes(value),
+    customStartupUrl: value => typeof value === 'string',
+    theme: value => ['dark', 'light', 'system'].includes(value),
+    disableHistoryTracking: value => typeof value === 'boolean',
+    askBeforeDownload: value => typeof value === 'boolean',
+    blockPopups: value => typeof value === 'boolean',
+    blockThirdPartyCookies: value => typeof value === 'boolean',
+    doNotTrack: value => typeof value === 'boolean',
+    httpsOnly: value => typeof value === 'boolean',
+    contentBlocking: value => typeof value === 'boolean'
+};
+
+class InternalPageBridge {
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.handlers = {
+            'page.getTheme': () => this.getTheme(),
+
+            'settings.get': () => ({
+                settings: Object.fromEntries(Object.keys(INTERNAL_PAGE_SETTINGS)
+                    .map(key => [key, window.settingsManager?.getSetting(key)])),
+                searchEngines: SearchEngines.getAll().map(({ id, name }) => ({ id, name }))
+            }),
+            'settings.set': (key, value) => {
+                if (!INTERNAL_PAGE_SETTINGS[key]?.(value)) throw new Error(`Invalid value for ${key}`);
+                window.settingsManager.setSetting(key, value);
+            },
+            'settings.openPanel': (section = 'search') => {
+                window.settingsManager.togglePanel(true);
+                window.settingsManager.renderSection(section);
+            },
+            // Not awaited: the dialog stays open for as long as the user needs
+            'settings.clearBrowsingData': () => {
+                window.settingsManager.showClearDataDialog();
+            },
+
+            'history.list': ({ query = '', before = Infinity, limit = 100 } = {}) => {
+                const history = this.require(window.historyManager, '隐私窗口不保存历史记录');
+                return query ? history.search(query, limit) : history.db.getVisits({ before, limit });
+            },
+            'history.remove': (urlId) => this.require(window.historyManager, '隐私窗口不保存历史记录').removeFromHistory(urlId),
+            'history.clear': () => {
+                window.settingsManager.showClearDataDialog(['history']);
+            },
+
+            'downloads.list': () => Array.from(window.downloadManager.downloads.values()),
+            'downloads.pause': (id) => window.downloadManager.pauseDownload(id),
+            'downloads.resume': (id) => window.downloadManager.resumeDownload(id),
+            'downloads.cancel': (id) => window.downloadManager.cancelDownload(id),
+            'downloads.remove': (id) => window.downloadManager.removeDownload(id),
+            'downloads.open': (id) => window.downloadManager.openDownload(this.getDownloadPath(id)),
+            'downloads.showInFolder': (id) => window.downloadManager.showInFolder(this.getDownloadPath(id)),
+            'downloads.clearCompleted': () => window.downloadManager.clearCompleted(),
+
+            'knowledge.list': (query = '') => {
+                const db = this.require(window.knowledgeDB, '知识库不可用');
+                return query ? db.searchKnowledge(query) : db.getAllKnowledge();
+            },
+            'knowledge.remove': (id) => this.require(window.knowledgeDB, '知识库不可用').deleteKnowledgeEntry(id)
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!window.focusFlowAPI?.internalPages) return;
+
+        window.focusFlowAPI.internalPages.onCall(async ({ requestId, method, args }) => {
+            try {
+                const handler = this.handlers[method];
+                if (!handler) throw new Error(`Unknown method ${method}`);
+                const result = await handler(...args);
+                window.focusFlowAPI.internalPages.respond(requestId, { success: true, result });
+            } catch (e) {
+                console.error('[InternalPages] Call failed:', method, e);
+                window.focusFlowAPI.internalPages.respond(requestId, { success: false, error: e.message });
+            }
+        });
+    }
+
+    require(manager, message) {
+        if (!manager) throw new Error(message);
+        return manager;
+    }
+
+    getDownloadPath(id) {
+        const download = window.downloadManager.downloads.get(id);
+        if (!download?.savePath) throw new Error('Download not found');
+        return download.savePath;
+    }
+
+    getTheme() {
+        const theme = window.settingsManager?.getSetting('theme') || 'dark';
+        if (theme !== 'system') return theme;
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    // Tells open internal pages (all of them, or one kind) that their data changed
+    notify(page, data) {
+        for (const tab of this.tabManager.tabs.values()) {
+            if (!tab.webview || !tab.url?.startsWith(`paperstation://${page === '*' ? '' : page}`)) continue;
+            try {
+                tab.webview.send('internal-page-event', data);
+            } catch (e) {
+                // The tab is still loading
+            }
+        }
+    }
+}
+
 // ============================================
 // Initialize Application
 // ============================================
@@ -6930,6 +11618,18 @@ document.addEventListener('DOMContentLoaded', () => {
     } catch (e) {
     }
 
+    // Address bar suggestions (history and bookmarks are simply absent in incognito)
+    try {
+        window.omniboxManager = new OmniboxManager(window.tabManager);
+    } catch (e) {
+        console.error('[Omnibox] Failed to initialize:', e);
+    }
+
+    try {
+        window.internalPages = new InternalPageBridge(window.tabManager);
+    } catch (e) {
+        console.error('[InternalPages] Failed to initialize:', e);
+    }
 
     // Only initialize bookmark and history managers in normal mode
     if (!CONFIG.isIncognito) {
@@ -6965,7 +11665,45 @@ document.addEventListener('DOMContentLoaded', () => {
             originalHandleNavigation(tabId, url);
             const tab = this.tabs.get(tabId);
             if (tab && window.historyManager) {
-                window.historyManager.addToHistory(url, tab.title, tab.favicon);
+                const transition = tab.pendingTransition || 'link';
+                tab.pendingTransition = null;
+
+                // The first page of a tab opened from another tab refers back to the opener's visit
+                let referrerTabId = null;
+                let referrerVisitId = null;
+                if (tab.openerTabId && !tab.referrerRecorded) {
+                    tab.referrerRecorded = true;
+                    referrerTabId = tab.openerTabId;
+                    referrerVisitId = window.historyManager.getCurrentVisitId(tab.openerTabId);
+                }
+
+                // The tab's title and icon still belong to the previous page here;
+                // the hooks below fill them in once the new page reports its own
+                window.historyManager.addToHistory(url, null, null, {
+                    tabId,
+                    transition,
+                    referrerTabId,
+                    referrerVisitId
+                });
+            }
+        };
+
+        // Keep history titles and icons current once the page reports them
+        const originalUpdateTabTitle = window.tabManager.updateTabTitle.bind(window.tabManager);
+        window.tabManager.updateTabTitle = function (tabId, title) {
+            originalUpdateTabTitle(tabId, title);
+            const tab = this.tabs.get(tabId);
+            if (tab && title && window.historyManager) {
+                window.historyManager.updateTitle(tab.url, title);
+            }
+        };
+
+        const originalUpdateTabFavicon = window.tabManager.updateTabFavicon.bind(window.tabManager);
+        window.tabManager.updateTabFavicon = function (tabId, faviconUrl) {
+            originalUpdateTabFavicon(tabId, faviconUrl);
+            const tab = this.tabs.get(tabId);
+            if (tab && faviconUrl && window.historyManager) {
+                window.historyManager.updateFavicon(tab.url, faviconUrl);
             }
         };
 
@@ -6976,6 +11714,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (tab && tab.url && tab.url !== 'about:blank' && window.historyManager) {
                 window.historyManager.addClosedTab(tab.url, tab.title, tab.favicon);
             }
+            window.historyManager?.endVisit(tabId);
             originalCloseTab(tabId);
         };
     }
@@ -0,0 +1,43 @@
+/**
+ * PaperStation Browser - Session State
+ *
+ * Checks the tab state each window reports before it is written to session.json, so a
+ * bad value from the renderer cannot break the next restore. It has no Electron
+ * dependencies: main.js requires it, and it can be exercised directly from Node.
+ */
+
+function sanitizeTabGroups(groups) {
+    if (!Array.isArray(groups)) return [];
+    return groups.filter(group => group && Number.isInteger(group.id)).map(group => ({
+        id: group.id,
+        name: String(group.name || '').slice(0, 50),
+        color: String(group.color || ''),
+        collapsed: !!group.collapsed,
+        savedId: typeof group.savedId === 'string' ? group.savedId : null
+    }));
+}
+
+// Tree-style tabs point at the tab they were opened from, which always comes earlier in the list
+function sanitizeParentIndex(parentIndex, index) {
+    return Number.isInteger(parentIndex) && parentIndex >= 0 && parentIndex < index ? parentIndex : null;
+}
+
+// Two tabs shown side by side, by their index in the window's tab list
+function sanitizeSplitView(split, tabCount) {
+    const indexes = Array.isArray(split?.tabIndexes) ? split.tabIndexes : [];
+    if (indexes.length !== 2 || indexes[0] === indexes[1]
+        || !indexes.every(index => Number.isInteger(index) && index >= 0 && index < tabCount)) {
+        return null;
+    }
+    return {
+        tabIndexes: indexes,
+        orientation: split.orientation === 'vertical' ? 'vertical' : 'horizontal',
+        ratio: Math.min(0.8, Math.max(0.2, Number(split.ratio) || 0.5))
+    };
+}
+
+module.exports = {
+    sanitizeParentIndex,
+    sanitizeSplitView,
+    sanitizeTabGroups
+};
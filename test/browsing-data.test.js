@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getClearSince, isClearableDownload, isInClearRange } = require('../browsing-data');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+test('time ranges end now', () => {
+    assert.equal(getClearSince('hour', NOW), NOW - HOUR);
+    assert.equal(getClearSince('day', NOW), NOW - 24 * HOUR);
+    assert.equal(getClearSince('week', NOW), NOW - 7 * 24 * HOUR);
+});
+
+test('"all" and unknown ranges clear everything', () => {
+    assert.equal(getClearSince('all', NOW), 0);
+    assert.equal(getClearSince('forever', NOW), 0);
+    assert.equal(getClearSince(undefined, NOW), 0);
+});
+
+test('timestamps and ISO dates are compared with the start of the range', () => {
+    const since = getClearSince('hour', NOW);
+    assert.equal(isInClearRange(NOW - 10 * 60 * 1000, since), true);
+    assert.equal(isInClearRange(since, since), true);
+    assert.equal(isInClearRange(NOW - 2 * HOUR, since), false);
+    assert.equal(isInClearRange('2026-03-01T11:30:00Z', since), true);
+    assert.equal(isInClearRange('2026-02-28T11:30:00Z', since), false);
+});
+
+test('records without a usable date only go when clearing everything', () => {
+    assert.equal(isInClearRange(undefined, getClearSince('week', NOW)), false);
+    assert.equal(isInClearRange('not a date', getClearSince('week', NOW)), false);
+    assert.equal(isInClearRange(undefined, 0), true);
+    assert.equal(isInClearRange('not a date', 0), true);
+});
+
+test('only finished downloads from the range are cleared', () => {
+    const since = getClearSince('hour', NOW);
+    const recent = NOW - 60 * 1000;
+    assert.equal(isClearableDownload({ state: 'completed', startTime: recent }, since), true);
+    assert.equal(isClearableDownload({ state: 'cancelled', startTime: recent }, since), true);
+    assert.equal(isClearableDownload({ state: 'interrupted', startTime: recent }, since), true);
+    assert.equal(isClearableDownload({ state: 'completed', startTime: NOW - 2 * HOUR }, since), false);
+    for (const state of ['progressing', 'paused', 'queued', 'retrying']) {
+        assert.equal(isClearableDownload({ state, startTime: recent }, since), false, state);
+        assert.equal(isClearableDownload({ state, startTime: recent }, 0), false, state);
+    }
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDownloadRetryDelay, getDownloadWarnings, parseExpectedHash } = require('../download-policy');
+
+test('retry delay doubles from two seconds', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(getDownloadRetryDelay), [2000, 4000, 8000, 16000, 32000]);
+});
+
+test('retry delay is capped at a minute', () => {
+    assert.equal(getDownloadRetryDelay(6), 60000);
+    assert.equal(getDownloadRetryDelay(50), 60000);
+});
+
+test('files that run code when opened are flagged', () => {
+    assert.deepEqual(getDownloadWarnings({ filename: 'setup.EXE', url: 'https://example.com/setup.exe' }), ['dangerousType']);
+    assert.deepEqual(getDownloadWarnings({ savePath: '/home/u/Downloads/tool.AppImage', url: 'https://example.com/t' }), ['dangerousType']);
+    assert.deepEqual(getDownloadWarnings({ filename: 'report.pdf', url: 'https://example.com/report.pdf' }), []);
+    assert.deepEqual(getDownloadWarnings({ filename: 'README', url: 'https://example.com/README' }), []);
+});
+
+test('a plain http hop anywhere in the redirect chain is flagged', () => {
+    assert.deepEqual(getDownloadWarnings({ filename: 'a.zip', url: 'http://example.com/a.zip' }), ['insecureSource']);
+    assert.deepEqual(getDownloadWarnings({
+        filename: 'a.msi',
+        url: 'https://cdn.example.com/a.msi',
+        urlChain: ['http://example.com/a.msi', 'https://cdn.example.com/a.msi']
+    }), ['dangerousType', 'insecureSource']);
+});
+
+test('expected hashes are found in pasted text and the algorithm comes from the length', () => {
+    const sha256 = 'E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855';
+    assert.deepEqual(parseExpectedHash(sha256), { hash: sha256.toLowerCase(), algorithm: 'sha256' });
+    assert.deepEqual(parseExpectedHash(`${sha256.toLowerCase()}  paperstation.AppImage`), {
+        hash: sha256.toLowerCase(), algorithm: 'sha256'
+    });
+    assert.equal(parseExpectedHash('SHA1: da39a3ee5e6b4b0d3255bfef95601890afd80709').algorithm, 'sha1');
+    assert.equal(parseExpectedHash('d41d8cd98f00b204e9800998ecf8427e').algorithm, 'md5');
+});
+
+test('text without a complete hash is rejected', () => {
+    assert.equal(parseExpectedHash(''), null);
+    assert.equal(parseExpectedHash(null), null);
+    assert.equal(parseExpectedHash('not a checksum'), null);
+    assert.equal(parseExpectedHash('d41d8cd98f00b204e9800998ecf842'), null);
+    assert.equal(parseExpectedHash('d41d8cd98f00b204e9800998ecf8427ezz'), null);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSearchTemplate, isValidTemplate } = require('../opensearch');
+
+function html(template, method) {
+    return { type: 'text/html', method, template };
+}
+
+test('search terms become %s', () => {
+    assert.equal(getSearchTemplate([html('https://en.wikipedia.org/w/index.php?search={searchTerms}')]),
+        'https://en.wikipedia.org/w/index.php?search=%s');
+});
+
+test('encodings are filled in and optional parameters dropped', () => {
+    assert.equal(getSearchTemplate([html('https://example.com/?q={searchTerms}&ie={inputEncoding}&oe={outputEncoding?}&p={startPage?}')]),
+        'https://example.com/?q=%s&ie=UTF-8&oe=UTF-8&p=');
+});
+
+test('the first HTML GET URL is used', () => {
+    assert.equal(getSearchTemplate([
+        { type: 'application/x-suggestions+json', template: 'https://example.com/suggest?q={searchTerms}' },
+        html('https://example.com/post', 'POST'),
+        html('https://example.com/search?q={searchTerms}', 'get'),
+        html('https://example.com/other?q={searchTerms}')
+    ]), 'https://example.com/search?q=%s');
+    assert.equal(getSearchTemplate([{ type: 'TEXT/HTML', template: 'https://example.com/?q={searchTerms}' }]),
+        'https://example.com/?q=%s');
+});
+
+test('descriptions without a usable URL are rejected', () => {
+    assert.equal(getSearchTemplate([]), null);
+    assert.equal(getSearchTemplate([html('https://example.com/post?q={searchTerms}', 'post')]), null);
+    // Required parameters other than the search terms cannot be filled in
+    assert.equal(getSearchTemplate([html('https://example.com/?q={searchTerms}&key={apiKey}')]), null);
+    // No place for the query
+    assert.equal(getSearchTemplate([html('https://example.com/')]), null);
+    assert.equal(getSearchTemplate([html('javascript:alert({searchTerms})')]), null);
+    assert.equal(getSearchTemplate([{ type: 'text/html' }]), null);
+});
+
+test('templates must be http(s) URLs with a %s', () => {
+    assert.equal(isValidTemplate('https://example.com/?q=%s'), true);
+    assert.equal(isValidTemplate('http://intranet/search?q=%s'), true);
+    assert.equal(isValidTemplate('https://example.com/'), false);
+    assert.equal(isValidTemplate('ftp://example.com/?q=%s'), false);
+    assert.equal(isValidTemplate('https://example.com/?q=%s and more'), false);
+    assert.equal(isValidTemplate(undefined), false);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimatePasswordEntropy, generatePassword } = require('../password-generator');
+
+const WEAK_PASSWORD_BITS = 50;
+
+test('random passwords have the requested length and every selected class', () => {
+    const password = generatePassword({ length: 32 });
+    assert.equal(password.length, 32);
+    assert.match(password, /[a-z]/);
+    assert.match(password, /[A-Z]/);
+    assert.match(password, /[0-9]/);
+    assert.match(password, /[^a-zA-Z0-9]/);
+});
+
+test('random password length is clamped and unselected classes are left out', () => {
+    assert.equal(generatePassword({ length: 2 }).length, 8);
+    assert.equal(generatePassword({ length: 1000 }).length, 128);
+    assert.equal(generatePassword().length, 20);
+    assert.match(generatePassword({ uppercase: false, digits: false, symbols: false }), /^[a-z]+$/);
+    // Deselecting everything still produces lowercase letters
+    assert.match(generatePassword({ lowercase: false, uppercase: false, digits: false, symbols: false }), /^[a-z]+$/);
+});
+
+test('passphrases use words from the list', () => {
+    const passphrase = generatePassword({ mode: 'passphrase', words: 6, separator: '.' });
+    assert.equal(passphrase.split('.').length, 6);
+    assert.match(passphrase, /^[a-z-]+(\.[a-z-]+){5}$/);
+    assert.equal(generatePassword({ mode: 'passphrase', words: 1, separator: ' ' }).split(' ').length, 3);
+    assert.match(generatePassword({ mode: 'passphrase', capitalize: true, words: 3 }), /^[A-Z][a-z-]*-[A-Z][a-z-]*-[A-Z]/);
+    assert.match(generatePassword({ mode: 'passphrase', includeNumber: true }), /\d/);
+});
+
+test('empty passwords have no entropy', () => {
+    assert.equal(estimatePasswordEntropy(''), 0);
+    assert.equal(estimatePasswordEntropy(null), 0);
+});
+
+test('repeats, sequences and common words count as weak', () => {
+    for (const password of ['aaaaaaaa', 'abcdefgh', '12345678', 'password1', 'Password123!', 'iloveyou2024', 'abacus']) {
+        assert.ok(estimatePasswordEntropy(password) < WEAK_PASSWORD_BITS, password);
+    }
+});
+
+test('passphrases are scored by the number of words', () => {
+    const three = estimatePasswordEntropy('abacus-abdomen-abdominal');
+    const five = estimatePasswordEntropy('spotty-lyrically-rely-thwarting-macaw');
+    // Roughly 12.9 bits per word from the 7776-word list
+    assert.ok(three >= 38 && three <= 45, String(three));
+    assert.ok(five >= 64 && five <= 75, String(five));
+    // Words from the list that contain a common password are still passphrase words
+    assert.ok(estimatePasswordEntropy('dragonfly-password-unwelcome-abacus-spotty') >= WEAK_PASSWORD_BITS);
+});
+
+test('generated passwords are strong', () => {
+    assert.ok(estimatePasswordEntropy(generatePassword()) >= WEAK_PASSWORD_BITS);
+    assert.ok(estimatePasswordEntropy(generatePassword({ mode: 'passphrase' })) >= WEAK_PASSWORD_BITS);
+    assert.ok(estimatePasswordEntropy('k9#Lq2!vXz7@Wm4p') > estimatePasswordEntropy('k9#Lq2!v'));
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeParentIndex, sanitizeSplitView, sanitizeTabGroups } = require('../session-state');
+
+test('tab groups keep only known fields', () => {
+    assert.deepEqual(sanitizeTabGroups(null), []);
+    assert.deepEqual(sanitizeTabGroups([
+        { id: 1, name: 'Work', color: 'blue', collapsed: 1, savedId: 'abc', extra: true },
+        { id: '2', name: 'not an integer id' },
+        null
+    ]), [
+        { id: 1, name: 'Work', color: 'blue', collapsed: true, savedId: 'abc' }
+    ]);
+});
+
+test('tab group names are capped and missing fields get defaults', () => {
+    const [group] = sanitizeTabGroups([{ id: 3, name: 'x'.repeat(80), savedId: 42 }]);
+    assert.equal(group.name.length, 50);
+    assert.equal(group.color, '');
+    assert.equal(group.collapsed, false);
+    assert.equal(group.savedId, null);
+});
+
+test('a parent tab must come before its child', () => {
+    assert.equal(sanitizeParentIndex(0, 2), 0);
+    assert.equal(sanitizeParentIndex(1, 2), 1);
+    assert.equal(sanitizeParentIndex(2, 2), null);
+    assert.equal(sanitizeParentIndex(5, 2), null);
+    assert.equal(sanitizeParentIndex(-1, 2), null);
+    assert.equal(sanitizeParentIndex('0', 2), null);
+    assert.equal(sanitizeParentIndex(undefined, 2), null);
+});
+
+test('split view needs two different tabs that exist', () => {
+    assert.deepEqual(sanitizeSplitView({ tabIndexes: [0, 2], orientation: 'vertical', ratio: 0.3 }, 3), {
+        tabIndexes: [0, 2], orientation: 'vertical', ratio: 0.3
+    });
+    assert.equal(sanitizeSplitView(null, 3), null);
+    assert.equal(sanitizeSplitView({ tabIndexes: [1, 1] }, 3), null);
+    assert.equal(sanitizeSplitView({ tabIndexes: [0, 3] }, 3), null);
+    assert.equal(sanitizeSplitView({ tabIndexes: [0, 1, 2] }, 3), null);
+    assert.equal(sanitizeSplitView({ tabIndexes: [0, 1.5] }, 3), null);
+});
+
+test('split view orientation and ratio fall back to safe values', () => {
+    assert.deepEqual(sanitizeSplitView({ tabIndexes: [1, 0], orientation: 'diagonal' }, 2), {
+        tabIndexes: [1, 0], orientation: 'horizontal', ratio: 0.5
+    });
+    assert.equal(sanitizeSplitView({ tabIndexes: [0, 1], ratio: 0.05 }, 2).ratio, 0.2);
+    assert.equal(sanitizeSplitView({ tabIndexes: [0, 1], ratio: 3 }, 2).ratio, 0.8);
+    assert.equal(sanitizeSplitView({ tabIndexes: [0, 1], ratio: 'wide' }, 2).ratio, 0.5);
+});
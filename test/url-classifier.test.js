@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlClassifier = require('../url-classifier');
+
+const { classify, getPublicSuffix, getRegistrableDomain, toAsciiHostname } = UrlClassifier;
+
+function url(input, options) {
+    const result = classify(input, options);
+    assert.equal(result.type, 'url', `${input} should be an address`);
+    return result;
+}
+
+function query(input, options) {
+    const result = classify(input, options);
+    assert.equal(result.type, 'search', `${input} should be searched`);
+    return result;
+}
+
+test('empty input', () => {
+    assert.deepEqual(classify('   '), { type: 'empty' });
+    assert.deepEqual(classify(null), { type: 'empty' });
+});
+
+test('domains get https and the PSL decides what a domain is', () => {
+    assert.deepEqual(url('example.com'), { type: 'url', url: 'https://example.com', kind: 'domain' });
+    assert.equal(url('example.co.uk').url, 'https://example.co.uk');
+    assert.equal(url('example.com:8080/path').url, 'https://example.com:8080/path');
+    // A public suffix on its own is not a site
+    query('co.uk');
+});
+
+test('ports', () => {
+    assert.deepEqual(url('localhost:3000'), { type: 'url', url: 'http://localhost:3000', kind: 'localhost' });
+    assert.equal(url('intranet:8080').kind, 'intranet');
+    query('localhost:99999');
+    query('localhost:0');
+});
+
+test('IPv4 and IPv6', () => {
+    assert.deepEqual(url('192.168.1.1:8080/admin'), { type: 'url', url: 'http://192.168.1.1:8080/admin', kind: 'ip' });
+    assert.equal(url('[::1]:8080').url, 'http://[::1]:8080');
+    assert.equal(url('fe80::1').url, 'http://[fe80::1]');
+    assert.equal(url('abcd:ef01::1/x').url, 'http://[abcd:ef01::1]/x');
+    query('[not-ipv6]');
+});
+
+test('localhost', () => {
+    assert.equal(url('localhost').url, 'http://localhost');
+    assert.equal(url('app.localhost/x').kind, 'localhost');
+});
+
+test('punycode and IDN hosts', () => {
+    assert.equal(url('bücher.de').kind, 'domain');
+    assert.equal(url('例子.中国').kind, 'domain');
+    assert.equal(toAsciiHostname('Bücher.DE'), 'xn--bcher-kva.de');
+    assert.equal(toAsciiHostname('bad host'), null);
+});
+
+test('public suffix and registrable domain', () => {
+    assert.equal(getRegistrableDomain('accounts.example.co.uk'), 'example.co.uk');
+    assert.equal(getRegistrableDomain('a.b.github.io'), 'b.github.io');
+    assert.equal(getRegistrableDomain('127.0.0.1'), '127.0.0.1');
+    assert.equal(getRegistrableDomain(''), '');
+    assert.deepEqual(getPublicSuffix('foo.github.io', { includePrivate: false }), { suffix: 'io', known: true });
+    assert.deepEqual(getPublicSuffix('host.unknowntld'), { suffix: 'unknowntld', known: false });
+});
+
+test('file URLs and dropped paths', () => {
+    assert.deepEqual(url('file:///C:/x.txt'), { type: 'url', url: 'file:///C:/x.txt', kind: 'file' });
+    assert.equal(url('C:\\Users\\a b\\x.pdf').url, 'file:///C:/Users/a%20b/x.pdf');
+    assert.equal(url('"C:\\x.pdf"').url, 'file:///C:/x.pdf');
+    assert.equal(url('/home/u/a#b.html').url, 'file:///home/u/a%23b.html');
+    assert.equal(url('\\\\server\\share\\x').url, 'file://server/share/x');
+});
+
+test('about: and view-source:', () => {
+    assert.deepEqual(url('about:blank'), { type: 'url', url: 'about:blank', kind: 'about' });
+    assert.deepEqual(url('view-source:example.com'), {
+        type: 'url', url: 'view-source:https://example.com', kind: 'view-source'
+    });
+    query('view-source:hello world');
+});
+
+test('intranet hosts', () => {
+    assert.deepEqual(query('intranet'), { type: 'search', query: 'intranet', hint: 'http://intranet/' });
+    assert.equal(url('intranet', { knownHosts: new Set(['intranet']) }).url, 'http://intranet');
+    assert.equal(url('intranet/').url, 'http://intranet/');
+    assert.equal(url('wiki.corp:8080').kind, 'intranet');
+    query('wiki.corp');
+});
+
+test('queries that look like addresses', () => {
+    query('node.js tutorial');
+    query('what is example.com');
+    query('user@example.com');
+});
+
+test('unknown schemes are searched, not opened as intranet hosts', () => {
+    for (const input of ['ftp://example.com/file', 'chrome://settings', 'magnet:?xt=urn:btih:abc', 'mailto:a@b.c']) {
+        assert.deepEqual(classify(input), { type: 'search', query: input });
+    }
+    query('foo::bar');
+});
+
+test('bundled pages', () => {
+    assert.deepEqual(url('./preset-home.html'), { type: 'url', url: './preset-home.html', kind: 'relative' });
+});
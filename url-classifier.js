@@ -0,0 +1,243 @@
+/**
+ * PaperStation Browser - Address Bar Input Classifier
+ *
+ * Decides whether text typed or dropped into the address bar is an address to visit or
+ * a search query. It has no DOM or Electron dependencies: index.html loads it as a
+ * script, main.js requires it, and it can be exercised directly from Node.
+ */
+(function (root) {
+    const suffixList = typeof PUBLIC_SUFFIX_LIST !== 'undefined'
+        ? PUBLIC_SUFFIX_LIST
+        : require('./public-suffix-list');
+
+    // Schemes the browser opens itself; anything else that looks like "word:" is not a URL
+    const KNOWN_SCHEMES = new Set(['http', 'https', 'file', 'about', 'data', 'blob', 'paperstation']);
+
+    // rule -> true if it comes from the private (non-ICANN) section
+    let rules = null;
+    let wildcards = null;
+    let exceptions = null;
+
+    function loadRules() {
+        if (rules) return;
+        rules = new Map();
+        wildcards = new Map();
+        exceptions = new Map();
+        for (const [section, isPrivate] of [[suffixList.icann, false], [suffixList.private, true]]) {
+            for (const rule of section.split(/\s+/)) {
+                if (!rule) continue;
+                if (rule.startsWith('!')) {
+                    exceptions.set(rule.slice(1), isPrivate);
+                } else if (rule.startsWith('*.')) {
+                    wildcards.set(rule.slice(2), isPrivate);
+                } else {
+                    rules.set(rule, isPrivate);
+                }
+            }
+        }
+    }
+
+    function isIpv4(hostname) {
+        const parts = hostname.split('.');
+        return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+    }
+
+    function isIpAddress(hostname) {
+        return isIpv4(hostname) || hostname.includes(':') || hostname.startsWith('[');
+    }
+
+    function isValidIpv6(bracketed) {
+        try {
+            return new URL(`http://${bracketed}/`).hostname.startsWith('[');
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Lowercase ASCII (punycode) form of a hostname, or null if it is not a valid one
+    function toAsciiHostname(hostname) {
+        let ascii;
+        try {
+            ascii = new URL(`http://${hostname}/`).hostname;
+        } catch (e) {
+            return null;
+        }
+        const labels = ascii.replace(/\.$/, '').split('.');
+        const valid = labels.every(label =>
+            label.length > 0 && label.length <= 63 && /^[a-z0-9_](?:[a-z0-9_-]*[a-z0-9_])?$/.test(label)
+        );
+        return valid ? labels.join('.') : null;
+    }
+
+    /**
+     * Public suffix of an ASCII hostname, following the algorithm at publicsuffix.org/list/.
+     * `known` is false when only the implicit "*" rule matched (an unlisted TLD).
+     */
+    function getPublicSuffix(hostname, { includePrivate = true } = {}) {
+        loadRules();
+        const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+        const usable = (isPrivate) => isPrivate !== undefined && (includePrivate || !isPrivate);
+
+        // The longest matching rule wins; exceptions beat the wildcard they carve out of
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (usable(exceptions.get(candidate))) {
+                return { suffix: labels.slice(i + 1).join('.'), known: true };
+            }
+            if (usable(rules.get(candidate))) {
+                return { suffix: candidate, known: true };
+            }
+            if (i + 1 < labels.length && usable(wildcards.get(labels.slice(i + 1).join('.')))) {
+                return { suffix: candidate, known: true };
+            }
+        }
+        return { suffix: labels[labels.length - 1], known: false };
+    }
+
+    // The site a hostname belongs to (eTLD+1): accounts.example.co.uk -> example.co.uk
+    function getRegistrableDomain(hostname) {
+        const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+        if (!host || isIpAddress(host)) return host;
+
+        const { suffix } = getPublicSuffix(host);
+        const labels = host.split('.');
+        const suffixLabels = suffix.split('.').length;
+        return labels.length > suffixLabels ? labels.slice(-(suffixLabels + 1)).join('.') : host;
+    }
+
+    // C:\Users\..., \\server\share\... and /home/... (optionally wrapped in quotes by "Copy as path")
+    function isFilePath(text) {
+        return /^[a-z]:[\\/]/i.test(text) || /^\\\\[^\\]/.test(text) || /^\/(?!\/)/.test(text);
+    }
+
+    function filePathToUrl(filePath) {
+        const normalized = filePath.replace(/\\/g, '/');
+        const encoded = encodeURI(normalized).replace(/[?#]/g, encodeURIComponent);
+        if (normalized.startsWith('//')) return `file:${encoded}`;
+        if (/^[a-z]:/i.test(normalized)) return `file:///${encoded}`;
+        return `file://${encoded}`;
+    }
+
+    // "localhost:3000" -> { host: 'localhost', port: '3000' }; null if the port is not a number
+    function splitHostPort(authority) {
+        const bracketed = /^(\[[^\]]+\])(?::(\d*))?$/.exec(authority);
+        if (bracketed) {
+            return { host: bracketed[1], port: bracketed[2] || '' };
+        }
+        // Bare IPv6 such as fe80::1 has more than one colon
+        if ((authority.match(/:/g) || []).length > 1) {
+            return /^[0-9a-f:.]+$/i.test(authority) ? { host: `[${authority}]`, port: '', bareIpv6: true } : null;
+        }
+        const [host, port = ''] = authority.split(':');
+        if (port && (!/^\d+$/.test(port) || Number(port) < 1 || Number(port) > 65535)) {
+            return null;
+        }
+        return { host, port };
+    }
+
+    function search(text, hint) {
+        return hint ? { type: 'search', query: text, hint } : { type: 'search', query: text };
+    }
+
+    /**
+     * Classifies address bar input.
+     * Returns { type: 'url', url, kind }, { type: 'search', query, hint? } or { type: 'empty' }.
+     * `hint` is the address a bare word like "intranet" might have meant.
+     * options.knownHosts: single-label hosts the user has visited before, opened without asking.
+     */
+    function classify(input, options = {}) {
+        const text = (input || '').trim();
+        if (!text) return { type: 'empty' };
+
+        const unquoted = /^"(.+)"$/.exec(text)?.[1] ?? text;
+        if (isFilePath(unquoted)) {
+            return { type: 'url', url: filePathToUrl(unquoted), kind: 'file' };
+        }
+
+        // Pages bundled with the browser, such as ./preset-home.html
+        if (/^\.{1,2}\//.test(text)) {
+            return { type: 'url', url: text, kind: 'relative' };
+        }
+
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(text);
+        if (scheme) {
+            const name = scheme[1].toLowerCase();
+            if (name === 'view-source') {
+                const inner = classify(text.slice(scheme[0].length), options);
+                return inner.type === 'url'
+                    ? { type: 'url', url: `view-source:${inner.url}`, kind: 'view-source' }
+                    : search(text);
+            }
+            if (KNOWN_SCHEMES.has(name)) {
+                return { type: 'url', url: text, kind: name };
+            }
+            // Only host:port and bare IPv6 (fe80::1) may look like a scheme; ftp://, chrome:// and magnet: are not ours
+            if (!/^(?:\d+|[0-9a-f.]*:[0-9a-f:.]*)(?:[/?#]|$)/i.test(text.slice(scheme[0].length))) {
+                return search(text);
+            }
+        }
+
+        const pathStart = text.search(/[/?#]/);
+        const authority = pathStart === -1 ? text : text.slice(0, pathStart);
+        const rest = pathStart === -1 ? '' : text.slice(pathStart);
+
+        // Words before any path make it a query: "node.js tutorial", "what is example.com"
+        // An @ means an e-mail address or credentials, which are searched rather than sent
+        if (!authority || /\s/.test(authority) || authority.includes('@')) {
+            return search(text);
+        }
+
+        const hostPort = splitHostPort(authority);
+        if (!hostPort) return search(text);
+        const { host, port, bareIpv6 } = hostPort;
+        const address = bareIpv6 ? `${host}${rest}` : text;
+
+        if (host.startsWith('[')) {
+            return isValidIpv6(host) ? { type: 'url', url: `http://${address}`, kind: 'ip' } : search(text);
+        }
+
+        const ascii = toAsciiHostname(host);
+        if (!ascii) return search(text);
+
+        if (isIpv4(ascii)) {
+            return { type: 'url', url: `http://${text}`, kind: 'ip' };
+        }
+        if (ascii === 'localhost' || ascii.endsWith('.localhost')) {
+            return { type: 'url', url: `http://${text}`, kind: 'localhost' };
+        }
+
+        const labels = ascii.split('.');
+        if (labels.length === 1) {
+            if (port || rest || options.knownHosts?.has(ascii)) {
+                return { type: 'url', url: `http://${text}`, kind: 'intranet' };
+            }
+            return search(text, `http://${ascii}/`);
+        }
+
+        const { suffix, known } = getPublicSuffix(ascii, { includePrivate: false });
+        if (known && suffix !== ascii) {
+            return { type: 'url', url: `https://${text}`, kind: 'domain' };
+        }
+
+        // An unlisted TLD is still an address when a port or path says so (intranet.corp:8080/)
+        if (port || rest.startsWith('/')) {
+            return { type: 'url', url: `http://${text}`, kind: 'intranet' };
+        }
+        return search(text);
+    }
+
+    const UrlClassifier = {
+        classify,
+        filePathToUrl,
+        getPublicSuffix,
+        getRegistrableDomain,
+        isIpAddress,
+        toAsciiHostname
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = UrlClassifier;
+    } else {
+        root.UrlClassifier = UrlClassifier;
+    }
+})(typeof self !== 'undefined' ? self : this);
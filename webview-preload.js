@@ -0,0 +1,264 @@
+/**
+ * PaperStation Browser - Webview Preload Script
+ *
+ * Runs in the top frame of every page loaded in a tab (never in subframes,
+ * so credentials are never filled into iframes of another origin). It
+ * detects login forms, offers saved credentials in a small dropdown and
+ * asks the browser to save credentials when a login form is submitted.
+ *
+ * The main process decides which credentials belong to this page from the
+ * page's real URL; nothing here can request passwords for another site.
+ *
+ * paperstation:// pages additionally get window.paperstation for their data;
+ * the main process checks the calling frame's origin again for every call.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+const DROPDOWN_HOST_ID = 'paperstation-autofill';
+
+let dropdownHost = null;
+let dropdownAnchor = null;
+let lastOffered = null;
+
+// ============================================
+// Login Form Detection
+// ============================================
+
+function isVisible(input) {
+    const rect = input.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(input).visibility !== 'hidden';
+}
+
+function isUsernameInput(input) {
+    const type = (input.type || 'text').toLowerCase();
+    return ['text', 'email', 'tel'].includes(type) && !input.readOnly && !input.disabled;
+}
+
+function findLoginFields(passwordInput) {
+    const scope = passwordInput.form || document;
+    const inputs = Array.from(scope.querySelectorAll('input'));
+    const passwordIndex = inputs.indexOf(passwordInput);
+
+    // The username is the closest visible text-like input before the password
+    let usernameInput = null;
+    for (let i = passwordIndex - 1; i >= 0; i--) {
+        if (isUsernameInput(inputs[i]) && isVisible(inputs[i])) {
+            usernameInput = inputs[i];
+            break;
+        }
+    }
+    return { usernameInput, passwordInput };
+}
+
+function getPasswordInputs(scope = document) {
+    return Array.from(scope.querySelectorAll('input[type="password"]'))
+        .filter(input => !input.disabled && isVisible(input));
+}
+
+function getLoginFieldsFor(input) {
+    if (input.type === 'password') {
+        return findLoginFields(input);
+    }
+    const scope = input.form || document;
+    const passwordInput = getPasswordInputs(scope).find(candidate =>
+        input.compareDocumentPosition(candidate) & Node.DOCUMENT_POSITION_FOLLOWING
+    );
+    return passwordInput ? findLoginFields(passwordInput) : null;
+}
+
+// ============================================
+// Filling
+// ============================================
+
+function setInputValue(input, value) {
+    // Use the native setter so frameworks that track value changes notice the fill
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    setter.call(input, value);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// New-password fields: everything but the current password on change-password forms
+function getNewPasswordInputs(fields) {
+    const inputs = getPasswordInputs(fields.passwordInput.form || document);
+    return inputs.length >= 3 ? inputs.slice(-2) : inputs;
+}
+
+async function fillCredential(fields, credentialId) {
+    const credential = await ipcRenderer.invoke('autofill-fill', credentialId);
+    if (!credential) return;
+
+    if (fields.usernameInput && credential.username) {
+        setInputValue(fields.usernameInput, credential.username);
+    }
+    setInputValue(fields.passwordInput, credential.password);
+}
+
+// ============================================
+// Dropdown
+// ============================================
+
+function hideDropdown() {
+    if (dropdownHost) {
+        dropdownHost.remove();
+        dropdownHost = null;
+    }
+    dropdownAnchor = null;
+}
+
+function createDropdownItem(label, detail, onSelect) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'item';
+    item.innerHTML = '<span class="label"></span><span class="detail"></span>';
+    item.querySelector('.label').textContent = label;
+    item.querySelector('.detail').textContent = detail;
+    // mousedown keeps focus in the field, so the dropdown is not closed before the click lands
+    item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        onSelect();
+        hideDropdown();
+    });
+    return item;
+}
+
+async function showDropdown(input) {
+    const fields = getLoginFieldsFor(input);
+    if (!fields) return;
+
+    const result = await ipcRenderer.invoke('autofill-get-credentials');
+    // Suggest a password on sign-up style fields, or where nothing is saved yet
+    const hasCredentials = result && (result.locked || result.credentials.length > 0);
+    const isNewPasswordField = input.autocomplete === 'new-password' || getPasswordInputs(input.form || document).length >= 2;
+    const suggestion = input.type === 'password' && (isNewPasswordField || !hasCredentials)
+        ? await ipcRenderer.invoke('autofill-generate')
+        : null;
+    if (!result && !suggestion) return;
+    if (result && !result.locked && result.credentials.length === 0 && !suggestion) return;
+    if (document.activeElement !== input) return;
+
+    hideDropdown();
+    dropdownAnchor = input;
+    dropdownHost = document.createElement('div');
+    dropdownHost.id = DROPDOWN_HOST_ID;
+
+    const rect = input.getBoundingClientRect();
+    dropdownHost.style.cssText = `position: fixed; z-index: 2147483647; left: ${rect.left}px; top: ${rect.bottom + 2}px; min-width: ${Math.max(rect.width, 220)}px;`;
+
+    // A closed shadow root keeps page styles and scripts away from the dropdown
+    const shadow = dropdownHost.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `
+        <style>
+            .menu { background: #fff; color: #202124; border: 1px solid #dadce0; border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,0.2); padding: 4px 0; font: 13px system-ui, sans-serif; }
+            .item { display: flex; flex-direction: column; align-items: flex-start; width: 100%; padding: 6px 12px; border: none; background: none; cursor: pointer; text-align: left; font: inherit; color: inherit; }
+            .item:hover { background: #f1f3f4; }
+            .detail { font-size: 11px; color: #5f6368; }
+            .header { padding: 4px 12px; font-size: 11px; color: #5f6368; }
+        </style>
+        <div class="menu"><div class="header">🔐 PaperStation 密码</div></div>
+    `;
+    const menu = shadow.querySelector('.menu');
+
+    if (result && result.locked) {
+        menu.appendChild(createDropdownItem('解锁密码库', '解锁后可填充已保存的密码', () => {
+            ipcRenderer.send('autofill-request-unlock');
+        }));
+    } else if (result) {
+        result.credentials.forEach((credential) => {
+            menu.appendChild(createDropdownItem(credential.username || '（无用户名）', credential.website, () => {
+                fillCredential(fields, credential.id);
+            }));
+        });
+    }
+
+    if (suggestion) {
+        menu.appendChild(createDropdownItem('使用建议的强密码', suggestion, () => {
+            getNewPasswordInputs(fields).forEach(passwordInput => setInputValue(passwordInput, suggestion));
+        }));
+    }
+
+    document.documentElement.appendChild(dropdownHost);
+}
+
+// ============================================
+// Save on Submit
+// ============================================
+
+function offerToSave(scope) {
+    const passwordInput = getPasswordInputs(scope).find(input => input.value);
+    if (!passwordInput) return;
+
+    // Sign-up and change-password forms: the new password is the last non-empty one
+    const filled = getPasswordInputs(scope).filter(input => input.value);
+    const fields = findLoginFields(filled[filled.length - 1]);
+
+    const credential = {
+        username: fields.usernameInput ? fields.usernameInput.value.trim() : '',
+        password: fields.passwordInput.value
+    };
+    const key = credential.username + '\n' + credential.password;
+    if (key === lastOffered) return;
+    lastOffered = key;
+
+    ipcRenderer.send('autofill-offer-save', credential);
+}
+
+document.addEventListener('submit', (e) => {
+    if (e.target instanceof HTMLFormElement) {
+        offerToSave(e.target);
+    }
+}, true);
+
+// Many login pages submit through script instead of a real form submission
+document.addEventListener('click', (e) => {
+    const button = e.target instanceof Element && e.target.closest('button, input[type="submit"], [role="button"]');
+    if (!button) return;
+    const form = button.closest('form');
+    if (form && button.type === 'submit') return; // handled by the submit listener
+    offerToSave(form || document);
+}, true);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        hideDropdown();
+    } else if (e.key === 'Enter' && e.target instanceof HTMLInputElement && !e.target.form && e.target.type === 'password') {
+        offerToSave(document);
+    }
+}, true);
+
+// ============================================
+// Field Focus
+// ============================================
+
+document.addEventListener('focusin', (e) => {
+    const input = e.target;
+    if (!(input instanceof HTMLInputElement) || input === dropdownAnchor) return;
+    if (input.type === 'password' || isUsernameInput(input)) {
+        showDropdown(input);
+    } else {
+        hideDropdown();
+    }
+});
+
+document.addEventListener('focusout', (e) => {
+    if (e.target === dropdownAnchor) {
+        hideDropdown();
+    }
+});
+
+window.addEventListener('scroll', hideDropdown, true);
+window.addEventListener('resize', hideDropdown);
+
+// ============================================
+// Internal Pages (paperstation://)
+// ============================================
+
+if (location.protocol === 'paperstation:') {
+    contextBridge.exposeInMainWorld('paperstation', {
+        call: (method, ...args) => ipcRenderer.invoke('internal-page-call', { method, args }),
+        onEvent: (callback) => {
+            ipcRenderer.on('internal-page-event', (event, data) => callback(data));
+        }
+    });
+}